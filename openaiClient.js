@@ -129,29 +129,8 @@ async function parseOpenAIResponse(response, client, originalPrompt) {
                         arguments: {}
                     });
 
-                    let projectsList = '';
-                    let projects = [];
-
-                    if (projectsResult && projectsResult.content) {
-                        for (const item of projectsResult.content) {
-                            if (item.type === 'text') {
-                                projectsList = item.text;
-                                // Extraer los proyectos de la respuesta
-                                const lines = projectsList.split('\n').filter(line => line.trim().startsWith('-'));
-                                projects = lines.map(line => {
-                                    const match = line.match(/- (.+?) \(ID: (\d+), Slug: (.+?)\)/);
-                                    if (match) {
-                                        return {
-                                            name: match[1],
-                                            id: match[2],
-                                            slug: match[3]
-                                        };
-                                    }
-                                    return null;
-                                }).filter(p => p !== null);
-                            }
-                        }
-                    }
+                    // Los proyectos vienen en el contenido estructurado de la respuesta
+                    const projects = projectsResult?.structuredContent?.projects || [];
 
                     // Seleccionar el proyecto más adecuado
                     let selectedProjectSlug;
@@ -211,17 +190,7 @@ async function parseOpenAIResponse(response, client, originalPrompt) {
                     });
 
                     // Extraer el ID de referencia de la historia de usuario creada
-                    let userStoryRef = null;
-                    if (userStoryResult && userStoryResult.content) {
-                        for (const item of userStoryResult.content) {
-                            if (item.type === 'text') {
-                                const match = item.text.match(/Reference: #(\d+)/);
-                                if (match) {
-                                    userStoryRef = match[1];
-                                }
-                            }
-                        }
-                    }
+                    const userStoryRef = userStoryResult?.structuredContent?.userStory?.ref ?? null;
 
                     // Si tenemos la referencia de la historia de usuario, generar tareas
                     if (userStoryRef) {
@@ -240,24 +209,33 @@ async function parseOpenAIResponse(response, client, originalPrompt) {
                             if (tasksData.tasks && Array.isArray(tasksData.tasks)) {
                                 console.log(`\nCreando ${tasksData.tasks.length} tareas para la historia de usuario #${userStoryRef}...`);
 
-                                // Crear cada tarea
-                                for (const task of tasksData.tasks) {
-                                    const taskTitle = `[${task.type}] ${task.title}`;
-                                    console.log(`\nCreando tarea: ${taskTitle}`);
-
-                                    try {
-                                        await client.callTool({
-                                            name: 'createTask',
-                                            arguments: {
-                                                projectIdentifier: selectedProjectSlug,
-                                                userStoryIdentifier: `#${userStoryRef}`,
-                                                subject: taskTitle,
+                                // Crear todas las tareas en una sola llamada
+                                try {
+                                    const tasksResult = await client.callTool({
+                                        name: 'bulkCreateTasks',
+                                        arguments: {
+                                            projectIdentifier: selectedProjectSlug,
+                                            userStoryIdentifier: `#${userStoryRef}`,
+                                            items: tasksData.tasks.map((task) => ({
+                                                subject: `[${task.type}] ${task.title}`,
                                                 description: task.description
-                                            }
-                                        });
-                                    } catch (taskError) {
-                                        console.error(`Error al crear tarea ${taskTitle}:`, taskError.message);
+                                            }))
+                                        }
+                                    });
+
+                                    if (tasksResult?.isError) {
+                                        const message = tasksResult.content?.find((item) => item.type === 'text')?.text;
+                                        console.error('Error al crear las tareas:', message);
+                                    }
+
+                                    // Informar de las tareas que no se pudieron crear
+                                    for (const result of tasksResult?.structuredContent?.results ?? []) {
+                                        if (result.outcome !== 'created') {
+                                            console.error(`Error al crear tarea ${result.subject}:`, result.error);
+                                        }
                                     }
+                                } catch (taskError) {
+                                    console.error('Error al crear las tareas:', taskError.message);
                                 }
                             }
                         } catch (parseError) {
@@ -0,0 +1,357 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { describeFormData, isDryRun } from "./dryRun.js";
+import { redact } from "./redaction.js";
+import { getCurrentSession } from "./sessionContext.js";
+
+// Methods that change something in Taiga
+const MUTATING_METHODS = ["post", "put", "patch", "delete"];
+
+// Methods whose URL names an existing item that can be snapshotted first
+const SNAPSHOT_METHODS = ["put", "patch", "delete"];
+
+// Longest string argument kept in full; longer ones, such as the base64
+// content of an upload, are cut to this length
+const MAX_ARGUMENT_LENGTH = 1000;
+
+// Tool call the current request is made for
+const storage = new AsyncLocalStorage();
+
+// Appends are chained so entries keep their order
+let pendingWrite = Promise.resolve();
+
+// Looks up the Taiga user the current session acts as, see auditRequests
+let identifyCaller = async () => null;
+
+/**
+ * Path of the audit log, or null when it is switched off
+ *
+ * TAIGA_AUDIT_LOG sets the file, relative to the working directory, and
+ * "off" disables the log.
+ * @returns {string|null} - Absolute path of the JSONL file
+ */
+export function getAuditLogPath() {
+  const setting = process.env.TAIGA_AUDIT_LOG ?? "taiga-audit.jsonl";
+  return setting && setting !== "off" ? path.resolve(setting) : null;
+}
+
+/**
+ * Shorten long strings in tool arguments, so file contents and the like
+ * don't bloat the log
+ * @param {*} value - Arguments, or a value within them
+ * @returns {*} - Copy with long strings cut
+ */
+function compactArguments(value) {
+  if (typeof value === "string" && value.length > MAX_ARGUMENT_LENGTH) {
+    return `${value.slice(0, MAX_ARGUMENT_LENGTH)}... (${
+      value.length - MAX_ARGUMENT_LENGTH
+    } more characters left out)`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(compactArguments);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, compactArguments(item)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Run a tool handler so the requests it sends are audited under its name
+ * @param {string} tool - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of fn
+ */
+export function runToolCall(tool, args, fn) {
+  return storage.run({ tool, arguments: compactArguments(args) }, fn);
+}
+
+/**
+ * Look up who the current session acts as, for the log
+ * @returns {Promise<Object|null>} - User ID and username, or null if unknown
+ */
+async function findCaller() {
+  try {
+    return await identifyCaller();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Audit state of one request, kept on its axios config. A class instance
+ * rather than a plain object, so axios shares it with retries of the request
+ * instead of copying it, and the request is only logged once.
+ */
+class AuditRecord {
+  constructor({ method, endpoint, before, user }) {
+    this.id = randomUUID();
+    this.timestamp = new Date().toISOString();
+    this.call = storage.getStore() || null;
+    this.session = getCurrentSession()?.id || null;
+    this.user = user;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.before = before;
+    this.logged = false;
+  }
+}
+
+/**
+ * Work out which project a request belongs to
+ * @param {string} endpoint - Request URL
+ * @param {...Object} items - Payload and snapshots that may name the project
+ * @returns {number|null} - Project ID, if known
+ */
+function findProjectId(endpoint, ...items) {
+  const projectUrl = endpoint.match(/\/projects\/(\d+)(?:[/?]|$)/);
+  if (projectUrl) {
+    return Number(projectUrl[1]);
+  }
+  for (const item of items) {
+    const project = item?.project ?? item?.project_id;
+    if (typeof project === "number") {
+      return project;
+    }
+    if (project && typeof project === "object" && project.id) {
+      return project.id;
+    }
+  }
+  return null;
+}
+
+/**
+ * Append an entry to the audit log, in order with the others
+ * @param {Object} entry - Entry to write, redacted first
+ */
+function appendEntry(entry) {
+  const file = getAuditLogPath();
+  if (!file) {
+    return;
+  }
+  const line = `${JSON.stringify(redact(entry))}\n`;
+  pendingWrite = pendingWrite
+    .then(() => fs.appendFile(file, line))
+    .catch((writeError) => {
+      console.error("Failed to write audit log:", writeError.message);
+    });
+}
+
+/**
+ * Append an entry for a finished request to the audit log
+ * @param {AuditRecord} record - Audit state of the request
+ * @param {Object} outcome - What happened
+ * @param {number|null} outcome.status - HTTP status
+ * @param {*} outcome.payload - Request body
+ * @param {*} outcome.after - Item after the request
+ * @param {string|null} outcome.error - Error message if it failed
+ */
+function writeEntry(record, { status, payload, after, error }) {
+  if (!getAuditLogPath() || record.logged) {
+    return;
+  }
+  record.logged = true;
+
+  appendEntry({
+    id: record.id,
+    timestamp: record.timestamp,
+    session: record.session,
+    user: record.user,
+    tool: record.call?.tool ?? null,
+    arguments: record.call?.arguments ?? null,
+    method: record.method,
+    endpoint: record.endpoint,
+    payload,
+    project: findProjectId(record.endpoint, payload, record.before, after),
+    status,
+    before: record.before,
+    after,
+    error,
+  });
+}
+
+/**
+ * Record the outcome of undoing a logged change, whether or not undoing it
+ * sent any request, so the change isn't picked again. The entry is logged
+ * under the current tool call, with "UNDO" as its method and the outcome as
+ * its payload.
+ * @param {Object} entry - Audit log entry of the change
+ * @param {Object} result - Outcome and message of undoing it
+ */
+export async function recordUndo(entry, { outcome, message }) {
+  if (isDryRun() || !getAuditLogPath()) {
+    return;
+  }
+  const call = storage.getStore() || null;
+  const timestamp = new Date().toISOString();
+  appendEntry({
+    id: randomUUID(),
+    timestamp,
+    session: getCurrentSession()?.id || null,
+    user: await findCaller(),
+    tool: call?.tool ?? null,
+    arguments: call?.arguments ?? null,
+    method: "UNDO",
+    endpoint: entry.endpoint,
+    payload: { outcome, message },
+    project: entry.project ?? null,
+    status: null,
+    before: null,
+    after: null,
+    error: null,
+  });
+}
+
+/**
+ * Parse a request body for the log
+ * @param {*} data - Body as sent by axios
+ * @returns {*} - Parsed body
+ */
+function parseBody(data) {
+  if (data instanceof FormData) {
+    return describeFormData(data);
+  }
+  if (typeof data !== "string") {
+    return data ?? null;
+  }
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+/**
+ * Log every request that changes Taiga, with snapshots of the item before and
+ * after and the user who made it. Register after the other interceptors, so
+ * the response side sees the final outcome of retried requests.
+ * @param {import('axios').AxiosInstance} client - Client to audit
+ * @param {Function} identify - Returns the Taiga user the current session
+ * acts as, as { id, username }
+ */
+export function auditRequests(client, identify) {
+  identifyCaller = identify;
+  client.interceptors.request.use(async (config) => {
+    const method = (config.method || "get").toLowerCase();
+    if (
+      config._audit ||
+      !MUTATING_METHODS.includes(method) ||
+      isDryRun() ||
+      !getAuditLogPath()
+    ) {
+      return config;
+    }
+
+    let before = null;
+    if (SNAPSHOT_METHODS.includes(method)) {
+      try {
+        before = (await client.get(config.url)).data;
+      } catch {
+        // Not every endpoint can be read back; log without a snapshot
+      }
+    }
+    config._audit = new AuditRecord({
+      method: method.toUpperCase(),
+      endpoint: client.getUri(config),
+      before,
+      user: await findCaller(),
+    });
+    return config;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      const record = response.config?._audit;
+      if (record) {
+        writeEntry(record, {
+          status: response.status,
+          payload: parseBody(response.config.data),
+          after: record.method === "DELETE" ? null : response.data ?? null,
+          error: null,
+        });
+      }
+      return response;
+    },
+    (error) => {
+      const record = error.config?._audit;
+      if (record) {
+        writeEntry(record, {
+          status: error.response?.status ?? null,
+          payload: parseBody(error.config.data),
+          after: record.before,
+          error: error.message,
+        });
+      }
+      throw error;
+    }
+  );
+}
+
+/**
+ * Read entries from the audit log, newest first
+ * @param {Object} [filters] - Filters
+ * @param {number} [filters.userId] - Only entries made by this Taiga user
+ * @param {string} [filters.sessionId] - Only entries made in this session
+ * @param {string} [filters.since] - Only entries at or after this ISO time
+ * @param {string} [filters.until] - Only entries at or before this ISO time
+ * @param {number} [filters.projectId] - Only entries for this project
+ * @param {string} [filters.tool] - Only entries made by this tool
+ * @param {number} [filters.limit] - Maximum number of entries
+ * @returns {Promise<{entries: Array<Object>, total: number}>} - Matching
+ * entries and how many there are in all
+ */
+export async function readAuditLog({
+  userId,
+  sessionId,
+  since,
+  until,
+  projectId,
+  tool,
+  limit = 50,
+} = {}) {
+  const file = getAuditLogPath();
+  await pendingWrite;
+
+  let text = "";
+  try {
+    text = file ? await fs.readFile(file, "utf8") : "";
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+
+  const sinceTime = since ? Date.parse(since) : -Infinity;
+  const untilTime = until ? Date.parse(until) : Infinity;
+  const matching = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    const time = Date.parse(entry.timestamp);
+    if (
+      (userId === undefined || entry.user?.id === userId) &&
+      (sessionId === undefined || entry.session === sessionId) &&
+      time >= sinceTime &&
+      time <= untilTime &&
+      (projectId === undefined || entry.project === projectId) &&
+      (!tool || entry.tool === tool)
+    ) {
+      matching.push(entry);
+    }
+  }
+
+  matching.reverse();
+  return { entries: matching.slice(0, limit), total: matching.length };
+}
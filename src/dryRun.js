@@ -0,0 +1,149 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// Methods that change something in Taiga
+const MUTATING_METHODS = ["post", "put", "patch", "delete"];
+
+// Requests recorded by the current dry run, if one is in progress
+const storage = new AsyncLocalStorage();
+
+/**
+ * Error that stops a request from reaching Taiga during a dry run
+ */
+export class DryRunInterruption extends Error {
+  constructor(request) {
+    super(`Dry run: ${request.method} ${request.url} was not sent`);
+    this.name = "DryRunInterruption";
+    this.request = request;
+  }
+}
+
+/**
+ * Run a function as a dry run. Reads go to Taiga as usual, so names get
+ * resolved and input validated against the project, but every request that
+ * would change something is recorded and stopped.
+ * @param {Function} fn - Function to run
+ * @returns {Promise<{result: *, requests: Array<Object>, notPreviewed:
+ * Array<string>}>} - Result of fn, the requests it would have sent and the
+ * ones it couldn't show
+ */
+export async function runDryRun(fn) {
+  const plan = { requests: [], notPreviewed: [] };
+  const result = await storage.run(plan, fn);
+  return { result, requests: plan.requests, notPreviewed: plan.notPreviewed };
+}
+
+/**
+ * Note requests a dry run can't show, because they depend on the outcome of
+ * a request it stopped, such as updates of items that would only be created
+ * @param {string} description - What would be sent, e.g. "the updates of 3
+ * created tasks"
+ */
+export function noteNotPreviewed(description) {
+  storage.getStore()?.notPreviewed.push(description);
+}
+
+/**
+ * Make a multipart request body readable, with files reduced to their name
+ * and size
+ * @param {FormData} form - Request body
+ * @returns {Object} - Fields by name
+ */
+export function describeFormData(form) {
+  return Object.fromEntries(
+    [...form].map(([key, value]) => [
+      key,
+      value instanceof Blob ? { file: value.name, size: value.size } : value,
+    ])
+  );
+}
+
+/**
+ * Check whether the current tool call is a dry run
+ * @returns {boolean} - True during a dry run
+ */
+export function isDryRun() {
+  return storage.getStore() !== undefined;
+}
+
+/**
+ * Stop a request that would change Taiga if this is a dry run
+ * @param {Object} request - Request about to be sent
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full URL
+ * @param {*} [request.data] - Request body
+ * @throws {DryRunInterruption} - During a dry run, for mutating requests
+ */
+export function interruptDryRun({ method, url, data }) {
+  const plan = storage.getStore();
+  if (!plan || !MUTATING_METHODS.includes((method || "get").toLowerCase())) {
+    return;
+  }
+  const request = {
+    method: method.toUpperCase(),
+    url,
+    payload: data instanceof FormData ? describeFormData(data) : data ?? null,
+  };
+  plan.requests.push(request);
+  throw new DryRunInterruption(request);
+}
+
+/**
+ * Turn the outcome of a dry run into the tool result
+ * @param {string} toolName - Name of the tool
+ * @param {Object} result - Result the tool returned
+ * @param {Array<Object>} requests - Requests it would have sent
+ * @param {Array<string>} [notPreviewed] - Requests it couldn't show
+ * @returns {Object} - Tool result
+ */
+export function toDryRunResult(toolName, result, requests, notPreviewed = []) {
+  if (requests.length === 0) {
+    // Failed validation, or nothing to change
+    if (result?.isError) {
+      return result;
+    }
+    return {
+      ...result,
+      content: [
+        {
+          type: "text",
+          text: `Dry run: ${toolName} would not send any change to Taiga.`,
+        },
+        ...(result?.content || []),
+      ],
+      structuredContent: { ...result?.structuredContent, dryRun: [] },
+    };
+  }
+
+  const preview = requests
+    .map(
+      (request) => `${request.method} ${request.url}
+${
+  request.payload === null
+    ? "(no body)"
+    : JSON.stringify(request.payload, null, 2)
+}`
+    )
+    .join("\n\n");
+  const notes =
+    notPreviewed.length > 0
+      ? `
+
+Not previewed, as they depend on the outcome of the requests above:
+${notPreviewed.map((description) => `- ${description}`).join("\n")}`
+      : "";
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Dry run: nothing was sent to Taiga. ${toolName} would send:
+
+${preview}${notes}`,
+      },
+    ],
+    structuredContent: {
+      dryRun: requests,
+      ...(notPreviewed.length > 0 && { notPreviewed }),
+    },
+  };
+}
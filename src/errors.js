@@ -0,0 +1,202 @@
+import { DryRunInterruption } from "./dryRun.js";
+
+/**
+ * Base class for errors raised while talking to Taiga
+ *
+ * Carries the HTTP status and the field-level errors Taiga returned, so tools
+ * can tell the model exactly what to fix.
+ */
+export class TaigaError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error details
+   * @param {number} [options.status] - HTTP status returned by Taiga
+   * @param {Object} [options.fieldErrors] - Field name to list of messages
+   * @param {*} [options.data] - Raw response body
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { status, fieldErrors = {}, data, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.data = data;
+  }
+
+  /**
+   * Suggestion shown to the model on how to recover
+   * @returns {string} - Hint text
+   */
+  get hint() {
+    return "Check the arguments and try again.";
+  }
+}
+
+/** Taiga rejected the data that was sent (400) */
+export class TaigaValidationError extends TaigaError {
+  get hint() {
+    return "Fix the listed fields and call the tool again.";
+  }
+}
+
+/** The requested item doesn't exist or isn't visible (404) */
+export class TaigaNotFoundError extends TaigaError {
+  get hint() {
+    return "Check the ID or #ref; list the items to find the right one.";
+  }
+}
+
+/** The authenticated user isn't allowed to do this (403) */
+export class TaigaPermissionError extends TaigaError {
+  get hint() {
+    return "The Taiga user this server acts as lacks permission for this action.";
+  }
+}
+
+/** Taiga didn't accept the credentials or token (401) */
+export class TaigaAuthError extends TaigaError {
+  get hint() {
+    return "Check the Taiga credentials configured for this server.";
+  }
+}
+
+/** The item changed since it was read (409, 412 or a stale version) */
+export class TaigaConflictError extends TaigaError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error details, plus the expected and current
+   * versions and the fields whose current value differs from the update
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.expectedVersion = options.expectedVersion;
+    this.currentVersion = options.currentVersion;
+    this.changes = options.changes || [];
+  }
+
+  get hint() {
+    return this.currentVersion !== undefined
+      ? `Review the current values, then retry with expectedVersion ${this.currentVersion} if your update still applies.`
+      : "The item was modified by someone else. Fetch it again and retry.";
+  }
+}
+
+/** Taiga is throttling requests (429) */
+export class TaigaRateLimitError extends TaigaError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error details, plus retryAfter in seconds
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.retryAfter = options.retryAfter;
+  }
+
+  get hint() {
+    return this.retryAfter
+      ? `Taiga is rate limiting requests. Wait ${this.retryAfter} seconds and retry.`
+      : "Taiga is rate limiting requests. Wait a moment and retry.";
+  }
+}
+
+/**
+ * Split a Taiga error body into its message and field-level errors
+ * @param {*} data - Response body
+ * @returns {{detail: (string|undefined), fieldErrors: Object}}
+ */
+function parseErrorBody(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return {
+      detail: typeof data === "string" && data.length < 500 ? data : undefined,
+      fieldErrors: {},
+    };
+  }
+
+  const fieldErrors = {};
+  let detail = data._error_message || data.detail;
+  for (const [field, messages] of Object.entries(data)) {
+    if (["_error_message", "_error_type", "detail"].includes(field)) {
+      continue;
+    }
+    if (field === "non_field_errors" || field === "__all__") {
+      detail = [].concat(messages).join(" ");
+      continue;
+    }
+    fieldErrors[field] = []
+      .concat(messages)
+      .map((message) =>
+        typeof message === "string" ? message : JSON.stringify(message)
+      );
+  }
+  return { detail, fieldErrors };
+}
+
+/**
+ * Log a failed Taiga request. Requests a dry run stopped didn't fail, so
+ * they aren't logged.
+ * @param {string} message - What failed, e.g. "Failed to get issue 42:"
+ * @param {Error} error - Error thrown while calling Taiga
+ */
+export function logFailure(message, error) {
+  if (!(error instanceof DryRunInterruption)) {
+    console.error(message, error.message);
+  }
+}
+
+/**
+ * Turn an error from a Taiga request into a typed TaigaError
+ * @param {Error} error - Error thrown while calling Taiga
+ * @param {string} message - What was being attempted, e.g. "Failed to get issue"
+ * @returns {TaigaError|DryRunInterruption} - Typed error, or the dry run
+ * interruption unchanged
+ */
+export function toTaigaError(error, message) {
+  // Dry run interruptions have to reach the dry run wrapper as they are
+  if (error instanceof TaigaError || error instanceof DryRunInterruption) {
+    return error;
+  }
+
+  const response = error.response;
+  if (!response) {
+    // Errors raised before any request was made keep their own message
+    if (!error.isAxiosError) {
+      return new TaigaError(`${message}: ${error.message}`, { cause: error });
+    }
+    return new TaigaError(
+      `${message}: could not reach Taiga (${error.message})`,
+      {
+        cause: error,
+      }
+    );
+  }
+
+  const { status, data } = response;
+  const { detail, fieldErrors } = parseErrorBody(data);
+  const text = `${message}: ${detail || `HTTP ${status}`}`;
+  const options = { status, fieldErrors, data, cause: error };
+
+  if (status === 400 && fieldErrors.version) {
+    return new TaigaConflictError(text, options);
+  }
+  switch (status) {
+    case 400:
+    case 422:
+      return new TaigaValidationError(text, options);
+    case 401:
+      return new TaigaAuthError(text, options);
+    case 403:
+      return new TaigaPermissionError(text, options);
+    case 404:
+      return new TaigaNotFoundError(text, options);
+    case 409:
+    case 412:
+      return new TaigaConflictError(text, options);
+    case 429:
+      return new TaigaRateLimitError(text, {
+        ...options,
+        retryAfter: response.headers?.["retry-after"],
+      });
+    default:
+      return new TaigaError(text, options);
+  }
+}
@@ -0,0 +1,187 @@
+import axios from "axios";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Taiga API configuration
+export const TAIGA_API_URL =
+  process.env.TAIGA_API_URL || "https://api.taiga.io/api/v1";
+
+/**
+ * Read a whole-number setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when it is unset or invalid
+ * @param {number} min - Smallest valid value
+ * @param {number} [max] - Largest valid value
+ * @returns {number} - Setting value
+ */
+export function readIntSetting(name, fallback, min, max = Infinity) {
+  const raw = process.env[name];
+  const value = Number(raw);
+  if (raw === undefined || raw.trim() === "") {
+    return fallback;
+  }
+  if (!Number.isInteger(value) || value < min || value > max) {
+    const range =
+      max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`;
+    console.error(
+      `Ignoring ${name}="${raw}": expected a whole number ${range}, using ${fallback}`
+    );
+    return fallback;
+  }
+  return value;
+}
+
+// HTTP behaviour, overridable from the environment
+const TIMEOUT_MS = readIntSetting("TAIGA_TIMEOUT_MS", 30000, 1);
+const MAX_RETRIES = readIntSetting("TAIGA_MAX_RETRIES", 3, 0);
+const RETRY_BASE_DELAY_MS = readIntSetting("TAIGA_RETRY_BASE_DELAY_MS", 500, 1);
+const RETRY_MAX_DELAY_MS = readIntSetting("TAIGA_RETRY_MAX_DELAY_MS", 30000, 1);
+const MAX_CONCURRENCY = readIntSetting("TAIGA_MAX_CONCURRENCY", 4, 1);
+
+// Methods that can be sent again without changing the outcome
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+
+/**
+ * Create a limiter that lets at most `max` tasks hold a slot at once
+ * @param {number} max - Maximum number of concurrent slots
+ * @returns {{acquire: function(): Promise<void>, release: function(): void}}
+ */
+function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+
+  return {
+    acquire() {
+      if (active < max) {
+        active++;
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => waiting.push(resolve));
+    },
+    release() {
+      const next = waiting.shift();
+      if (next) {
+        // Hand the slot straight to the next waiting request
+        next();
+      } else {
+        active--;
+      }
+    },
+  };
+}
+
+// One limiter for every client, so the limit applies to Taiga as a whole
+const limiter = createLimiter(MAX_CONCURRENCY);
+
+/**
+ * Work out how long to wait before retrying a failed request
+ * @param {import('axios').AxiosError} error - Failed request
+ * @param {number} attempt - Retry number, starting at 1
+ * @returns {number} - Delay in ms
+ */
+function getRetryDelay(error, attempt) {
+  const retryAfter = error.response?.headers?.["retry-after"];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const delay = isNaN(seconds)
+      ? new Date(retryAfter).getTime() - Date.now()
+      : seconds * 1000;
+    if (!isNaN(delay)) {
+      return Math.min(Math.max(delay, 0), RETRY_MAX_DELAY_MS);
+    }
+  }
+
+  // Exponential backoff with full jitter
+  const ceiling = Math.min(
+    RETRY_BASE_DELAY_MS * 2 ** (attempt - 1),
+    RETRY_MAX_DELAY_MS
+  );
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Decide whether a failed request is worth sending again
+ * @param {import('axios').AxiosError} error - Failed request
+ * @returns {boolean} - True if the request should be retried
+ */
+function isRetryable(error) {
+  const config = error.config;
+  if (!config || axios.isCancel(error)) {
+    return false;
+  }
+
+  const status = error.response?.status;
+  // Taiga didn't process a rate limited request, so any method can be resent
+  if (status === 429) {
+    return true;
+  }
+
+  const idempotent = IDEMPOTENT_METHODS.includes(
+    (config.method || "get").toLowerCase()
+  );
+  // No response means a network error or timeout
+  return idempotent && (status === undefined || status >= 500);
+}
+
+/**
+ * Create an axios instance with timeouts, a shared concurrency limit and
+ * retries with exponential backoff for transient failures
+ * @param {import('axios').CreateAxiosDefaults} [options] - Extra axios options
+ * @returns {import('axios').AxiosInstance} - Axios instance
+ */
+export function createHttpClient(options = {}) {
+  const client = axios.create({
+    baseURL: TAIGA_API_URL,
+    timeout: TIMEOUT_MS,
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      ...options.headers,
+    },
+  });
+
+  client.interceptors.request.use(async (config) => {
+    await limiter.acquire();
+    config._holdsSlot = true;
+    return config;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      if (response.config._holdsSlot) {
+        response.config._holdsSlot = false;
+        limiter.release();
+      }
+      return response;
+    },
+    async (error) => {
+      const config = error.config;
+      if (config?._holdsSlot) {
+        config._holdsSlot = false;
+        limiter.release();
+      }
+
+      if (!isRetryable(error)) {
+        throw error;
+      }
+
+      config._retryCount = (config._retryCount || 0) + 1;
+      if (config._retryCount > MAX_RETRIES) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, config._retryCount);
+      console.error(
+        `Retrying ${config.method?.toUpperCase()} ${
+          config.url
+        } in ${delay}ms (attempt ${config._retryCount} of ${MAX_RETRIES}):`,
+        error.message
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      return client.request(config);
+    }
+  );
+
+  return client;
+}
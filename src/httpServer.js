@@ -0,0 +1,309 @@
+import { createHash, randomUUID, timingSafeEqual } from "node:crypto";
+import http from "node:http";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { TaigaAuthError } from "./errors.js";
+import { readIntSetting } from "./httpClient.js";
+import { createServer } from "./server.js";
+import { createSession } from "./sessionContext.js";
+import { createAuthStateFromHeader, releaseAuthState } from "./taigaAuth.js";
+
+// Path the MCP endpoint is served on
+const MCP_PATH = "/mcp";
+
+// Largest JSON-RPC request body accepted
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * List the host names the Host header may carry: the loopback names, the
+ * bind address unless it is a wildcard, and any from MCP_ALLOWED_HOSTS
+ * @param {string} host - Bind address
+ * @returns {Set<string>} - Allowed host names, without ports
+ */
+function allowedHostnames(host) {
+  const names = new Set(["localhost", "127.0.0.1", "[::1]"]);
+  if (host !== "0.0.0.0" && host !== "::") {
+    names.add(host.includes(":") ? `[${host}]` : host);
+  }
+  for (const name of (process.env.MCP_ALLOWED_HOSTS || "").split(",")) {
+    if (name.trim()) {
+      names.add(name.trim().toLowerCase());
+    }
+  }
+  return names;
+}
+
+/**
+ * Get the host name of a request's Host header, without the port
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {string|null} - Host name, or null when missing or malformed
+ */
+function requestHostname(req) {
+  if (!req.headers.host) {
+    return null;
+  }
+  try {
+    return new URL(`http://${req.headers.host}`).hostname;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Hash an Authorization header so sessions don't keep it in plain text
+ * @param {string} [header] - Authorization header
+ * @returns {Buffer} - SHA-256 digest, of the empty string when missing
+ */
+function hashCredentials(header) {
+  return createHash("sha256")
+    .update(header || "")
+    .digest();
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response to write to
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a JSON-RPC error without an id, as the transport would
+ * @param {http.ServerResponse} res - Response to write to
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ */
+function sendRpcError(res, status, message) {
+  sendJson(res, status, {
+    jsonrpc: "2.0",
+    error: { code: -32000, message },
+    id: null,
+  });
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<*>} - Parsed body, or undefined when empty
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error("Request body too large"), {
+        status: 413,
+      });
+    }
+    chunks.push(chunk);
+  }
+  if (size === 0) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw Object.assign(new Error("Parse error: invalid JSON"), {
+      status: 400,
+    });
+  }
+}
+
+/**
+ * Start the MCP server over the Streamable HTTP transport
+ *
+ * Each client session gets its own MCP server and transport, keyed by the
+ * Mcp-Session-Id header, and acts as the Taiga user from the Authorization
+ * header of its initialize request. Sessions end when the client sends DELETE
+ * or after being idle for MCP_SESSION_IDLE_MS. Every later request of a session
+ * must carry the same Authorization header, and requests whose Host header is
+ * not a loopback name, the bind address or listed in MCP_ALLOWED_HOSTS are
+ * refused to guard against DNS rebinding.
+ * @param {Object} [options] - Server options
+ * @param {string} [options.host] - Bind address (MCP_HTTP_HOST, default 127.0.0.1)
+ * @param {number} [options.port] - Port (MCP_HTTP_PORT, default 3000)
+ * @returns {Promise<http.Server>} - Listening HTTP server
+ */
+export async function startHttpServer(options = {}) {
+  const host = options.host || process.env.MCP_HTTP_HOST || "127.0.0.1";
+  const port = options.port ?? readIntSetting("MCP_HTTP_PORT", 3000, 0, 65535);
+  // Longer timeouts than setTimeout's limit would fire straight away
+  const idleTimeoutMs = readIntSetting(
+    "MCP_SESSION_IDLE_MS",
+    30 * 60 * 1000,
+    1,
+    2 ** 31 - 1
+  );
+  const startedAt = Date.now();
+  const hostnames = allowedHostnames(host);
+
+  // Active sessions by session ID
+  const sessions = new Map();
+
+  /**
+   * Close a session and forget it
+   * @param {string} sessionId - Session ID
+   */
+  async function closeSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+    sessions.delete(sessionId);
+    clearTimeout(session.idleTimer);
+    releaseAuthState(session.context.auth);
+    await session.server.close().catch((error) => {
+      console.error(`Failed to close session ${sessionId}:`, error.message);
+    });
+  }
+
+  /**
+   * Restart the idle timer of a session
+   * @param {Object} session - Session entry
+   */
+  function touch(session) {
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(
+      () => closeSession(session.transport.sessionId),
+      idleTimeoutMs
+    );
+    session.idleTimer.unref();
+  }
+
+  /**
+   * Create a transport and MCP server for a new session, signed in with the
+   * credentials from the request's Authorization header if it has one
+   * @param {http.IncomingMessage} req - Initialize request
+   * @returns {Promise<StreamableHTTPServerTransport>} - Connected transport
+   */
+  async function openSession(req) {
+    const credentials = hashCredentials(req.headers.authorization);
+    const context = createSession({
+      auth: createAuthStateFromHeader(req.headers.authorization),
+    });
+    const server = createServer({ session: context });
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (sessionId) => {
+        const session = { server, transport, context, credentials };
+        sessions.set(sessionId, session);
+        touch(session);
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        closeSession(transport.sessionId);
+      }
+    };
+    try {
+      await server.connect(transport);
+    } catch (error) {
+      // Don't keep the session, or the credentials it signed in with
+      if (transport.sessionId) {
+        clearTimeout(sessions.get(transport.sessionId)?.idleTimer);
+        sessions.delete(transport.sessionId);
+      }
+      releaseAuthState(context.auth);
+      throw error;
+    }
+    return transport;
+  }
+
+  /**
+   * Route a request to the MCP endpoint
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Response
+   */
+  async function handleMcpRequest(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+    const session = sessionId ? sessions.get(sessionId) : undefined;
+
+    if (
+      session &&
+      !timingSafeEqual(
+        session.credentials,
+        hashCredentials(req.headers.authorization)
+      )
+    ) {
+      sendRpcError(res, 403, "Credentials do not match the session");
+      return;
+    }
+
+    if (req.method === "POST") {
+      const body = await readJsonBody(req);
+      if (session) {
+        touch(session);
+        await session.transport.handleRequest(req, res, body);
+        return;
+      }
+      if (!sessionId && isInitializeRequest(body)) {
+        const transport = await openSession(req);
+        await transport.handleRequest(req, res, body);
+        return;
+      }
+    } else if (req.method === "GET" || req.method === "DELETE") {
+      if (session) {
+        touch(session);
+        await session.transport.handleRequest(req, res);
+        return;
+      }
+    } else {
+      res.setHeader("Allow", "GET, POST, DELETE");
+      sendRpcError(res, 405, "Method not allowed");
+      return;
+    }
+
+    if (sessionId) {
+      sendRpcError(res, 404, "Session not found");
+    } else {
+      sendRpcError(res, 400, "Bad Request: No valid session ID provided");
+    }
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    try {
+      if (pathname === "/health" && req.method === "GET") {
+        sendJson(res, 200, {
+          status: "ok",
+          sessions: sessions.size,
+          uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+        });
+      } else if (!hostnames.has(requestHostname(req))) {
+        sendRpcError(res, 403, `Invalid Host header: ${req.headers.host}`);
+      } else if (pathname === MCP_PATH) {
+        await handleMcpRequest(req, res);
+      } else {
+        sendJson(res, 404, { error: "Not found" });
+      }
+    } catch (error) {
+      console.error("Error handling HTTP request:", error.message);
+      if (!res.headersSent) {
+        const status =
+          error instanceof TaigaAuthError ? 401 : error.status || 500;
+        sendRpcError(res, status, error.message);
+      }
+    }
+  });
+
+  // Close every session when the HTTP server shuts down
+  httpServer.on("close", () => {
+    for (const sessionId of [...sessions.keys()]) {
+      closeSession(sessionId);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+  console.error(
+    `Taiga MCP server listening on http://${host}:${port}${MCP_PATH}`
+  );
+  return httpServer;
+}
@@ -0,0 +1,128 @@
+// Replacement text for anything secret
+const REDACTED = "[REDACTED]";
+
+// Secrets shorter than this are not redacted by value, to avoid mangling
+// ordinary text. Short ones are still caught by their key or shape.
+const MIN_SECRET_LENGTH = 8;
+
+// Object keys whose string values are always secret
+const SECRET_KEY_PATTERN =
+  /^(pass(word|wd)?|(client_?)?secret|(auth_?|refresh_?|access_?|application_?)?token|refresh|authorization|api_?key|cookie)$/i;
+
+// Secrets that can be recognized by their shape
+const SECRET_PATTERNS = [
+  // JSON Web Tokens
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+  // Authorization header values
+  [/\b(Bearer|Application|Basic)\s+[\w.~+/=-]{8,}/gi, `$1 ${REDACTED}`],
+  // Credentials embedded in URLs
+  [/(\b[a-z][\w+.-]*:\/\/)[^\s/:@]+:[^\s/@]+@/gi, `$1${REDACTED}@`],
+  // Secret fields in serialized JSON
+  [
+    /("(?:password|secret|auth_token|refresh|token|api_?key)"\s*:\s*)"[^"]*"/gi,
+    `$1"${REDACTED}"`,
+  ],
+];
+
+// Environment variables holding secrets
+const SECRET_ENV_VARS = ["TAIGA_PASSWORD", "OPENAI_API_KEY"];
+
+// Owner of the secrets from the environment, which are never forgotten
+const ENVIRONMENT = Symbol("environment");
+
+// Known secret values, such as passwords and issued tokens, with the owners
+// that registered them
+const secrets = new Map();
+
+/**
+ * Remember a secret so it is redacted wherever it shows up
+ * @param {string} value - Secret value
+ * @param {*} [owner] - What the secret belongs to, such as a session's auth
+ * state, to forget it with later
+ */
+export function registerSecret(value, owner = ENVIRONMENT) {
+  if (typeof value === "string" && value.length >= MIN_SECRET_LENGTH) {
+    if (!secrets.has(value)) {
+      secrets.set(value, new Set());
+    }
+    secrets.get(value).add(owner);
+  }
+}
+
+/**
+ * Forget the secrets of an owner that is gone, such as a closed session.
+ * Values other owners registered as well are still redacted.
+ * @param {*} owner - Owner passed to registerSecret
+ */
+export function forgetSecrets(owner) {
+  for (const [value, owners] of secrets) {
+    owners.delete(owner);
+    if (owners.size === 0) {
+      secrets.delete(value);
+    }
+  }
+}
+
+/**
+ * Redact secrets from a string
+ * @param {string} text - Text to clean
+ * @returns {string} - Text with secrets replaced
+ */
+function redactString(text) {
+  let result = text;
+  // Environment secrets are read on each call, as .env may load after import
+  for (const name of SECRET_ENV_VARS) {
+    registerSecret(process.env[name]);
+  }
+  for (const secret of secrets.keys()) {
+    if (result.includes(secret)) {
+      result = result.split(secret).join(REDACTED);
+    }
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+/**
+ * Redact secrets from a value, recursing into arrays and plain objects
+ * @param {*} value - Value to clean
+ * @param {WeakSet} [seen] - Objects already visited
+ * @returns {*} - Copy of the value with secrets replaced
+ */
+export function redact(value, seen = new WeakSet()) {
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return redactString(value.stack || value.message);
+  }
+  if (!value || typeof value !== "object" || seen.has(value)) {
+    return value;
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, seen));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      typeof item === "string" && SECRET_KEY_PATTERN.test(key)
+        ? REDACTED
+        : redact(item, seen),
+    ])
+  );
+}
+
+/**
+ * Redact secrets from everything written through console.log, console.warn
+ * and console.error
+ */
+export function installLogRedaction() {
+  for (const method of ["log", "warn", "error"]) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(...args.map((arg) => redact(arg)));
+  }
+}
@@ -0,0 +1,291 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { z } from "zod";
+import { runToolCall } from "./auditLog.js";
+import { runDryRun, toDryRunResult } from "./dryRun.js";
+import { TAIGA_API_URL } from "./httpClient.js";
+import { redact } from "./redaction.js";
+import { projectService } from "./services/projectServices.js";
+import { createSession, runInSession } from "./sessionContext.js";
+import { createToolPolicy } from "./toolPolicy.js";
+import { registerAttachmentTools } from "./tools/attachmentTools.js";
+import { registerAuditTools } from "./tools/auditTools.js";
+import { registerAuthenticationTools } from "./tools/authenticationTools.js";
+import { registerBacklogTools } from "./tools/backlogTools.js";
+import { registerEpicTools } from "./tools/epicTools.js";
+import { registerHistoryTools } from "./tools/historyTools.js";
+import { registerIssueTools } from "./tools/issueTools.js";
+import { registerKanbanTools } from "./tools/kanbanTools.js";
+import { registerMilestoneTools } from "./tools/milestoneTools.js";
+import { registerProjectTools } from "./tools/projectTools.js";
+import { registerRoleTools } from "./tools/roleTools.js";
+import { dryRunSchema } from "./tools/structuredOutput.js";
+import { registerTaskTools } from "./tools/taskTools.js";
+import { registerUserStoryTools } from "./tools/userStoryTools.js";
+import { registerVoteTools } from "./tools/voteTools.js";
+import { registerWatcherTools } from "./tools/watcherTools.js";
+import { registerWikiTools } from "./tools/wikiTools.js";
+
+/**
+ * Wrap a handler so it runs in the context of a session, which decides the
+ * Taiga credentials its requests use, and so no secrets leave the server
+ * @param {Object} session - Session the handler belongs to
+ * @param {Function} handler - Tool or resource handler
+ * @returns {Function} - Wrapped handler
+ */
+function inSession(session, handler) {
+  return (...args) =>
+    runInSession(session, async () => redact(await handler(...args)));
+}
+
+/**
+ * Let a tool that changes Taiga run as a dry run, per call with the dryRun
+ * argument or always when the policy says so
+ *
+ * A dry run returns the request instead of the tool's usual output, so those
+ * output fields become optional.
+ * @param {string} name - Tool name
+ * @param {Object} config - Tool config
+ * @param {Function} handler - Tool handler
+ * @param {Object} policy - Tool policy
+ * @returns {Array} - Config and handler to register
+ */
+function withDryRun(name, config, handler, policy) {
+  const outputShape = Object.fromEntries(
+    Object.entries(config.outputSchema || {}).map(([key, schema]) => [
+      key,
+      schema.optional(),
+    ])
+  );
+  return [
+    {
+      ...config,
+      inputSchema: {
+        ...config.inputSchema,
+        dryRun: z
+          .boolean()
+          .optional()
+          .describe(
+            "Only resolve and validate the input and show the request that would be sent, without changing anything in Taiga"
+          ),
+      },
+      outputSchema: {
+        ...outputShape,
+        dryRun: z.array(dryRunSchema).optional(),
+        notPreviewed: z.array(z.string()).optional(),
+      },
+    },
+    async (args, extra) => {
+      if (!policy.dryRun && !args.dryRun) {
+        return handler(args, extra);
+      }
+      const { result, requests, notPreviewed } = await runDryRun(() =>
+        handler(args, extra)
+      );
+      return toDryRunResult(name, result, requests, notPreviewed);
+    },
+  ];
+}
+
+/**
+ * Create the registrar the tool modules register their tools with
+ *
+ * Tools the policy blocks are not registered at all, so clients never see
+ * them. The rest are recorded in a catalog by group, which the documentation
+ * resource is generated from, and the changes they make are audited under
+ * their name.
+ * @param {McpServer} server - The MCP server instance
+ * @param {Object} session - Session the tools belong to
+ * @param {Object} policy - Tool policy, see createToolPolicy
+ * @returns {Object} - Registrar with a catalog of tools and a group method
+ * returning an object with the registerTool method of McpServer, and an
+ * elicitInput method to ask the user of the client directly
+ */
+function createToolRegistrar(server, session, policy) {
+  const catalog = [];
+  return {
+    catalog,
+    group(title) {
+      return {
+        registerTool(name, config, handler) {
+          if (!policy.isAllowed(name, config)) {
+            return undefined;
+          }
+          if (config.annotations?.readOnlyHint === false) {
+            [config, handler] = withDryRun(name, config, handler, policy);
+          }
+          catalog.push({ group: title, name, description: config.description });
+          const audited = (args, extra) =>
+            runToolCall(name, args, () => handler(args, extra));
+          return server.registerTool(name, config, inSession(session, audited));
+        },
+        /**
+         * Ask the user through MCP elicitation, if the client supports it
+         * @param {Object} params - Message and requested schema
+         * @param {Object} extra - Request handler extra of the tool call
+         * @returns {Promise<Object|null>} - Elicit result, or null when the
+         * client doesn't support elicitation
+         */
+        async elicitInput(params, extra) {
+          if (!server.server.getClientCapabilities()?.elicitation?.form) {
+            return null;
+          }
+          return server.server.elicitInput(params, {
+            relatedRequestId: extra?.requestId,
+          });
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Build the documentation text from the tools that are actually registered
+ * @param {Array<Object>} catalog - Registered tools
+ * @param {Object} policy - Tool policy the tools were registered with
+ * @returns {string} - Documentation text
+ */
+function buildApiDocs(catalog, policy) {
+  const groups = new Map();
+  for (const tool of catalog) {
+    groups.set(tool.group, [...(groups.get(tool.group) || []), tool]);
+  }
+  const toolList = [...groups]
+    .map(
+      ([group, tools]) =>
+        `${group}:\n${tools
+          .map((tool) => `- ${tool.name}: ${tool.description}`)
+          .join("\n")}`
+    )
+    .join("\n\n");
+
+  return `Taiga API Documentation
+
+This MCP server provides access to the Taiga project management platform at
+${TAIGA_API_URL}.${
+    policy.readOnly
+      ? " It runs in read-only mode, so nothing in Taiga can be changed."
+      : ""
+  } These tools are available:
+
+${toolList}
+
+AUTHENTICATION:
+Sign in per session with taiga_authenticate (username and password, or an
+application token). Over HTTP, sessions can also pass an Authorization header
+(Bearer, Application or Basic) when they connect. taiga_checkConnection shows
+who the session acts as. Passwords and tokens are never included in tool
+output, resources or logs.
+
+All tools support both project IDs and project slugs for identification.
+User stories, tasks, issues and epics can be addressed by ID or by their
+#ref, using projectIdentifier + ref or a "project-slug#42" reference.
+Status names are automatically resolved to IDs for updates, and sprints
+(milestones) can be given by name.
+Custom attributes are read and written by name (taiga_listCustomAttributes
+lists them), and values are checked against the attribute type.
+Comment and history tools take an itemType (userStory, task, issue, epic or
+wikiPage) and address the item the same way; wiki pages only by itemId.
+Attachment tools read and write local files only inside the server's files
+directory (TAIGA_FILES_DIR), and not at all when it is not set; hidden files
+are refused.
+Epic link tools link or unlink each user story on its own, and report the
+epic's progress afterwards.
+Bulk create tools create each item or fail it on its own, and report which
+items were created and which failed.
+Update tools accept an optional expectedVersion and refuse to overwrite
+items that someone else changed in the meantime.
+Delete tools ask the user to confirm, through elicitation when the client
+supports it. Otherwise they return a confirmationToken to pass back once the
+user has agreed.
+Every change made through this server is recorded in an audit log, which
+taiga_getAuditLog queries and taiga_undo reverts. Both only see the changes
+made as the Taiga user the session is signed in as.
+Tools that change Taiga accept dryRun, which resolves and validates the input
+and returns the request that would be sent, without sending it.${
+    policy.dryRun
+      ? " Dry run is switched on for this server, so every change is a dry run."
+      : ""
+  }
+Every tool also returns structuredContent with the normalized entities,
+described by its outputSchema.
+`;
+}
+
+/**
+ * Create an MCP server with all Taiga resources and tools registered
+ *
+ * The stdio transport uses a single server, while the HTTP transport creates
+ * one per session.
+ * @param {Object} [options] - Server options
+ * @param {Object} [options.session] - Session state, e.g. with credentials
+ * taken from the HTTP request
+ * @returns {McpServer} - Configured MCP server
+ */
+export function createServer({ session = createSession() } = {}) {
+  const server = new McpServer({
+    name: "Taiga MCP",
+    version: "1.0.0",
+  });
+  const policy = createToolPolicy();
+  const tools = createToolRegistrar(server, session, policy);
+
+  // Add resources for documentation and context
+  server.resource(
+    "taiga-api-docs",
+    "docs://taiga/api",
+    inSession(session, async (uri) => ({
+      contents: [{ uri: uri.href, text: buildApiDocs(tools.catalog, policy) }],
+    }))
+  );
+
+  // Add resource for projects
+  server.resource(
+    "projects",
+    "taiga://projects",
+    inSession(session, async (uri) => {
+      try {
+        const projects = await projectService.listProjects();
+        return {
+          contents: [
+            {
+              uri: uri.href,
+              text: `Your Taiga Projects:
+
+${projects.map((p) => `- ${p.name} (ID: ${p.id}, Slug: ${p.slug})`).join("\n")}
+            `,
+            },
+          ],
+        };
+      } catch (error) {
+        return {
+          contents: [
+            {
+              uri: uri.href,
+              text: `Error fetching projects: ${error.message}`,
+            },
+          ],
+        };
+      }
+    })
+  );
+
+  // Register all tools
+  registerAuthenticationTools(tools.group("AUTHENTICATION AND USERS"));
+  registerProjectTools(tools.group("PROJECT MANAGEMENT"));
+  registerRoleTools(tools.group("ROLE MANAGEMENT"));
+  registerUserStoryTools(tools.group("USER STORY MANAGEMENT"));
+  registerTaskTools(tools.group("TASK MANAGEMENT"));
+  registerEpicTools(tools.group("EPIC MANAGEMENT"));
+  registerIssueTools(tools.group("ISSUE MANAGEMENT"));
+  registerMilestoneTools(tools.group("MILESTONE/SPRINT MANAGEMENT"));
+  registerBacklogTools(tools.group("BACKLOG AND SPRINT PLANNING"));
+  registerKanbanTools(tools.group("KANBAN BOARD"));
+  registerHistoryTools(tools.group("COMMENTS AND HISTORY"));
+  registerAttachmentTools(tools.group("ATTACHMENTS"));
+  registerWatcherTools(tools.group("WATCHERS"));
+  registerVoteTools(tools.group("VOTES"));
+  registerAuditTools(tools.group("AUDIT LOG AND UNDO"));
+  registerWikiTools(tools.group("WIKI MANAGEMENT"));
+
+  return server;
+}
@@ -0,0 +1,308 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createHttpClient } from "../httpClient.js";
+import { taigaClient } from "../taigaAuth.js";
+import { isDryRun } from "../dryRun.js";
+import { TaigaValidationError, logFailure, toTaigaError } from "../errors.js";
+import { getWorkItem } from "./workItems.js";
+
+// Client for attachment files. Their URLs are signed and may point to a media
+// host, so they are fetched without the session's token.
+const fileClient = createHttpClient({ responseType: "arraybuffer" });
+
+/**
+ * Directory local files are read from and written to
+ *
+ * TAIGA_FILES_DIR sets it, relative to the working directory. Without it,
+ * tools can't touch local files at all, since the working directory usually
+ * holds the server's own code and .env.
+ * @returns {string|null} - Absolute path, or null when it is not set
+ */
+export function getFilesDir() {
+  const setting = process.env.TAIGA_FILES_DIR;
+  return setting ? path.resolve(setting) : null;
+}
+
+/**
+ * Refuse a local path
+ * @param {string} message - Why
+ * @param {string} detail - Field error
+ * @throws {TaigaValidationError}
+ */
+function refusePath(message, detail) {
+  throw new TaigaValidationError(message, {
+    fieldErrors: { filePath: [detail] },
+  });
+}
+
+/**
+ * Follow symlinks in a path that may not exist yet, through its nearest
+ * existing ancestor
+ * @param {string} target - Absolute path
+ * @returns {Promise<string>} - Real path
+ */
+async function realLocalPath(target) {
+  try {
+    return await fs.realpath(target);
+  } catch (error) {
+    const parent = path.dirname(target);
+    if (error.code !== "ENOENT" || parent === target) {
+      throw error;
+    }
+    return path.join(await realLocalPath(parent), path.basename(target));
+  }
+}
+
+/**
+ * Resolve a local path, refusing paths outside the files directory, dotfiles
+ * and symlinks that lead out of it
+ * @param {string} filePath - Path relative to the files directory, or absolute
+ * @returns {Promise<string>} - Real absolute path
+ */
+async function resolveLocalPath(filePath) {
+  const filesDir = getFilesDir();
+  if (!filesDir) {
+    refusePath(
+      "Local files are disabled; set TAIGA_FILES_DIR to the directory to use, or pass content instead",
+      "TAIGA_FILES_DIR is not set."
+    );
+  }
+  let root;
+  try {
+    root = await fs.realpath(filesDir);
+  } catch (error) {
+    refusePath(
+      `Can't use the files directory ${filesDir}: ${error.message}`,
+      error.code || error.message
+    );
+  }
+
+  const check = (base, target) => {
+    const relative = path.relative(base, target);
+    if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+      refusePath(
+        `Local files must be inside ${filesDir} (set TAIGA_FILES_DIR to change it)`,
+        "Path is outside the files directory."
+      );
+    }
+    if (relative.split(path.sep).some((part) => part.startsWith("."))) {
+      refusePath(
+        `Hidden files and directories can't be used: ${relative}`,
+        "Dotfiles are not allowed."
+      );
+    }
+  };
+
+  // Check the path as given, then where its symlinks really lead
+  const resolved = path.resolve(filesDir, filePath);
+  check(filesDir, resolved);
+  const real = await realLocalPath(resolved);
+  check(root, real);
+  return real;
+}
+
+/**
+ * Service for the attachments of work items and wiki pages in Taiga
+ */
+export class AttachmentService {
+  /**
+   * List the attachments of an item
+   * @param {string} itemType - Item type, see WORK_ITEMS
+   * @param {string|number} itemId - Item ID
+   * @returns {Promise<Array>} - Attachments
+   */
+  async listAttachments(itemType, itemId) {
+    const { collection, label } = getWorkItem(itemType);
+    try {
+      const response = await taigaClient.get(`/${collection}/attachments`, {
+        params: { object_id: itemId },
+      });
+      return response.data;
+    } catch (error) {
+      logFailure(`Failed to list attachments of ${label} ${itemId}:`, error);
+      throw toTaigaError(error, "Failed to list attachments from Taiga");
+    }
+  }
+
+  /**
+   * Get an attachment
+   * @param {string} itemType - Type of the item it is attached to
+   * @param {string|number} attachmentId - Attachment ID
+   * @returns {Promise<Object>} - Attachment details
+   */
+  async getAttachment(itemType, attachmentId) {
+    const { collection } = getWorkItem(itemType);
+    try {
+      const response = await taigaClient.get(
+        `/${collection}/attachments/${attachmentId}`
+      );
+      return response.data;
+    } catch (error) {
+      logFailure(`Failed to get attachment ${attachmentId}:`, error);
+      throw toTaigaError(error, "Failed to get attachment from Taiga");
+    }
+  }
+
+  /**
+   * Upload a file to an item, either from a local path or from base64 content
+   * @param {string} itemType - Item type, see WORK_ITEMS
+   * @param {string|number} itemId - Item ID
+   * @param {Object} file - File to upload
+   * @param {string} [file.filePath] - Local path of the file
+   * @param {string} [file.content] - File content, base64 encoded
+   * @param {string} [file.fileName] - File name, required with content
+   * @param {string} [file.description] - Attachment description
+   * @returns {Promise<Object>} - Created attachment
+   */
+  async uploadAttachment(
+    itemType,
+    itemId,
+    { filePath, content, fileName, description }
+  ) {
+    const { collection, label } = getWorkItem(itemType);
+    if (Boolean(filePath) === Boolean(content)) {
+      throw new TaigaValidationError("Pass either filePath or content", {
+        fieldErrors: { filePath: ["Exactly one of filePath and content."] },
+      });
+    }
+    if (content && !fileName) {
+      throw new TaigaValidationError("A fileName is required with content", {
+        fieldErrors: { fileName: ["This field is required."] },
+      });
+    }
+
+    let data;
+    let name = fileName;
+    if (filePath) {
+      const localPath = await resolveLocalPath(filePath);
+      try {
+        data = await fs.readFile(localPath);
+      } catch (error) {
+        throw new TaigaValidationError(
+          `Can't read ${localPath}: ${error.message}`,
+          { fieldErrors: { filePath: [error.code || error.message] } }
+        );
+      }
+      name = name || path.basename(localPath);
+    } else {
+      data = Buffer.from(content, "base64");
+    }
+
+    try {
+      // Attachments belong to the item's project as well
+      const item = (await taigaClient.get(`/${collection}/${itemId}`)).data;
+      const form = new FormData();
+      form.append("project", String(item.project));
+      form.append("object_id", String(itemId));
+      if (description) {
+        form.append("description", description);
+      }
+      form.append("attached_file", new Blob([data]), name);
+
+      const response = await taigaClient.post(
+        `/${collection}/attachments`,
+        form,
+        { headers: { "Content-Type": "multipart/form-data" } }
+      );
+      return response.data;
+    } catch (error) {
+      logFailure(`Failed to upload ${name} to ${label} ${itemId}:`, error);
+      throw toTaigaError(error, "Failed to upload attachment to Taiga");
+    }
+  }
+
+  /**
+   * Download an attachment to a local file
+   * @param {string} itemType - Type of the item it is attached to
+   * @param {string|number} attachmentId - Attachment ID
+   * @param {string} [filePath] - Local path, defaults to the attachment's
+   * name in the files directory
+   * @param {boolean} [overwrite] - Replace an existing file
+   * @returns {Promise<Object>} - Attachment, local path, bytes written and
+   * whether the file was written, which it isn't during a dry run
+   */
+  async downloadAttachment(itemType, attachmentId, filePath, overwrite) {
+    const attachment = await this.getAttachment(itemType, attachmentId);
+    const localPath = await resolveLocalPath(filePath || attachment.name);
+
+    if (isDryRun()) {
+      const exists = await fs.stat(localPath).then(
+        () => true,
+        () => false
+      );
+      if (exists && !overwrite) {
+        throw new TaigaValidationError(
+          `${localPath} already exists; pass overwrite to replace it`,
+          { fieldErrors: { filePath: ["EEXIST"] } }
+        );
+      }
+      return {
+        attachment,
+        path: localPath,
+        bytes: attachment.size ?? 0,
+        written: false,
+      };
+    }
+
+    let data;
+    try {
+      data = Buffer.from((await fileClient.get(attachment.url)).data);
+    } catch (error) {
+      logFailure(`Failed to download attachment ${attachmentId}:`, error);
+      throw toTaigaError(error, "Failed to download attachment from Taiga");
+    }
+
+    try {
+      await fs.mkdir(path.dirname(localPath), { recursive: true });
+      await fs.writeFile(localPath, data, { flag: overwrite ? "w" : "wx" });
+    } catch (error) {
+      throw new TaigaValidationError(
+        error.code === "EEXIST"
+          ? `${localPath} already exists; pass overwrite to replace it`
+          : `Can't write ${localPath}: ${error.message}`,
+        { fieldErrors: { filePath: [error.code || error.message] } }
+      );
+    }
+    return { attachment, path: localPath, bytes: data.length, written: true };
+  }
+
+  /**
+   * Update the description of an attachment, or mark it deprecated
+   * @param {string} itemType - Type of the item it is attached to
+   * @param {string|number} attachmentId - Attachment ID
+   * @param {Object} updateData - Fields to update, e.g. description
+   * @returns {Promise<Object>} - Updated attachment
+   */
+  async updateAttachment(itemType, attachmentId, updateData) {
+    const { collection } = getWorkItem(itemType);
+    try {
+      const response = await taigaClient.patch(
+        `/${collection}/attachments/${attachmentId}`,
+        updateData
+      );
+      return response.data;
+    } catch (error) {
+      logFailure(`Failed to update attachment ${attachmentId}:`, error);
+      throw toTaigaError(error, "Failed to update attachment in Taiga");
+    }
+  }
+
+  /**
+   * Delete an attachment
+   * @param {string} itemType - Type of the item it is attached to
+   * @param {string|number} attachmentId - Attachment ID
+   * @returns {Promise<Object>} - Deletion confirmation
+   */
+  async deleteAttachment(itemType, attachmentId) {
+    const { collection } = getWorkItem(itemType);
+    try {
+      await taigaClient.delete(`/${collection}/attachments/${attachmentId}`);
+      return { status: "deleted", attachment_id: attachmentId };
+    } catch (error) {
+      logFailure(`Failed to delete attachment ${attachmentId}:`, error);
+      throw toTaigaError(error, "Failed to delete attachment from Taiga");
+    }
+  }
+}
+
+export const attachmentService = new AttachmentService();
@@ -1,24 +1,6 @@
-import { createAuthenticatedClient } from "../taigaAuth.js";
-import axios from "axios";
-import dotenv from "dotenv";
-
-dotenv.config();
-
-const TAIGA_API_URL =
-  process.env.TAIGA_API_URL || "https://api.taiga.io/api/v1";
-
-/**
- * Create an axios instance without authentication for public endpoints
- * @returns {import('axios').AxiosInstance} - Axios instance for public endpoints
- */
-function createUnauthenticatedClient() {
-  return axios.create({
-    baseURL: TAIGA_API_URL,
-    headers: {
-      "Content-Type": "application/json",
-    },
-  });
-}
+import { taigaClient } from "../taigaAuth.js";
+import { logFailure, toTaigaError } from "../errors.js";
+import { fetchPaginated } from "./pagination.js";
 
 /**
  * Authentication services for Taiga API
@@ -30,12 +12,11 @@ export class AuthenticationService {
    */
   async getCurrentUser() {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/users/me");
+      const response = await taigaClient.get("/users/me");
       return response.data;
     } catch (error) {
-      console.error("Failed to get current user:", error.message);
-      throw new Error("Failed to get user information from Taiga");
+      logFailure("Failed to get current user:", error);
+      throw toTaigaError(error, "Failed to get user information from Taiga");
     }
   }
 
@@ -46,27 +27,25 @@ export class AuthenticationService {
    */
   async getUser(userId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(`/users/${userId}`);
+      const response = await taigaClient.get(`/users/${userId}`);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get user ${userId}:`, error.message);
-      throw new Error("Failed to get user from Taiga");
+      logFailure(`Failed to get user ${userId}:`, error);
+      throw toTaigaError(error, "Failed to get user from Taiga");
     }
   }
 
   /**
    * List users in the Taiga instance
-   * @returns {Promise<Array>} - List of users
+   * @param {Object} [pagination] - Optional page, pageSize and limit
+   * @returns {Promise<Object>} - Page of users with the total count
    */
-  async listUsers() {
+  async listUsers(pagination = {}) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/users");
-      return response.data;
+      return await fetchPaginated("/users", {}, pagination);
     } catch (error) {
-      console.error("Failed to list users:", error.message);
-      throw new Error("Failed to list users from Taiga");
+      logFailure("Failed to list users:", error);
+      throw toTaigaError(error, "Failed to list users from Taiga");
     }
   }
 
@@ -81,8 +60,6 @@ export class AuthenticationService {
    */
   async registerUser(userData) {
     try {
-      const client = await createAuthenticatedClient();
-
       const registrationData = {
         username: userData.username,
         email: userData.email,
@@ -92,16 +69,14 @@ export class AuthenticationService {
         accepted_terms: "true",
       };
 
-      const response = await client.post("/auth/register", registrationData);
+      const response = await taigaClient.post(
+        "/auth/register",
+        registrationData
+      );
       return response.data;
     } catch (error) {
-      console.error("Failed to register user:", error.message);
-      if (error.response && error.response.data) {
-        throw new Error(
-          `Registration failed: ${JSON.stringify(error.response.data)}`
-        );
-      }
-      throw new Error("Failed to register user in Taiga");
+      logFailure("Failed to register user:", error);
+      throw toTaigaError(error, "Failed to register user in Taiga");
     }
   }
 }
@@ -0,0 +1,195 @@
+import { taigaClient } from "../taigaAuth.js";
+import { TaigaValidationError, logFailure, toTaigaError } from "../errors.js";
+import { patchVersioned } from "./versioning.js";
+import { getWorkItem } from "./workItems.js";
+
+// Item types that have custom attributes
+export const CUSTOM_ATTRIBUTE_ITEM_TYPES = [
+  "userStory",
+  "task",
+  "issue",
+  "epic",
+];
+
+// Accepted spellings of checkbox values
+const CHECKBOX_VALUES = {
+  true: true,
+  yes: true,
+  false: false,
+  no: false,
+};
+
+/**
+ * Look up an item type that has custom attributes
+ * @param {string} itemType - userStory, task, issue or epic
+ * @returns {Object} - History type, collection and label
+ */
+function getAttributeItem(itemType) {
+  if (!CUSTOM_ATTRIBUTE_ITEM_TYPES.includes(itemType)) {
+    throw new Error(`Item type "${itemType}" has no custom attributes`);
+  }
+  return getWorkItem(itemType);
+}
+
+/**
+ * Check a value against the type of a custom attribute and convert it to
+ * what Taiga stores
+ *
+ * Numbers may be given as numeric strings, checkboxes as "yes"/"no", and
+ * dropdown options in any case. null or "" clears the value.
+ * @param {Object} attribute - Custom attribute definition from Taiga
+ * @param {*} value - Value to write
+ * @returns {*} - Value for attributes_values
+ */
+export function toAttributeValue(attribute, value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+
+  const invalid = (message) =>
+    new TaigaValidationError(
+      `Invalid value for custom attribute "${attribute.name}": ${message}`,
+      { fieldErrors: { [attribute.name]: [message] } }
+    );
+  const text = String(value).trim();
+
+  switch (attribute.type) {
+    case "number": {
+      const number = typeof value === "number" ? value : Number(text);
+      if (!Number.isFinite(number)) {
+        throw invalid(`"${value}" is not a number`);
+      }
+      return number;
+    }
+    case "date":
+      if (
+        !/^\d{4}-\d{2}-\d{2}$/.test(text) ||
+        isNaN(new Date(`${text}T00:00:00Z`).getTime())
+      ) {
+        throw invalid(`"${value}" is not a date in YYYY-MM-DD format`);
+      }
+      return text;
+    case "dropdown": {
+      const options = attribute.extra || [];
+      const option = options.find(
+        (candidate) => candidate.toLowerCase() === text.toLowerCase()
+      );
+      if (option === undefined) {
+        throw invalid(
+          `"${value}" is not one of the options: ${
+            options.join(", ") || "none"
+          }`
+        );
+      }
+      return option;
+    }
+    case "checkbox": {
+      const checked =
+        typeof value === "boolean"
+          ? value
+          : CHECKBOX_VALUES[text.toLowerCase()];
+      if (checked === undefined) {
+        throw invalid(`"${value}" is not true or false`);
+      }
+      return checked;
+    }
+    case "url":
+      try {
+        new URL(text);
+      } catch {
+        throw invalid(`"${value}" is not a URL`);
+      }
+      return text;
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Service for the custom attributes of user stories, tasks, issues and epics
+ */
+export class CustomAttributeService {
+  /**
+   * List the custom attributes a project defines for an item type
+   * @param {string} itemType - userStory, task, issue or epic
+   * @param {string|number} projectId - Project ID
+   * @returns {Promise<Array>} - Custom attribute definitions
+   */
+  async listAttributes(itemType, projectId) {
+    const { historyType, label } = getAttributeItem(itemType);
+    try {
+      const response = await taigaClient.get(
+        `/${historyType}-custom-attributes`,
+        { params: { project: projectId } }
+      );
+      return response.data;
+    } catch (error) {
+      logFailure(
+        `Failed to list ${label} custom attributes for project ${projectId}:`,
+        error
+      );
+      throw toTaigaError(error, "Failed to list custom attributes from Taiga");
+    }
+  }
+
+  /**
+   * Get the custom attribute values of an item
+   * @param {string} itemType - userStory, task, issue or epic
+   * @param {string|number} itemId - Item ID
+   * @returns {Promise<Object>} - attributes_values by attribute ID, and the
+   * version of the values
+   */
+  async getValues(itemType, itemId) {
+    const { collection, label } = getAttributeItem(itemType);
+    try {
+      const response = await taigaClient.get(
+        `/${collection}/custom-attributes-values/${itemId}`
+      );
+      return response.data;
+    } catch (error) {
+      logFailure(
+        `Failed to get custom attributes of ${label} ${itemId}:`,
+        error
+      );
+      throw toTaigaError(
+        error,
+        "Failed to get custom attribute values from Taiga"
+      );
+    }
+  }
+
+  /**
+   * Set custom attribute values of an item, keeping the other values
+   * @param {string} itemType - userStory, task, issue or epic
+   * @param {string|number} itemId - Item ID
+   * @param {Object} values - Values by attribute ID, see toAttributeValue
+   * @returns {Promise<Object>} - Updated values
+   */
+  async updateValues(itemType, itemId, values) {
+    const { collection, label } = getAttributeItem(itemType);
+    const url = `/${collection}/custom-attributes-values/${itemId}`;
+    const current = await this.getValues(itemType, itemId);
+    try {
+      return await patchVersioned(
+        url,
+        { attributes_values: { ...current.attributes_values, ...values } },
+        {
+          expectedVersion: current.version,
+          fetchCurrent: () => this.getValues(itemType, itemId),
+          label: `${label}'s custom attributes`,
+        }
+      );
+    } catch (error) {
+      logFailure(
+        `Failed to update custom attributes of ${label} ${itemId}:`,
+        error
+      );
+      throw toTaigaError(
+        error,
+        "Failed to update custom attribute values in Taiga"
+      );
+    }
+  }
+}
+
+export const customAttributeService = new CustomAttributeService();
@@ -1,4 +1,7 @@
-import { createAuthenticatedClient } from "../taigaAuth.js";
+import { taigaClient } from "../taigaAuth.js";
+import { logFailure, toTaigaError } from "../errors.js";
+import { patchVersioned } from "./versioning.js";
+import { fetchPaginated } from "./pagination.js";
 
 /**
  * Service for epic-related operations in Taiga
@@ -8,21 +11,19 @@ export class EpicService {
    * List epics for a project
    * @param {string|number} projectId - Project ID
    * @param {Object} [filters] - Optional filters
-   * @returns {Promise<Array>} - List of epics
+   * @param {Object} [pagination] - Optional page, pageSize and limit
+   * @returns {Promise<Object>} - Page of epics with the total count
    */
-  async listEpics(projectId, filters = {}) {
+  async listEpics(projectId, filters = {}, pagination = {}) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/epics", {
-        params: { project: projectId, ...filters },
-      });
-      return response.data;
-    } catch (error) {
-      console.error(
-        `Failed to list epics for project ${projectId}:`,
-        error.message
+      return await fetchPaginated(
+        "/epics",
+        { project: projectId, ...filters },
+        pagination
       );
-      throw new Error("Failed to list epics from Taiga");
+    } catch (error) {
+      logFailure(`Failed to list epics for project ${projectId}:`, error);
+      throw toTaigaError(error, "Failed to list epics from Taiga");
     }
   }
 
@@ -37,12 +38,11 @@ export class EpicService {
    */
   async createEpic(epicData) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.post("/epics", epicData);
+      const response = await taigaClient.post("/epics", epicData);
       return response.data;
     } catch (error) {
-      console.error("Failed to create epic:", error.message);
-      throw new Error("Failed to create epic in Taiga");
+      logFailure("Failed to create epic:", error);
+      throw toTaigaError(error, "Failed to create epic in Taiga");
     }
   }
 
@@ -53,12 +53,29 @@ export class EpicService {
    */
   async getEpic(epicId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(`/epics/${epicId}`);
+      const response = await taigaClient.get(`/epics/${epicId}`);
+      return response.data;
+    } catch (error) {
+      logFailure(`Failed to get epic ${epicId}:`, error);
+      throw toTaigaError(error, "Failed to get epic from Taiga");
+    }
+  }
+
+  /**
+   * Get a epic by its reference number within a project
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} ref - Epic reference number
+   * @returns {Promise<Object>} - Epic details
+   */
+  async getEpicByRef(projectId, ref) {
+    try {
+      const response = await taigaClient.get("/epics/by_ref", {
+        params: { project: projectId, ref },
+      });
       return response.data;
     } catch (error) {
-      console.error(`Failed to get epic ${epicId}:`, error.message);
-      throw new Error("Failed to get epic from Taiga");
+      logFailure(`Failed to get epic #${ref} in project ${projectId}:`, error);
+      throw toTaigaError(error, `Failed to get epic #${ref} from Taiga`);
     }
   }
 
@@ -66,16 +83,20 @@ export class EpicService {
    * Update an epic
    * @param {string|number} epicId - Epic ID
    * @param {Object} updateData - Data to update
+   * @param {number} [expectedVersion] - Version the caller last saw; the
+   * current version is used when omitted
    * @returns {Promise<Object>} - Updated epic
    */
-  async updateEpic(epicId, updateData) {
+  async updateEpic(epicId, updateData, expectedVersion) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.patch(`/epics/${epicId}`, updateData);
-      return response.data;
+      return await patchVersioned(`/epics/${epicId}`, updateData, {
+        expectedVersion,
+        fetchCurrent: () => this.getEpic(epicId),
+        label: "epic",
+      });
     } catch (error) {
-      console.error(`Failed to update epic ${epicId}:`, error.message);
-      throw new Error("Failed to update epic in Taiga");
+      logFailure(`Failed to update epic ${epicId}:`, error);
+      throw toTaigaError(error, "Failed to update epic in Taiga");
     }
   }
 
@@ -86,12 +107,11 @@ export class EpicService {
    */
   async deleteEpic(epicId) {
     try {
-      const client = await createAuthenticatedClient();
-      await client.delete(`/epics/${epicId}`);
+      await taigaClient.delete(`/epics/${epicId}`);
       return { status: "deleted", epic_id: epicId };
     } catch (error) {
-      console.error(`Failed to delete epic ${epicId}:`, error.message);
-      throw new Error("Failed to delete epic from Taiga");
+      logFailure(`Failed to delete epic ${epicId}:`, error);
+      throw toTaigaError(error, "Failed to delete epic from Taiga");
     }
   }
 
@@ -113,6 +133,99 @@ export class EpicService {
   async unassignEpicFromUser(epicId) {
     return this.updateEpic(epicId, { assigned_to: null });
   }
+
+  /**
+   * List the user stories linked to an epic, in the epic's order
+   * @param {string|number} epicId - Epic ID
+   * @returns {Promise<Array<Object>>} - User stories
+   */
+  async listEpicUserStories(epicId) {
+    try {
+      const related = await taigaClient.get(
+        `/epics/${epicId}/related_userstories`
+      );
+      const { items } = await fetchPaginated("/userstories", { epic: epicId });
+      const order = new Map(
+        related.data.map((link) => [link.user_story, link.order ?? 0])
+      );
+      return items.sort(
+        (a, b) => (order.get(a.id) ?? 0) - (order.get(b.id) ?? 0)
+      );
+    } catch (error) {
+      logFailure(`Failed to list user stories of epic ${epicId}:`, error);
+      throw toTaigaError(error, "Failed to list epic user stories from Taiga");
+    }
+  }
+
+  /**
+   * Link a user story to an epic
+   * @param {string|number} epicId - Epic ID
+   * @param {string|number} userStoryId - User story ID
+   * @returns {Promise<Object>} - The link, with epic, user_story and order
+   */
+  async linkUserStory(epicId, userStoryId) {
+    try {
+      const response = await taigaClient.post(
+        `/epics/${epicId}/related_userstories`,
+        { epic: Number(epicId), user_story: Number(userStoryId) }
+      );
+      return response.data;
+    } catch (error) {
+      logFailure(
+        `Failed to link user story ${userStoryId} to epic ${epicId}:`,
+        error
+      );
+      throw toTaigaError(error, "Failed to link user story to epic in Taiga");
+    }
+  }
+
+  /**
+   * Unlink a user story from an epic
+   * @param {string|number} epicId - Epic ID
+   * @param {string|number} userStoryId - User story ID
+   * @returns {Promise<Object>} - Unlink confirmation
+   */
+  async unlinkUserStory(epicId, userStoryId) {
+    try {
+      await taigaClient.delete(
+        `/epics/${epicId}/related_userstories/${userStoryId}`
+      );
+      return {
+        status: "unlinked",
+        epic_id: epicId,
+        user_story_id: userStoryId,
+      };
+    } catch (error) {
+      logFailure(
+        `Failed to unlink user story ${userStoryId} from epic ${epicId}:`,
+        error
+      );
+      throw toTaigaError(
+        error,
+        "Failed to unlink user story from epic in Taiga"
+      );
+    }
+  }
+
+  /**
+   * Get epic statuses for a project
+   * @param {string|number} projectId - Project ID
+   * @returns {Promise<Array>} - List of epic statuses
+   */
+  async getEpicStatuses(projectId) {
+    try {
+      const response = await taigaClient.get("/epic-statuses", {
+        params: { project: projectId },
+      });
+      return response.data;
+    } catch (error) {
+      logFailure(
+        `Failed to get epic statuses for project ${projectId}:`,
+        error
+      );
+      throw toTaigaError(error, "Failed to get epic statuses from Taiga");
+    }
+  }
 }
 
 // Export a singleton instance
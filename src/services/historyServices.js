@@ -0,0 +1,135 @@
+import { taigaClient } from "../taigaAuth.js";
+import { logFailure, toTaigaError } from "../errors.js";
+import { fetchPaginated, paginateItems } from "./pagination.js";
+import { patchVersioned } from "./versioning.js";
+import { getWorkItem } from "./workItems.js";
+
+/**
+ * Service for the comments and activity history of work items in Taiga
+ */
+export class HistoryService {
+  /**
+   * Get the history of an item, oldest first
+   * @param {string} itemType - Item type, see WORK_ITEMS
+   * @param {string|number} itemId - Item ID
+   * @param {Object} [filters] - Optional filters, e.g. { type: "comment" }
+   * @param {Object} [pagination] - Optional page, pageSize and limit
+   * @returns {Promise<Object>} - Page of history entries with the total count
+   */
+  async getHistory(itemType, itemId, filters = {}, pagination = {}) {
+    const { historyType, label } = getWorkItem(itemType);
+    try {
+      return await fetchPaginated(
+        `/history/${historyType}/${itemId}`,
+        filters,
+        pagination
+      );
+    } catch (error) {
+      logFailure(`Failed to get history of ${label} ${itemId}:`, error);
+      throw toTaigaError(error, `Failed to get ${label} history from Taiga`);
+    }
+  }
+
+  /**
+   * Get the comments on an item, leaving out deleted ones
+   *
+   * Taiga lists deleted comments too, so all of them are fetched and
+   * filtered before the requested page is taken, to keep pages full and the
+   * total right.
+   * @param {string} itemType - Item type, see WORK_ITEMS
+   * @param {string|number} itemId - Item ID
+   * @param {Object} [pagination] - Optional page, pageSize and limit
+   * @returns {Promise<Object>} - Page of comment entries with the total count
+   */
+  async listComments(itemType, itemId, pagination = {}) {
+    const { items } = await this.getHistory(itemType, itemId, {
+      type: "comment",
+    });
+    return paginateItems(
+      items.filter((entry) => entry.comment && !entry.delete_comment_date),
+      pagination
+    );
+  }
+
+  /**
+   * Add a comment to an item
+   *
+   * Taiga takes comments as a PATCH of the item with a comment field, so the
+   * item's version is sent along.
+   * @param {string} itemType - Item type, see WORK_ITEMS
+   * @param {string|number} itemId - Item ID
+   * @param {string} comment - Comment text (Markdown)
+   * @returns {Promise<Object>} - Updated item
+   */
+  async addComment(itemType, itemId, comment) {
+    const { collection, label } = getWorkItem(itemType);
+    const url = `/${collection}/${itemId}`;
+    try {
+      return await patchVersioned(
+        url,
+        { comment },
+        {
+          fetchCurrent: async () => (await taigaClient.get(url)).data,
+          label,
+        }
+      );
+    } catch (error) {
+      logFailure(`Failed to comment on ${label} ${itemId}:`, error);
+      throw toTaigaError(error, `Failed to add comment to ${label} in Taiga`);
+    }
+  }
+
+  /**
+   * Change the text of a comment
+   * @param {string} itemType - Item type, see WORK_ITEMS
+   * @param {string|number} itemId - Item ID
+   * @param {string} commentId - ID of the history entry holding the comment
+   * @param {string} comment - New comment text
+   * @returns {Promise<Object>} - Confirmation
+   */
+  async editComment(itemType, itemId, commentId, comment) {
+    const { historyType, label } = getWorkItem(itemType);
+    try {
+      await taigaClient.post(
+        `/history/${historyType}/${itemId}/edit_comment`,
+        { comment },
+        { params: { id: commentId } }
+      );
+      return { status: "edited", comment_id: commentId };
+    } catch (error) {
+      logFailure(
+        `Failed to edit comment ${commentId} on ${label} ${itemId}:`,
+        error
+      );
+      throw toTaigaError(error, "Failed to edit comment in Taiga");
+    }
+  }
+
+  /**
+   * Delete a comment. Taiga keeps deleted comments in the history, so they
+   * can be restored from its web interface.
+   * @param {string} itemType - Item type, see WORK_ITEMS
+   * @param {string|number} itemId - Item ID
+   * @param {string} commentId - ID of the history entry holding the comment
+   * @returns {Promise<Object>} - Deletion confirmation
+   */
+  async deleteComment(itemType, itemId, commentId) {
+    const { historyType, label } = getWorkItem(itemType);
+    try {
+      await taigaClient.post(
+        `/history/${historyType}/${itemId}/delete_comment`,
+        {},
+        { params: { id: commentId } }
+      );
+      return { status: "deleted", comment_id: commentId };
+    } catch (error) {
+      logFailure(
+        `Failed to delete comment ${commentId} on ${label} ${itemId}:`,
+        error
+      );
+      throw toTaigaError(error, "Failed to delete comment from Taiga");
+    }
+  }
+}
+
+export const historyService = new HistoryService();
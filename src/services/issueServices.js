@@ -1,4 +1,7 @@
-import { createAuthenticatedClient } from "../taigaAuth.js";
+import { taigaClient } from "../taigaAuth.js";
+import { logFailure, toTaigaError } from "../errors.js";
+import { patchVersioned } from "./versioning.js";
+import { fetchPaginated } from "./pagination.js";
 
 /**
  * Service for issue-related operations in Taiga
@@ -8,21 +11,19 @@ export class IssueService {
    * List issues for a project
    * @param {string|number} projectId - Project ID
    * @param {Object} [filters] - Optional filters
-   * @returns {Promise<Array>} - List of issues
+   * @param {Object} [pagination] - Optional page, pageSize and limit
+   * @returns {Promise<Object>} - Page of issues with the total count
    */
-  async listIssues(projectId, filters = {}) {
+  async listIssues(projectId, filters = {}, pagination = {}) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/issues", {
-        params: { project: projectId, ...filters },
-      });
-      return response.data;
-    } catch (error) {
-      console.error(
-        `Failed to list issues for project ${projectId}:`,
-        error.message
+      return await fetchPaginated(
+        "/issues",
+        { project: projectId, ...filters },
+        pagination
       );
-      throw new Error("Failed to list issues from Taiga");
+    } catch (error) {
+      logFailure(`Failed to list issues for project ${projectId}:`, error);
+      throw toTaigaError(error, "Failed to list issues from Taiga");
     }
   }
 
@@ -40,12 +41,32 @@ export class IssueService {
    */
   async createIssue(issueData) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.post("/issues", issueData);
+      const response = await taigaClient.post("/issues", issueData);
+      return response.data;
+    } catch (error) {
+      logFailure("Failed to create issue:", error);
+      throw toTaigaError(error, "Failed to create issue in Taiga");
+    }
+  }
+
+  /**
+   * Create several issues at once, one per subject. Taiga gives them the
+   * project's default status, priority, severity and type.
+   * @param {string|number} projectId - Project ID
+   * @param {Array<string>} subjects - Subjects, each on a single line
+   * @returns {Promise<Array<Object>>} - Created issues, in the order of the
+   * subjects
+   */
+  async bulkCreateIssues(projectId, subjects) {
+    try {
+      const response = await taigaClient.post("/issues/bulk_create", {
+        project_id: projectId,
+        bulk_issues: subjects.join("\n"),
+      });
       return response.data;
     } catch (error) {
-      console.error("Failed to create issue:", error.message);
-      throw new Error("Failed to create issue in Taiga");
+      logFailure("Failed to bulk create issues:", error);
+      throw toTaigaError(error, "Failed to create issues in Taiga");
     }
   }
 
@@ -56,12 +77,29 @@ export class IssueService {
    */
   async getIssue(issueId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(`/issues/${issueId}`);
+      const response = await taigaClient.get(`/issues/${issueId}`);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get issue ${issueId}:`, error.message);
-      throw new Error("Failed to get issue from Taiga");
+      logFailure(`Failed to get issue ${issueId}:`, error);
+      throw toTaigaError(error, "Failed to get issue from Taiga");
+    }
+  }
+
+  /**
+   * Get a issue by its reference number within a project
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} ref - Issue reference number
+   * @returns {Promise<Object>} - Issue details
+   */
+  async getIssueByRef(projectId, ref) {
+    try {
+      const response = await taigaClient.get("/issues/by_ref", {
+        params: { project: projectId, ref },
+      });
+      return response.data;
+    } catch (error) {
+      logFailure(`Failed to get issue #${ref} in project ${projectId}:`, error);
+      throw toTaigaError(error, `Failed to get issue #${ref} from Taiga`);
     }
   }
 
@@ -69,16 +107,20 @@ export class IssueService {
    * Update an issue
    * @param {string|number} issueId - Issue ID
    * @param {Object} updateData - Data to update
+   * @param {number} [expectedVersion] - Version the caller last saw; the
+   * current version is used when omitted
    * @returns {Promise<Object>} - Updated issue
    */
-  async updateIssue(issueId, updateData) {
+  async updateIssue(issueId, updateData, expectedVersion) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.patch(`/issues/${issueId}`, updateData);
-      return response.data;
+      return await patchVersioned(`/issues/${issueId}`, updateData, {
+        expectedVersion,
+        fetchCurrent: () => this.getIssue(issueId),
+        label: "issue",
+      });
     } catch (error) {
-      console.error(`Failed to update issue ${issueId}:`, error.message);
-      throw new Error("Failed to update issue in Taiga");
+      logFailure(`Failed to update issue ${issueId}:`, error);
+      throw toTaigaError(error, "Failed to update issue in Taiga");
     }
   }
 
@@ -89,12 +131,11 @@ export class IssueService {
    */
   async deleteIssue(issueId) {
     try {
-      const client = await createAuthenticatedClient();
-      await client.delete(`/issues/${issueId}`);
+      await taigaClient.delete(`/issues/${issueId}`);
       return { status: "deleted", issue_id: issueId };
     } catch (error) {
-      console.error(`Failed to delete issue ${issueId}:`, error.message);
-      throw new Error("Failed to delete issue from Taiga");
+      logFailure(`Failed to delete issue ${issueId}:`, error);
+      throw toTaigaError(error, "Failed to delete issue from Taiga");
     }
   }
 
@@ -124,17 +165,16 @@ export class IssueService {
    */
   async getIssueStatuses(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/issue-statuses", {
+      const response = await taigaClient.get("/issue-statuses", {
         params: { project: projectId },
       });
       return response.data;
     } catch (error) {
-      console.error(
+      logFailure(
         `Failed to get issue statuses for project ${projectId}:`,
-        error.message
+        error
       );
-      throw new Error("Failed to get issue statuses from Taiga");
+      throw toTaigaError(error, "Failed to get issue statuses from Taiga");
     }
   }
 
@@ -145,17 +185,16 @@ export class IssueService {
    */
   async getIssuePriorities(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/priorities", {
+      const response = await taigaClient.get("/priorities", {
         params: { project: projectId },
       });
       return response.data;
     } catch (error) {
-      console.error(
+      logFailure(
         `Failed to get issue priorities for project ${projectId}:`,
-        error.message
+        error
       );
-      throw new Error("Failed to get issue priorities from Taiga");
+      throw toTaigaError(error, "Failed to get issue priorities from Taiga");
     }
   }
 
@@ -166,17 +205,16 @@ export class IssueService {
    */
   async getIssueSeverities(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/severities", {
+      const response = await taigaClient.get("/severities", {
         params: { project: projectId },
       });
       return response.data;
     } catch (error) {
-      console.error(
+      logFailure(
         `Failed to get issue severities for project ${projectId}:`,
-        error.message
+        error
       );
-      throw new Error("Failed to get issue severities from Taiga");
+      throw toTaigaError(error, "Failed to get issue severities from Taiga");
     }
   }
 
@@ -187,17 +225,13 @@ export class IssueService {
    */
   async getIssueTypes(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/issue-types", {
+      const response = await taigaClient.get("/issue-types", {
         params: { project: projectId },
       });
       return response.data;
     } catch (error) {
-      console.error(
-        `Failed to get issue types for project ${projectId}:`,
-        error.message
-      );
-      throw new Error("Failed to get issue types from Taiga");
+      logFailure(`Failed to get issue types for project ${projectId}:`, error);
+      throw toTaigaError(error, "Failed to get issue types from Taiga");
     }
   }
 }
@@ -1,4 +1,6 @@
-import { createAuthenticatedClient } from "../taigaAuth.js";
+import { taigaClient } from "../taigaAuth.js";
+import { logFailure, toTaigaError } from "../errors.js";
+import { fetchPaginated } from "./pagination.js";
 
 /**
  * Service for milestone-related operations in Taiga
@@ -7,21 +9,20 @@ export class MilestoneService {
   /**
    * List milestones (sprints) for a project
    * @param {string|number} projectId - Project ID
-   * @returns {Promise<Array>} - List of milestones
+   * @param {Object} [filters] - Optional filters
+   * @param {Object} [pagination] - Optional page, pageSize and limit
+   * @returns {Promise<Object>} - Page of milestones with the total count
    */
-  async listMilestones(projectId) {
+  async listMilestones(projectId, filters = {}, pagination = {}) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/milestones", {
-        params: { project: projectId },
-      });
-      return response.data;
-    } catch (error) {
-      console.error(
-        `Failed to list milestones for project ${projectId}:`,
-        error.message
+      return await fetchPaginated(
+        "/milestones",
+        { project: projectId, ...filters },
+        pagination
       );
-      throw new Error("Failed to list milestones from Taiga");
+    } catch (error) {
+      logFailure(`Failed to list milestones for project ${projectId}:`, error);
+      throw toTaigaError(error, "Failed to list milestones from Taiga");
     }
   }
 
@@ -36,12 +37,11 @@ export class MilestoneService {
    */
   async createMilestone(milestoneData) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.post("/milestones", milestoneData);
+      const response = await taigaClient.post("/milestones", milestoneData);
       return response.data;
     } catch (error) {
-      console.error("Failed to create milestone:", error.message);
-      throw new Error("Failed to create milestone in Taiga");
+      logFailure("Failed to create milestone:", error);
+      throw toTaigaError(error, "Failed to create milestone in Taiga");
     }
   }
 
@@ -52,12 +52,11 @@ export class MilestoneService {
    */
   async getMilestone(milestoneId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(`/milestones/${milestoneId}`);
+      const response = await taigaClient.get(`/milestones/${milestoneId}`);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get milestone ${milestoneId}:`, error.message);
-      throw new Error("Failed to get milestone from Taiga");
+      logFailure(`Failed to get milestone ${milestoneId}:`, error);
+      throw toTaigaError(error, "Failed to get milestone from Taiga");
     }
   }
 
@@ -69,18 +68,14 @@ export class MilestoneService {
    */
   async updateMilestone(milestoneId, updateData) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.patch(
+      const response = await taigaClient.patch(
         `/milestones/${milestoneId}`,
         updateData
       );
       return response.data;
     } catch (error) {
-      console.error(
-        `Failed to update milestone ${milestoneId}:`,
-        error.message
-      );
-      throw new Error("Failed to update milestone in Taiga");
+      logFailure(`Failed to update milestone ${milestoneId}:`, error);
+      throw toTaigaError(error, "Failed to update milestone in Taiga");
     }
   }
 
@@ -91,15 +86,11 @@ export class MilestoneService {
    */
   async deleteMilestone(milestoneId) {
     try {
-      const client = await createAuthenticatedClient();
-      await client.delete(`/milestones/${milestoneId}`);
+      await taigaClient.delete(`/milestones/${milestoneId}`);
       return { status: "deleted", milestone_id: milestoneId };
     } catch (error) {
-      console.error(
-        `Failed to delete milestone ${milestoneId}:`,
-        error.message
-      );
-      throw new Error("Failed to delete milestone from Taiga");
+      logFailure(`Failed to delete milestone ${milestoneId}:`, error);
+      throw toTaigaError(error, "Failed to delete milestone from Taiga");
     }
   }
 
@@ -110,15 +101,16 @@ export class MilestoneService {
    */
   async getMilestoneStats(milestoneId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(`/milestones/${milestoneId}/stats`);
+      const response = await taigaClient.get(
+        `/milestones/${milestoneId}/stats`
+      );
       return response.data;
     } catch (error) {
-      console.error(
-        `Failed to get milestone stats for ${milestoneId}:`,
-        error.message
+      logFailure(`Failed to get milestone stats for ${milestoneId}:`, error);
+      throw toTaigaError(
+        error,
+        "Failed to get milestone statistics from Taiga"
       );
-      throw new Error("Failed to get milestone statistics from Taiga");
     }
   }
 }
@@ -0,0 +1,121 @@
+import { taigaClient } from "../taigaAuth.js";
+
+// Page size used when walking through every page of a list, and for a
+// single page when no page size is given
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Read Taiga's pagination headers from a response
+ * @param {import('axios').AxiosResponse} response - Axios response
+ * @returns {{paginated: boolean, count: (number|undefined), next: boolean}}
+ */
+function readPaginationHeaders(response) {
+  const headers = response.headers || {};
+  const count = headers["x-pagination-count"];
+  return {
+    paginated:
+      String(headers["x-paginated"]).toLowerCase() === "true" ||
+      count !== undefined,
+    count: count !== undefined ? Number(count) : undefined,
+    next: Boolean(headers["x-pagination-next"]),
+  };
+}
+
+/**
+ * Fetch a list endpoint, following Taiga's x-pagination-* headers
+ *
+ * Without a page, every page is fetched until the list is exhausted or the
+ * limit is reached. With a page, only that page is fetched.
+ *
+ * @param {string} url - List endpoint
+ * @param {Object} [params] - Query parameters (filters)
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.page] - Fetch only this page (1-based)
+ * @param {number} [options.pageSize] - Items per page
+ * @param {number} [options.limit] - Maximum number of items to return
+ * @returns {Promise<{items: Array, total: number, page: (number|undefined), pageSize: number, hasMore: boolean}>}
+ */
+export async function fetchPaginated(url, params = {}, options = {}) {
+  const { page, limit } = options;
+  // Without a page size Taiga would send pages of 30, not DEFAULT_PAGE_SIZE
+  const pageSize =
+    options.pageSize || (page ? DEFAULT_PAGE_SIZE : limit || DEFAULT_PAGE_SIZE);
+
+  let items = [];
+  let total;
+  let currentPage = page || 1;
+  let hasMore = false;
+
+  while (true) {
+    const response = await taigaClient.get(url, {
+      params: {
+        ...params,
+        page: currentPage,
+        page_size: pageSize,
+      },
+    });
+    const pagination = readPaginationHeaders(response);
+    const data = Array.isArray(response.data) ? response.data : [];
+
+    items = items.concat(data);
+    hasMore = pagination.next;
+    if (pagination.count !== undefined) {
+      total = pagination.count;
+    }
+
+    // Unpaginated endpoints return everything in one go
+    if (!pagination.paginated || page || !hasMore || data.length === 0) {
+      break;
+    }
+    if (limit && items.length >= limit) {
+      break;
+    }
+    currentPage++;
+  }
+
+  const totalCount = total !== undefined ? total : items.length;
+  if (limit && items.length > limit) {
+    items = items.slice(0, limit);
+  }
+
+  return {
+    items,
+    total: totalCount,
+    page,
+    pageSize,
+    hasMore: page ? hasMore : items.length < totalCount,
+  };
+}
+
+/**
+ * Paginate a list that was fetched in full, the way fetchPaginated does, for
+ * lists that are filtered locally before they are paged
+ * @param {Array} allItems - Every item of the list
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.page] - Return only this page (1-based)
+ * @param {number} [options.pageSize] - Items per page
+ * @param {number} [options.limit] - Maximum number of items to return
+ * @returns {{items: Array, total: number, page: (number|undefined), pageSize: (number|undefined), hasMore: boolean}}
+ */
+export function paginateItems(allItems, options = {}) {
+  const { page, limit } = options;
+  const pageSize = options.pageSize || (page ? DEFAULT_PAGE_SIZE : undefined);
+
+  let items = allItems;
+  let hasMore = false;
+  if (page) {
+    items = allItems.slice((page - 1) * pageSize, page * pageSize);
+    hasMore = page * pageSize < allItems.length;
+  }
+  if (limit && items.length > limit) {
+    items = items.slice(0, limit);
+  }
+
+  return {
+    items,
+    total: allItems.length,
+    page,
+    pageSize,
+    hasMore: page ? hasMore : items.length < allItems.length,
+  };
+}
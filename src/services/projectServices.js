@@ -1,4 +1,5 @@
-import { createAuthenticatedClient } from "../taigaAuth.js";
+import { taigaClient } from "../taigaAuth.js";
+import { logFailure, toTaigaError } from "../errors.js";
 import { authenticationService } from "./authenticationServices.js";
 
 /**
@@ -11,14 +12,12 @@ export class ProjectService {
    */
   async listProjects() {
     try {
-      const client = await createAuthenticatedClient();
-
       // Primero obtenemos la información del usuario actual
       const currentUser = await authenticationService.getCurrentUser();
       const userId = currentUser.id;
 
       // Luego obtenemos los proyectos donde el usuario es miembro
-      const response = await client.get("/projects", {
+      const response = await taigaClient.get("/projects", {
         params: {
           member: userId,
         },
@@ -26,8 +25,8 @@ export class ProjectService {
 
       return response.data;
     } catch (error) {
-      console.error("Failed to list projects:", error.message);
-      throw new Error("Failed to list projects from Taiga");
+      logFailure("Failed to list projects:", error);
+      throw toTaigaError(error, "Failed to list projects from Taiga");
     }
   }
 
@@ -38,12 +37,11 @@ export class ProjectService {
    */
   async getProject(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(`/projects/${projectId}`);
+      const response = await taigaClient.get(`/projects/${projectId}`);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get project ${projectId}:`, error.message);
-      throw new Error(`Failed to get project details from Taiga`);
+      logFailure(`Failed to get project ${projectId}:`, error);
+      throw toTaigaError(error, `Failed to get project details from Taiga`);
     }
   }
 
@@ -54,12 +52,11 @@ export class ProjectService {
    */
   async getProjectBySlug(slug) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(`/projects/by_slug?slug=${slug}`);
+      const response = await taigaClient.get(`/projects/by_slug?slug=${slug}`);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get project by slug ${slug}:`, error.message);
-      throw new Error(`Failed to get project details from Taiga`);
+      logFailure(`Failed to get project by slug ${slug}:`, error);
+      throw toTaigaError(error, `Failed to get project details from Taiga`);
     }
   }
 
@@ -73,12 +70,11 @@ export class ProjectService {
    */
   async createProject(projectData) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.post("/projects", projectData);
+      const response = await taigaClient.post("/projects", projectData);
       return response.data;
     } catch (error) {
-      console.error("Failed to create project:", error.message);
-      throw new Error("Failed to create project in Taiga");
+      logFailure("Failed to create project:", error);
+      throw toTaigaError(error, "Failed to create project in Taiga");
     }
   }
 
@@ -90,12 +86,14 @@ export class ProjectService {
    */
   async updateProject(projectId, updateData) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.patch(`/projects/${projectId}`, updateData);
+      const response = await taigaClient.patch(
+        `/projects/${projectId}`,
+        updateData
+      );
       return response.data;
     } catch (error) {
-      console.error(`Failed to update project ${projectId}:`, error.message);
-      throw new Error("Failed to update project in Taiga");
+      logFailure(`Failed to update project ${projectId}:`, error);
+      throw toTaigaError(error, "Failed to update project in Taiga");
     }
   }
 
@@ -106,12 +104,11 @@ export class ProjectService {
    */
   async deleteProject(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      await client.delete(`/projects/${projectId}`);
+      await taigaClient.delete(`/projects/${projectId}`);
       return { status: "deleted", project_id: projectId };
     } catch (error) {
-      console.error(`Failed to delete project ${projectId}:`, error.message);
-      throw new Error("Failed to delete project from Taiga");
+      logFailure(`Failed to delete project ${projectId}:`, error);
+      throw toTaigaError(error, "Failed to delete project from Taiga");
     }
   }
 
@@ -122,17 +119,16 @@ export class ProjectService {
    */
   async getProjectMembers(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/memberships", {
+      const response = await taigaClient.get("/memberships", {
         params: { project: projectId },
       });
       return response.data;
     } catch (error) {
-      console.error(
+      logFailure(
         `Failed to get project members for project ${projectId}:`,
-        error.message
+        error
       );
-      throw new Error("Failed to get project members from Taiga");
+      throw toTaigaError(error, "Failed to get project members from Taiga");
     }
   }
 
@@ -149,15 +145,11 @@ export class ProjectService {
       bulk_memberships: [{ role_id: roleId, username: email }],
     };
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.post("/memberships/bulk_create", data);
+      const response = await taigaClient.post("/memberships/bulk_create", data);
       return response.data;
     } catch (error) {
-      console.error(
-        `Failed to invite user ${JSON.stringify(data)}:`,
-        error.message
-      );
-      throw new Error("Failed to invite user to project in Taiga");
+      logFailure(`Failed to invite user ${JSON.stringify(data)}:`, error);
+      throw toTaigaError(error, "Failed to invite user to project in Taiga");
     }
   }
 
@@ -168,15 +160,11 @@ export class ProjectService {
    */
   async getProjectStats(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(`/projects/${projectId}/stats`);
+      const response = await taigaClient.get(`/projects/${projectId}/stats`);
       return response.data;
     } catch (error) {
-      console.error(
-        `Failed to get project stats for ${projectId}:`,
-        error.message
-      );
-      throw new Error("Failed to get project statistics from Taiga");
+      logFailure(`Failed to get project stats for ${projectId}:`, error);
+      throw toTaigaError(error, "Failed to get project statistics from Taiga");
     }
   }
 
@@ -188,14 +176,13 @@ export class ProjectService {
    */
   async searchProject(projectId, text) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/search", {
+      const response = await taigaClient.get("/search", {
         params: { project: projectId, text },
       });
       return response.data;
     } catch (error) {
-      console.error(`Failed to search project ${projectId}:`, error.message);
-      throw new Error("Failed to search project in Taiga");
+      logFailure(`Failed to search project ${projectId}:`, error);
+      throw toTaigaError(error, "Failed to search project in Taiga");
     }
   }
 
@@ -206,12 +193,11 @@ export class ProjectService {
    */
   async exportProject(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.post(`/exporter/${projectId}`);
+      const response = await taigaClient.post(`/exporter/${projectId}`);
       return response.data;
     } catch (error) {
-      console.error(`Failed to export project ${projectId}:`, error.message);
-      throw new Error("Failed to export project from Taiga");
+      logFailure(`Failed to export project ${projectId}:`, error);
+      throw toTaigaError(error, "Failed to export project from Taiga");
     }
   }
 
@@ -222,12 +208,11 @@ export class ProjectService {
    */
   async getExportStatus(exportId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(`/exporter/${exportId}`);
+      const response = await taigaClient.get(`/exporter/${exportId}`);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get export status ${exportId}:`, error.message);
-      throw new Error("Failed to get export status from Taiga");
+      logFailure(`Failed to get export status ${exportId}:`, error);
+      throw toTaigaError(error, "Failed to get export status from Taiga");
     }
   }
 }
@@ -0,0 +1,471 @@
+import { TaigaValidationError } from "../errors.js";
+import { currentAuthState } from "../taigaAuth.js";
+import { projectService } from "./projectServices.js";
+import { userStoryService } from "./userStoryServices.js";
+import { taskService } from "./taskServices.js";
+import { issueService } from "./issueServices.js";
+import { epicService } from "./epicServices.js";
+import { milestoneService } from "./milestoneServices.js";
+import {
+  CUSTOM_ATTRIBUTE_ITEM_TYPES,
+  customAttributeService,
+  toAttributeValue,
+} from "./customAttributeServices.js";
+
+// How long project IDs and lookup tables are reused before being fetched again
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Lookup tables the resolver knows how to fetch, keyed by kind
+ */
+const LOOKUPS = {
+  userStoryStatus: {
+    label: "user story status",
+    fetch: (projectId) => userStoryService.getUserStoryStatuses(projectId),
+  },
+  taskStatus: {
+    label: "task status",
+    fetch: (projectId) => taskService.getTaskStatuses(projectId),
+  },
+  issueStatus: {
+    label: "issue status",
+    fetch: (projectId) => issueService.getIssueStatuses(projectId),
+  },
+  epicStatus: {
+    label: "epic status",
+    fetch: (projectId) => epicService.getEpicStatuses(projectId),
+  },
+  priority: {
+    label: "priority",
+    fetch: (projectId) => issueService.getIssuePriorities(projectId),
+  },
+  severity: {
+    label: "severity",
+    fetch: (projectId) => issueService.getIssueSeverities(projectId),
+  },
+  issueType: {
+    label: "issue type",
+    fetch: (projectId) => issueService.getIssueTypes(projectId),
+  },
+  milestone: {
+    label: "sprint",
+    fetch: async (projectId) =>
+      (await milestoneService.listMilestones(projectId)).items,
+  },
+  swimlane: {
+    label: "swimlane",
+    fetch: (projectId) => userStoryService.getSwimlanes(projectId),
+  },
+  user: {
+    label: "user",
+    fetch: async (projectId) => {
+      const members = await projectService.getProjectMembers(projectId);
+      // Pending invitations have no user attached and cannot be assigned
+      return members
+        .filter((member) => member.user)
+        .map((member) => ({
+          id: member.user,
+          name: member.full_name || member.username,
+          aliases: [member.username, member.email, member.user_email],
+        }));
+    },
+  },
+  // Custom attribute definitions, one lookup per item type
+  ...Object.fromEntries(
+    CUSTOM_ATTRIBUTE_ITEM_TYPES.map((itemType) => [
+      `${itemType}CustomAttribute`,
+      {
+        label: "custom attribute",
+        fetch: (projectId) =>
+          customAttributeService.listAttributes(itemType, projectId),
+      },
+    ])
+  ),
+};
+
+/**
+ * Work items that can be addressed by their project-scoped #ref
+ */
+const ITEMS = {
+  userStory: {
+    label: "user story",
+    fetchByRef: (projectId, ref) =>
+      userStoryService.getUserStoryByRef(projectId, ref),
+  },
+  task: {
+    label: "task",
+    fetchByRef: (projectId, ref) => taskService.getTaskByRef(projectId, ref),
+  },
+  issue: {
+    label: "issue",
+    fetchByRef: (projectId, ref) => issueService.getIssueByRef(projectId, ref),
+  },
+  epic: {
+    label: "epic",
+    fetchByRef: (projectId, ref) => epicService.getEpicByRef(projectId, ref),
+  },
+};
+
+/**
+ * Split a reference like 42, "#42" or "project-slug#42" into its parts
+ * @param {string|number} ref - Reference to parse
+ * @returns {{projectSlug: (string|undefined), ref: number}} - Parsed reference
+ */
+export function parseRef(ref) {
+  const match = String(ref)
+    .trim()
+    .match(/^(?:(.*?)\s*#)?\s*(\d+)$/);
+  if (!match) {
+    throw new TaigaValidationError(
+      `Invalid reference "${ref}". Use a number, "#42" or "project-slug#42"`,
+      { fieldErrors: { ref: ['Use a number, "#42" or "project-slug#42"'] } }
+    );
+  }
+  return { projectSlug: match[1] || undefined, ref: Number(match[2]) };
+}
+
+/**
+ * Normalize a name for case- and whitespace-insensitive comparison
+ * @param {*} value - Value to normalize
+ * @returns {string} - Normalized value
+ */
+function normalize(value) {
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Service that turns human-friendly names into Taiga IDs
+ */
+export class ResolverService {
+  constructor() {
+    // Caches by auth state, so a session only reuses what its own credentials
+    // fetched and never sees projects or members it can't access
+    this.caches = new WeakMap();
+  }
+
+  /**
+   * Get the caches of the credentials the current session uses
+   * @returns {{lookups: Map, projectIds: Map}} - Lookup tables by kind and
+   * project, and project IDs by slug
+   */
+  currentCaches() {
+    const auth = currentAuthState();
+    if (!this.caches.has(auth)) {
+      this.caches.set(auth, { lookups: new Map(), projectIds: new Map() });
+    }
+    return this.caches.get(auth);
+  }
+
+  /**
+   * Resolve a project ID or slug to a numeric project ID
+   * @param {string|number} projectIdentifier - Project ID or slug
+   * @returns {Promise<number>} - Project ID
+   */
+  async resolveProjectId(projectIdentifier) {
+    if (!isNaN(Number(projectIdentifier))) {
+      return Number(projectIdentifier);
+    }
+
+    const { projectIds } = this.currentCaches();
+    const cached = projectIds.get(projectIdentifier);
+    if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+      return cached.id;
+    }
+    const project = await projectService.getProjectBySlug(projectIdentifier);
+    projectIds.set(projectIdentifier, {
+      id: project.id,
+      fetchedAt: Date.now(),
+    });
+    return project.id;
+  }
+
+  /**
+   * Resolve a work item to its database ID, either directly from its ID or
+   * from a project-scoped #ref
+   * @param {string} kind - Item kind: userStory, task, issue or epic
+   * @param {Object} reference - How the item is addressed
+   * @param {number} [reference.id] - Item database ID
+   * @param {string} [reference.projectIdentifier] - Project ID or slug
+   * @param {string|number} [reference.ref] - 42, "#42" or "project-slug#42"
+   * @returns {Promise<number>} - Item ID
+   */
+  async resolveItemId(kind, { id, projectIdentifier, ref }) {
+    const item = ITEMS[kind];
+    if (!item) {
+      throw new Error(`Unknown item kind "${kind}"`);
+    }
+    if (id !== undefined && id !== null) {
+      return Number(id);
+    }
+    if (ref === undefined || ref === null || ref === "") {
+      throw new TaigaValidationError(
+        `Specify the ${item.label} by ID, or by projectIdentifier and ref`
+      );
+    }
+
+    const parsed = parseRef(ref);
+    const project = parsed.projectSlug || projectIdentifier;
+    if (!project) {
+      throw new TaigaValidationError(
+        `A projectIdentifier is required to find ${item.label} #${parsed.ref}`,
+        { fieldErrors: { projectIdentifier: ["This field is required."] } }
+      );
+    }
+
+    const projectId = await this.resolveProjectId(project);
+    const found = await item.fetchByRef(projectId, parsed.ref);
+    return found.id;
+  }
+
+  /**
+   * Get the lookup table of a kind for a project, using the cache when fresh
+   * @param {string} kind - Lookup kind (see LOOKUPS)
+   * @param {string|number} projectId - Project ID
+   * @returns {Promise<Array>} - Entries with id and name
+   */
+  async getChoices(kind, projectId) {
+    const lookup = LOOKUPS[kind];
+    if (!lookup) {
+      throw new Error(`Unknown lookup kind "${kind}"`);
+    }
+
+    const { lookups } = this.currentCaches();
+    const key = `${kind}:${projectId}`;
+    const cached = lookups.get(key);
+    if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+      return cached.entries;
+    }
+
+    const entries = lookup.fetch(projectId);
+    lookups.set(key, { entries, fetchedAt: Date.now() });
+    try {
+      return await entries;
+    } catch (error) {
+      // Don't keep failed lookups around
+      lookups.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a name or ID of a given kind to its ID within a project
+   * @param {string} kind - Lookup kind (see LOOKUPS)
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} value - Name, ID or (for users) username/email
+   * @returns {Promise<number>} - Resolved ID
+   */
+  async resolve(kind, projectId, value) {
+    const entries = await this.getChoices(kind, projectId);
+    const wanted = normalize(value);
+
+    const match =
+      entries.find((entry) => String(entry.id) === wanted) ||
+      entries.find((entry) => normalize(entry.name) === wanted) ||
+      entries.find((entry) =>
+        (entry.aliases || []).some(
+          (alias) => alias && normalize(alias) === wanted
+        )
+      );
+
+    if (!match) {
+      const choices = entries
+        .map((entry) => `${entry.name} (ID: ${entry.id})`)
+        .join(", ");
+      throw new TaigaValidationError(
+        `Unknown ${
+          LOOKUPS[kind].label
+        } "${value}" in project ${projectId}. Valid choices: ${
+          choices || "none"
+        }`
+      );
+    }
+
+    return match.id;
+  }
+
+  /**
+   * Resolve a user story status name or ID
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} status - Status name or ID
+   * @returns {Promise<number>} - Status ID
+   */
+  async resolveUserStoryStatus(projectId, status) {
+    return this.resolve("userStoryStatus", projectId, status);
+  }
+
+  /**
+   * Resolve a task status name or ID
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} status - Status name or ID
+   * @returns {Promise<number>} - Status ID
+   */
+  async resolveTaskStatus(projectId, status) {
+    return this.resolve("taskStatus", projectId, status);
+  }
+
+  /**
+   * Resolve an issue status name or ID
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} status - Status name or ID
+   * @returns {Promise<number>} - Status ID
+   */
+  async resolveIssueStatus(projectId, status) {
+    return this.resolve("issueStatus", projectId, status);
+  }
+
+  /**
+   * Resolve an epic status name or ID
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} status - Status name or ID
+   * @returns {Promise<number>} - Status ID
+   */
+  async resolveEpicStatus(projectId, status) {
+    return this.resolve("epicStatus", projectId, status);
+  }
+
+  /**
+   * Resolve an issue priority name or ID
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} priority - Priority name or ID
+   * @returns {Promise<number>} - Priority ID
+   */
+  async resolvePriority(projectId, priority) {
+    return this.resolve("priority", projectId, priority);
+  }
+
+  /**
+   * Resolve an issue severity name or ID
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} severity - Severity name or ID
+   * @returns {Promise<number>} - Severity ID
+   */
+  async resolveSeverity(projectId, severity) {
+    return this.resolve("severity", projectId, severity);
+  }
+
+  /**
+   * Resolve an issue type name or ID
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} type - Issue type name or ID
+   * @returns {Promise<number>} - Issue type ID
+   */
+  async resolveIssueType(projectId, type) {
+    return this.resolve("issueType", projectId, type);
+  }
+
+  /**
+   * Resolve a project member by user ID, username, email or full name
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} user - User ID, username, email or full name
+   * @returns {Promise<number>} - User ID
+   */
+  async resolveUser(projectId, user) {
+    return this.resolve("user", projectId, user);
+  }
+
+  /**
+   * Resolve a sprint (milestone) by name or ID
+   *
+   * Sprints are created far more often than statuses, so an unknown name is
+   * looked up once more in a fresh list before it is rejected.
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} milestone - Sprint name or ID
+   * @returns {Promise<number>} - Milestone ID
+   */
+  async resolveMilestone(projectId, milestone) {
+    try {
+      return await this.resolve("milestone", projectId, milestone);
+    } catch (error) {
+      if (!(error instanceof TaigaValidationError)) {
+        throw error;
+      }
+      this.currentCaches().lookups.delete(`milestone:${projectId}`);
+      return this.resolve("milestone", projectId, milestone);
+    }
+  }
+
+  /**
+   * Resolve a Kanban swimlane by name or ID
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} swimlane - Swimlane name or ID
+   * @returns {Promise<number>} - Swimlane ID
+   */
+  async resolveSwimlane(projectId, swimlane) {
+    return this.resolve("swimlane", projectId, swimlane);
+  }
+
+  /**
+   * Get the custom attributes a project defines for an item type
+   * @param {string} itemType - userStory, task, issue or epic
+   * @param {string|number} projectId - Project ID
+   * @returns {Promise<Array>} - Custom attribute definitions
+   */
+  async getCustomAttributes(itemType, projectId) {
+    return this.getChoices(`${itemType}CustomAttribute`, projectId);
+  }
+
+  /**
+   * Resolve custom attribute values given by attribute name or ID, checking
+   * each value against the attribute's type
+   * @param {string} itemType - userStory, task, issue or epic
+   * @param {string|number} projectId - Project ID
+   * @param {Object} values - Values by attribute name or ID
+   * @returns {Promise<Object>} - Values by attribute ID
+   */
+  async resolveCustomAttributeValues(itemType, projectId, values) {
+    const attributes = await this.getCustomAttributes(itemType, projectId);
+    const resolved = {};
+    for (const [name, value] of Object.entries(values)) {
+      const id = await this.resolve(
+        `${itemType}CustomAttribute`,
+        projectId,
+        name
+      );
+      const attribute = attributes.find((entry) => entry.id === id);
+      resolved[id] = toAttributeValue(attribute, value);
+    }
+    return resolved;
+  }
+
+  /**
+   * Turn custom attribute values by attribute ID into values by name
+   * @param {string} itemType - userStory, task, issue or epic
+   * @param {string|number} projectId - Project ID
+   * @param {Object} attributesValues - Values by attribute ID, as Taiga
+   * returns them
+   * @returns {Promise<Object>} - Values by attribute name, for every
+   * attribute the project defines, in the project's order
+   */
+  async nameCustomAttributeValues(itemType, projectId, attributesValues) {
+    const attributes = await this.getCustomAttributes(itemType, projectId);
+    return Object.fromEntries(
+      [...attributes]
+        .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+        .map((attribute) => [
+          attribute.name,
+          attributesValues?.[attribute.id] ?? null,
+        ])
+    );
+  }
+
+  /**
+   * Forget cached lookup tables, for one project of the current session or
+   * everything cached for any session
+   * @param {string|number} [projectId] - Project ID
+   */
+  clearCache(projectId) {
+    if (projectId === undefined) {
+      this.caches = new WeakMap();
+      return;
+    }
+    const { lookups } = this.currentCaches();
+    for (const key of lookups.keys()) {
+      if (key.endsWith(`:${projectId}`)) {
+        lookups.delete(key);
+      }
+    }
+  }
+}
+
+// Export a singleton instance
+export const resolverService = new ResolverService();
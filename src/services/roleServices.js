@@ -1,4 +1,5 @@
-import { createAuthenticatedClient } from "../taigaAuth.js";
+import { taigaClient } from "../taigaAuth.js";
+import { logFailure, toTaigaError } from "../errors.js";
 
 /**
  * Service for role-related operations in Taiga API
@@ -11,14 +12,13 @@ export class RoleService {
    */
   async listRoles(projectId = null) {
     try {
-      const client = await createAuthenticatedClient();
       const params = projectId ? { project: projectId } : {};
 
-      const response = await client.get("/roles", { params });
+      const response = await taigaClient.get("/roles", { params });
       return response.data;
     } catch (error) {
-      console.error("Failed to list roles:", error.message);
-      throw new Error("Failed to list roles from Taiga");
+      logFailure("Failed to list roles:", error);
+      throw toTaigaError(error, "Failed to list roles from Taiga");
     }
   }
 
@@ -29,12 +29,11 @@ export class RoleService {
    */
   async getRole(roleId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(`/roles/${roleId}`);
+      const response = await taigaClient.get(`/roles/${roleId}`);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get role ${roleId}:`, error.message);
-      throw new Error(`Failed to get role details from Taiga`);
+      logFailure(`Failed to get role ${roleId}:`, error);
+      throw toTaigaError(error, `Failed to get role details from Taiga`);
     }
   }
 }
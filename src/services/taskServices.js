@@ -1,4 +1,7 @@
-import { createAuthenticatedClient } from "../taigaAuth.js";
+import { taigaClient } from "../taigaAuth.js";
+import { logFailure, toTaigaError } from "../errors.js";
+import { patchVersioned } from "./versioning.js";
+import { fetchPaginated } from "./pagination.js";
 
 /**
  * Service for task-related operations in Taiga
@@ -17,12 +20,36 @@ export class TaskService {
    */
   async createTask(taskData) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.post("/tasks", taskData);
+      const response = await taigaClient.post("/tasks", taskData);
       return response.data;
     } catch (error) {
-      console.error("Failed to create task:", error.message);
-      throw new Error("Failed to create task in Taiga");
+      logFailure("Failed to create task:", error);
+      throw toTaigaError(error, "Failed to create task in Taiga");
+    }
+  }
+
+  /**
+   * Create several tasks at once, one per subject
+   * @param {string|number} projectId - Project ID
+   * @param {Array<string>} subjects - Subjects, each on a single line
+   * @param {Object} [options] - Options for all the tasks
+   * @param {number} [options.userStoryId] - User story the tasks belong to
+   * @param {number} [options.statusId] - Status ID
+   * @returns {Promise<Array<Object>>} - Created tasks, in the order of the
+   * subjects
+   */
+  async bulkCreateTasks(projectId, subjects, { userStoryId, statusId } = {}) {
+    try {
+      const response = await taigaClient.post("/tasks/bulk_create", {
+        project_id: projectId,
+        bulk_tasks: subjects.join("\n"),
+        ...(userStoryId && { us_id: userStoryId }),
+        ...(statusId && { status_id: statusId }),
+      });
+      return response.data;
+    } catch (error) {
+      logFailure("Failed to bulk create tasks:", error);
+      throw toTaigaError(error, "Failed to create tasks in Taiga");
     }
   }
 
@@ -33,17 +60,16 @@ export class TaskService {
    */
   async getTaskStatuses(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/task-statuses", {
+      const response = await taigaClient.get("/task-statuses", {
         params: { project: projectId },
       });
       return response.data;
     } catch (error) {
-      console.error(
+      logFailure(
         `Failed to get task statuses for project ${projectId}:`,
-        error.message
+        error
       );
-      throw new Error("Failed to get task statuses from Taiga");
+      throw toTaigaError(error, "Failed to get task statuses from Taiga");
     }
   }
 
@@ -51,21 +77,19 @@ export class TaskService {
    * List tasks for a project
    * @param {string|number} projectId - Project ID
    * @param {Object} [filters] - Optional filters
-   * @returns {Promise<Array>} - List of tasks
+   * @param {Object} [pagination] - Optional page, pageSize and limit
+   * @returns {Promise<Object>} - Page of tasks with the total count
    */
-  async listTasks(projectId, filters = {}) {
+  async listTasks(projectId, filters = {}, pagination = {}) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/tasks", {
-        params: { project: projectId, ...filters },
-      });
-      return response.data;
-    } catch (error) {
-      console.error(
-        `Failed to list tasks for project ${projectId}:`,
-        error.message
+      return await fetchPaginated(
+        "/tasks",
+        { project: projectId, ...filters },
+        pagination
       );
-      throw new Error("Failed to list tasks from Taiga");
+    } catch (error) {
+      logFailure(`Failed to list tasks for project ${projectId}:`, error);
+      throw toTaigaError(error, "Failed to list tasks from Taiga");
     }
   }
 
@@ -76,12 +100,29 @@ export class TaskService {
    */
   async getTask(taskId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(`/tasks/${taskId}`);
+      const response = await taigaClient.get(`/tasks/${taskId}`);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get task ${taskId}:`, error.message);
-      throw new Error("Failed to get task from Taiga");
+      logFailure(`Failed to get task ${taskId}:`, error);
+      throw toTaigaError(error, "Failed to get task from Taiga");
+    }
+  }
+
+  /**
+   * Get a task by its reference number within a project
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} ref - Task reference number
+   * @returns {Promise<Object>} - Task details
+   */
+  async getTaskByRef(projectId, ref) {
+    try {
+      const response = await taigaClient.get("/tasks/by_ref", {
+        params: { project: projectId, ref },
+      });
+      return response.data;
+    } catch (error) {
+      logFailure(`Failed to get task #${ref} in project ${projectId}:`, error);
+      throw toTaigaError(error, `Failed to get task #${ref} from Taiga`);
     }
   }
 
@@ -89,16 +130,20 @@ export class TaskService {
    * Update a task
    * @param {string|number} taskId - Task ID
    * @param {Object} updateData - Data to update
+   * @param {number} [expectedVersion] - Version the caller last saw; the
+   * current version is used when omitted
    * @returns {Promise<Object>} - Updated task
    */
-  async updateTask(taskId, updateData) {
+  async updateTask(taskId, updateData, expectedVersion) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.patch(`/tasks/${taskId}`, updateData);
-      return response.data;
+      return await patchVersioned(`/tasks/${taskId}`, updateData, {
+        expectedVersion,
+        fetchCurrent: () => this.getTask(taskId),
+        label: "task",
+      });
     } catch (error) {
-      console.error(`Failed to update task ${taskId}:`, error.message);
-      throw new Error("Failed to update task in Taiga");
+      logFailure(`Failed to update task ${taskId}:`, error);
+      throw toTaigaError(error, "Failed to update task in Taiga");
     }
   }
 
@@ -109,12 +154,11 @@ export class TaskService {
    */
   async deleteTask(taskId) {
     try {
-      const client = await createAuthenticatedClient();
-      await client.delete(`/tasks/${taskId}`);
+      await taigaClient.delete(`/tasks/${taskId}`);
       return { status: "deleted", task_id: taskId };
     } catch (error) {
-      console.error(`Failed to delete task ${taskId}:`, error.message);
-      throw new Error("Failed to delete task from Taiga");
+      logFailure(`Failed to delete task ${taskId}:`, error);
+      throw toTaigaError(error, "Failed to delete task from Taiga");
     }
   }
 
@@ -0,0 +1,424 @@
+import { getCurrentUser, taigaClient } from "../taigaAuth.js";
+import { DryRunInterruption, noteNotPreviewed } from "../dryRun.js";
+import { TaigaConflictError } from "../errors.js";
+import { readAuditLog, recordUndo, runToolCall } from "../auditLog.js";
+import { TAIGA_API_URL } from "../httpClient.js";
+import { getCurrentSession } from "../sessionContext.js";
+import { patchVersioned } from "./versioning.js";
+
+// Name the undo requests are audited under
+export const UNDO_TOOL = "taiga_undo";
+
+// Items whose changes can be undone, with the fields used to recreate them
+const UNDOABLE_ITEMS = {
+  userstories: {
+    label: "user story",
+    recreateFields: [
+      "project",
+      "subject",
+      "description",
+      "status",
+      "tags",
+      "assigned_to",
+      "milestone",
+      "client_requirement",
+      "team_requirement",
+      "is_blocked",
+      "blocked_note",
+      "due_date",
+    ],
+  },
+  tasks: {
+    label: "task",
+    recreateFields: [
+      "project",
+      "subject",
+      "description",
+      "status",
+      "tags",
+      "assigned_to",
+      "user_story",
+      "milestone",
+      "is_iocaine",
+      "is_blocked",
+      "blocked_note",
+      "due_date",
+    ],
+  },
+  issues: {
+    label: "issue",
+    recreateFields: [
+      "project",
+      "subject",
+      "description",
+      "status",
+      "tags",
+      "assigned_to",
+      "priority",
+      "severity",
+      "type",
+      "milestone",
+      "is_blocked",
+      "blocked_note",
+      "due_date",
+    ],
+  },
+  epics: {
+    label: "epic",
+    recreateFields: [
+      "project",
+      "subject",
+      "description",
+      "status",
+      "tags",
+      "assigned_to",
+      "color",
+      "client_requirement",
+      "team_requirement",
+      "is_blocked",
+      "blocked_note",
+    ],
+  },
+  milestones: {
+    label: "milestone",
+    recreateFields: [
+      "project",
+      "name",
+      "estimated_start",
+      "estimated_finish",
+      "disponibility",
+    ],
+  },
+};
+
+/**
+ * Check whether an audit entry records a request Taiga accepted
+ * @param {Object} entry - Audit log entry
+ * @returns {boolean} - True for 2xx responses
+ */
+function succeeded(entry) {
+  return !entry.error && entry.status >= 200 && entry.status < 300;
+}
+
+/**
+ * Find the item an audit entry changed
+ * @param {Object} entry - Audit log entry
+ * @returns {Object|null} - Path, collection and ID, or null for other
+ * endpoints
+ */
+function parseItemEndpoint(entry) {
+  const path = entry.endpoint.startsWith(TAIGA_API_URL)
+    ? entry.endpoint.slice(TAIGA_API_URL.length)
+    : new URL(entry.endpoint).pathname.replace(/^\/api\/v1/, "");
+  const match = path.match(/^\/(\w+)\/(\d+)$/);
+  if (!match || !UNDOABLE_ITEMS[match[1]]) {
+    return null;
+  }
+  return { path, collection: match[1], id: Number(match[2]) };
+}
+
+/**
+ * Taiga returns tags as [name, color] pairs but accepts plain names
+ * @param {*} value - Field value
+ * @param {string} field - Field name
+ * @returns {*} - Value to send back to Taiga
+ */
+function toWritable(value, field) {
+  if (field === "tags" && Array.isArray(value)) {
+    return value.map((tag) => (Array.isArray(tag) ? tag[0] : tag));
+  }
+  return value ?? null;
+}
+
+/**
+ * Find the state earlier undos left items in, where undoing was the latest
+ * change made to them, so older changes can still be reverted on top
+ * @param {Array<Object>} entries - Audit log entries, newest first
+ * @returns {Map} - Item snapshots by path
+ */
+function findUndoneStates(entries) {
+  const states = new Map();
+  const seen = new Set();
+  for (const entry of entries) {
+    const target =
+      entry.method !== "UNDO" && succeeded(entry) && parseItemEndpoint(entry);
+    if (!target || seen.has(target.path)) {
+      continue;
+    }
+    seen.add(target.path);
+    if (entry.tool === UNDO_TOOL && entry.after) {
+      states.set(target.path, entry.after);
+    }
+  }
+  return states;
+}
+
+/**
+ * Describe an item for messages
+ * @param {string} label - Kind of item
+ * @param {Object} item - Item snapshot
+ * @returns {string} - e.g. 'issue #42 "Login fails"'
+ */
+function describe(label, item) {
+  if (item?.ref !== undefined) {
+    return `${label} #${item.ref} "${item.subject}"`;
+  }
+  return `${label} "${item?.name ?? item?.subject ?? item?.id}"`;
+}
+
+/**
+ * Service that reverts changes made through this server, using the before
+ * and after snapshots in the audit log
+ */
+export class UndoService {
+  /**
+   * Undo the latest changes that haven't been handled yet, newest first
+   *
+   * Every change picked is marked in the audit log with its outcome, so
+   * changes that were skipped, conflicted or failed aren't picked again and
+   * the next call moves on to older ones. Only the caller's own changes are
+   * undone, made with the same Taiga user.
+   * Updates are reverted field by field, unless the item was edited again
+   * since. Deleted items are recreated from their snapshot, with a new ID
+   * and #ref.
+   * @param {Object} [options] - Undo options
+   * @param {number} [options.count] - How many changes to undo
+   * @param {boolean} [options.sessionOnly] - Only undo changes made in the
+   * current MCP session
+   * @returns {Promise<Array<Object>>} - Outcome for each change
+   */
+  async undoLatest({ count = 1, sessionOnly = false } = {}) {
+    const user = await getCurrentUser();
+    const { entries } = await readAuditLog({
+      userId: user.id,
+      limit: Infinity,
+    });
+    const handled = new Set(
+      entries
+        .filter((entry) => entry.tool === UNDO_TOOL)
+        .map((entry) => entry.arguments?.entryId)
+    );
+    const sessionId = getCurrentSession()?.id;
+    const changes = entries
+      .filter(
+        (entry) =>
+          entry.tool !== UNDO_TOOL &&
+          succeeded(entry) &&
+          !handled.has(entry.id) &&
+          (!sessionOnly || entry.session === sessionId)
+      )
+      .slice(0, count);
+
+    // State each item was left in by undoing, for older changes to it
+    const reverted = findUndoneStates(entries);
+    // Items whose revert a dry run stopped
+    const interrupted = new Set();
+    const results = [];
+    for (const entry of changes) {
+      const path = parseItemEndpoint(entry)?.path;
+      if (interrupted.has(path)) {
+        noteNotPreviewed(
+          `undoing the older ${entry.method} of ${path} on top of the change above`
+        );
+        continue;
+      }
+
+      let outcome;
+      try {
+        outcome = await runToolCall(
+          UNDO_TOOL,
+          { entryId: entry.id },
+          async () => {
+            const result = await this.undoEntry(entry, reverted);
+            recordUndo(entry, result);
+            return result;
+          }
+        );
+      } catch (error) {
+        // A dry run goes on, to show the request for every change
+        if (!(error instanceof DryRunInterruption)) {
+          throw error;
+        }
+        interrupted.add(path);
+        continue;
+      }
+      results.push({
+        entryId: entry.id,
+        timestamp: entry.timestamp,
+        tool: entry.tool,
+        method: entry.method,
+        endpoint: entry.endpoint,
+        itemId: null,
+        ...outcome,
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Undo one change
+   * @param {Object} entry - Audit log entry of the change
+   * @param {Map} reverted - Items already reverted in this undo, by path
+   * @returns {Promise<Object>} - Outcome, itemId and message
+   */
+  async undoEntry(entry, reverted) {
+    const target = parseItemEndpoint(entry);
+    if (!target) {
+      return {
+        outcome: "skipped",
+        message: `${entry.method} requests to this endpoint can't be undone`,
+      };
+    }
+
+    try {
+      if (entry.method === "PATCH" || entry.method === "PUT") {
+        return await this.revertUpdate(entry, target, reverted);
+      }
+      if (entry.method === "DELETE") {
+        return await this.recreate(entry, target);
+      }
+      return {
+        outcome: "skipped",
+        itemId: entry.after?.id ?? null,
+        message: `Creating ${describe(
+          UNDOABLE_ITEMS[target.collection].label,
+          entry.after
+        )} is not undone automatically; delete it if it is not wanted`,
+      };
+    } catch (error) {
+      if (error instanceof DryRunInterruption) {
+        throw error;
+      }
+      console.error(`Failed to undo audit entry ${entry.id}:`, error.message);
+      return { outcome: "failed", itemId: target.id, message: error.message };
+    }
+  }
+
+  /**
+   * Put back the fields an update changed, if nobody edited the item since
+   * @param {Object} entry - Audit log entry of the update
+   * @param {Object} target - Item the update changed
+   * @param {Map} reverted - Items already reverted in this undo, by path
+   * @returns {Promise<Object>} - Outcome
+   */
+  async revertUpdate(entry, { path, collection, id }, reverted) {
+    const { label } = UNDOABLE_ITEMS[collection];
+    // Comments stay in the history; they are removed with taiga_deleteComment
+    const fields = Object.keys(entry.payload || {}).filter(
+      (field) => !["version", "comment"].includes(field)
+    );
+    if (entry.payload?.comment && fields.length === 0) {
+      return {
+        outcome: "skipped",
+        itemId: id,
+        message: `The comment on ${describe(
+          label,
+          entry.after
+        )} is not undone automatically; delete it with taiga_deleteComment if it is not wanted`,
+      };
+    }
+    if (!entry.before || fields.length === 0) {
+      return {
+        outcome: "skipped",
+        itemId: id,
+        message: "No snapshot of the item before the change",
+      };
+    }
+
+    const revertData = Object.fromEntries(
+      fields.map((field) => [field, toWritable(entry.before[field], field)])
+    );
+    const expected = reverted.get(path) || entry.after;
+    const fetchCurrent = async () => (await taigaClient.get(path)).data;
+
+    let item;
+    if (typeof expected?.version === "number") {
+      try {
+        item = await patchVersioned(path, revertData, {
+          expectedVersion: expected.version,
+          fetchCurrent,
+          label,
+        });
+      } catch (error) {
+        if (!(error instanceof TaigaConflictError)) {
+          throw error;
+        }
+        return {
+          outcome: "conflict",
+          itemId: id,
+          message: `${describe(
+            label,
+            entry.after
+          )} was edited again since (version ${
+            error.currentVersion
+          }, expected ${error.expectedVersion}); not reverted`,
+        };
+      }
+    } else {
+      // Without a version, compare the changed fields instead
+      const current = await fetchCurrent();
+      const editedFields = fields.filter(
+        (field) =>
+          JSON.stringify(current[field] ?? null) !==
+          JSON.stringify(expected?.[field] ?? null)
+      );
+      if (editedFields.length > 0) {
+        return {
+          outcome: "conflict",
+          itemId: id,
+          message: `${describe(
+            label,
+            current
+          )} was edited again since (${editedFields.join(", ")}); not reverted`,
+        };
+      }
+      item = (await taigaClient.patch(path, revertData)).data;
+    }
+
+    reverted.set(path, item);
+    return {
+      outcome: "reverted",
+      itemId: id,
+      message: `Restored ${fields.join(", ")} of ${describe(label, item)}`,
+    };
+  }
+
+  /**
+   * Create a deleted item again from its snapshot
+   * @param {Object} entry - Audit log entry of the deletion
+   * @param {Object} target - Item that was deleted
+   * @returns {Promise<Object>} - Outcome
+   */
+  async recreate(entry, { collection, id }) {
+    const { label, recreateFields } = UNDOABLE_ITEMS[collection];
+    if (!entry.before) {
+      return {
+        outcome: "skipped",
+        itemId: id,
+        message: "No snapshot of the item before it was deleted",
+      };
+    }
+
+    const data = Object.fromEntries(
+      recreateFields
+        .filter(
+          (field) =>
+            entry.before[field] !== undefined && entry.before[field] !== null
+        )
+        .map((field) => [field, toWritable(entry.before[field], field)])
+    );
+    const response = await taigaClient.post(`/${collection}`, data);
+    return {
+      outcome: "recreated",
+      itemId: response.data.id,
+      message: `Recreated ${describe(label, entry.before)} as ${describe(
+        label,
+        response.data
+      )} (ID: ${
+        response.data.id
+      }). Comments, attachments and history are not restored`,
+    };
+  }
+}
+
+export const undoService = new UndoService();
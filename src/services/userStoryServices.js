@@ -1,4 +1,7 @@
-import { createAuthenticatedClient } from "../taigaAuth.js";
+import { taigaClient } from "../taigaAuth.js";
+import { TaigaNotFoundError, logFailure, toTaigaError } from "../errors.js";
+import { patchVersioned } from "./versioning.js";
+import { fetchPaginated } from "./pagination.js";
 
 /**
  * Service for user story-related operations in Taiga
@@ -7,21 +10,23 @@ export class UserStoryService {
   /**
    * List user stories for a project
    * @param {string} projectId - Project ID
-   * @returns {Promise<Array>} - List of user stories
+   * @param {Object} [filters] - Optional filters
+   * @param {Object} [pagination] - Optional page, pageSize and limit
+   * @returns {Promise<Object>} - Page of user stories with the total count
    */
-  async listUserStories(projectId) {
+  async listUserStories(projectId, filters = {}, pagination = {}) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/userstories", {
-        params: { project: projectId },
-      });
-      return response.data;
+      return await fetchPaginated(
+        "/userstories",
+        { project: projectId, ...filters },
+        pagination
+      );
     } catch (error) {
-      console.error(
+      logFailure(
         `Failed to list user stories for project ${projectId}:`,
-        error.message
+        error
       );
-      throw new Error("Failed to list user stories from Taiga");
+      throw toTaigaError(error, "Failed to list user stories from Taiga");
     }
   }
 
@@ -37,12 +42,34 @@ export class UserStoryService {
    */
   async createUserStory(userStoryData) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.post("/userstories", userStoryData);
+      const response = await taigaClient.post("/userstories", userStoryData);
       return response.data;
     } catch (error) {
-      console.error("Failed to create user story:", error.message);
-      throw new Error("Failed to create user story in Taiga");
+      logFailure("Failed to create user story:", error);
+      throw toTaigaError(error, "Failed to create user story in Taiga");
+    }
+  }
+
+  /**
+   * Create several user stories at once, one per subject
+   * @param {string|number} projectId - Project ID
+   * @param {Array<string>} subjects - Subjects, each on a single line
+   * @param {Object} [options] - Options for all the stories
+   * @param {number} [options.statusId] - Status ID
+   * @returns {Promise<Array<Object>>} - Created user stories, in the order of
+   * the subjects
+   */
+  async bulkCreateUserStories(projectId, subjects, { statusId } = {}) {
+    try {
+      const response = await taigaClient.post("/userstories/bulk_create", {
+        project_id: projectId,
+        bulk_stories: subjects.join("\n"),
+        ...(statusId && { status_id: statusId }),
+      });
+      return response.data;
+    } catch (error) {
+      logFailure("Failed to bulk create user stories:", error);
+      throw toTaigaError(error, "Failed to create user stories in Taiga");
     }
   }
 
@@ -53,17 +80,41 @@ export class UserStoryService {
    */
   async getUserStoryStatuses(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/userstory-statuses", {
+      const response = await taigaClient.get("/userstory-statuses", {
         params: { project: projectId },
       });
       return response.data;
     } catch (error) {
-      console.error(
+      logFailure(
         `Failed to get user story statuses for project ${projectId}:`,
-        error.message
+        error
+      );
+      throw toTaigaError(error, "Failed to get user story statuses from Taiga");
+    }
+  }
+
+  /**
+   * Get the Kanban swimlanes of a project
+   * @param {string|number} projectId - Project ID
+   * @returns {Promise<Array>} - Swimlanes, empty when the project has none
+   */
+  async getSwimlanes(projectId) {
+    try {
+      const response = await taigaClient.get("/swimlanes", {
+        params: { project: projectId },
+      });
+      return response.data;
+    } catch (error) {
+      const taigaError = toTaigaError(
+        error,
+        "Failed to get swimlanes from Taiga"
       );
-      throw new Error("Failed to get user story statuses from Taiga");
+      // Taiga versions before swimlanes don't have the endpoint
+      if (taigaError instanceof TaigaNotFoundError) {
+        return [];
+      }
+      logFailure(`Failed to get swimlanes for project ${projectId}:`, error);
+      throw taigaError;
     }
   }
 
@@ -74,12 +125,32 @@ export class UserStoryService {
    */
   async getUserStory(userStoryId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(`/userstories/${userStoryId}`);
+      const response = await taigaClient.get(`/userstories/${userStoryId}`);
+      return response.data;
+    } catch (error) {
+      logFailure(`Failed to get user story ${userStoryId}:`, error);
+      throw toTaigaError(error, "Failed to get user story from Taiga");
+    }
+  }
+
+  /**
+   * Get a user story by its reference number within a project
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} ref - User story reference number
+   * @returns {Promise<Object>} - User story details
+   */
+  async getUserStoryByRef(projectId, ref) {
+    try {
+      const response = await taigaClient.get("/userstories/by_ref", {
+        params: { project: projectId, ref },
+      });
       return response.data;
     } catch (error) {
-      console.error(`Failed to get user story ${userStoryId}:`, error.message);
-      throw new Error("Failed to get user story from Taiga");
+      logFailure(
+        `Failed to get user story #${ref} in project ${projectId}:`,
+        error
+      );
+      throw toTaigaError(error, `Failed to get user story #${ref} from Taiga`);
     }
   }
 
@@ -87,22 +158,20 @@ export class UserStoryService {
    * Update a user story
    * @param {string|number} userStoryId - User story ID
    * @param {Object} updateData - Data to update
+   * @param {number} [expectedVersion] - Version the caller last saw; the
+   * current version is used when omitted
    * @returns {Promise<Object>} - Updated user story
    */
-  async updateUserStory(userStoryId, updateData) {
+  async updateUserStory(userStoryId, updateData, expectedVersion) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.patch(
-        `/userstories/${userStoryId}`,
-        updateData
-      );
-      return response.data;
+      return await patchVersioned(`/userstories/${userStoryId}`, updateData, {
+        expectedVersion,
+        fetchCurrent: () => this.getUserStory(userStoryId),
+        label: "user story",
+      });
     } catch (error) {
-      console.error(
-        `Failed to update user story ${userStoryId}:`,
-        error.message
-      );
-      throw new Error("Failed to update user story in Taiga");
+      logFailure(`Failed to update user story ${userStoryId}:`, error);
+      throw toTaigaError(error, "Failed to update user story in Taiga");
     }
   }
 
@@ -113,15 +182,11 @@ export class UserStoryService {
    */
   async deleteUserStory(userStoryId) {
     try {
-      const client = await createAuthenticatedClient();
-      await client.delete(`/userstories/${userStoryId}`);
+      await taigaClient.delete(`/userstories/${userStoryId}`);
       return { status: "deleted", user_story_id: userStoryId };
     } catch (error) {
-      console.error(
-        `Failed to delete user story ${userStoryId}:`,
-        error.message
-      );
-      throw new Error("Failed to delete user story from Taiga");
+      logFailure(`Failed to delete user story ${userStoryId}:`, error);
+      throw toTaigaError(error, "Failed to delete user story from Taiga");
     }
   }
 
@@ -143,6 +208,106 @@ export class UserStoryService {
   async unassignUserStoryFromUser(userStoryId) {
     return this.updateUserStory(userStoryId, { assigned_to: null });
   }
+
+  /**
+   * Move user stories into a sprint (milestone)
+   * @param {string|number} projectId - Project ID
+   * @param {string|number} milestoneId - Milestone ID
+   * @param {Array<{id: number, order: number}>} stories - User stories with
+   * their sprint order
+   * @returns {Promise<Object>} - Taiga's response
+   */
+  async moveUserStoriesToMilestone(projectId, milestoneId, stories) {
+    try {
+      const response = await taigaClient.post(
+        "/userstories/bulk_update_milestone",
+        {
+          project_id: projectId,
+          milestone_id: milestoneId,
+          bulk_stories: stories.map(({ id, order }) => ({ us_id: id, order })),
+        }
+      );
+      return response.data;
+    } catch (error) {
+      logFailure(
+        `Failed to move user stories to milestone ${milestoneId}:`,
+        error
+      );
+      throw toTaigaError(error, "Failed to move user stories in Taiga");
+    }
+  }
+
+  /**
+   * Place user stories, in the given order, before or after another story
+   * of the backlog or of a sprint
+   * @param {string|number} projectId - Project ID
+   * @param {Array<number>} userStoryIds - User stories to place
+   * @param {Object} position - Where to place them
+   * @param {number} [position.milestoneId] - Sprint to order in, or the
+   * backlog when not given
+   * @param {number} [position.beforeId] - Story to place them before
+   * @param {number} [position.afterId] - Story to place them after
+   * @returns {Promise<Array>} - New order of the stories Taiga moved
+   */
+  async reorderUserStories(
+    projectId,
+    userStoryIds,
+    { milestoneId, beforeId, afterId } = {}
+  ) {
+    const endpoint = milestoneId
+      ? "/userstories/bulk_update_sprint_order"
+      : "/userstories/bulk_update_backlog_order";
+    try {
+      const response = await taigaClient.post(endpoint, {
+        project_id: projectId,
+        ...(milestoneId && { milestone_id: milestoneId }),
+        bulk_userstories: userStoryIds,
+        ...(beforeId && { before_userstory_id: beforeId }),
+        ...(afterId && { after_userstory_id: afterId }),
+      });
+      return response.data;
+    } catch (error) {
+      logFailure("Failed to reorder user stories:", error);
+      throw toTaigaError(error, "Failed to reorder user stories in Taiga");
+    }
+  }
+
+  /**
+   * Move user stories, in the given order, to a Kanban column and place them
+   * before or after another story in it
+   * @param {string|number} projectId - Project ID
+   * @param {Array<number>} userStoryIds - User stories to move
+   * @param {Object} target - Where to move them
+   * @param {number} target.statusId - Status of the column
+   * @param {number|null} [target.swimlaneId] - Swimlane, null for stories
+   * without one; left out for projects without swimlanes
+   * @param {number} [target.beforeId] - Story to place them before
+   * @param {number} [target.afterId] - Story to place them after
+   * @returns {Promise<Array>} - New order of the stories Taiga moved
+   */
+  async moveOnKanban(
+    projectId,
+    userStoryIds,
+    { statusId, swimlaneId, beforeId, afterId }
+  ) {
+    try {
+      const response = await taigaClient.post(
+        "/userstories/bulk_update_kanban_order",
+        {
+          project_id: projectId,
+          status_id: statusId,
+          ...(swimlaneId !== undefined && { swimlane_id: swimlaneId }),
+          bulk_userstories: userStoryIds,
+          ...(beforeId && { before_userstory_id: beforeId }),
+          ...(afterId && { after_userstory_id: afterId }),
+        }
+      );
+      return response.data;
+    } catch (error) {
+      logFailure("Failed to move user stories on Kanban:", error);
+      throw toTaigaError(error, "Failed to move user stories in Taiga");
+    }
+  }
 }
 
 // Export a singleton instance
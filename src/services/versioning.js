@@ -0,0 +1,69 @@
+import { taigaClient } from "../taigaAuth.js";
+import { TaigaConflictError, toTaigaError } from "../errors.js";
+
+/**
+ * Compare the values an update wanted to write with what Taiga has now
+ * @param {Object} updateData - Fields being written
+ * @param {Object} current - Current item from Taiga
+ * @returns {Array<{field: string, yours: *, current: *}>} - Differing fields
+ */
+function diffFields(updateData, current) {
+  return Object.entries(updateData)
+    .filter(
+      ([field, value]) =>
+        JSON.stringify(current[field] ?? null) !== JSON.stringify(value ?? null)
+    )
+    .map(([field, value]) => ({
+      field,
+      yours: value,
+      current: current[field] ?? null,
+    }));
+}
+
+/**
+ * PATCH an item that Taiga protects with a version number
+ *
+ * Sends the expected version so Taiga rejects the update if someone else
+ * changed the item in the meantime. When no version is given the current one
+ * is fetched first.
+ * @param {string} url - Item URL, e.g. "/issues/42"
+ * @param {Object} updateData - Fields to update
+ * @param {Object} options - Versioning options
+ * @param {number} [options.expectedVersion] - Version the caller last saw
+ * @param {Function} options.fetchCurrent - Loads the current item
+ * @param {string} options.label - Item name for messages, e.g. "issue"
+ * @returns {Promise<Object>} - Updated item
+ */
+export async function patchVersioned(
+  url,
+  updateData,
+  { expectedVersion, fetchCurrent, label }
+) {
+  let version = expectedVersion;
+  if (version === undefined || version === null) {
+    ({ version } = await fetchCurrent());
+  }
+
+  try {
+    const response = await taigaClient.patch(url, { ...updateData, version });
+    return response.data;
+  } catch (error) {
+    const typed = toTaigaError(error, `Failed to update ${label} in Taiga`);
+    if (!(typed instanceof TaigaConflictError)) {
+      throw typed;
+    }
+
+    const current = await fetchCurrent();
+    throw new TaigaConflictError(
+      `The ${label} was modified by someone else (expected version ${version}, current version ${current.version})`,
+      {
+        status: typed.status,
+        data: typed.data,
+        cause: error,
+        expectedVersion: version,
+        currentVersion: current.version,
+        changes: diffFields(updateData, current),
+      }
+    );
+  }
+}
@@ -0,0 +1,49 @@
+import { taigaClient } from "../taigaAuth.js";
+import { logFailure, toTaigaError } from "../errors.js";
+import { getWorkItem } from "./workItems.js";
+
+// Item types that can be voted on
+export const VOTABLE_ITEM_TYPES = ["userStory", "issue"];
+
+/**
+ * Service for votes on user stories and issues
+ */
+export class VoteService {
+  /**
+   * List the users who voted for an item
+   * @param {string} itemType - userStory or issue
+   * @param {string|number} itemId - Item ID
+   * @returns {Promise<Array>} - Voting users
+   */
+  async listVoters(itemType, itemId) {
+    const { collection, label } = getWorkItem(itemType);
+    try {
+      const response = await taigaClient.get(`/${collection}/${itemId}/voters`);
+      return response.data;
+    } catch (error) {
+      logFailure(`Failed to list voters of ${label} ${itemId}:`, error);
+      throw toTaigaError(error, "Failed to list voters from Taiga");
+    }
+  }
+
+  /**
+   * Vote for an item as the current user, or take the vote back
+   * @param {string} itemType - userStory or issue
+   * @param {string|number} itemId - Item ID
+   * @param {boolean} upvote - True to vote, false to remove the vote
+   * @returns {Promise<Object>} - Confirmation
+   */
+  async setVote(itemType, itemId, upvote) {
+    const { collection, label } = getWorkItem(itemType);
+    const action = upvote ? "upvote" : "downvote";
+    try {
+      await taigaClient.post(`/${collection}/${itemId}/${action}`);
+      return { status: upvote ? "voted" : "not voted", item_id: itemId };
+    } catch (error) {
+      logFailure(`Failed to ${action} ${label} ${itemId}:`, error);
+      throw toTaigaError(error, `Failed to ${action} ${label} in Taiga`);
+    }
+  }
+}
+
+export const voteService = new VoteService();
@@ -0,0 +1,100 @@
+import { taigaClient } from "../taigaAuth.js";
+import { logFailure, toTaigaError } from "../errors.js";
+import { patchVersioned } from "./versioning.js";
+import { getWorkItem } from "./workItems.js";
+
+// Item types that can be watched
+export const WATCHABLE_ITEM_TYPES = ["userStory", "task", "issue", "epic"];
+
+/**
+ * Service for the watchers of user stories, tasks, issues and epics
+ */
+export class WatcherService {
+  /**
+   * List the users watching an item
+   * @param {string} itemType - userStory, task, issue or epic
+   * @param {string|number} itemId - Item ID
+   * @returns {Promise<Array>} - Watching users
+   */
+  async listWatchers(itemType, itemId) {
+    const { collection, label } = getWorkItem(itemType);
+    try {
+      const response = await taigaClient.get(
+        `/${collection}/${itemId}/watchers`
+      );
+      return response.data;
+    } catch (error) {
+      logFailure(`Failed to list watchers of ${label} ${itemId}:`, error);
+      throw toTaigaError(error, "Failed to list watchers from Taiga");
+    }
+  }
+
+  /**
+   * Get an item with its project, version and watcher IDs
+   * @param {string} itemType - userStory, task, issue or epic
+   * @param {string|number} itemId - Item ID
+   * @returns {Promise<Object>} - Item
+   */
+  async getItem(itemType, itemId) {
+    const { collection, label } = getWorkItem(itemType);
+    try {
+      const response = await taigaClient.get(`/${collection}/${itemId}`);
+      return response.data;
+    } catch (error) {
+      logFailure(`Failed to get ${label} ${itemId}:`, error);
+      throw toTaigaError(error, `Failed to get ${label} from Taiga`);
+    }
+  }
+
+  /**
+   * Start or stop watching an item as the current user
+   * @param {string} itemType - userStory, task, issue or epic
+   * @param {string|number} itemId - Item ID
+   * @param {boolean} watch - True to watch, false to stop watching
+   * @returns {Promise<Object>} - Confirmation
+   */
+  async setWatching(itemType, itemId, watch) {
+    const { collection, label } = getWorkItem(itemType);
+    const action = watch ? "watch" : "unwatch";
+    try {
+      await taigaClient.post(`/${collection}/${itemId}/${action}`);
+      return { status: watch ? "watching" : "not watching", item_id: itemId };
+    } catch (error) {
+      logFailure(`Failed to ${action} ${label} ${itemId}:`, error);
+      throw toTaigaError(error, `Failed to ${action} ${label} in Taiga`);
+    }
+  }
+
+  /**
+   * Add and remove watchers of an item
+   * @param {string} itemType - userStory, task, issue or epic
+   * @param {Object} item - Item from Taiga, with its id, version and watchers
+   * @param {Object} changes - Watchers to change
+   * @param {Array<number>} [changes.add] - User IDs to add
+   * @param {Array<number>} [changes.remove] - User IDs to remove
+   * @returns {Promise<Object>} - Updated item
+   */
+  async updateWatchers(itemType, item, { add = [], remove = [] }) {
+    const { collection, label } = getWorkItem(itemType);
+    const url = `/${collection}/${item.id}`;
+    const watchers = [...new Set([...(item.watchers || []), ...add])].filter(
+      (userId) => !remove.includes(userId)
+    );
+    try {
+      return await patchVersioned(
+        url,
+        { watchers },
+        {
+          expectedVersion: item.version,
+          fetchCurrent: async () => (await taigaClient.get(url)).data,
+          label,
+        }
+      );
+    } catch (error) {
+      logFailure(`Failed to update watchers of ${label} ${item.id}:`, error);
+      throw toTaigaError(error, "Failed to update watchers in Taiga");
+    }
+  }
+}
+
+export const watcherService = new WatcherService();
@@ -1,4 +1,6 @@
-import { createAuthenticatedClient } from "../taigaAuth.js";
+import { taigaClient } from "../taigaAuth.js";
+import { logFailure, toTaigaError } from "../errors.js";
+import { patchVersioned } from "./versioning.js";
 
 /**
  * Service for wiki-related operations in Taiga
@@ -11,17 +13,13 @@ export class WikiService {
    */
   async listWikiPages(projectId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get("/wiki", {
+      const response = await taigaClient.get("/wiki", {
         params: { project: projectId },
       });
       return response.data;
     } catch (error) {
-      console.error(
-        `Failed to list wiki pages for project ${projectId}:`,
-        error.message
-      );
-      throw new Error("Failed to list wiki pages from Taiga");
+      logFailure(`Failed to list wiki pages for project ${projectId}:`, error);
+      throw toTaigaError(error, "Failed to list wiki pages from Taiga");
     }
   }
 
@@ -32,12 +30,11 @@ export class WikiService {
    */
   async getWikiPage(wikiPageId) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.get(`/wiki/${wikiPageId}`);
+      const response = await taigaClient.get(`/wiki/${wikiPageId}`);
       return response.data;
     } catch (error) {
-      console.error(`Failed to get wiki page ${wikiPageId}:`, error.message);
-      throw new Error("Failed to get wiki page from Taiga");
+      logFailure(`Failed to get wiki page ${wikiPageId}:`, error);
+      throw toTaigaError(error, "Failed to get wiki page from Taiga");
     }
   }
 
@@ -51,12 +48,11 @@ export class WikiService {
    */
   async createWikiPage(wikiPageData) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.post("/wiki", wikiPageData);
+      const response = await taigaClient.post("/wiki", wikiPageData);
       return response.data;
     } catch (error) {
-      console.error("Failed to create wiki page:", error.message);
-      throw new Error("Failed to create wiki page in Taiga");
+      logFailure("Failed to create wiki page:", error);
+      throw toTaigaError(error, "Failed to create wiki page in Taiga");
     }
   }
 
@@ -64,16 +60,20 @@ export class WikiService {
    * Update a wiki page
    * @param {string|number} wikiPageId - Wiki page ID
    * @param {Object} updateData - Data to update
+   * @param {number} [expectedVersion] - Version the caller last saw; the
+   * current version is used when omitted
    * @returns {Promise<Object>} - Updated wiki page
    */
-  async updateWikiPage(wikiPageId, updateData) {
+  async updateWikiPage(wikiPageId, updateData, expectedVersion) {
     try {
-      const client = await createAuthenticatedClient();
-      const response = await client.patch(`/wiki/${wikiPageId}`, updateData);
-      return response.data;
+      return await patchVersioned(`/wiki/${wikiPageId}`, updateData, {
+        expectedVersion,
+        fetchCurrent: () => this.getWikiPage(wikiPageId),
+        label: "wiki page",
+      });
     } catch (error) {
-      console.error(`Failed to update wiki page ${wikiPageId}:`, error.message);
-      throw new Error("Failed to update wiki page in Taiga");
+      logFailure(`Failed to update wiki page ${wikiPageId}:`, error);
+      throw toTaigaError(error, "Failed to update wiki page in Taiga");
     }
   }
 
@@ -84,12 +84,11 @@ export class WikiService {
    */
   async deleteWikiPage(wikiPageId) {
     try {
-      const client = await createAuthenticatedClient();
-      await client.delete(`/wiki/${wikiPageId}`);
+      await taigaClient.delete(`/wiki/${wikiPageId}`);
       return { status: "deleted", wiki_page_id: wikiPageId };
     } catch (error) {
-      console.error(`Failed to delete wiki page ${wikiPageId}:`, error.message);
-      throw new Error("Failed to delete wiki page from Taiga");
+      logFailure(`Failed to delete wiki page ${wikiPageId}:`, error);
+      throw toTaigaError(error, "Failed to delete wiki page from Taiga");
     }
   }
 }
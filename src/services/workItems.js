@@ -0,0 +1,28 @@
+/**
+ * Items that have comments, a history and attachments, by the item type
+ * tools use
+ */
+export const WORK_ITEMS = {
+  userStory: {
+    historyType: "userstory",
+    collection: "userstories",
+    label: "user story",
+  },
+  task: { historyType: "task", collection: "tasks", label: "task" },
+  issue: { historyType: "issue", collection: "issues", label: "issue" },
+  epic: { historyType: "epic", collection: "epics", label: "epic" },
+  wikiPage: { historyType: "wiki", collection: "wiki", label: "wiki page" },
+};
+
+/**
+ * Look up an item type
+ * @param {string} itemType - Item type, see WORK_ITEMS
+ * @returns {Object} - History type, collection and label
+ */
+export function getWorkItem(itemType) {
+  const item = WORK_ITEMS[itemType];
+  if (!item) {
+    throw new Error(`Unknown item type "${itemType}"`);
+  }
+  return item;
+}
@@ -0,0 +1,33 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
+
+// Session the current tool call or resource read belongs to
+const storage = new AsyncLocalStorage();
+
+/**
+ * Create the state kept for one MCP session
+ * @param {Object} [options] - Session options
+ * @param {Object} [options.auth] - Taiga auth state (see createAuthState)
+ * @returns {Object} - Session with an id and its auth state
+ */
+export function createSession({ auth = null } = {}) {
+  return { id: randomUUID(), auth };
+}
+
+/**
+ * Run a function with the given session as the current one
+ * @param {Object} session - Session to make current
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of fn
+ */
+export function runInSession(session, fn) {
+  return storage.run(session, fn);
+}
+
+/**
+ * Get the session of the current tool call
+ * @returns {Object|undefined} - Current session, if any
+ */
+export function getCurrentSession() {
+  return storage.getStore();
+}
@@ -1,75 +1,354 @@
-import axios from "axios";
-import dotenv from "dotenv";
+import { auditRequests } from "./auditLog.js";
+import { interruptDryRun } from "./dryRun.js";
+import { createHttpClient } from "./httpClient.js";
+import { TaigaAuthError, toTaigaError } from "./errors.js";
+import { forgetSecrets, registerSecret } from "./redaction.js";
+import { getCurrentSession } from "./sessionContext.js";
 
-dotenv.config();
+// Refresh the token this long before it actually expires
+const EXPIRY_MARGIN_MS = 60 * 1000;
 
-// Taiga API configuration
-const TAIGA_API_URL =
-  process.env.TAIGA_API_URL || "https://api.taiga.io/api/v1";
+// Lifetime assumed when the token doesn't say when it expires
+const FALLBACK_TOKEN_LIFETIME_MS = 24 * 60 * 60 * 1000;
 
-// Store the auth token
-let authToken = null;
-let tokenExpiration = null;
+// Client for the login endpoints, which must not carry a token themselves
+const authClient = createHttpClient();
+
+/**
+ * Create the token state for one set of Taiga credentials
+ *
+ * A state either logs in with a username and password, or uses a token it
+ * was given: a Bearer auth token or an Application token from a Taiga
+ * application.
+ * @param {Object} [credentials] - Credentials for this state
+ * @param {string} [credentials.username] - Taiga username or email
+ * @param {string} [credentials.password] - Taiga password
+ * @param {string} [credentials.token] - Existing token
+ * @param {string} [credentials.tokenType] - "Bearer" or "Application"
+ * @returns {Object} - Auth state
+ */
+export function createAuthState({
+  username,
+  password,
+  token,
+  tokenType = "Bearer",
+} = {}) {
+  const state = {
+    username,
+    password,
+    tokenType,
+    authToken: token || null,
+    refreshToken: null,
+    tokenExpiration: token ? getTokenExpiration(token) : null,
+    // Shared in-flight refresh so concurrent requests don't all refresh at once
+    pendingRefresh: null,
+    // Taiga user the credentials belong to, once looked up
+    user: null,
+  };
+  registerSecret(password, state);
+  registerSecret(token, state);
+  return state;
+}
+
+/**
+ * Let go of an auth state that is no longer used, such as that of a closed
+ * session, so its passwords and tokens are no longer kept for redaction
+ * @param {Object|null} state - Auth state
+ */
+export function releaseAuthState(state) {
+  if (state && state !== environmentAuth) {
+    forgetSecrets(state);
+  }
+}
+
+// Token state for TAIGA_USERNAME / TAIGA_PASSWORD, used by sessions that
+// haven't signed in themselves
+const environmentAuth = createAuthState();
+
+/**
+ * Build an auth state from an HTTP Authorization header
+ *
+ * Accepts "Bearer <auth token>", "Application <application token>" and
+ * "Basic <base64 username:password>".
+ * @param {string} [header] - Authorization header value
+ * @returns {Object|null} - Auth state, or null when no header was sent
+ */
+export function createAuthStateFromHeader(header) {
+  if (!header) {
+    return null;
+  }
+
+  const [scheme, value] = header.trim().split(/\s+/, 2);
+  switch (scheme?.toLowerCase()) {
+    case "bearer":
+      return createAuthState({ token: value, tokenType: "Bearer" });
+    case "application":
+      return createAuthState({ token: value, tokenType: "Application" });
+    case "basic": {
+      const decoded = Buffer.from(value || "", "base64").toString("utf8");
+      const separator = decoded.indexOf(":");
+      if (separator > 0) {
+        return createAuthState({
+          username: decoded.slice(0, separator),
+          password: decoded.slice(separator + 1),
+        });
+      }
+      break;
+    }
+  }
+  throw new TaigaAuthError(
+    'Unsupported Authorization header. Use "Bearer", "Application" or "Basic"'
+  );
+}
+
+/**
+ * Get the auth state of the current session, falling back to the
+ * environment credentials unless sessions must sign in themselves
+ * @returns {Object} - Auth state
+ */
+export function currentAuthState() {
+  const session = getCurrentSession();
+  if (session?.auth) {
+    return session.auth;
+  }
+  if (session && process.env.TAIGA_REQUIRE_SESSION_AUTH === "true") {
+    throw new TaigaAuthError(
+      "Not signed in to Taiga. Call taiga_authenticate or connect with an Authorization header"
+    );
+  }
+  return environmentAuth;
+}
+
+/**
+ * Read the expiry time from a JWT auth token
+ * @param {string} token - Auth token
+ * @returns {number|null} - Expiry as a timestamp in ms, or null if unknown
+ */
+function getTokenExpiration(token) {
+  try {
+    const payload = JSON.parse(
+      Buffer.from(token.split(".")[1], "base64url").toString("utf8")
+    );
+    return typeof payload.exp === "number" ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store the tokens from an /auth or /auth/refresh response
+ * @param {Object} state - Auth state to update
+ * @param {Object} data - Response body
+ */
+function storeTokens(state, data) {
+  registerSecret(data.auth_token, state);
+  registerSecret(data.refresh, state);
+  state.authToken = data.auth_token;
+  state.refreshToken = data.refresh || state.refreshToken;
+  state.tokenExpiration =
+    getTokenExpiration(state.authToken) ||
+    Date.now() + FALLBACK_TOKEN_LIFETIME_MS;
+}
 
 /**
  * Authenticate with Taiga API and get an auth token
  * @param {string} username - Taiga username or email
  * @param {string} password - Taiga password
+ * @param {Object} [state] - Auth state to store the tokens in, defaults to
+ * the current session's
  * @returns {Promise<string>} - Auth token
  */
-export async function authenticate(username, password) {
-  const url = `${TAIGA_API_URL}/auth`;
+export async function authenticate(
+  username,
+  password,
+  state = currentAuthState()
+) {
+  const url = "/auth";
   const data = {
     type: "normal",
     username,
     password,
   };
   try {
-    const response = await axios.post(url, data);
+    const response = await authClient.post(url, data);
+    storeTokens(state, response.data);
+    return state.authToken;
+  } catch (error) {
+    console.error("Authentication failed:", error.message);
+    throw toTaigaError(error, "Failed to authenticate with Taiga");
+  }
+}
 
-    authToken = response.data.auth_token;
-    // Set token expiration to 24 hours from now
-    tokenExpiration = Date.now() + 24 * 60 * 60 * 1000;
+/**
+ * Switch the current session to new credentials
+ *
+ * The credentials are checked against Taiga before the session switches
+ * over, so a failed sign-in keeps the previous ones.
+ * @param {Object} credentials - See createAuthState
+ * @returns {Promise<void>}
+ */
+export async function signInSession(credentials) {
+  const session = getCurrentSession();
+  if (!session) {
+    throw new TaigaAuthError("No MCP session to sign in");
+  }
 
-    return authToken;
-  } catch (error) {
-    console.error("Authentication failed:", error.message, url, data);
-    throw new Error("Failed to authenticate with Taiga");
+  const state = createAuthState(credentials);
+  if (state.authToken) {
+    try {
+      await authClient.get("/users/me", {
+        headers: { Authorization: `${state.tokenType} ${state.authToken}` },
+      });
+    } catch (error) {
+      throw toTaigaError(error, "Failed to authenticate with Taiga");
+    }
+  } else {
+    await authenticate(state.username, state.password, state);
   }
+  releaseAuthState(session.auth);
+  session.auth = state;
 }
 
 /**
- * Get the current auth token, refreshing if necessary
+ * Describe how the current session is authenticated, without revealing any
+ * secrets
+ * @returns {Object} - Credential source, method, token type and expiry
+ */
+export function describeAuth() {
+  const state = currentAuthState();
+  return {
+    source: state === environmentAuth ? "environment" : "session",
+    method: state.password || state === environmentAuth ? "password" : "token",
+    tokenType: state.tokenType,
+    tokenExpiresAt: state.tokenExpiration
+      ? new Date(state.tokenExpiration).toISOString()
+      : null,
+  };
+}
+
+/**
+ * Get the Taiga user the current session acts as, looked up once per set of
+ * credentials
+ * @returns {Promise<{id: number, username: string}>} - User ID and username
+ */
+export async function getCurrentUser() {
+  const state = currentAuthState();
+  if (!state.user) {
+    const { data } = await taigaClient.get("/users/me");
+    state.user = { id: data.id, username: data.username };
+  }
+  return state.user;
+}
+
+/**
+ * Log in with the username and password of an auth state
+ * @param {Object} state - Auth state
  * @returns {Promise<string>} - Auth token
  */
-export async function getAuthToken() {
-  // If token doesn't exist or is expired, authenticate again
-  if (!authToken || Date.now() > tokenExpiration) {
-    const username = process.env.TAIGA_USERNAME;
-    const password = process.env.TAIGA_PASSWORD;
-
-    if (!username || !password) {
-      throw new Error("Taiga credentials not found in environment variables");
-    }
+async function login(state) {
+  const isEnvironment = state === environmentAuth;
+  const username = isEnvironment ? process.env.TAIGA_USERNAME : state.username;
+  const password = isEnvironment ? process.env.TAIGA_PASSWORD : state.password;
+
+  if (!username || !password) {
+    throw new TaigaAuthError(
+      isEnvironment
+        ? "Taiga credentials not found in environment variables"
+        : "The Taiga token for this session was rejected. Call taiga_authenticate to sign in again"
+    );
+  }
+
+  return authenticate(username, password, state);
+}
 
-    await authenticate(username, password);
+/**
+ * Get a fresh auth token using the refresh token, falling back to a full
+ * login when there is no refresh token or Taiga rejects it
+ * @param {Object} [state] - Auth state, defaults to the current session's
+ * @returns {Promise<string>} - Auth token
+ */
+export async function refreshAuthToken(state = currentAuthState()) {
+  if (!state.pendingRefresh) {
+    state.pendingRefresh = (async () => {
+      if (state.refreshToken) {
+        try {
+          const response = await authClient.post("/auth/refresh", {
+            refresh: state.refreshToken,
+          });
+          storeTokens(state, response.data);
+          return state.authToken;
+        } catch (error) {
+          console.error("Token refresh failed:", error.message);
+          state.refreshToken = null;
+        }
+      }
+      return login(state);
+    })().finally(() => {
+      state.pendingRefresh = null;
+    });
   }
+  return state.pendingRefresh;
+}
 
-  return authToken;
+/**
+ * Get the Authorization header for the current session, logging in or
+ * refreshing the token if necessary
+ * @returns {Promise<string>} - Authorization header value
+ */
+export async function getAuthorizationHeader() {
+  const state = currentAuthState();
+  if (!state.authToken) {
+    await login(state);
+  } else if (
+    state.tokenExpiration &&
+    Date.now() > state.tokenExpiration - EXPIRY_MARGIN_MS
+  ) {
+    await refreshAuthToken(state);
+  }
+
+  return `${state.tokenType} ${state.authToken}`;
 }
 
 /**
- * Create an axios instance with auth headers
- * @returns {Promise<import('axios').AxiosInstance>} - Axios instance with auth headers
+ * Shared client used by every service to talk to Taiga
+ *
+ * Each request carries the current session's token. A request rejected with
+ * 401 gets a fresh token and is retried once.
  */
-export async function createAuthenticatedClient() {
-  const token = await getAuthToken();
-
-  return axios.create({
-    baseURL: TAIGA_API_URL,
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-    },
+export const taigaClient = createHttpClient();
+
+taigaClient.interceptors.request.use(async (config) => {
+  config.headers.Authorization = await getAuthorizationHeader();
+  return config;
+});
+
+// Registered last so it runs first: a dry run never logs in or takes a slot
+// for a request it won't send
+taigaClient.interceptors.request.use((config) => {
+  interruptDryRun({
+    method: config.method,
+    url: taigaClient.getUri(config),
+    data: config.data,
   });
-}
+  return config;
+});
+
+taigaClient.interceptors.response.use(undefined, async (error) => {
+  const config = error.config;
+  if (error.response?.status !== 401 || !config || config._authRetried) {
+    throw error;
+  }
+
+  config._authRetried = true;
+  // Requests that were out while another one refreshed the token just need
+  // to be sent again with the new one
+  const state = currentAuthState();
+  if (
+    config.headers.Authorization === `${state.tokenType} ${state.authToken}`
+  ) {
+    await refreshAuthToken(state);
+  }
+  return taigaClient.request(config);
+});
+
+auditRequests(taigaClient, getCurrentUser);
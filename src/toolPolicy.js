@@ -0,0 +1,60 @@
+/**
+ * Convert a glob with * and ? wildcards into a regular expression
+ * @param {string} glob - Glob pattern, e.g. "taiga_delete*"
+ * @returns {RegExp} - Regular expression matching the whole name
+ */
+function globToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Parse a comma- or whitespace-separated list of globs
+ * @param {string} [value] - Setting value
+ * @returns {Array<RegExp>} - Patterns, empty when unset
+ */
+function parseGlobList(value) {
+  return (value || "")
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(globToRegExp);
+}
+
+/**
+ * Create the policy deciding which tools get registered
+ *
+ * TAIGA_READ_ONLY=true keeps only tools annotated with readOnlyHint, which
+ * don't change anything in Taiga.
+ * TAIGA_TOOLS_ALLOW and TAIGA_TOOLS_DENY take globs of tool names; when an
+ * allowlist is set only matching tools are registered, and the denylist
+ * always wins. TAIGA_DRY_RUN=true makes every tool that changes Taiga only
+ * report the request it would send.
+ * @param {Object} [env] - Environment to read the settings from
+ * @returns {Object} - Policy with the readOnly and dryRun flags and an
+ * isAllowed(name, config) method
+ */
+export function createToolPolicy(env = process.env) {
+  const readOnly = env.TAIGA_READ_ONLY === "true";
+  const dryRun = env.TAIGA_DRY_RUN === "true";
+  const allow = parseGlobList(env.TAIGA_TOOLS_ALLOW);
+  const deny = parseGlobList(env.TAIGA_TOOLS_DENY);
+  const matches = (patterns, name) =>
+    patterns.some((pattern) => pattern.test(name));
+
+  return {
+    readOnly,
+    dryRun,
+    isAllowed(name, config = {}) {
+      if (matches(deny, name)) {
+        return false;
+      }
+      if (allow.length > 0 && !matches(allow, name)) {
+        return false;
+      }
+      return !readOnly || config.annotations?.readOnlyHint === true;
+    },
+  };
+}
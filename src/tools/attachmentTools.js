@@ -0,0 +1,328 @@
+import { z } from "zod";
+import { attachmentService } from "../services/attachmentServices.js";
+import { confirmDeletion, confirmationShape } from "./confirmation.js";
+import {
+  describeWorkItemId,
+  resolveWorkItem,
+  toolAnnotations,
+  toolError,
+  workItemShape,
+  workItemTypeSchema,
+} from "./toolHelpers.js";
+import {
+  attachmentSchema,
+  deletedShape,
+  toAttachment,
+} from "./structuredOutput.js";
+
+/**
+ * Format a file size
+ * @param {number|null} bytes - Size in bytes
+ * @returns {string} - e.g. "12.3 KB"
+ */
+function formatSize(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return "unknown size";
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format attachment details
+ * @param {Object} attachment - Normalized attachment
+ * @returns {string} - One line per attachment
+ */
+function formatAttachment(attachment) {
+  return `- [${attachment.id}] ${attachment.name} (${formatSize(
+    attachment.size
+  )})${attachment.isDeprecated ? " [deprecated]" : ""}${
+    attachment.description ? `: ${attachment.description}` : ""
+  }`;
+}
+
+/**
+ * Register attachment tools
+ * @param {McpServer} server - The MCP server instance
+ */
+export function registerAttachmentTools(server) {
+  // List the attachments of an item
+  server.registerTool(
+    "taiga_listAttachments",
+    {
+      title: "List Attachments",
+      description:
+        "List the files attached to a user story, task, issue, epic or wiki page",
+      annotations: toolAnnotations("read"),
+      inputSchema: workItemShape(),
+      outputSchema: { attachments: z.array(attachmentSchema) },
+    },
+    async (args) => {
+      try {
+        const itemId = await resolveWorkItem(args);
+        const attachments = (
+          await attachmentService.listAttachments(args.itemType, itemId)
+        ).map(toAttachment);
+
+        if (attachments.length === 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `No attachments on ${describeWorkItemId(
+                  args.itemType,
+                  itemId
+                )}.`,
+              },
+            ],
+            structuredContent: { attachments: [] },
+          };
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Attachments on ${describeWorkItemId(
+                args.itemType,
+                itemId
+              )}:
+
+${attachments.map(formatAttachment).join("\n")}`,
+            },
+          ],
+          structuredContent: { attachments },
+        };
+      } catch (error) {
+        return toolError("Failed to list attachments", error);
+      }
+    }
+  );
+
+  // Upload a file to an item
+  server.registerTool(
+    "taiga_uploadAttachment",
+    {
+      title: "Upload Attachment",
+      description:
+        "Attach a file to a user story, task, issue, epic or wiki page, either from a local path or from base64 content",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        ...workItemShape(),
+        filePath: z
+          .string()
+          .optional()
+          .describe(
+            "Local file to upload, relative to the server's files directory (TAIGA_FILES_DIR, which must be set). Hidden files are refused"
+          ),
+        content: z
+          .string()
+          .optional()
+          .describe("File content, base64 encoded. Use instead of filePath"),
+        fileName: z
+          .string()
+          .optional()
+          .describe(
+            "File name in Taiga. Required with content, defaults to the name of filePath"
+          ),
+        description: z.string().optional().describe("Attachment description"),
+      },
+      outputSchema: { attachment: attachmentSchema },
+    },
+    async ({ filePath, content, fileName, description, ...args }) => {
+      try {
+        const itemId = await resolveWorkItem(args);
+        const attachment = toAttachment(
+          await attachmentService.uploadAttachment(args.itemType, itemId, {
+            filePath,
+            content,
+            fileName,
+            description,
+          })
+        );
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Attached ${attachment.name} (${formatSize(
+                attachment.size
+              )}) to ${describeWorkItemId(args.itemType, itemId)}.
+
+Attachment ID: ${attachment.id}`,
+            },
+          ],
+          structuredContent: { attachment },
+        };
+      } catch (error) {
+        return toolError("Failed to upload attachment", error);
+      }
+    }
+  );
+
+  // Download an attachment to a local file. It doesn't change anything in
+  // Taiga, but writing to disk is a change all the same: read-only mode leaves
+  // it out, and a dry run only reports where it would write.
+  server.registerTool(
+    "taiga_downloadAttachment",
+    {
+      title: "Download Attachment",
+      description:
+        "Download an attached file to a local path. Get the attachment ID from taiga_listAttachments",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        itemType: workItemTypeSchema(),
+        attachmentId: z.number().describe("Attachment ID"),
+        filePath: z
+          .string()
+          .optional()
+          .describe(
+            "Where to save the file, relative to the server's files directory (TAIGA_FILES_DIR, which must be set). Defaults to the attachment's name"
+          ),
+        overwrite: z
+          .boolean()
+          .optional()
+          .describe("Replace the file if it already exists"),
+      },
+      outputSchema: {
+        attachment: attachmentSchema,
+        path: z.string(),
+        bytes: z.number(),
+      },
+    },
+    async ({ itemType, attachmentId, filePath, overwrite }) => {
+      try {
+        const result = await attachmentService.downloadAttachment(
+          itemType,
+          attachmentId,
+          filePath,
+          overwrite
+        );
+        const attachment = toAttachment(result.attachment);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${result.written ? "Downloaded" : "Would download"} ${
+                attachment.name
+              } (${formatSize(result.bytes)}) to ${result.path}.`,
+            },
+          ],
+          structuredContent: {
+            attachment,
+            path: result.path,
+            bytes: result.bytes,
+          },
+        };
+      } catch (error) {
+        return toolError("Failed to download attachment", error);
+      }
+    }
+  );
+
+  // Update an attachment
+  server.registerTool(
+    "taiga_updateAttachment",
+    {
+      title: "Update Attachment",
+      description:
+        "Change the description of an attachment, or mark it as deprecated",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        itemType: workItemTypeSchema(),
+        attachmentId: z.number().describe("Attachment ID"),
+        description: z
+          .string()
+          .optional()
+          .describe("New attachment description"),
+        isDeprecated: z
+          .boolean()
+          .optional()
+          .describe("Mark the attachment as deprecated, or not"),
+      },
+      outputSchema: { attachment: attachmentSchema },
+    },
+    async ({ itemType, attachmentId, description, isDeprecated }) => {
+      try {
+        const updateData = {};
+        if (description !== undefined) updateData.description = description;
+        if (isDeprecated !== undefined) updateData.is_deprecated = isDeprecated;
+
+        const attachment = toAttachment(
+          await attachmentService.updateAttachment(
+            itemType,
+            attachmentId,
+            updateData
+          )
+        );
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Attachment updated successfully!
+
+${formatAttachment(attachment)}`,
+            },
+          ],
+          structuredContent: { attachment },
+        };
+      } catch (error) {
+        return toolError("Failed to update attachment", error);
+      }
+    }
+  );
+
+  // Delete an attachment
+  server.registerTool(
+    "taiga_deleteAttachment",
+    {
+      title: "Delete Attachment",
+      description: "Delete an attached file",
+      annotations: toolAnnotations("delete"),
+      inputSchema: {
+        itemType: workItemTypeSchema(),
+        attachmentId: z.number().describe("Attachment ID"),
+        ...confirmationShape(),
+      },
+      outputSchema: deletedShape(),
+    },
+    async ({ itemType, attachmentId, confirmationToken }, extra) => {
+      try {
+        const attachment = await attachmentService.getAttachment(
+          itemType,
+          attachmentId
+        );
+        const unconfirmed = await confirmDeletion(server, extra, {
+          tool: "taiga_deleteAttachment",
+          id: attachmentId,
+          summary: `attachment "${attachment.name}" (${formatSize(
+            attachment.size
+          )}) on ${describeWorkItemId(itemType, attachment.object_id)}`,
+          confirmationToken,
+        });
+        if (unconfirmed) {
+          return unconfirmed;
+        }
+        await attachmentService.deleteAttachment(itemType, attachmentId);
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Attachment ${attachmentId} deleted successfully.`,
+            },
+          ],
+          structuredContent: { deleted: true, id: attachmentId },
+        };
+      } catch (error) {
+        return toolError("Failed to delete attachment", error);
+      }
+    }
+  );
+}
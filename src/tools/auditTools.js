@@ -0,0 +1,203 @@
+import { z } from "zod";
+import { getAuditLogPath, readAuditLog } from "../auditLog.js";
+import { resolverService } from "../services/resolverServices.js";
+import { getCurrentSession } from "../sessionContext.js";
+import { getCurrentUser } from "../taigaAuth.js";
+import { undoService } from "../services/undoServices.js";
+import { toolAnnotations, toolError } from "./toolHelpers.js";
+import { auditEntrySchema, undoResultSchema } from "./structuredOutput.js";
+
+/**
+ * List the top-level fields that differ between two snapshots
+ * @param {Object|null} before - Item before the request
+ * @param {Object|null} after - Item after the request
+ * @returns {Array<string>} - Changed field names
+ */
+function changedFields(before, after) {
+  if (!before || !after) {
+    return [];
+  }
+  return Object.keys(after).filter(
+    (field) =>
+      !["version", "modified_date"].includes(field) &&
+      JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+}
+
+/**
+ * Register audit log and undo tools
+ * @param {McpServer} server - The MCP server instance
+ */
+export function registerAuditTools(server) {
+  // Query the log of changes made through this server
+  server.registerTool(
+    "taiga_getAuditLog",
+    {
+      title: "Get Audit Log",
+      description:
+        "Show the changes you made in Taiga through this server, as the Taiga user you are signed in as, newest first, with the tool, arguments and before/after snapshots of each request",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        since: z
+          .string()
+          .datetime({ offset: true })
+          .optional()
+          .describe("Only changes at or after this time (ISO 8601)"),
+        until: z
+          .string()
+          .datetime({ offset: true })
+          .optional()
+          .describe("Only changes at or before this time (ISO 8601)"),
+        projectIdentifier: z
+          .string()
+          .optional()
+          .describe("Only changes in this project (ID or slug)"),
+        tool: z
+          .string()
+          .optional()
+          .describe("Only changes made by this tool, e.g. taiga_updateIssue"),
+        limit: z
+          .number()
+          .int()
+          .positive()
+          .optional()
+          .describe("Maximum number of entries to return (default 50)"),
+        sessionOnly: z
+          .boolean()
+          .optional()
+          .describe("Only changes made in this MCP session"),
+      },
+      outputSchema: {
+        entries: z.array(auditEntrySchema),
+        total: z.number(),
+      },
+    },
+    async ({ since, until, projectIdentifier, tool, limit, sessionOnly }) => {
+      try {
+        const projectId = projectIdentifier
+          ? await resolverService.resolveProjectId(projectIdentifier)
+          : undefined;
+        // Other users' changes stay private, even though the log is shared
+        const user = await getCurrentUser();
+        const { entries, total } = await readAuditLog({
+          userId: user.id,
+          sessionId: sessionOnly ? getCurrentSession()?.id : undefined,
+          since,
+          until,
+          projectId,
+          tool,
+          limit,
+        });
+
+        if (entries.length === 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: getAuditLogPath()
+                  ? "No matching changes in the audit log."
+                  : "The audit log is switched off (TAIGA_AUDIT_LOG=off).",
+              },
+            ],
+            structuredContent: { entries: [], total: 0 },
+          };
+        }
+
+        const lines = entries.map((entry) => {
+          const fields = changedFields(entry.before, entry.after);
+          return `- ${entry.timestamp} ${entry.tool || "(no tool)"}: ${
+            entry.method
+          } ${entry.endpoint} -> ${
+            entry.method === "UNDO"
+              ? entry.payload?.outcome
+              : entry.error
+              ? `failed (${entry.error})`
+              : entry.status
+          }${fields.length > 0 ? `\n  Changed: ${fields.join(", ")}` : ""}`;
+        });
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Audit Log (${entries.length} of ${total} matching changes):
+
+${lines.join("\n")}`,
+            },
+          ],
+          structuredContent: { entries, total },
+        };
+      } catch (error) {
+        return toolError("Failed to read audit log", error);
+      }
+    }
+  );
+
+  // Revert the latest changes from the audit log
+  server.registerTool(
+    "taiga_undo",
+    {
+      title: "Undo Changes",
+      description:
+        "Undo the latest changes you made through this server, as the Taiga user you are signed in as, newest first. Updates are reverted unless the item was edited again since, and deleted items are recreated from their snapshot",
+      // Each call undoes a further change, so repeating it is not harmless
+      annotations: { ...toolAnnotations("update"), idempotentHint: false },
+      inputSchema: {
+        count: z
+          .number()
+          .int()
+          .min(1)
+          .max(50)
+          .optional()
+          .describe("How many changes to undo (default 1)"),
+        sessionOnly: z
+          .boolean()
+          .optional()
+          .describe("Only undo changes made in this MCP session"),
+      },
+      outputSchema: { results: z.array(undoResultSchema) },
+    },
+    async ({ count, sessionOnly }) => {
+      try {
+        const results = await undoService.undoLatest({ count, sessionOnly });
+
+        if (results.length === 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "There are no changes left to undo in the audit log.",
+              },
+            ],
+            structuredContent: { results: [] },
+          };
+        }
+
+        const undone = results.filter((result) =>
+          ["reverted", "recreated"].includes(result.outcome)
+        ).length;
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Undid ${undone} of ${results.length} change(s):
+
+${results
+  .map(
+    (result) =>
+      `- [${result.outcome}] ${result.tool || result.method} at ${
+        result.timestamp
+      }: ${result.message}`
+  )
+  .join("\n")}`,
+            },
+          ],
+          structuredContent: { results },
+        };
+      } catch (error) {
+        return toolError("Failed to undo changes", error);
+      }
+    }
+  );
+}
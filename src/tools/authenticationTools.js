@@ -1,7 +1,22 @@
 import { z } from "zod";
-import { authenticate } from "../taigaAuth.js";
+import { TAIGA_API_URL } from "../httpClient.js";
+import { describeAuth, signInSession } from "../taigaAuth.js";
 import { projectService } from "../services/projectServices.js";
 import { authenticationService } from "../services/authenticationServices.js";
+import {
+  paginationShape,
+  paginationSummary,
+  toolAnnotations,
+  toolError,
+} from "./toolHelpers.js";
+import {
+  listShape,
+  memberSchema,
+  toList,
+  toMember,
+  toUser,
+  userSchema,
+} from "./structuredOutput.js";
 
 /**
  * Register authentication tools
@@ -10,14 +25,20 @@ import { authenticationService } from "../services/authenticationServices.js";
  */
 export function registerAuthenticationTools(server) {
   // Register new user
-  server.tool(
+  server.registerTool(
     "taiga_register",
-    "Register a new user in Taiga with username, email, password, and full name",
     {
-      username: z.string().describe("Username for the new user"),
-      email: z.string().email().describe("Email address for the new user"),
-      password: z.string().describe("Password for the new user"),
-      full_name: z.string().describe("Full name of the user"),
+      title: "Register User",
+      description:
+        "Register a new user in Taiga with username, email, password, and full name",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        username: z.string().describe("Username for the new user"),
+        email: z.string().email().describe("Email address for the new user"),
+        password: z.string().describe("Password for the new user"),
+        full_name: z.string().describe("Full name of the user"),
+      },
+      outputSchema: { user: userSchema },
     },
     async ({ username, email, password, full_name }) => {
       try {
@@ -53,75 +74,153 @@ Registration Details:
 The user is now registered and can log in to Taiga.`,
             },
           ],
+          structuredContent: { user: toUser(registrationResult) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to register user: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to register user", error);
       }
     }
   );
 
-  if (false) {
-    // Add tool for authenticating with Taiga
-    server.tool(
-      "taiga_authenticate",
-      "Authenticate with Taiga API using username and password credentials",
-      {
-        username: z.string().optional(),
-        password: z.string().optional(),
+  // Sign in to Taiga for this MCP session
+  server.registerTool(
+    "taiga_authenticate",
+    {
+      title: "Sign In to Taiga",
+      description:
+        "Sign in to Taiga for this MCP session, with a username and password or an application token. Later tool calls in the session act as this user",
+      // Signing in changes the session, not anything in Taiga
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        username: z.string().optional().describe("Taiga username or email"),
+        password: z.string().optional().describe("Taiga password"),
+        applicationToken: z
+          .string()
+          .optional()
+          .describe("Application token to use instead of a password"),
       },
-      async ({ username, password }) => {
-        try {
-          // Use provided credentials or fall back to environment variables
-          const user = username || process.env.TAIGA_USERNAME;
-          const pass = password || process.env.TAIGA_PASSWORD;
-
-          if (!user || !pass) {
-            return {
-              content: [
-                {
-                  type: "text",
-                  text: "Error: Username and password are required. Please provide them or set them in the environment variables.",
-                },
-              ],
-            };
-          }
-          await authenticate(user, pass);
-          const currentUser = await authenticationService.getCurrentUser();
-
-          return {
-            content: [
-              {
-                type: "text",
-                text: `Successfully authenticated as ${currentUser.full_name} (${currentUser.username}).`,
-              },
-            ],
-          };
-        } catch (error) {
+      outputSchema: { user: userSchema },
+    },
+    async ({ username, password, applicationToken }) => {
+      try {
+        if (applicationToken) {
+          await signInSession({
+            token: applicationToken,
+            tokenType: "Application",
+          });
+        } else if (username && password) {
+          await signInSession({ username, password });
+        } else {
           return {
+            isError: true,
             content: [
               {
                 type: "text",
-                text: `Authentication failed: ${error.message}`,
+                text: "Error: Provide a username and password, or an applicationToken.",
               },
             ],
           };
         }
+        const currentUser = await authenticationService.getCurrentUser();
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Successfully authenticated as ${currentUser.full_name} (${currentUser.username}). Tool calls in this session now act as this user.`,
+            },
+          ],
+          structuredContent: { user: toUser(currentUser) },
+        };
+      } catch (error) {
+        return toolError("Authentication failed", error);
       }
-    );
-  }
+    }
+  );
+
+  // Check the connection and identity without revealing credentials
+  server.registerTool(
+    "taiga_checkConnection",
+    {
+      title: "Check Taiga Connection",
+      description:
+        "Check that Taiga is reachable and show which user this session acts as and where its credentials come from. Never reveals passwords or tokens",
+      annotations: toolAnnotations("read"),
+      inputSchema: {},
+      outputSchema: {
+        apiUrl: z.string(),
+        connected: z.boolean(),
+        user: userSchema.nullable(),
+        credentialSource: z.enum(["session", "environment"]).nullable(),
+        method: z.enum(["password", "token"]).nullable(),
+        tokenType: z.string().nullable(),
+        tokenExpiresAt: z.string().nullable(),
+        error: z.string().nullable(),
+      },
+    },
+    async () => {
+      let user = null;
+      let errorMessage = null;
+      try {
+        user = await authenticationService.getCurrentUser();
+      } catch (error) {
+        errorMessage = error.message;
+      }
+
+      let auth = null;
+      try {
+        auth = describeAuth();
+      } catch {
+        // Not signed in; the error above already says so
+      }
+
+      const credentials = auth
+        ? `${
+            auth.source === "session" ? "this session" : "environment variables"
+          } (${auth.method}, ${auth.tokenType} token${
+            auth.tokenExpiresAt ? `, expires ${auth.tokenExpiresAt}` : ""
+          })`
+        : "none";
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Taiga Connection:
+API URL: ${TAIGA_API_URL}
+Status: ${user ? "Connected" : `Not connected - ${errorMessage}`}
+Signed in as: ${
+              user
+                ? `${user.full_name || user.username} (${user.username})`
+                : "Nobody"
+            }
+Credentials from: ${credentials}`,
+          },
+        ],
+        structuredContent: {
+          apiUrl: TAIGA_API_URL,
+          connected: Boolean(user),
+          user: user ? toUser(user) : null,
+          credentialSource: auth?.source ?? null,
+          method: auth?.method ?? null,
+          tokenType: auth?.tokenType ?? null,
+          tokenExpiresAt: auth?.tokenExpiresAt ?? null,
+          error: errorMessage,
+        },
+      };
+    }
+  );
 
   // Get current user
-  server.tool(
+  server.registerTool(
     "taiga_getCurrentUser",
-    "Get details of the currently authenticated user",
-    {},
+    {
+      title: "Get Current User",
+      description: "Get details of the currently authenticated user",
+      annotations: toolAnnotations("read"),
+      inputSchema: {},
+      outputSchema: { user: userSchema },
+    },
     async () => {
       try {
         const user = await authenticationService.getCurrentUser();
@@ -142,19 +241,25 @@ Language: ${user.lang || "Not set"}
 Timezone: ${user.timezone || "Not set"}`,
             },
           ],
+          structuredContent: { user: toUser(user) },
         };
       } catch (error) {
-        throw new Error(`Failed to get current user: ${error.message}`);
+        return toolError("Failed to get current user", error);
       }
     }
   );
 
   // Add tool for getting project members
-  server.tool(
+  server.registerTool(
     "taiga_getProjectMembers",
-    "List all members of a specific project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
+      title: "Get Project Members",
+      description: "List all members of a specific project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+      },
+      outputSchema: { members: z.array(memberSchema) },
     },
     async ({ projectIdentifier }) => {
       try {
@@ -176,6 +281,7 @@ Timezone: ${user.timezone || "Not set"}`,
                 text: "No members found in this project.",
               },
             ],
+            structuredContent: { members: [] },
           };
         }
 
@@ -194,28 +300,34 @@ ${members
             `,
             },
           ],
+          structuredContent: { members: members.map(toMember) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to get project members: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to get project members", error);
       }
     }
   );
 
   // List users
-  server.tool(
+  server.registerTool(
     "taiga_listUsers",
-    "Get a list of all users in the Taiga instance",
-    {},
-    async () => {
+    {
+      title: "List Users",
+      description: "Get a list of all users in the Taiga instance",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        ...paginationShape(),
+      },
+      outputSchema: listShape("users", userSchema),
+    },
+    async ({ page, pageSize, limit }) => {
       try {
-        const users = await authenticationService.listUsers();
+        const result = await authenticationService.listUsers({
+          page,
+          pageSize,
+          limit,
+        });
+        const users = result.items;
 
         const userList = users
           .map(
@@ -233,22 +345,28 @@ ${members
               text: `Users in Taiga:
 ${userList}
 
-Total: ${users.length} users`,
+${paginationSummary(result, "users")}`,
             },
           ],
+          structuredContent: toList("users", result, toUser),
         };
       } catch (error) {
-        throw new Error(`Failed to list users: ${error.message}`);
+        return toolError("Failed to list users", error);
       }
     }
   );
 
   // Get user details
-  server.tool(
+  server.registerTool(
     "taiga_getUser",
-    "Get details of a specific user by ID",
     {
-      userId: z.number().describe("User ID"),
+      title: "Get User",
+      description: "Get details of a specific user by ID",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        userId: z.number().describe("User ID"),
+      },
+      outputSchema: { user: userSchema },
     },
     async ({ userId }) => {
       try {
@@ -270,9 +388,10 @@ Language: ${user.lang || "Not set"}
 Timezone: ${user.timezone || "Not set"}`,
             },
           ],
+          structuredContent: { user: toUser(user) },
         };
       } catch (error) {
-        throw new Error(`Failed to get user: ${error.message}`);
+        return toolError("Failed to get user", error);
       }
     }
   );
@@ -0,0 +1,336 @@
+import { z } from "zod";
+import { DryRunInterruption, noteNotPreviewed } from "../dryRun.js";
+import { TaigaValidationError } from "../errors.js";
+import { resolverService } from "../services/resolverServices.js";
+import { userStoryService } from "../services/userStoryServices.js";
+import {
+  findAnchor,
+  formatMoved,
+  getUserStoriesByRef,
+  positionShape,
+  refetchUserStories,
+  userStoriesShape,
+} from "./storyPlacement.js";
+import { toolAnnotations, toolError } from "./toolHelpers.js";
+import { toUserStory, userStorySchema } from "./structuredOutput.js";
+
+/**
+ * List the user stories of the backlog or of a sprint, in their order
+ * @param {number} projectId - Project ID
+ * @param {number} [milestoneId] - Sprint, or the backlog when not given
+ * @returns {Promise<Array<Object>>} - User stories
+ */
+async function listOrderedUserStories(projectId, milestoneId) {
+  const orderField = milestoneId ? "sprint_order" : "backlog_order";
+  const { items } = await userStoryService.listUserStories(
+    projectId,
+    milestoneId ? { milestone: milestoneId } : { milestone__isnull: true }
+  );
+  return items.sort((a, b) => (a[orderField] ?? 0) - (b[orderField] ?? 0));
+}
+
+/**
+ * Place user stories at a position within the backlog or a sprint they are
+ * already in
+ * @param {number} projectId - Project ID
+ * @param {Array<Object>} stories - User stories to place, in order
+ * @param {Object} target - Where to place them
+ * @param {number} [target.milestoneId] - Sprint, or the backlog
+ * @param {string} target.position - top, bottom, before or after
+ * @param {string|number} [target.relativeTo] - Reference of the story to
+ * place them before or after
+ */
+async function placeUserStories(
+  projectId,
+  stories,
+  { milestoneId, position, relativeTo }
+) {
+  const where = milestoneId ? "sprint" : "backlog";
+  const listed = await listOrderedUserStories(projectId, milestoneId);
+  const listedIds = new Set(listed.map((story) => story.id));
+  const outside = stories.find((story) => !listedIds.has(story.id));
+  if (outside) {
+    throw new TaigaValidationError(
+      `User story #${outside.ref} is not in the ${where}; move it there first`,
+      { fieldErrors: { userStories: [`All stories must be in the ${where}`] } }
+    );
+  }
+
+  const movedIds = new Set(stories.map((story) => story.id));
+  const others = listed.filter((story) => !movedIds.has(story.id));
+  const anchor = await findAnchor(projectId, others, {
+    position,
+    relativeTo,
+    where: `the ${where}`,
+  });
+
+  await userStoryService.reorderUserStories(
+    projectId,
+    stories.map((story) => story.id),
+    { milestoneId, ...anchor }
+  );
+}
+
+/**
+ * Register backlog and sprint planning tools
+ * @param {McpServer} server - The MCP server instance
+ */
+export function registerBacklogTools(server) {
+  // Move user stories into a sprint
+  server.registerTool(
+    "taiga_moveUserStoriesToSprint",
+    {
+      title: "Move User Stories to Sprint",
+      description:
+        "Move user stories from the backlog or another sprint into a sprint (milestone), at the bottom of the sprint unless a position is given",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...userStoriesShape(),
+        sprint: z
+          .union([z.number(), z.string()])
+          .describe("Sprint (milestone) name or ID"),
+        ...positionShape(false),
+      },
+      outputSchema: { userStories: z.array(userStorySchema) },
+    },
+    async ({
+      projectIdentifier,
+      userStories,
+      sprint,
+      position,
+      relativeTo,
+    }) => {
+      try {
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
+        const milestoneId = await resolverService.resolveMilestone(
+          projectId,
+          sprint
+        );
+        const stories = await getUserStoriesByRef(projectId, userStories);
+
+        // Append after the stories already in the sprint
+        const movedIds = new Set(stories.map((story) => story.id));
+        const lastOrder = Math.max(
+          0,
+          ...(await listOrderedUserStories(projectId, milestoneId))
+            .filter((story) => !movedIds.has(story.id))
+            .map((story) => story.sprint_order ?? 0)
+        );
+        await userStoryService.moveUserStoriesToMilestone(
+          projectId,
+          milestoneId,
+          stories.map((story, index) => ({
+            id: story.id,
+            order: lastOrder + index + 1,
+          }))
+        );
+        if (position && position !== "bottom") {
+          await placeUserStories(projectId, stories, {
+            milestoneId,
+            position,
+            relativeTo,
+          });
+        }
+
+        const moved = await refetchUserStories(stories);
+        return {
+          content: [
+            {
+              type: "text",
+              text: formatMoved(
+                `Moved ${moved.length} user story(ies) to sprint "${
+                  moved[0].milestone_name || milestoneId
+                }":`,
+                moved
+              ),
+            },
+          ],
+          structuredContent: { userStories: moved.map(toUserStory) },
+        };
+      } catch (error) {
+        return toolError("Failed to move user stories to sprint", error);
+      }
+    }
+  );
+
+  // Take user stories out of their sprint
+  server.registerTool(
+    "taiga_moveUserStoriesToBacklog",
+    {
+      title: "Move User Stories to Backlog",
+      description:
+        "Take user stories out of their sprint and put them back in the backlog, optionally at a given position",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...userStoriesShape(),
+        ...positionShape(false),
+      },
+      outputSchema: {
+        userStories: z.array(userStorySchema),
+        failed: z
+          .array(z.object({ ref: z.number(), error: z.string() }))
+          .optional(),
+      },
+    },
+    async ({ projectIdentifier, userStories, position, relativeTo }) => {
+      try {
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
+        const stories = await getUserStoriesByRef(projectId, userStories);
+
+        // One request per story, so one failure doesn't stop the others
+        let interrupted = false;
+        const failed = [];
+        for (const story of stories.filter((story) => story.milestone)) {
+          try {
+            await userStoryService.updateUserStory(
+              story.id,
+              { milestone: null },
+              story.version
+            );
+          } catch (error) {
+            if (!(error instanceof DryRunInterruption)) {
+              failed.push({ ref: story.ref, error: error.message });
+              continue;
+            }
+            // A dry run goes on, to show the request for every story
+            interrupted = true;
+          }
+        }
+
+        if (failed.length > 0) {
+          const failedRefs = new Set(failed.map((failure) => failure.ref));
+          const moved = await refetchUserStories(
+            stories.filter((story) => !failedRefs.has(story.ref))
+          );
+          const summary = formatMoved(
+            `Moved ${moved.length} of ${stories.length} user story(ies) to the backlog:`,
+            moved
+          );
+          const failures = failed
+            .map(({ ref, error }) => `- #${ref}: ${error}`)
+            .join("\n");
+          const unordered = position
+            ? "\n\nThe backlog was not reordered, as not every story is in it."
+            : "";
+          return {
+            ...(moved.length === 0 && { isError: true }),
+            content: [
+              {
+                type: "text",
+                text: `${summary}
+
+Failed:
+${failures}${unordered}`,
+              },
+            ],
+            structuredContent: { userStories: moved.map(toUserStory), failed },
+          };
+        }
+
+        if (position && interrupted) {
+          noteNotPreviewed(
+            "reordering the backlog to put the user stories at the requested position"
+          );
+        } else if (position) {
+          try {
+            await placeUserStories(projectId, stories, {
+              position,
+              relativeTo,
+            });
+          } catch (error) {
+            return toolError(
+              "Moved the user stories to the backlog, but failed to reorder it",
+              error
+            );
+          }
+        }
+
+        const moved = await refetchUserStories(stories);
+        return {
+          content: [
+            {
+              type: "text",
+              text: formatMoved(
+                `Moved ${moved.length} user story(ies) to the backlog:`,
+                moved
+              ),
+            },
+          ],
+          structuredContent: { userStories: moved.map(toUserStory) },
+        };
+      } catch (error) {
+        return toolError("Failed to move user stories to backlog", error);
+      }
+    }
+  );
+
+  // Reorder user stories within the backlog or a sprint
+  server.registerTool(
+    "taiga_reorderUserStories",
+    {
+      title: "Reorder User Stories",
+      description:
+        "Place user stories at the top or bottom of the backlog or a sprint, or before or after another story in it",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...userStoriesShape(),
+        ...positionShape(true),
+        sprint: z
+          .union([z.number(), z.string()])
+          .optional()
+          .describe(
+            "Sprint (milestone) name or ID to reorder in. Defaults to the backlog"
+          ),
+      },
+      outputSchema: { userStories: z.array(userStorySchema) },
+    },
+    async ({
+      projectIdentifier,
+      userStories,
+      position,
+      relativeTo,
+      sprint,
+    }) => {
+      try {
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
+        const milestoneId =
+          sprint === undefined
+            ? undefined
+            : await resolverService.resolveMilestone(projectId, sprint);
+        const stories = await getUserStoriesByRef(projectId, userStories);
+
+        await placeUserStories(projectId, stories, {
+          milestoneId,
+          position,
+          relativeTo,
+        });
+
+        const placed = await refetchUserStories(stories);
+        return {
+          content: [
+            {
+              type: "text",
+              text: formatMoved(
+                `Placed ${stories.length} user story(ies) ${
+                  position === "before" || position === "after"
+                    ? `${position} user story ${relativeTo} in`
+                    : `at the ${position} of`
+                } the ${milestoneId ? "sprint" : "backlog"}:`,
+                placed
+              ),
+            },
+          ],
+          structuredContent: { userStories: placed.map(toUserStory) },
+        };
+      } catch (error) {
+        return toolError("Failed to reorder user stories", error);
+      }
+    }
+  );
+}
@@ -0,0 +1,190 @@
+import { z } from "zod";
+import { DryRunInterruption, noteNotPreviewed } from "../dryRun.js";
+import { TaigaError, TaigaValidationError } from "../errors.js";
+
+// Most items a bulk create tool accepts in one call
+const MAX_BULK_ITEMS = 100;
+
+/**
+ * Input shape of the items a bulk create tool creates
+ * @param {string} label - Kind of item, e.g. "User story"
+ * @param {Object} [extraShape] - Fields beyond subject, description, status,
+ * tags and assignee
+ * @returns {Object} - Zod shape to spread into a tool's input schema
+ */
+export function bulkItemsShape(label, extraShape = {}) {
+  return {
+    items: z
+      .array(
+        z.object({
+          subject: z.string().describe(`${label} title/subject, on one line`),
+          description: z.string().optional().describe(`${label} description`),
+          status: z
+            .string()
+            .optional()
+            .describe('Status name (e.g., "New", "In progress")'),
+          tags: z.array(z.string()).optional().describe("Array of tags"),
+          assignedTo: z
+            .union([z.number(), z.string()])
+            .optional()
+            .describe("User to assign it to (ID, username or email)"),
+          ...extraShape,
+        })
+      )
+      .min(1)
+      .max(MAX_BULK_ITEMS)
+      .describe(
+        `Items to create, at most ${MAX_BULK_ITEMS}. Each is created or fails on its own`
+      ),
+  };
+}
+
+/**
+ * Check that a subject fits on the single line Taiga's bulk endpoints take
+ * per item
+ * @param {string} subject - Subject of an item
+ * @returns {string} - Trimmed subject
+ * @throws {TaigaValidationError} - When it is blank or spans several lines
+ */
+function checkSubject(subject) {
+  const trimmed = subject.trim();
+  const message = !trimmed
+    ? "Subject can't be blank"
+    : /[\r\n]/.test(trimmed)
+    ? "Subject must be a single line"
+    : null;
+  if (message) {
+    throw new TaigaValidationError(message, {
+      fieldErrors: { subject: [message] },
+    });
+  }
+  return trimmed;
+}
+
+/**
+ * Describe why an item failed, with the fields Taiga rejected
+ * @param {Error} error - Error thrown for the item
+ * @returns {string} - Error message
+ */
+function describeError(error) {
+  const fields =
+    error instanceof TaigaError
+      ? Object.entries(error.fieldErrors)
+          .map(([field, messages]) => `${field}: ${messages.join(" ")}`)
+          .filter((detail) => !detail.endsWith(error.message))
+      : [];
+  return fields.length > 0
+    ? `${error.message} (${fields.join("; ")})`
+    : error.message;
+}
+
+/**
+ * Create items through one of Taiga's bulk_create endpoints and report on
+ * each of them
+ *
+ * Every item is resolved before anything is created, so an item with an
+ * unknown name fails without stopping the others. Items are then created in
+ * one request per set of options the endpoint takes for all its items (such
+ * as the status), and the fields it can't set are updated item by item.
+ * Names are looked up through the resolver cache, so each list is only
+ * fetched once.
+ * @param {Array<Object>} items - Items as the tool received them
+ * @param {Object} steps - How to create them
+ * @param {Function} steps.prepare - Resolves an item to the options of its
+ * bulk request and the changes to make afterwards: { batch, changes }
+ * @param {Function} steps.createBatch - Creates items from their subjects and
+ * batch options, returning them in the same order
+ * @param {Function} steps.update - Applies changes to a created item,
+ * returning the updated item
+ * @returns {Promise<Array<Object>>} - Per item, in input order: index,
+ * subject, outcome ("created", "partial" or "failed"), item and error
+ */
+export async function bulkCreate(items, { prepare, createBatch, update }) {
+  const results = items.map((item, index) => ({
+    index,
+    subject: item.subject,
+    outcome: "failed",
+    item: null,
+    error: null,
+  }));
+
+  const batches = new Map();
+  for (const [index, item] of items.entries()) {
+    try {
+      results[index].subject = checkSubject(item.subject);
+      const { batch = {}, changes = {} } = await prepare(item);
+      const key = JSON.stringify(batch);
+      if (!batches.has(key)) {
+        batches.set(key, { options: batch, members: [] });
+      }
+      batches.get(key).members.push({ index, changes });
+    } catch (error) {
+      results[index].error = describeError(error);
+    }
+  }
+
+  for (const { options, members } of batches.values()) {
+    let created;
+    try {
+      created = await createBatch(
+        members.map(({ index }) => results[index].subject),
+        options
+      );
+    } catch (error) {
+      for (const { index } of members) {
+        results[index].error = describeError(error);
+      }
+      // A dry run stops the bulk request, so there are no items to update
+      const updated = members.filter(
+        ({ changes }) => Object.keys(changes).length > 0
+      ).length;
+      if (error instanceof DryRunInterruption && updated > 0) {
+        noteNotPreviewed(
+          `an update of each of ${updated} created item(s), for the fields the bulk request can't set`
+        );
+      }
+      continue;
+    }
+
+    for (const [position, { index, changes }] of members.entries()) {
+      const result = results[index];
+      result.item = created[position];
+      result.outcome = "created";
+      if (Object.keys(changes).length === 0) {
+        continue;
+      }
+      try {
+        result.item = await update(result.item, changes);
+      } catch (error) {
+        result.outcome = "partial";
+        result.error = `Created, but its other fields were not set: ${describeError(
+          error
+        )}`;
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Format the outcome of a bulk create for display
+ * @param {Array<Object>} results - Results of bulkCreate
+ * @param {string} noun - Plural of the kind of item, e.g. "user stories"
+ * @returns {string} - Summary line followed by a line per item
+ */
+export function formatBulkResults(results, noun) {
+  const created = results.filter((result) => result.item).length;
+  const lines = results.map(({ index, subject, outcome, item, error }) => {
+    if (outcome === "failed") {
+      return `- ${index + 1}. FAILED "${subject}": ${error}`;
+    }
+    const line = `- ${index + 1}. #${item.ref} ${item.subject} (ID: ${
+      item.id
+    }), status ${item.status_extra_info?.name || "default"}`;
+    return outcome === "partial" ? `${line}\n  ${error}` : line;
+  });
+  return `Created ${created} of ${results.length} ${noun}.
+
+${lines.join("\n")}`;
+}
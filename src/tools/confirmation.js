@@ -0,0 +1,159 @@
+import { randomUUID } from "node:crypto";
+import { z } from "zod";
+import { isDryRun } from "../dryRun.js";
+import { getCurrentSession } from "../sessionContext.js";
+
+// How long a confirmation token stays valid
+const CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+// Confirmation tokens handed out and not used yet, by token
+const pendingConfirmations = new Map();
+
+/**
+ * Optional confirmation token for tools that delete something
+ * @returns {Object} - Zod shape to spread into a tool's input schema
+ */
+export function confirmationShape() {
+  return {
+    confirmationToken: z
+      .string()
+      .optional()
+      .describe(
+        "Token from a previous call of this tool, passed back once the user has confirmed the deletion. Only needed when the client can't ask the user directly"
+      ),
+  };
+}
+
+/**
+ * Describe a work item for a confirmation prompt
+ * @param {string} label - Kind of item, e.g. "issue"
+ * @param {Object} item - Work item from Taiga
+ * @returns {string} - e.g. 'issue #42 "Login fails" in project Website'
+ */
+export function describeWorkItem(label, item) {
+  const project = item.project_extra_info?.name;
+  return `${label} #${item.ref} "${item.subject}"${
+    project ? ` in project ${project}` : ""
+  }`;
+}
+
+/**
+ * Count things for a confirmation prompt
+ * @param {number} count - How many
+ * @param {string} noun - Singular noun, e.g. "task"
+ * @param {string} [plural] - Plural noun, if it isn't just noun + "s"
+ * @returns {string} - e.g. "3 tasks"
+ */
+export function countOf(count, noun, plural = `${noun}s`) {
+  return `${count} ${count === 1 ? noun : plural}`;
+}
+
+/**
+ * Tell the user what undoing a deletion can bring back
+ * @param {boolean} recreatable - Whether taiga_undo can recreate the item
+ * @returns {string} - Sentence for a confirmation prompt
+ */
+function describeUndo(recreatable) {
+  return recreatable
+    ? "Only the item itself can be recreated with taiga_undo, under a new ID and without its comments, attachments or history."
+    : "This cannot be undone.";
+}
+
+/**
+ * Tool result for a deletion that didn't happen
+ * @param {string|number} id - ID of the item
+ * @param {string} text - Explanation
+ * @param {string} [confirmationToken] - Token to confirm with
+ * @returns {Object} - Tool result
+ */
+function notDeleted(id, text, confirmationToken) {
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: { deleted: false, id, confirmationToken },
+  };
+}
+
+/**
+ * Make sure the user wants something deleted before the tool goes ahead
+ *
+ * Clients that support elicitation ask the user directly, showing the
+ * summary. Other clients get a confirmation token on the first call, which
+ * has to be passed back on a second call for the same item within five
+ * minutes. Dry runs don't ask, as nothing gets deleted.
+ * @param {Object} server - Registrar the tool was registered with
+ * @param {Object} extra - Request handler extra of the tool call
+ * @param {Object} deletion - What is about to be deleted
+ * @param {string} deletion.tool - Name of the tool
+ * @param {string|number} deletion.id - ID of the item
+ * @param {string} deletion.summary - What will be removed, e.g. the subject
+ * and the number of child items
+ * @param {boolean} [deletion.recreatable] - Whether taiga_undo can recreate
+ * the item from its snapshot
+ * @param {string} [deletion.confirmationToken] - Token from an earlier call
+ * @returns {Promise<Object|null>} - null when confirmed, otherwise the tool
+ * result to return instead of deleting
+ */
+export async function confirmDeletion(
+  server,
+  extra,
+  { tool, id, summary, recreatable = false, confirmationToken }
+) {
+  if (isDryRun()) {
+    return null;
+  }
+  const answer = await server.elicitInput(
+    {
+      message: `Delete ${summary}? ${describeUndo(recreatable)}`,
+      requestedSchema: {
+        type: "object",
+        properties: {
+          confirm: {
+            type: "boolean",
+            title: "Delete",
+            description: `Delete ${summary}`,
+          },
+        },
+        required: ["confirm"],
+      },
+    },
+    extra
+  );
+  if (answer) {
+    return answer.action === "accept" && answer.content?.confirm === true
+      ? null
+      : notDeleted(id, "The user did not confirm. Nothing was deleted.");
+  }
+
+  const now = Date.now();
+  for (const [token, pending] of pendingConfirmations) {
+    if (pending.expiresAt <= now) {
+      pendingConfirmations.delete(token);
+    }
+  }
+
+  const key = `${getCurrentSession()?.id}:${tool}:${id}`;
+  if (confirmationToken) {
+    const pending = pendingConfirmations.get(confirmationToken);
+    if (pending?.key === key) {
+      pendingConfirmations.delete(confirmationToken);
+      return null;
+    }
+  }
+
+  const token = randomUUID();
+  pendingConfirmations.set(token, {
+    key,
+    expiresAt: now + CONFIRMATION_TTL_MS,
+  });
+  return notDeleted(
+    id,
+    `${
+      confirmationToken ? "The confirmation token is invalid or expired. " : ""
+    }Nothing was deleted yet. This will delete ${summary}. ${describeUndo(
+      recreatable
+    )}
+
+Ask the user to confirm, then call ${tool} again with confirmationToken "${token}". The token is valid for 5 minutes.`,
+    token
+  );
+}
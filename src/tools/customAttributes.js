@@ -0,0 +1,186 @@
+import { z } from "zod";
+import { TaigaValidationError } from "../errors.js";
+import { customAttributeService } from "../services/customAttributeServices.js";
+import { resolverService } from "../services/resolverServices.js";
+
+// Most items a custom attribute filter reads the values of in one call
+const MAX_FILTERED_ITEMS = 100;
+
+// How many items' values are read at once while filtering
+const FILTER_CONCURRENCY = 4;
+
+// A custom attribute value as tools accept it
+const attributeValue = z.union([z.string(), z.number(), z.boolean(), z.null()]);
+
+/**
+ * Optional custom attribute values for update tools
+ * @returns {Object} - Zod shape to spread into a tool's input schema
+ */
+export function customAttributesShape() {
+  return {
+    customAttributes: z
+      .record(z.string(), attributeValue)
+      .optional()
+      .describe(
+        'Custom attribute values by attribute name, e.g. {"Customer": "ACME"}. Values are checked against the attribute type; null clears a value'
+      ),
+  };
+}
+
+/**
+ * Optional custom attribute filter for list tools
+ * @returns {Object} - Zod shape to spread into a tool's input schema
+ */
+export function customAttributeFilterShape() {
+  return {
+    customAttributes: z
+      .record(z.string(), attributeValue)
+      .optional()
+      .describe(
+        `Only return items with these custom attribute values, by attribute name. Taiga can't filter on them, so this needs a page or a limit (at most ${MAX_FILTERED_ITEMS}) and only checks the items fetched; total then counts the matches among them`
+      ),
+  };
+}
+
+/**
+ * Read the custom attribute values of an item
+ * @param {string} itemType - userStory, task, issue or epic
+ * @param {Object} item - Item from Taiga, with its id and project
+ * @returns {Promise<Object>} - Values by attribute name; empty when the
+ * project defines no custom attributes
+ */
+export async function readCustomAttributes(itemType, item) {
+  const attributes = await resolverService.getCustomAttributes(
+    itemType,
+    item.project
+  );
+  if (attributes.length === 0) {
+    return {};
+  }
+  const { attributes_values } = await customAttributeService.getValues(
+    itemType,
+    item.id
+  );
+  return resolverService.nameCustomAttributeValues(
+    itemType,
+    item.project,
+    attributes_values
+  );
+}
+
+/**
+ * Write custom attribute values resolved with
+ * resolverService.resolveCustomAttributeValues
+ * @param {string} itemType - userStory, task, issue or epic
+ * @param {Object} item - Item from Taiga, with its id and project
+ * @param {Object} values - Values by attribute ID
+ * @returns {Promise<Object>} - All values of the item by attribute name
+ */
+export async function writeCustomAttributes(itemType, item, values) {
+  const { attributes_values } = await customAttributeService.updateValues(
+    itemType,
+    item.id,
+    values
+  );
+  return resolverService.nameCustomAttributeValues(
+    itemType,
+    item.project,
+    attributes_values
+  );
+}
+
+/**
+ * List items, keeping those with the given custom attribute values. Values
+ * are compared case-insensitively.
+ *
+ * Taiga can't filter on custom attributes, so the values of every fetched
+ * item are read one by one. That is why a filter needs a page or a limit of
+ * at most MAX_FILTERED_ITEMS, and the counts of the result only cover the
+ * items fetched: total is the number that matched, and hasMore tells whether
+ * there are further items to fetch.
+ * @param {string} itemType - userStory, task, issue or epic
+ * @param {number} projectId - Project ID
+ * @param {Object} [filter] - Wanted values by attribute name
+ * @param {Object} pagination - page, pageSize and limit as the tool got them
+ * @param {Function} fetchList - Fetches the items with the given pagination
+ * @returns {Promise<Object>} - Paginated result with only the matching items,
+ * and how many items were checked when filtering
+ */
+export async function filterByCustomAttributes(
+  itemType,
+  projectId,
+  filter,
+  pagination,
+  fetchList
+) {
+  if (!filter || Object.keys(filter).length === 0) {
+    return fetchList(pagination);
+  }
+  const { page, pageSize, limit } = pagination;
+  if (
+    (!page && !limit) ||
+    (limit ?? 0) > MAX_FILTERED_ITEMS ||
+    (pageSize ?? 0) > MAX_FILTERED_ITEMS
+  ) {
+    throw new TaigaValidationError(
+      `Filtering on customAttributes reads every item, so it needs a page or a limit of at most ${MAX_FILTERED_ITEMS} items`,
+      {
+        fieldErrors: {
+          customAttributes: [
+            `Pass a page or limit, with pageSize and limit up to ${MAX_FILTERED_ITEMS}.`,
+          ],
+        },
+      }
+    );
+  }
+  const wanted = Object.entries(
+    await resolverService.resolveCustomAttributeValues(
+      itemType,
+      projectId,
+      filter
+    )
+  );
+  const normalize = (value) => String(value ?? "").toLowerCase();
+
+  const result = await fetchList(pagination);
+  const matches = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < result.items.length) {
+      const index = next++;
+      const { attributes_values } = await customAttributeService.getValues(
+        itemType,
+        result.items[index].id
+      );
+      matches[index] = wanted.every(
+        ([id, value]) => normalize(attributes_values?.[id]) === normalize(value)
+      );
+    }
+  };
+  await Promise.all(Array.from({ length: FILTER_CONCURRENCY }, worker));
+
+  const items = result.items.filter((_, index) => matches[index]);
+  return {
+    ...result,
+    items,
+    total: items.length,
+    scanned: result.items.length,
+  };
+}
+
+/**
+ * Format custom attribute values for a tool's text output
+ * @param {Object} values - Values by attribute name
+ * @returns {string} - Block listing the values, or "" when there are none
+ */
+export function formatCustomAttributes(values) {
+  const entries = Object.entries(values || {});
+  if (entries.length === 0) {
+    return "";
+  }
+  return `Custom attributes:
+${entries
+  .map(([name, value]) => `- ${name}: ${value ?? "(not set)"}`)
+  .join("\n")}
+`;
+}
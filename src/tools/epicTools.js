@@ -1,6 +1,175 @@
 import { z } from "zod";
-import { projectService } from "../services/projectServices.js";
 import { epicService } from "../services/epicServices.js";
+import { resolverService } from "../services/resolverServices.js";
+import { userStoryService } from "../services/userStoryServices.js";
+import {
+  confirmDeletion,
+  confirmationShape,
+  countOf,
+  describeWorkItem,
+} from "./confirmation.js";
+import {
+  customAttributeFilterShape,
+  customAttributesShape,
+  filterByCustomAttributes,
+  formatCustomAttributes,
+  readCustomAttributes,
+  writeCustomAttributes,
+} from "./customAttributes.js";
+import {
+  expectedVersionShape,
+  itemReferenceShape,
+  paginationShape,
+  paginationSummary,
+  toolAnnotations,
+  toolError,
+} from "./toolHelpers.js";
+import {
+  customAttributeValuesSchema,
+  deletedShape,
+  epicProgressSchema,
+  epicSchema,
+  listShape,
+  relatedEpicSchema,
+  toEpic,
+  toList,
+  toRelatedEpic,
+  toUserStory,
+  userStorySchema,
+} from "./structuredOutput.js";
+
+// Outcome for each user story a link or unlink tool was given
+const linkResultsSchema = z.array(
+  z.object({
+    userStory: z.string(),
+    userStoryId: z.number().nullable(),
+    success: z.boolean(),
+    error: z.string().nullable(),
+  })
+);
+
+/**
+ * Work out how far along an epic is from its user stories
+ *
+ * The percentage counts points once the stories are estimated, and closed
+ * stories until then.
+ * @param {Array<Object>} userStories - User stories linked to the epic
+ * @returns {Object} - Progress matching epicProgressSchema
+ */
+function computeProgress(userStories) {
+  const closed = userStories.filter((story) => story.is_closed);
+  const pointsOf = (stories) =>
+    stories.reduce((sum, story) => sum + (story.total_points || 0), 0);
+  const points = pointsOf(userStories);
+  const closedPoints = pointsOf(closed);
+  const share =
+    points > 0
+      ? closedPoints / points
+      : userStories.length > 0
+      ? closed.length / userStories.length
+      : 0;
+  return {
+    userStories: userStories.length,
+    closedUserStories: closed.length,
+    points,
+    closedPoints,
+    percent: Math.round(share * 100),
+  };
+}
+
+/**
+ * Format epic progress for display
+ * @param {Object} progress - Result of computeProgress
+ * @returns {string} - One line
+ */
+function formatProgress(progress) {
+  if (progress.userStories === 0) {
+    return "Progress: no user stories linked";
+  }
+  return `Progress: ${progress.percent}% (${
+    progress.closedUserStories
+  } of ${countOf(progress.userStories, "user story", "user stories")} closed${
+    progress.points > 0
+      ? `, ${progress.closedPoints} of ${progress.points} points`
+      : ""
+  })`;
+}
+
+/**
+ * Format the user stories of an epic for display
+ * @param {Array<Object>} userStories - User stories linked to the epic
+ * @returns {string} - A line per story
+ */
+function formatEpicUserStories(userStories) {
+  return userStories
+    .map(
+      (story) =>
+        `- #${story.ref}: ${story.subject} (${
+          story.status_extra_info?.name || "Unknown"
+        }${story.is_closed ? ", closed" : ""}, ${
+          story.total_points ?? "no"
+        } points)`
+    )
+    .join("\n");
+}
+
+/**
+ * Link or unlink user stories one by one, so one failure doesn't stop the
+ * others
+ * @param {Object} epic - Epic from Taiga
+ * @param {Array<string|number>} userStories - Story references; a bare
+ * number or "#12" is looked up in the epic's project
+ * @param {Function} action - Called with each user story ID
+ * @returns {Promise<Array<Object>>} - Results matching linkResultsSchema
+ */
+async function forEachUserStory(epic, userStories, action) {
+  const results = [];
+  for (const userStory of userStories) {
+    let userStoryId = null;
+    try {
+      userStoryId = await resolverService.resolveItemId("userStory", {
+        projectIdentifier: epic.project,
+        ref: userStory,
+      });
+      await action(userStoryId);
+      results.push({
+        userStory: String(userStory),
+        userStoryId,
+        success: true,
+        error: null,
+      });
+    } catch (error) {
+      results.push({
+        userStory: String(userStory),
+        userStoryId,
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+  return results;
+}
+
+/**
+ * Format the results of linking or unlinking for display
+ * @param {string} summary - What was done
+ * @param {Array<Object>} results - Results of forEachUserStory
+ * @param {Object} progress - Epic progress afterwards
+ * @returns {string} - Summary, a line per story and the progress
+ */
+function formatLinkResults(summary, results, progress) {
+  return `${summary}
+
+${results
+  .map((result) =>
+    result.success
+      ? `- ${result.userStory}: done`
+      : `- ${result.userStory}: FAILED, ${result.error}`
+  )
+  .join("\n")}
+
+${formatProgress(progress)}`;
+}
 
 /**
  * Register epic management tools
@@ -8,30 +177,59 @@ import { epicService } from "../services/epicServices.js";
  */
 export function registerEpicTools(server) {
   // List epics
-  server.tool(
+  server.registerTool(
     "taiga_listEpics",
-    "List all epics for a specific project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
-      status: z.string().optional().describe("Filter by status name"),
-      assignedTo: z.string().optional().describe("Filter by assigned user ID"),
+      title: "List Epics",
+      description: "List all epics for a specific project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        status: z.string().optional().describe("Filter by status name"),
+        assignedTo: z
+          .string()
+          .optional()
+          .describe("Filter by assigned user (ID, username or email)"),
+        ...customAttributeFilterShape(),
+        ...paginationShape(),
+      },
+      outputSchema: listShape("epics", epicSchema),
     },
-    async ({ projectIdentifier, status, assignedTo }) => {
+    async ({
+      projectIdentifier,
+      status,
+      assignedTo,
+      customAttributes,
+      page,
+      pageSize,
+      limit,
+    }) => {
       try {
-        // Resolve project ID if slug is provided
-        let resolvedProjectId = projectIdentifier;
-        if (isNaN(Number(projectIdentifier))) {
-          const project = await projectService.getProjectBySlug(
-            projectIdentifier
-          );
-          resolvedProjectId = project.id;
-        }
+        const resolvedProjectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
 
         const filters = {};
-        if (status) filters.status = status;
-        if (assignedTo) filters.assigned_to = assignedTo;
+        if (status)
+          filters.status = await resolverService.resolveEpicStatus(
+            resolvedProjectId,
+            status
+          );
+        if (assignedTo)
+          filters.assigned_to = await resolverService.resolveUser(
+            resolvedProjectId,
+            assignedTo
+          );
 
-        const epics = await epicService.listEpics(resolvedProjectId, filters);
+        const result = await filterByCustomAttributes(
+          "epic",
+          resolvedProjectId,
+          customAttributes,
+          { page, pageSize, limit },
+          (pagination) =>
+            epicService.listEpics(resolvedProjectId, filters, pagination)
+        );
+        const epics = result.items;
         return {
           content: [
             {
@@ -51,26 +249,46 @@ ${epics
   )
   .join("\n")}
 
-Total: ${epics.length} epic(s)`,
+${paginationSummary(result, "epic(s)")}`,
             },
           ],
+          structuredContent: toList("epics", result, toEpic),
         };
       } catch (error) {
-        throw new Error(`Failed to list epics: ${error.message}`);
+        return toolError("Failed to list epics", error);
       }
     }
   );
 
   // Get epic
-  server.tool(
+  server.registerTool(
     "taiga_getEpic",
-    "Get details of a specific epic by ID",
     {
-      epicId: z.number().describe("Epic ID"),
+      title: "Get Epic",
+      description: "Get details of a specific epic by ID or #ref",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        ...itemReferenceShape("epicId", "Epic"),
+      },
+      outputSchema: {
+        epic: epicSchema,
+        customAttributes: customAttributeValuesSchema,
+        progress: epicProgressSchema,
+      },
     },
-    async ({ epicId }) => {
+    async ({ epicId, projectIdentifier, ref }) => {
       try {
-        const epic = await epicService.getEpic(epicId);
+        const resolvedEpicId = await resolverService.resolveItemId("epic", {
+          id: epicId,
+          projectIdentifier,
+          ref,
+        });
+        const epic = await epicService.getEpic(resolvedEpicId);
+        const customAttributes = await readCustomAttributes("epic", epic);
+        const userStories = await epicService.listEpicUserStories(
+          resolvedEpicId
+        );
+        const progress = computeProgress(userStories);
         return {
           content: [
             {
@@ -83,49 +301,61 @@ Status: ${epic.status_extra_info?.name || "N/A"}
 Assigned to: ${epic.assigned_to_extra_info?.full_name || "Unassigned"}
 Created: ${epic.created_date}
 Modified: ${epic.modified_date}
+Version: ${epic.version}
 Color: ${epic.color || "Default"}
 ${epic.description ? `Description: ${epic.description}` : "No description"}
 
 Tags: ${epic.tags?.join(", ") || "None"}
 Watchers: ${epic.watchers?.length || 0}
-`,
+${formatCustomAttributes(customAttributes)}
+${formatProgress(progress)}
+${formatEpicUserStories(userStories)}`,
             },
           ],
+          structuredContent: { epic: toEpic(epic), customAttributes, progress },
         };
       } catch (error) {
-        throw new Error(`Failed to get epic: ${error.message}`);
+        return toolError("Failed to get epic", error);
       }
     }
   );
 
   // Create epic
-  server.tool(
+  server.registerTool(
     "taiga_createEpic",
-    "Create a new epic in a project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
-      subject: z.string().describe("Epic subject/title"),
-      description: z.string().optional().describe("Epic description"),
-      color: z.string().optional().describe("Epic color"),
-      assignedTo: z.number().optional().describe("User ID to assign epic to"),
+      title: "Create Epic",
+      description: "Create a new epic in a project",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        subject: z.string().describe("Epic subject/title"),
+        description: z.string().optional().describe("Epic description"),
+        color: z.string().optional().describe("Epic color"),
+        assignedTo: z
+          .union([z.number(), z.string()])
+          .optional()
+          .describe("User to assign epic to (ID, username or email)"),
+      },
+      outputSchema: { epic: epicSchema },
     },
     async ({ projectIdentifier, subject, description, color, assignedTo }) => {
       try {
-        // Resolve project ID if slug is provided
-        let resolvedProjectId = projectIdentifier;
-        if (isNaN(Number(projectIdentifier))) {
-          const project = await projectService.getProjectBySlug(
-            projectIdentifier
-          );
-          resolvedProjectId = project.id;
-        }
+        const resolvedProjectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
 
         const epicData = {
           project: resolvedProjectId,
           subject,
           ...(description && { description }),
           ...(color && { color }),
-          ...(assignedTo && { assigned_to: assignedTo }),
+          ...(assignedTo && {
+            assigned_to: await resolverService.resolveUser(
+              resolvedProjectId,
+              assignedTo
+            ),
+          }),
         };
 
         const epic = await epicService.createEpic(epicData);
@@ -145,35 +375,95 @@ ${epic.description ? `Description: ${epic.description}` : ""}
 `,
             },
           ],
+          structuredContent: { epic: toEpic(epic) },
         };
       } catch (error) {
-        throw new Error(`Failed to create epic: ${error.message}`);
+        return toolError("Failed to create epic", error);
       }
     }
   );
 
   // Update epic
-  server.tool(
+  server.registerTool(
     "taiga_updateEpic",
-    "Update an existing epic",
     {
-      epicId: z.number().describe("Epic ID to update"),
-      subject: z.string().optional().describe("New epic subject"),
-      description: z.string().optional().describe("New epic description"),
-      color: z.string().optional().describe("New epic color"),
-      assignedTo: z.number().optional().describe("User ID to assign epic to"),
-      statusName: z.string().optional().describe("New status name"),
+      title: "Update Epic",
+      description: "Update an existing epic",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...itemReferenceShape("epicId", "Epic"),
+        subject: z.string().optional().describe("New epic subject"),
+        description: z.string().optional().describe("New epic description"),
+        color: z.string().optional().describe("New epic color"),
+        assignedTo: z
+          .union([z.number(), z.string()])
+          .optional()
+          .describe("User to assign epic to (ID, username or email)"),
+        statusName: z.string().optional().describe("New status name"),
+        ...customAttributesShape(),
+        ...expectedVersionShape(),
+      },
+      outputSchema: {
+        epic: epicSchema,
+        customAttributes: customAttributeValuesSchema.optional(),
+      },
     },
-    async ({ epicId, subject, description, color, assignedTo, statusName }) => {
+    async ({
+      epicId,
+      projectIdentifier,
+      ref,
+      subject,
+      description,
+      color,
+      assignedTo,
+      statusName,
+      customAttributes,
+      expectedVersion,
+    }) => {
       try {
+        const resolvedEpicId = await resolverService.resolveItemId("epic", {
+          id: epicId,
+          projectIdentifier,
+          ref,
+        });
+
         const updateData = {};
         if (subject) updateData.subject = subject;
         if (description) updateData.description = description;
         if (color) updateData.color = color;
-        if (assignedTo) updateData.assigned_to = assignedTo;
-        if (statusName) updateData.status = statusName;
 
-        const epic = await epicService.updateEpic(epicId, updateData);
+        // Names need the epic's project to be resolved to IDs
+        let attributeValues;
+        if (assignedTo || statusName || customAttributes) {
+          const { project } = await epicService.getEpic(resolvedEpicId);
+          if (assignedTo)
+            updateData.assigned_to = await resolverService.resolveUser(
+              project,
+              assignedTo
+            );
+          if (statusName)
+            updateData.status = await resolverService.resolveEpicStatus(
+              project,
+              statusName
+            );
+          // Checked before anything is changed
+          if (customAttributes)
+            attributeValues =
+              await resolverService.resolveCustomAttributeValues(
+                "epic",
+                project,
+                customAttributes
+              );
+        }
+
+        const epic = await epicService.updateEpic(
+          resolvedEpicId,
+          updateData,
+          expectedVersion
+        );
+        const updatedAttributes =
+          attributeValues &&
+          (await writeCustomAttributes("epic", epic, attributeValues));
         return {
           content: [
             {
@@ -185,53 +475,106 @@ Project: ${epic.project_extra_info?.name || epic.project}
 Status: ${epic.status_extra_info?.name || "N/A"}
 Assigned to: ${epic.assigned_to_extra_info?.full_name || "Unassigned"}
 Modified: ${epic.modified_date}
+Version: ${epic.version}
 Color: ${epic.color || "Default"}
 ${epic.description ? `Description: ${epic.description}` : ""}
-`,
+${formatCustomAttributes(updatedAttributes)}`,
             },
           ],
+          structuredContent: {
+            epic: toEpic(epic),
+            customAttributes: updatedAttributes,
+          },
         };
       } catch (error) {
-        throw new Error(`Failed to update epic: ${error.message}`);
+        return toolError("Failed to update epic", error);
       }
     }
   );
 
   // Delete epic
-  server.tool(
+  server.registerTool(
     "taiga_deleteEpic",
-    "Delete an epic",
     {
-      epicId: z.number().describe("Epic ID to delete"),
+      title: "Delete Epic",
+      description: "Delete an epic",
+      annotations: toolAnnotations("delete"),
+      inputSchema: {
+        ...itemReferenceShape("epicId", "Epic"),
+        ...confirmationShape(),
+      },
+      outputSchema: deletedShape(),
     },
-    async ({ epicId }) => {
+    async ({ epicId, projectIdentifier, ref, confirmationToken }, extra) => {
       try {
-        await epicService.deleteEpic(epicId);
+        const resolvedEpicId = await resolverService.resolveItemId("epic", {
+          id: epicId,
+          projectIdentifier,
+          ref,
+        });
+        const epic = await epicService.getEpic(resolvedEpicId);
+        const relatedStories = epic.user_stories_counts?.total ?? 0;
+        const unconfirmed = await confirmDeletion(server, extra, {
+          tool: "taiga_deleteEpic",
+          id: resolvedEpicId,
+          summary: `${describeWorkItem("epic", epic)}, linked to ${countOf(
+            relatedStories,
+            "user story",
+            "user stories"
+          )}`,
+          recreatable: true,
+          confirmationToken,
+        });
+        if (unconfirmed) {
+          return unconfirmed;
+        }
+        await epicService.deleteEpic(resolvedEpicId);
         return {
           content: [
             {
               type: "text",
-              text: `Epic ${epicId} deleted successfully.`,
+              text: `Epic ${resolvedEpicId} deleted successfully.`,
             },
           ],
+          structuredContent: { deleted: true, id: resolvedEpicId },
         };
       } catch (error) {
-        throw new Error(`Failed to delete epic: ${error.message}`);
+        return toolError("Failed to delete epic", error);
       }
     }
   );
 
   // Assign epic
-  server.tool(
+  server.registerTool(
     "taiga_assignEpic",
-    "Assign an epic to a user",
     {
-      epicId: z.number().describe("Epic ID"),
-      userId: z.number().describe("User ID to assign the epic to"),
+      title: "Assign Epic",
+      description: "Assign an epic to a user",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...itemReferenceShape("epicId", "Epic"),
+        userId: z
+          .union([z.number(), z.string()])
+          .describe("User to assign the epic to (ID, username or email)"),
+      },
+      outputSchema: { epic: epicSchema },
     },
-    async ({ epicId, userId }) => {
+    async ({ epicId, projectIdentifier, ref, userId }) => {
       try {
-        const epic = await epicService.assignEpicToUser(epicId, userId);
+        const resolvedEpicId = await resolverService.resolveItemId("epic", {
+          id: epicId,
+          projectIdentifier,
+          ref,
+        });
+        const { project } = await epicService.getEpic(resolvedEpicId);
+        const resolvedUserId = await resolverService.resolveUser(
+          project,
+          userId
+        );
+        const epic = await epicService.assignEpicToUser(
+          resolvedEpicId,
+          resolvedUserId
+        );
         return {
           content: [
             {
@@ -243,23 +586,34 @@ Assigned to: ${epic.assigned_to_extra_info?.full_name || userId}
 `,
             },
           ],
+          structuredContent: { epic: toEpic(epic) },
         };
       } catch (error) {
-        throw new Error(`Failed to assign epic: ${error.message}`);
+        return toolError("Failed to assign epic", error);
       }
     }
   );
 
   // Unassign epic
-  server.tool(
+  server.registerTool(
     "taiga_unassignEpic",
-    "Unassign an epic from its current user",
     {
-      epicId: z.number().describe("Epic ID"),
+      title: "Unassign Epic",
+      description: "Unassign an epic from its current user",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...itemReferenceShape("epicId", "Epic"),
+      },
+      outputSchema: { epic: epicSchema },
     },
-    async ({ epicId }) => {
+    async ({ epicId, projectIdentifier, ref }) => {
       try {
-        const epic = await epicService.unassignEpicFromUser(epicId);
+        const resolvedEpicId = await resolverService.resolveItemId("epic", {
+          id: epicId,
+          projectIdentifier,
+          ref,
+        });
+        const epic = await epicService.unassignEpicFromUser(resolvedEpicId);
         return {
           content: [
             {
@@ -271,9 +625,194 @@ Status: Unassigned
 `,
             },
           ],
+          structuredContent: { epic: toEpic(epic) },
+        };
+      } catch (error) {
+        return toolError("Failed to unassign epic", error);
+      }
+    }
+  );
+
+  // List the user stories of an epic
+  server.registerTool(
+    "taiga_listEpicUserStories",
+    {
+      title: "List Epic User Stories",
+      description:
+        "List the user stories linked to an epic, with their status and points, and the epic's progress",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        ...itemReferenceShape("epicId", "Epic"),
+      },
+      outputSchema: {
+        userStories: z.array(userStorySchema),
+        progress: epicProgressSchema,
+      },
+    },
+    async ({ epicId, projectIdentifier, ref }) => {
+      try {
+        const resolvedEpicId = await resolverService.resolveItemId("epic", {
+          id: epicId,
+          projectIdentifier,
+          ref,
+        });
+        const epic = await epicService.getEpic(resolvedEpicId);
+        const userStories = await epicService.listEpicUserStories(
+          resolvedEpicId
+        );
+        const progress = computeProgress(userStories);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text:
+                userStories.length === 0
+                  ? `No user stories are linked to epic #${epic.ref}: ${epic.subject}.`
+                  : `User stories of epic #${epic.ref}: ${epic.subject}
+
+${formatEpicUserStories(userStories)}
+
+${formatProgress(progress)}`,
+            },
+          ],
+          structuredContent: {
+            userStories: userStories.map(toUserStory),
+            progress,
+          },
+        };
+      } catch (error) {
+        return toolError("Failed to list epic user stories", error);
+      }
+    }
+  );
+
+  // Link and unlink user stories
+  for (const link of [true, false]) {
+    const name = link
+      ? "taiga_linkUserStoriesToEpic"
+      : "taiga_unlinkUserStoriesFromEpic";
+    server.registerTool(
+      name,
+      {
+        title: link
+          ? "Link User Stories to Epic"
+          : "Unlink User Stories from Epic",
+        description: link
+          ? "Link one or more user stories to an epic, reporting which were linked"
+          : "Unlink one or more user stories from an epic, without deleting them",
+        annotations: toolAnnotations("update"),
+        inputSchema: {
+          ...itemReferenceShape("epicId", "Epic"),
+          userStories: z
+            .array(z.union([z.number(), z.string()]))
+            .min(1)
+            .describe(
+              'User stories by reference: 12 or "#12" in the epic\'s project, or "project-slug#12"'
+            ),
+        },
+        outputSchema: {
+          results: linkResultsSchema,
+          progress: epicProgressSchema,
+        },
+      },
+      async ({ epicId, projectIdentifier, ref, userStories }) => {
+        try {
+          const resolvedEpicId = await resolverService.resolveItemId("epic", {
+            id: epicId,
+            projectIdentifier,
+            ref,
+          });
+          const epic = await epicService.getEpic(resolvedEpicId);
+          const results = await forEachUserStory(
+            epic,
+            userStories,
+            (userStoryId) =>
+              link
+                ? epicService.linkUserStory(resolvedEpicId, userStoryId)
+                : epicService.unlinkUserStory(resolvedEpicId, userStoryId)
+          );
+          const progress = computeProgress(
+            await epicService.listEpicUserStories(resolvedEpicId)
+          );
+          const succeeded = results.filter((result) => result.success);
+
+          return {
+            ...(succeeded.length === 0 && { isError: true }),
+            content: [
+              {
+                type: "text",
+                text: formatLinkResults(
+                  `${link ? "Linked" : "Unlinked"} ${succeeded.length} of ${
+                    results.length
+                  } user story(ies) ${link ? "to" : "from"} epic #${
+                    epic.ref
+                  }: ${epic.subject}`,
+                  results,
+                  progress
+                ),
+              },
+            ],
+            structuredContent: { results, progress },
+          };
+        } catch (error) {
+          return toolError(
+            `Failed to ${link ? "link" : "unlink"} user stories`,
+            error
+          );
+        }
+      }
+    );
+  }
+
+  // List the epics a user story belongs to
+  server.registerTool(
+    "taiga_listUserStoryEpics",
+    {
+      title: "List User Story Epics",
+      description: "List the epics a user story belongs to",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        ...itemReferenceShape("userStoryId", "User story"),
+      },
+      outputSchema: { epics: z.array(relatedEpicSchema) },
+    },
+    async ({ userStoryId, projectIdentifier, ref }) => {
+      try {
+        const resolvedUserStoryId = await resolverService.resolveItemId(
+          "userStory",
+          { id: userStoryId, projectIdentifier, ref }
+        );
+        const userStory = await userStoryService.getUserStory(
+          resolvedUserStoryId
+        );
+        const epics = (userStory.epics || []).map(toRelatedEpic);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text:
+                epics.length === 0
+                  ? `User story #${userStory.ref} doesn't belong to any epic.`
+                  : `Epics of user story #${userStory.ref}: ${userStory.subject}
+
+${epics
+  .map(
+    (epic) =>
+      `- #${epic.ref}: ${epic.subject}${
+        epic.project && epic.project.id !== userStory.project
+          ? ` (project ${epic.project.name || epic.project.id})`
+          : ""
+      }`
+  )
+  .join("\n")}`,
+            },
+          ],
+          structuredContent: { epics },
         };
       } catch (error) {
-        throw new Error(`Failed to unassign epic: ${error.message}`);
+        return toolError("Failed to list user story epics", error);
       }
     }
   );
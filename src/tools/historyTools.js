@@ -0,0 +1,363 @@
+import { z } from "zod";
+import { historyService } from "../services/historyServices.js";
+import {
+  describeWorkItemId,
+  paginationShape,
+  paginationSummary,
+  resolveWorkItem,
+  toolAnnotations,
+  toolError,
+  workItemShape,
+} from "./toolHelpers.js";
+import {
+  commentSchema,
+  deletedShape,
+  historyEntrySchema,
+  listShape,
+  toComment,
+  toHistoryEntry,
+  toList,
+} from "./structuredOutput.js";
+
+// Longest value shown in a rendered field change
+const MAX_VALUE_LENGTH = 80;
+
+/**
+ * Render a field value from a history diff
+ * @param {*} value - Old or new value
+ * @returns {string} - Short readable value
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === "") {
+    return "(none)";
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map(formatValue).join(", ") : "(none)";
+  }
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return text.length > MAX_VALUE_LENGTH
+    ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…`
+    : text;
+}
+
+/**
+ * Render one field change of a history entry
+ *
+ * Text diffs such as description_diff are only mentioned, as Taiga sends them
+ * as HTML. Attachments and custom attributes come as lists of added, changed
+ * and removed entries, and points as the change per role.
+ * @param {Object} change - Field change from toHistoryEntry
+ * @returns {string} - Readable change
+ */
+function formatChange({ field, from, to }) {
+  if (field.endsWith("_diff")) {
+    return `${field.slice(0, -"_diff".length)} changed`;
+  }
+  if (to && typeof to === "object" && !Array.isArray(to)) {
+    if (["new", "changed", "deleted"].some((key) => key in to)) {
+      const parts = [
+        ["added", to.new],
+        ["changed", to.changed],
+        ["removed", to.deleted],
+      ]
+        .filter(([, items]) => items?.length > 0)
+        .map(
+          ([verb, items]) =>
+            `${verb} ${items
+              .map((item) => item.filename || item.name || item.id)
+              .join(", ")}`
+        );
+      return `${field}: ${parts.join("; ") || "changed"}`;
+    }
+    return `${field}: ${Object.entries(to)
+      .map(([key, value]) =>
+        Array.isArray(value) && value.length === 2
+          ? `${key} ${formatValue(value[0])} → ${formatValue(value[1])}`
+          : `${key} ${formatValue(value)}`
+      )
+      .join(", ")}`;
+  }
+  return `${field}: ${formatValue(from)} → ${formatValue(to)}`;
+}
+
+/**
+ * Render a history entry
+ * @param {Object} entry - Normalized history entry
+ * @returns {string} - Entry with its changes and comment
+ */
+function formatHistoryEntry(entry) {
+  const lines = [
+    `- ${entry.createdAt} by ${entry.user?.name || "unknown"} (${entry.type})`,
+    ...entry.changes.map((change) => `  ${formatChange(change)}`),
+  ];
+  if (entry.commentDeleted) {
+    lines.push("  Comment (deleted)");
+  } else if (entry.comment) {
+    lines.push(`  Comment [${entry.id}]: ${entry.comment}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Register comment and activity history tools
+ * @param {McpServer} server - The MCP server instance
+ */
+export function registerHistoryTools(server) {
+  // List the comments on an item
+  server.registerTool(
+    "taiga_listComments",
+    {
+      title: "List Comments",
+      description:
+        "List the comments on a user story, task, issue, epic or wiki page, oldest first",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        ...workItemShape(),
+        ...paginationShape(),
+      },
+      outputSchema: listShape("comments", commentSchema),
+    },
+    async ({ page, pageSize, limit, ...args }) => {
+      try {
+        const itemId = await resolveWorkItem(args);
+        const result = await historyService.listComments(
+          args.itemType,
+          itemId,
+          {
+            page,
+            pageSize,
+            limit,
+          }
+        );
+        const comments = toList("comments", result, toComment);
+
+        if (result.items.length === 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `No comments on ${describeWorkItemId(
+                  args.itemType,
+                  itemId
+                )}.`,
+              },
+            ],
+            structuredContent: comments,
+          };
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Comments on ${describeWorkItemId(args.itemType, itemId)}:
+
+${comments.comments
+  .map(
+    (comment) =>
+      `- [${comment.id}] ${comment.user?.name || "unknown"} at ${
+        comment.createdAt
+      }${comment.editedAt ? " (edited)" : ""}:\n  ${comment.comment}`
+  )
+  .join("\n")}
+
+${paginationSummary(result, "comment(s)")}`,
+            },
+          ],
+          structuredContent: comments,
+        };
+      } catch (error) {
+        return toolError("Failed to list comments", error);
+      }
+    }
+  );
+
+  // Add a comment to an item
+  server.registerTool(
+    "taiga_addComment",
+    {
+      title: "Add Comment",
+      description:
+        "Add a comment to a user story, task, issue, epic or wiki page",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        ...workItemShape(),
+        comment: z.string().min(1).describe("Comment text (Markdown)"),
+      },
+      outputSchema: {
+        itemType: z.string(),
+        itemId: z.number(),
+        version: z.number().nullable(),
+      },
+    },
+    async ({ comment, ...args }) => {
+      try {
+        const itemId = await resolveWorkItem(args);
+        const item = await historyService.addComment(
+          args.itemType,
+          itemId,
+          comment
+        );
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Comment added to ${describeWorkItemId(
+                args.itemType,
+                itemId
+              )}.`,
+            },
+          ],
+          structuredContent: {
+            itemType: args.itemType,
+            itemId,
+            version: item?.version ?? null,
+          },
+        };
+      } catch (error) {
+        return toolError("Failed to add comment", error);
+      }
+    }
+  );
+
+  // Edit a comment
+  server.registerTool(
+    "taiga_editComment",
+    {
+      title: "Edit Comment",
+      description:
+        "Change the text of a comment. Get the comment ID from taiga_listComments",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...workItemShape(),
+        commentId: z.string().describe("Comment ID"),
+        comment: z.string().min(1).describe("New comment text (Markdown)"),
+      },
+      outputSchema: { commentId: z.string(), edited: z.boolean() },
+    },
+    async ({ commentId, comment, ...args }) => {
+      try {
+        const itemId = await resolveWorkItem(args);
+        await historyService.editComment(
+          args.itemType,
+          itemId,
+          commentId,
+          comment
+        );
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Comment ${commentId} on ${describeWorkItemId(
+                args.itemType,
+                itemId
+              )} updated.`,
+            },
+          ],
+          structuredContent: { commentId, edited: true },
+        };
+      } catch (error) {
+        return toolError("Failed to edit comment", error);
+      }
+    }
+  );
+
+  // Delete a comment
+  server.registerTool(
+    "taiga_deleteComment",
+    {
+      title: "Delete Comment",
+      description:
+        "Delete a comment. Taiga keeps it in the history, and it can be restored from the Taiga web interface",
+      annotations: toolAnnotations("delete"),
+      inputSchema: {
+        ...workItemShape(),
+        commentId: z.string().describe("Comment ID"),
+      },
+      outputSchema: deletedShape(),
+    },
+    async ({ commentId, ...args }) => {
+      try {
+        const itemId = await resolveWorkItem(args);
+        await historyService.deleteComment(args.itemType, itemId, commentId);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Comment ${commentId} on ${describeWorkItemId(
+                args.itemType,
+                itemId
+              )} deleted.`,
+            },
+          ],
+          structuredContent: { deleted: true, id: commentId },
+        };
+      } catch (error) {
+        return toolError("Failed to delete comment", error);
+      }
+    }
+  );
+
+  // Show the activity history of an item
+  server.registerTool(
+    "taiga_getHistory",
+    {
+      title: "Get History",
+      description:
+        "Show the activity history of a user story, task, issue, epic or wiki page: who changed which fields from what to what, and comments",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        ...workItemShape(),
+        ...paginationShape(),
+      },
+      outputSchema: listShape("entries", historyEntrySchema),
+    },
+    async ({ page, pageSize, limit, ...args }) => {
+      try {
+        const itemId = await resolveWorkItem(args);
+        const result = await historyService.getHistory(
+          args.itemType,
+          itemId,
+          {},
+          { page, pageSize, limit }
+        );
+        const history = toList("entries", result, toHistoryEntry);
+
+        if (result.items.length === 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `No history for ${describeWorkItemId(
+                  args.itemType,
+                  itemId
+                )}.`,
+              },
+            ],
+            structuredContent: history,
+          };
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `History of ${describeWorkItemId(args.itemType, itemId)}:
+
+${history.entries.map(formatHistoryEntry).join("\n")}
+
+${paginationSummary(result, "event(s)")}`,
+            },
+          ],
+          structuredContent: history,
+        };
+      } catch (error) {
+        return toolError("Failed to get history", error);
+      }
+    }
+  );
+}
@@ -1,6 +1,44 @@
 import { z } from "zod";
-import { projectService } from "../services/projectServices.js";
 import { issueService } from "../services/issueServices.js";
+import { resolverService } from "../services/resolverServices.js";
+import {
+  confirmDeletion,
+  confirmationShape,
+  describeWorkItem,
+} from "./confirmation.js";
+import {
+  customAttributeFilterShape,
+  customAttributesShape,
+  filterByCustomAttributes,
+  formatCustomAttributes,
+  readCustomAttributes,
+  writeCustomAttributes,
+} from "./customAttributes.js";
+import {
+  bulkCreate,
+  bulkItemsShape,
+  formatBulkResults,
+} from "./bulkCreation.js";
+import {
+  expectedVersionShape,
+  itemReferenceShape,
+  paginationShape,
+  paginationSummary,
+  toolAnnotations,
+  toolError,
+} from "./toolHelpers.js";
+import {
+  bulkCreateShape,
+  choiceSchema,
+  customAttributeValuesSchema,
+  deletedShape,
+  issueSchema,
+  listShape,
+  toBulkCreate,
+  toChoice,
+  toIssue,
+  toList,
+} from "./structuredOutput.js";
 
 /**
  * Register issue management tools
@@ -8,16 +46,26 @@ import { issueService } from "../services/issueServices.js";
  */
 export function registerIssueTools(server) {
   // List issues
-  server.tool(
+  server.registerTool(
     "taiga_listIssues",
-    "List all issues for a specific project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
-      status: z.string().optional().describe("Filter by status name"),
-      assignedTo: z.string().optional().describe("Filter by assigned user ID"),
-      priority: z.string().optional().describe("Filter by priority name"),
-      severity: z.string().optional().describe("Filter by severity name"),
-      type: z.string().optional().describe("Filter by issue type name"),
+      title: "List Issues",
+      description: "List all issues for a specific project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        status: z.string().optional().describe("Filter by status name"),
+        assignedTo: z
+          .string()
+          .optional()
+          .describe("Filter by assigned user (ID, username or email)"),
+        priority: z.string().optional().describe("Filter by priority name"),
+        severity: z.string().optional().describe("Filter by severity name"),
+        type: z.string().optional().describe("Filter by issue type name"),
+        ...customAttributeFilterShape(),
+        ...paginationShape(),
+      },
+      outputSchema: listShape("issues", issueSchema),
     },
     async ({
       projectIdentifier,
@@ -26,28 +74,52 @@ export function registerIssueTools(server) {
       priority,
       severity,
       type,
+      customAttributes,
+      page,
+      pageSize,
+      limit,
     }) => {
       try {
-        // Resolve project ID if slug is provided
-        let resolvedProjectId = projectIdentifier;
-        if (isNaN(Number(projectIdentifier))) {
-          const project = await projectService.getProjectBySlug(
-            projectIdentifier
-          );
-          resolvedProjectId = project.id;
-        }
+        const resolvedProjectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
 
         const filters = {};
-        if (status) filters.status = status;
-        if (assignedTo) filters.assigned_to = assignedTo;
-        if (priority) filters.priority = priority;
-        if (severity) filters.severity = severity;
-        if (type) filters.type = type;
+        if (status)
+          filters.status = await resolverService.resolveIssueStatus(
+            resolvedProjectId,
+            status
+          );
+        if (assignedTo)
+          filters.assigned_to = await resolverService.resolveUser(
+            resolvedProjectId,
+            assignedTo
+          );
+        if (priority)
+          filters.priority = await resolverService.resolvePriority(
+            resolvedProjectId,
+            priority
+          );
+        if (severity)
+          filters.severity = await resolverService.resolveSeverity(
+            resolvedProjectId,
+            severity
+          );
+        if (type)
+          filters.type = await resolverService.resolveIssueType(
+            resolvedProjectId,
+            type
+          );
 
-        const issues = await issueService.listIssues(
+        const result = await filterByCustomAttributes(
+          "issue",
           resolvedProjectId,
-          filters
+          customAttributes,
+          { page, pageSize, limit },
+          (pagination) =>
+            issueService.listIssues(resolvedProjectId, filters, pagination)
         );
+        const issues = result.items;
         return {
           content: [
             {
@@ -75,26 +147,41 @@ ${issues
   )
   .join("\n")}
 
-Total: ${issues.length} issue(s)`,
+${paginationSummary(result, "issue(s)")}`,
             },
           ],
+          structuredContent: toList("issues", result, toIssue),
         };
       } catch (error) {
-        throw new Error(`Failed to list issues: ${error.message}`);
+        return toolError("Failed to list issues", error);
       }
     }
   );
 
   // Get issue
-  server.tool(
+  server.registerTool(
     "taiga_getIssue",
-    "Get details of a specific issue by ID",
     {
-      issueId: z.number().describe("Issue ID"),
+      title: "Get Issue",
+      description: "Get details of a specific issue by ID or #ref",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        ...itemReferenceShape("issueId", "Issue"),
+      },
+      outputSchema: {
+        issue: issueSchema,
+        customAttributes: customAttributeValuesSchema,
+      },
     },
-    async ({ issueId }) => {
+    async ({ issueId, projectIdentifier, ref }) => {
       try {
-        const issue = await issueService.getIssue(issueId);
+        const resolvedIssueId = await resolverService.resolveItemId("issue", {
+          id: issueId,
+          projectIdentifier,
+          ref,
+        });
+        const issue = await issueService.getIssue(resolvedIssueId);
+        const customAttributes = await readCustomAttributes("issue", issue);
         return {
           content: [
             {
@@ -110,35 +197,46 @@ Type: ${issue.type_extra_info?.name || "N/A"}
 Assigned to: ${issue.assigned_to_extra_info?.full_name || "Unassigned"}
 Created: ${issue.created_date}
 Modified: ${issue.modified_date}
+Version: ${issue.version}
 ${issue.due_date ? `Due Date: ${issue.due_date}` : "No due date"}
 
 ${issue.description ? `Description: ${issue.description}` : "No description"}
 
 Tags: ${issue.tags?.join(", ") || "None"}
 Watchers: ${issue.watchers?.length || 0}
-`,
+${formatCustomAttributes(customAttributes)}`,
             },
           ],
+          structuredContent: { issue: toIssue(issue), customAttributes },
         };
       } catch (error) {
-        throw new Error(`Failed to get issue: ${error.message}`);
+        return toolError("Failed to get issue", error);
       }
     }
   );
 
   // Create issue
-  server.tool(
+  server.registerTool(
     "taiga_createIssue",
-    "Create a new issue in a project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
-      subject: z.string().describe("Issue subject/title"),
-      description: z.string().optional().describe("Issue description"),
-      priority: z.string().describe("Priority name"),
-      severity: z.string().describe("Severity name"),
-      type: z.string().describe("Issue type name"),
-      assignedTo: z.number().optional().describe("User ID to assign issue to"),
-      dueDate: z.string().optional().describe("Due date (YYYY-MM-DD format)"),
+      title: "Create Issue",
+      description: "Create a new issue in a project",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        subject: z.string().describe("Issue subject/title"),
+        description: z.string().optional().describe("Issue description"),
+        priority: z.string().describe("Priority name"),
+        severity: z.string().describe("Severity name"),
+        type: z.string().describe("Issue type name"),
+        status: z.string().optional().describe("Initial status name"),
+        assignedTo: z
+          .union([z.number(), z.string()])
+          .optional()
+          .describe("User to assign issue to (ID, username or email)"),
+        dueDate: z.string().optional().describe("Due date (YYYY-MM-DD format)"),
+      },
+      outputSchema: { issue: issueSchema },
     },
     async ({
       projectIdentifier,
@@ -147,27 +245,40 @@ Watchers: ${issue.watchers?.length || 0}
       priority,
       severity,
       type,
+      status,
       assignedTo,
       dueDate,
     }) => {
       try {
-        // Resolve project ID if slug is provided
-        let resolvedProjectId = projectIdentifier;
-        if (isNaN(Number(projectIdentifier))) {
-          const project = await projectService.getProjectBySlug(
-            projectIdentifier
-          );
-          resolvedProjectId = project.id;
-        }
+        const resolvedProjectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
 
         const issueData = {
           project: resolvedProjectId,
           subject,
-          priority,
-          severity,
-          type,
+          priority: await resolverService.resolvePriority(
+            resolvedProjectId,
+            priority
+          ),
+          severity: await resolverService.resolveSeverity(
+            resolvedProjectId,
+            severity
+          ),
+          type: await resolverService.resolveIssueType(resolvedProjectId, type),
+          ...(status && {
+            status: await resolverService.resolveIssueStatus(
+              resolvedProjectId,
+              status
+            ),
+          }),
           ...(description && { description }),
-          ...(assignedTo && { assigned_to: assignedTo }),
+          ...(assignedTo && {
+            assigned_to: await resolverService.resolveUser(
+              resolvedProjectId,
+              assignedTo
+            ),
+          }),
           ...(dueDate && { due_date: dueDate }),
         };
 
@@ -191,30 +302,149 @@ ${issue.description ? `Description: ${issue.description}` : ""}
 `,
             },
           ],
+          structuredContent: { issue: toIssue(issue) },
         };
       } catch (error) {
-        throw new Error(`Failed to create issue: ${error.message}`);
+        return toolError("Failed to create issue", error);
+      }
+    }
+  );
+
+  // Create many issues at once
+  server.registerTool(
+    "taiga_bulkCreateIssues",
+    {
+      title: "Bulk Create Issues",
+      description:
+        "Create many issues in a project at once, each with optional description, status, priority, severity, type, tags, assignee and due date, reporting which were created and which failed",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        ...bulkItemsShape("Issue", {
+          priority: z
+            .string()
+            .optional()
+            .describe("Priority name, by default the project's default"),
+          severity: z
+            .string()
+            .optional()
+            .describe("Severity name, by default the project's default"),
+          type: z
+            .string()
+            .optional()
+            .describe("Issue type name, by default the project's default"),
+          dueDate: z
+            .string()
+            .optional()
+            .describe("Due date (YYYY-MM-DD format)"),
+        }),
+      },
+      outputSchema: bulkCreateShape("issue", issueSchema),
+    },
+    async ({ projectIdentifier, items }) => {
+      try {
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
+
+        // Taiga's bulk endpoint only takes subjects for issues, so everything
+        // else is set on each issue afterwards
+        const results = await bulkCreate(items, {
+          prepare: async ({
+            description,
+            status,
+            priority,
+            severity,
+            type,
+            tags,
+            assignedTo,
+            dueDate,
+          }) => ({
+            changes: {
+              ...(description && { description }),
+              ...(status && {
+                status: await resolverService.resolveIssueStatus(
+                  projectId,
+                  status
+                ),
+              }),
+              ...(priority && {
+                priority: await resolverService.resolvePriority(
+                  projectId,
+                  priority
+                ),
+              }),
+              ...(severity && {
+                severity: await resolverService.resolveSeverity(
+                  projectId,
+                  severity
+                ),
+              }),
+              ...(type && {
+                type: await resolverService.resolveIssueType(projectId, type),
+              }),
+              ...(tags && { tags }),
+              ...(assignedTo && {
+                assigned_to: await resolverService.resolveUser(
+                  projectId,
+                  assignedTo
+                ),
+              }),
+              ...(dueDate && { due_date: dueDate }),
+            },
+          }),
+          createBatch: (subjects) =>
+            issueService.bulkCreateIssues(projectId, subjects),
+          update: (issue, changes) =>
+            issueService.updateIssue(issue.id, changes, issue.version),
+        });
+
+        const structuredContent = toBulkCreate("issue", results, toIssue);
+        return {
+          ...(structuredContent.created === 0 && { isError: true }),
+          content: [
+            { type: "text", text: formatBulkResults(results, "issues") },
+          ],
+          structuredContent,
+        };
+      } catch (error) {
+        return toolError("Failed to create issues", error);
       }
     }
   );
 
   // Update issue
-  server.tool(
+  server.registerTool(
     "taiga_updateIssue",
-    "Update an existing issue",
     {
-      issueId: z.number().describe("Issue ID to update"),
-      subject: z.string().optional().describe("New issue subject"),
-      description: z.string().optional().describe("New issue description"),
-      statusName: z.string().optional().describe("New status name"),
-      priority: z.string().optional().describe("New priority name"),
-      severity: z.string().optional().describe("New severity name"),
-      type: z.string().optional().describe("New issue type name"),
-      assignedTo: z.number().optional().describe("User ID to assign issue to"),
-      dueDate: z.string().optional().describe("Due date (YYYY-MM-DD format)"),
+      title: "Update Issue",
+      description: "Update an existing issue",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...itemReferenceShape("issueId", "Issue"),
+        subject: z.string().optional().describe("New issue subject"),
+        description: z.string().optional().describe("New issue description"),
+        statusName: z.string().optional().describe("New status name"),
+        priority: z.string().optional().describe("New priority name"),
+        severity: z.string().optional().describe("New severity name"),
+        type: z.string().optional().describe("New issue type name"),
+        assignedTo: z
+          .union([z.number(), z.string()])
+          .optional()
+          .describe("User to assign issue to (ID, username or email)"),
+        dueDate: z.string().optional().describe("Due date (YYYY-MM-DD format)"),
+        ...customAttributesShape(),
+        ...expectedVersionShape(),
+      },
+      outputSchema: {
+        issue: issueSchema,
+        customAttributes: customAttributeValuesSchema.optional(),
+      },
     },
     async ({
       issueId,
+      projectIdentifier,
+      ref,
       subject,
       description,
       statusName,
@@ -223,19 +453,75 @@ ${issue.description ? `Description: ${issue.description}` : ""}
       type,
       assignedTo,
       dueDate,
+      customAttributes,
+      expectedVersion,
     }) => {
       try {
+        const resolvedIssueId = await resolverService.resolveItemId("issue", {
+          id: issueId,
+          projectIdentifier,
+          ref,
+        });
+
         const updateData = {};
         if (subject) updateData.subject = subject;
         if (description) updateData.description = description;
-        if (statusName) updateData.status = statusName;
-        if (priority) updateData.priority = priority;
-        if (severity) updateData.severity = severity;
-        if (type) updateData.type = type;
-        if (assignedTo) updateData.assigned_to = assignedTo;
         if (dueDate) updateData.due_date = dueDate;
 
-        const issue = await issueService.updateIssue(issueId, updateData);
+        // Names need the issue's project to be resolved to IDs
+        let attributeValues;
+        if (
+          statusName ||
+          priority ||
+          severity ||
+          type ||
+          assignedTo ||
+          customAttributes
+        ) {
+          const { project } = await issueService.getIssue(resolvedIssueId);
+          if (statusName)
+            updateData.status = await resolverService.resolveIssueStatus(
+              project,
+              statusName
+            );
+          if (priority)
+            updateData.priority = await resolverService.resolvePriority(
+              project,
+              priority
+            );
+          if (severity)
+            updateData.severity = await resolverService.resolveSeverity(
+              project,
+              severity
+            );
+          if (type)
+            updateData.type = await resolverService.resolveIssueType(
+              project,
+              type
+            );
+          if (assignedTo)
+            updateData.assigned_to = await resolverService.resolveUser(
+              project,
+              assignedTo
+            );
+          // Checked before anything is changed
+          if (customAttributes)
+            attributeValues =
+              await resolverService.resolveCustomAttributeValues(
+                "issue",
+                project,
+                customAttributes
+              );
+        }
+
+        const issue = await issueService.updateIssue(
+          resolvedIssueId,
+          updateData,
+          expectedVersion
+        );
+        const updatedAttributes =
+          attributeValues &&
+          (await writeCustomAttributes("issue", issue, attributeValues));
         return {
           content: [
             {
@@ -250,53 +536,101 @@ Severity: ${issue.severity_extra_info?.name || "N/A"}
 Type: ${issue.type_extra_info?.name || "N/A"}
 Assigned to: ${issue.assigned_to_extra_info?.full_name || "Unassigned"}
 Modified: ${issue.modified_date}
+Version: ${issue.version}
 ${issue.due_date ? `Due Date: ${issue.due_date}` : ""}
 ${issue.description ? `Description: ${issue.description}` : ""}
-`,
+${formatCustomAttributes(updatedAttributes)}`,
             },
           ],
+          structuredContent: {
+            issue: toIssue(issue),
+            customAttributes: updatedAttributes,
+          },
         };
       } catch (error) {
-        throw new Error(`Failed to update issue: ${error.message}`);
+        return toolError("Failed to update issue", error);
       }
     }
   );
 
   // Delete issue
-  server.tool(
+  server.registerTool(
     "taiga_deleteIssue",
-    "Delete an issue",
     {
-      issueId: z.number().describe("Issue ID to delete"),
+      title: "Delete Issue",
+      description: "Delete an issue",
+      annotations: toolAnnotations("delete"),
+      inputSchema: {
+        ...itemReferenceShape("issueId", "Issue"),
+        ...confirmationShape(),
+      },
+      outputSchema: deletedShape(),
     },
-    async ({ issueId }) => {
+    async ({ issueId, projectIdentifier, ref, confirmationToken }, extra) => {
       try {
-        await issueService.deleteIssue(issueId);
+        const resolvedIssueId = await resolverService.resolveItemId("issue", {
+          id: issueId,
+          projectIdentifier,
+          ref,
+        });
+        const issue = await issueService.getIssue(resolvedIssueId);
+        const unconfirmed = await confirmDeletion(server, extra, {
+          tool: "taiga_deleteIssue",
+          id: resolvedIssueId,
+          summary: describeWorkItem("issue", issue),
+          recreatable: true,
+          confirmationToken,
+        });
+        if (unconfirmed) {
+          return unconfirmed;
+        }
+        await issueService.deleteIssue(resolvedIssueId);
         return {
           content: [
             {
               type: "text",
-              text: `Issue ${issueId} deleted successfully.`,
+              text: `Issue ${resolvedIssueId} deleted successfully.`,
             },
           ],
+          structuredContent: { deleted: true, id: resolvedIssueId },
         };
       } catch (error) {
-        throw new Error(`Failed to delete issue: ${error.message}`);
+        return toolError("Failed to delete issue", error);
       }
     }
   );
 
   // Assign issue
-  server.tool(
+  server.registerTool(
     "taiga_assignIssue",
-    "Assign an issue to a user",
     {
-      issueId: z.number().describe("Issue ID"),
-      userId: z.number().describe("User ID to assign the issue to"),
+      title: "Assign Issue",
+      description: "Assign an issue to a user",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...itemReferenceShape("issueId", "Issue"),
+        userId: z
+          .union([z.number(), z.string()])
+          .describe("User to assign the issue to (ID, username or email)"),
+      },
+      outputSchema: { issue: issueSchema },
     },
-    async ({ issueId, userId }) => {
+    async ({ issueId, projectIdentifier, ref, userId }) => {
       try {
-        const issue = await issueService.assignIssueToUser(issueId, userId);
+        const resolvedIssueId = await resolverService.resolveItemId("issue", {
+          id: issueId,
+          projectIdentifier,
+          ref,
+        });
+        const { project } = await issueService.getIssue(resolvedIssueId);
+        const resolvedUserId = await resolverService.resolveUser(
+          project,
+          userId
+        );
+        const issue = await issueService.assignIssueToUser(
+          resolvedIssueId,
+          resolvedUserId
+        );
         return {
           content: [
             {
@@ -308,23 +642,34 @@ Assigned to: ${issue.assigned_to_extra_info?.full_name || userId}
 `,
             },
           ],
+          structuredContent: { issue: toIssue(issue) },
         };
       } catch (error) {
-        throw new Error(`Failed to assign issue: ${error.message}`);
+        return toolError("Failed to assign issue", error);
       }
     }
   );
 
   // Unassign issue
-  server.tool(
+  server.registerTool(
     "taiga_unassignIssue",
-    "Unassign an issue from its current user",
     {
-      issueId: z.number().describe("Issue ID"),
+      title: "Unassign Issue",
+      description: "Unassign an issue from its current user",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...itemReferenceShape("issueId", "Issue"),
+      },
+      outputSchema: { issue: issueSchema },
     },
-    async ({ issueId }) => {
+    async ({ issueId, projectIdentifier, ref }) => {
       try {
-        const issue = await issueService.unassignIssueFromUser(issueId);
+        const resolvedIssueId = await resolverService.resolveItemId("issue", {
+          id: issueId,
+          projectIdentifier,
+          ref,
+        });
+        const issue = await issueService.unassignIssueFromUser(resolvedIssueId);
         return {
           content: [
             {
@@ -336,30 +681,31 @@ Status: Unassigned
 `,
             },
           ],
+          structuredContent: { issue: toIssue(issue) },
         };
       } catch (error) {
-        throw new Error(`Failed to unassign issue: ${error.message}`);
+        return toolError("Failed to unassign issue", error);
       }
     }
   );
 
   // Get issue statuses
-  server.tool(
+  server.registerTool(
     "taiga_getIssueStatuses",
-    "Get all available issue statuses for a project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
+      title: "Get Issue Statuses",
+      description: "Get all available issue statuses for a project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+      },
+      outputSchema: { statuses: z.array(choiceSchema) },
     },
     async ({ projectIdentifier }) => {
       try {
-        // Resolve project ID if slug is provided
-        let resolvedProjectId = projectIdentifier;
-        if (isNaN(Number(projectIdentifier))) {
-          const project = await projectService.getProjectBySlug(
-            projectIdentifier
-          );
-          resolvedProjectId = project.id;
-        }
+        const resolvedProjectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
 
         const statuses = await issueService.getIssueStatuses(resolvedProjectId);
         return {
@@ -380,30 +726,31 @@ ${statuses
 Total: ${statuses.length} status(es)`,
             },
           ],
+          structuredContent: { statuses: statuses.map(toChoice) },
         };
       } catch (error) {
-        throw new Error(`Failed to get issue statuses: ${error.message}`);
+        return toolError("Failed to get issue statuses", error);
       }
     }
   );
 
   // Get issue priorities
-  server.tool(
+  server.registerTool(
     "taiga_getIssuePriorities",
-    "Get all available issue priorities for a project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
+      title: "Get Issue Priorities",
+      description: "Get all available issue priorities for a project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+      },
+      outputSchema: { priorities: z.array(choiceSchema) },
     },
     async ({ projectIdentifier }) => {
       try {
-        // Resolve project ID if slug is provided
-        let resolvedProjectId = projectIdentifier;
-        if (isNaN(Number(projectIdentifier))) {
-          const project = await projectService.getProjectBySlug(
-            projectIdentifier
-          );
-          resolvedProjectId = project.id;
-        }
+        const resolvedProjectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
 
         const priorities = await issueService.getIssuePriorities(
           resolvedProjectId
@@ -424,30 +771,31 @@ ${priorities
 Total: ${priorities.length} prioritie(s)`,
             },
           ],
+          structuredContent: { priorities: priorities.map(toChoice) },
         };
       } catch (error) {
-        throw new Error(`Failed to get issue priorities: ${error.message}`);
+        return toolError("Failed to get issue priorities", error);
       }
     }
   );
 
   // Get issue severities
-  server.tool(
+  server.registerTool(
     "taiga_getIssueSeverities",
-    "Get all available issue severities for a project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
+      title: "Get Issue Severities",
+      description: "Get all available issue severities for a project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+      },
+      outputSchema: { severities: z.array(choiceSchema) },
     },
     async ({ projectIdentifier }) => {
       try {
-        // Resolve project ID if slug is provided
-        let resolvedProjectId = projectIdentifier;
-        if (isNaN(Number(projectIdentifier))) {
-          const project = await projectService.getProjectBySlug(
-            projectIdentifier
-          );
-          resolvedProjectId = project.id;
-        }
+        const resolvedProjectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
 
         const severities = await issueService.getIssueSeverities(
           resolvedProjectId
@@ -468,30 +816,31 @@ ${severities
 Total: ${severities.length} severitie(s)`,
             },
           ],
+          structuredContent: { severities: severities.map(toChoice) },
         };
       } catch (error) {
-        throw new Error(`Failed to get issue severities: ${error.message}`);
+        return toolError("Failed to get issue severities", error);
       }
     }
   );
 
   // Get issue types
-  server.tool(
+  server.registerTool(
     "taiga_getIssueTypes",
-    "Get all available issue types for a project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
+      title: "Get Issue Types",
+      description: "Get all available issue types for a project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+      },
+      outputSchema: { types: z.array(choiceSchema) },
     },
     async ({ projectIdentifier }) => {
       try {
-        // Resolve project ID if slug is provided
-        let resolvedProjectId = projectIdentifier;
-        if (isNaN(Number(projectIdentifier))) {
-          const project = await projectService.getProjectBySlug(
-            projectIdentifier
-          );
-          resolvedProjectId = project.id;
-        }
+        const resolvedProjectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
 
         const types = await issueService.getIssueTypes(resolvedProjectId);
         return {
@@ -507,9 +856,10 @@ ${types
 Total: ${types.length} type(s)`,
             },
           ],
+          structuredContent: { types: types.map(toChoice) },
         };
       } catch (error) {
-        throw new Error(`Failed to get issue types: ${error.message}`);
+        return toolError("Failed to get issue types", error);
       }
     }
   );
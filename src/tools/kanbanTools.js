@@ -0,0 +1,367 @@
+import { z } from "zod";
+import { TaigaValidationError } from "../errors.js";
+import { resolverService } from "../services/resolverServices.js";
+import { userStoryService } from "../services/userStoryServices.js";
+import {
+  findAnchor,
+  formatMoved,
+  getUserStoriesByRef,
+  positionShape,
+  refetchUserStories,
+  userStoriesShape,
+} from "./storyPlacement.js";
+import { toolAnnotations, toolError } from "./toolHelpers.js";
+import {
+  kanbanColumnSchema,
+  toChoice,
+  toKanbanCard,
+  toUserStory,
+  userStorySchema,
+} from "./structuredOutput.js";
+
+/**
+ * Sort statuses or swimlanes by their order on the board
+ * @param {Array<Object>} entries - Statuses or swimlanes
+ * @returns {Array<Object>} - Sorted copy
+ */
+function byOrder(entries) {
+  return [...entries].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+/**
+ * Sort user stories by their Kanban order
+ * @param {Array<Object>} userStories - User stories
+ * @returns {Array<Object>} - Sorted copy
+ */
+function byKanbanOrder(userStories) {
+  return [...userStories].sort(
+    (a, b) => (a.kanban_order ?? 0) - (b.kanban_order ?? 0)
+  );
+}
+
+/**
+ * Group user stories into the columns and swimlanes of the Kanban board
+ * @param {Array<Object>} statuses - User story statuses of the project
+ * @param {Array<Object>} swimlanes - Swimlanes of the project
+ * @param {Array<Object>} userStories - User stories of the project
+ * @param {boolean} includeArchived - List the stories of archived columns
+ * @returns {Array<Object>} - Columns matching kanbanColumnSchema
+ */
+function buildBoard(statuses, swimlanes, userStories, includeArchived) {
+  const lanes = byOrder(swimlanes).map(({ id, name }) => ({ id, name }));
+  const laneIds = new Set(lanes.map((lane) => lane.id));
+  const isUnclassified = (story) => !laneIds.has(story.swimlane);
+  // Stories without a swimlane are shown first, as on Taiga's board
+  const groups =
+    lanes.length === 0 || userStories.some(isUnclassified)
+      ? [null, ...lanes]
+      : lanes;
+
+  return byOrder(statuses).map((status) => {
+    const stories = byKanbanOrder(
+      userStories.filter((story) => story.status === status.id)
+    );
+    const isArchived = Boolean(status.is_archived);
+    return {
+      status: toChoice(status),
+      wipLimit: status.wip_limit ?? null,
+      count: stories.length,
+      overWipLimit:
+        Boolean(status.wip_limit) && stories.length > status.wip_limit,
+      isArchived,
+      swimlanes: groups.map((lane) => {
+        const inLane = stories.filter((story) =>
+          lane ? story.swimlane === lane.id : isUnclassified(story)
+        );
+        return {
+          swimlane: lane,
+          count: inLane.length,
+          userStories:
+            isArchived && !includeArchived ? [] : inLane.map(toKanbanCard),
+        };
+      }),
+    };
+  });
+}
+
+/**
+ * Describe the size of a column against its WIP limit
+ * @param {number} count - Stories in the column
+ * @param {number|null} wipLimit - WIP limit of the column
+ * @returns {string} - Count with the limit, if any
+ */
+function describeWip(count, wipLimit) {
+  if (!wipLimit) {
+    return `${count}`;
+  }
+  return `${count} of WIP limit ${wipLimit}${
+    count > wipLimit ? ", over the limit" : ""
+  }`;
+}
+
+/**
+ * Format a Kanban card for display
+ * @param {Object} card - Card from toKanbanCard
+ * @returns {string} - One line
+ */
+function formatCard(card) {
+  return `- #${card.ref}: ${card.subject}${
+    card.assignedTo
+      ? ` (${card.assignedTo.name || `user ${card.assignedTo.id}`})`
+      : ""
+  }${card.isBlocked ? " [BLOCKED]" : ""}`;
+}
+
+/**
+ * Format the stories of one swimlane of a column for display
+ * @param {Object} lane - Swimlane group of a column from buildBoard
+ * @returns {string} - Swimlane name followed by its stories
+ */
+function formatLane(lane) {
+  const name = lane.swimlane?.name || "Unclassified";
+  const cards = lane.userStories.map((card) => `  ${formatCard(card)}`);
+  return [`  ${name} (${lane.count}):`, ...cards].join("\n");
+}
+
+/**
+ * Format a Kanban column for display
+ * @param {Object} column - Column from buildBoard
+ * @param {boolean} includeArchived - Whether archived columns list stories
+ * @returns {string} - Heading followed by its stories
+ */
+function formatColumn(column, includeArchived) {
+  const heading = `${column.status.name} (${describeWip(
+    column.count,
+    column.wipLimit
+  )})`;
+  if (column.isArchived && !includeArchived && column.count > 0) {
+    return `${heading}\nArchived; pass includeArchived to list its stories`;
+  }
+  const lanes = column.swimlanes.filter((lane) => lane.count > 0);
+  if (lanes.length === 0) {
+    return `${heading}\n(empty)`;
+  }
+  if (column.swimlanes.length === 1 && !lanes[0].swimlane) {
+    return `${heading}\n${lanes[0].userStories.map(formatCard).join("\n")}`;
+  }
+  return `${heading}\n${lanes.map(formatLane).join("\n")}`;
+}
+
+/**
+ * The value all user stories share for a field, for moves that keep it
+ * @param {Array<Object>} stories - User stories
+ * @param {string} field - Field name, status or swimlane
+ * @returns {*} - Shared value
+ */
+function sharedValue(stories, field) {
+  const values = new Set(stories.map((story) => story[field] ?? null));
+  if (values.size > 1) {
+    throw new TaigaValidationError(
+      `The user stories don't share a ${field}; give the ${field} to move them to`,
+      { fieldErrors: { [field]: ["This field is required."] } }
+    );
+  }
+  return [...values][0];
+}
+
+/**
+ * Register Kanban board tools
+ * @param {McpServer} server - The MCP server instance
+ */
+export function registerKanbanTools(server) {
+  // Get the Kanban board of a project
+  server.registerTool(
+    "taiga_getKanbanBoard",
+    {
+      title: "Get Kanban Board",
+      description:
+        "Get the Kanban board of a project: user stories grouped by status column and swimlane in Kanban order, with counts and WIP limits per column",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        includeArchived: z
+          .boolean()
+          .optional()
+          .describe(
+            "Also list the stories of archived columns, which are only counted by default"
+          ),
+      },
+      outputSchema: { columns: z.array(kanbanColumnSchema) },
+    },
+    async ({ projectIdentifier, includeArchived = false }) => {
+      try {
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
+        // Read fresh rather than from the resolver cache, so WIP limits and
+        // new swimlanes show up straight away
+        const statuses = await userStoryService.getUserStoryStatuses(projectId);
+        const swimlanes = await userStoryService.getSwimlanes(projectId);
+        const { items } = await userStoryService.listUserStories(projectId);
+
+        const columns = buildBoard(statuses, swimlanes, items, includeArchived);
+        const overLimit = columns.filter((column) => column.overWipLimit);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Kanban board with ${items.length} user story(ies)${
+                overLimit.length > 0
+                  ? `, ${overLimit.length} column(s) over their WIP limit`
+                  : ""
+              }:
+
+${columns.map((column) => formatColumn(column, includeArchived)).join("\n\n")}`,
+            },
+          ],
+          structuredContent: { columns },
+        };
+      } catch (error) {
+        return toolError("Failed to get Kanban board", error);
+      }
+    }
+  );
+
+  // Move user stories to a column and position on the Kanban board
+  server.registerTool(
+    "taiga_moveOnKanban",
+    {
+      title: "Move on Kanban",
+      description:
+        "Move user stories on the Kanban board: change their status column and swimlane and place them at a position in it, in one call",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...userStoriesShape(),
+        status: z
+          .string()
+          .optional()
+          .describe(
+            "Status (column) to move them to. Defaults to their current status"
+          ),
+        swimlane: z
+          .union([z.number(), z.string()])
+          .nullable()
+          .optional()
+          .describe(
+            "Swimlane name or ID to move them to, or null for no swimlane. Defaults to their current swimlane"
+          ),
+        ...positionShape(false),
+      },
+      outputSchema: {
+        userStories: z.array(userStorySchema),
+        column: z.object({
+          status: z.object({ id: z.number(), name: z.string().nullable() }),
+          count: z.number(),
+          wipLimit: z.number().nullable(),
+          overWipLimit: z.boolean(),
+        }),
+      },
+    },
+    async ({
+      projectIdentifier,
+      userStories,
+      status,
+      swimlane,
+      position = "bottom",
+      relativeTo,
+    }) => {
+      try {
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
+        const stories = await getUserStoriesByRef(projectId, userStories);
+
+        const statusId =
+          status === undefined
+            ? sharedValue(stories, "status")
+            : await resolverService.resolveUserStoryStatus(projectId, status);
+        const swimlanes = await resolverService.getChoices(
+          "swimlane",
+          projectId
+        );
+        let swimlaneId;
+        if (swimlanes.length > 0) {
+          swimlaneId =
+            swimlane === undefined
+              ? sharedValue(stories, "swimlane")
+              : swimlane === null
+              ? null
+              : await resolverService.resolveSwimlane(projectId, swimlane);
+        }
+
+        const movedIds = new Set(stories.map((story) => story.id));
+        const { items } = await userStoryService.listUserStories(projectId, {
+          status: statusId,
+        });
+        const others = byKanbanOrder(
+          items.filter(
+            (story) =>
+              !movedIds.has(story.id) &&
+              (swimlaneId === undefined ||
+                (story.swimlane ?? null) === swimlaneId)
+          )
+        );
+        const anchor = await findAnchor(projectId, others, {
+          position,
+          relativeTo,
+          where: "the column",
+        });
+
+        await userStoryService.moveOnKanban(
+          projectId,
+          stories.map((story) => story.id),
+          { statusId, swimlaneId, ...anchor }
+        );
+
+        const moved = await refetchUserStories(stories);
+        // Read fresh, like taiga_getKanbanBoard, for the current WIP limit
+        const statusInfo = (
+          await userStoryService.getUserStoryStatuses(projectId)
+        ).find((entry) => entry.id === statusId);
+        const wipLimit = statusInfo?.wip_limit ?? null;
+        const count =
+          items.filter((story) => !movedIds.has(story.id)).length +
+          moved.length;
+        const column = {
+          status: { id: statusId, name: statusInfo?.name ?? null },
+          count,
+          wipLimit,
+          overWipLimit: Boolean(wipLimit) && count > wipLimit,
+        };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${formatMoved(
+                `Moved ${moved.length} user story(ies) to ${
+                  column.status.name || `status ${statusId}`
+                }${
+                  swimlaneId === undefined
+                    ? ""
+                    : `, ${
+                        swimlanes.find((lane) => lane.id === swimlaneId)
+                          ?.name || "no swimlane"
+                      }`
+                }:`,
+                moved
+              )}
+
+The column now holds ${count} user story(ies)${
+                wipLimit
+                  ? `, WIP limit ${wipLimit}${
+                      column.overWipLimit ? " (over the limit)" : ""
+                    }`
+                  : ""
+              }.`,
+            },
+          ],
+          structuredContent: { userStories: moved.map(toUserStory), column },
+        };
+      } catch (error) {
+        return toolError("Failed to move user stories on Kanban", error);
+      }
+    }
+  );
+}
@@ -1,6 +1,21 @@
 import { z } from "zod";
 import { projectService } from "../services/projectServices.js";
 import { milestoneService } from "../services/milestoneServices.js";
+import { confirmDeletion, confirmationShape, countOf } from "./confirmation.js";
+import {
+  paginationShape,
+  paginationSummary,
+  toolAnnotations,
+  toolError,
+} from "./toolHelpers.js";
+import {
+  deletedShape,
+  listShape,
+  milestoneSchema,
+  statsSchema,
+  toList,
+  toMilestone,
+} from "./structuredOutput.js";
 
 /**
  * Register milestone management tools
@@ -8,17 +23,25 @@ import { milestoneService } from "../services/milestoneServices.js";
  */
 export function registerMilestoneTools(server) {
   // List milestones
-  server.tool(
+  server.registerTool(
     "taiga_listMilestones",
-    "List all milestones (sprints) for a specific project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
-      closed: z
-        .boolean()
-        .optional()
-        .describe("Filter by closed status (true for closed, false for open)"),
+      title: "List Milestones",
+      description: "List all milestones (sprints) for a specific project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        closed: z
+          .boolean()
+          .optional()
+          .describe(
+            "Filter by closed status (true for closed, false for open)"
+          ),
+        ...paginationShape(),
+      },
+      outputSchema: listShape("milestones", milestoneSchema),
     },
-    async ({ projectIdentifier, closed }) => {
+    async ({ projectIdentifier, closed, page, pageSize, limit }) => {
       try {
         // Resolve project ID if slug is provided
         let resolvedProjectId = projectIdentifier;
@@ -29,15 +52,13 @@ export function registerMilestoneTools(server) {
           resolvedProjectId = project.id;
         }
 
-        const milestones = await milestoneService.listMilestones(
-          resolvedProjectId
+        // Let Taiga filter by closed status so the total count matches
+        const result = await milestoneService.listMilestones(
+          resolvedProjectId,
+          closed !== undefined ? { closed } : {},
+          { page, pageSize, limit }
         );
-
-        // Filter by closed status if specified
-        const filteredMilestones =
-          closed !== undefined
-            ? milestones.filter((m) => m.closed === closed)
-            : milestones;
+        const milestones = result.items;
 
         return {
           content: [
@@ -45,7 +66,7 @@ export function registerMilestoneTools(server) {
               type: "text",
               text: `Milestones for project ${projectIdentifier}:
 
-${filteredMilestones
+${milestones
   .map(
     (milestone) =>
       `Milestone: ${milestone.name}
@@ -73,24 +94,30 @@ ${filteredMilestones
   )
   .join("\n")}
 
-Total: ${filteredMilestones.length} milestone(s)${
+${paginationSummary(result, "milestone(s)")}${
                 closed !== undefined ? ` (${closed ? "closed" : "open"})` : ""
               }`,
             },
           ],
+          structuredContent: toList("milestones", result, toMilestone),
         };
       } catch (error) {
-        throw new Error(`Failed to list milestones: ${error.message}`);
+        return toolError("Failed to list milestones", error);
       }
     }
   );
 
   // Get milestone
-  server.tool(
+  server.registerTool(
     "taiga_getMilestone",
-    "Get details of a specific milestone by ID",
     {
-      milestoneId: z.number().describe("Milestone ID"),
+      title: "Get Milestone",
+      description: "Get details of a specific milestone by ID",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        milestoneId: z.number().describe("Milestone ID"),
+      },
+      outputSchema: { milestone: milestoneSchema },
     },
     async ({ milestoneId }) => {
       try {
@@ -121,26 +148,32 @@ ${milestone.slug ? `Slug: ${milestone.slug}` : ""}
 `,
             },
           ],
+          structuredContent: { milestone: toMilestone(milestone) },
         };
       } catch (error) {
-        throw new Error(`Failed to get milestone: ${error.message}`);
+        return toolError("Failed to get milestone", error);
       }
     }
   );
 
   // Create milestone
-  server.tool(
+  server.registerTool(
     "taiga_createMilestone",
-    "Create a new milestone (sprint) in a project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
-      name: z.string().describe("Milestone name"),
-      estimatedStart: z.string().describe("Start date (YYYY-MM-DD format)"),
-      estimatedFinish: z.string().describe("Finish date (YYYY-MM-DD format)"),
-      disponibility: z
-        .number()
-        .optional()
-        .describe("Disponibility percentage (0-100)"),
+      title: "Create Milestone",
+      description: "Create a new milestone (sprint) in a project",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        name: z.string().describe("Milestone name"),
+        estimatedStart: z.string().describe("Start date (YYYY-MM-DD format)"),
+        estimatedFinish: z.string().describe("Finish date (YYYY-MM-DD format)"),
+        disponibility: z
+          .number()
+          .optional()
+          .describe("Disponibility percentage (0-100)"),
+      },
+      outputSchema: { milestone: milestoneSchema },
     },
     async ({
       projectIdentifier,
@@ -185,36 +218,42 @@ ${milestone.slug ? `Slug: ${milestone.slug}` : ""}
 `,
             },
           ],
+          structuredContent: { milestone: toMilestone(milestone) },
         };
       } catch (error) {
-        throw new Error(`Failed to create milestone: ${error.message}`);
+        return toolError("Failed to create milestone", error);
       }
     }
   );
 
   // Update milestone
-  server.tool(
+  server.registerTool(
     "taiga_updateMilestone",
-    "Update an existing milestone",
     {
-      milestoneId: z.number().describe("Milestone ID to update"),
-      name: z.string().optional().describe("New milestone name"),
-      estimatedStart: z
-        .string()
-        .optional()
-        .describe("New start date (YYYY-MM-DD format)"),
-      estimatedFinish: z
-        .string()
-        .optional()
-        .describe("New finish date (YYYY-MM-DD format)"),
-      disponibility: z
-        .number()
-        .optional()
-        .describe("New disponibility percentage (0-100)"),
-      closed: z
-        .boolean()
-        .optional()
-        .describe("Whether to close/open the milestone"),
+      title: "Update Milestone",
+      description: "Update an existing milestone",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        milestoneId: z.number().describe("Milestone ID to update"),
+        name: z.string().optional().describe("New milestone name"),
+        estimatedStart: z
+          .string()
+          .optional()
+          .describe("New start date (YYYY-MM-DD format)"),
+        estimatedFinish: z
+          .string()
+          .optional()
+          .describe("New finish date (YYYY-MM-DD format)"),
+        disponibility: z
+          .number()
+          .optional()
+          .describe("New disponibility percentage (0-100)"),
+        closed: z
+          .boolean()
+          .optional()
+          .describe("Whether to close/open the milestone"),
+      },
+      outputSchema: { milestone: milestoneSchema },
     },
     async ({
       milestoneId,
@@ -258,22 +297,44 @@ Progress:
 `,
             },
           ],
+          structuredContent: { milestone: toMilestone(milestone) },
         };
       } catch (error) {
-        throw new Error(`Failed to update milestone: ${error.message}`);
+        return toolError("Failed to update milestone", error);
       }
     }
   );
 
   // Delete milestone
-  server.tool(
+  server.registerTool(
     "taiga_deleteMilestone",
-    "Delete a milestone",
     {
-      milestoneId: z.number().describe("Milestone ID to delete"),
+      title: "Delete Milestone",
+      description: "Delete a milestone",
+      annotations: toolAnnotations("delete"),
+      inputSchema: {
+        milestoneId: z.number().describe("Milestone ID to delete"),
+        ...confirmationShape(),
+      },
+      outputSchema: deletedShape(),
     },
-    async ({ milestoneId }) => {
+    async ({ milestoneId, confirmationToken }, extra) => {
       try {
+        const milestone = await milestoneService.getMilestone(milestoneId);
+        const unconfirmed = await confirmDeletion(server, extra, {
+          tool: "taiga_deleteMilestone",
+          id: milestoneId,
+          summary: `milestone "${milestone.name}", with ${countOf(
+            milestone.user_stories?.length ?? 0,
+            "user story",
+            "user stories"
+          )}`,
+          recreatable: true,
+          confirmationToken,
+        });
+        if (unconfirmed) {
+          return unconfirmed;
+        }
         await milestoneService.deleteMilestone(milestoneId);
         return {
           content: [
@@ -282,19 +343,25 @@ Progress:
               text: `Milestone ${milestoneId} deleted successfully.`,
             },
           ],
+          structuredContent: { deleted: true, id: milestoneId },
         };
       } catch (error) {
-        throw new Error(`Failed to delete milestone: ${error.message}`);
+        return toolError("Failed to delete milestone", error);
       }
     }
   );
 
   // Close milestone
-  server.tool(
+  server.registerTool(
     "taiga_closeMilestone",
-    "Close a milestone (sprint)",
     {
-      milestoneId: z.number().describe("Milestone ID to close"),
+      title: "Close Milestone",
+      description: "Close a milestone (sprint)",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        milestoneId: z.number().describe("Milestone ID to close"),
+      },
+      outputSchema: { milestone: milestoneSchema },
     },
     async ({ milestoneId }) => {
       try {
@@ -322,19 +389,25 @@ Final Stats:
 `,
             },
           ],
+          structuredContent: { milestone: toMilestone(milestone) },
         };
       } catch (error) {
-        throw new Error(`Failed to close milestone: ${error.message}`);
+        return toolError("Failed to close milestone", error);
       }
     }
   );
 
   // Reopen milestone
-  server.tool(
+  server.registerTool(
     "taiga_reopenMilestone",
-    "Reopen a closed milestone",
     {
-      milestoneId: z.number().describe("Milestone ID to reopen"),
+      title: "Reopen Milestone",
+      description: "Reopen a closed milestone",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        milestoneId: z.number().describe("Milestone ID to reopen"),
+      },
+      outputSchema: { milestone: milestoneSchema },
     },
     async ({ milestoneId }) => {
       try {
@@ -362,19 +435,25 @@ Current Stats:
 `,
             },
           ],
+          structuredContent: { milestone: toMilestone(milestone) },
         };
       } catch (error) {
-        throw new Error(`Failed to reopen milestone: ${error.message}`);
+        return toolError("Failed to reopen milestone", error);
       }
     }
   );
 
   // Get milestone statistics
-  server.tool(
+  server.registerTool(
     "taiga_getMilestoneStats",
-    "Get statistics for a specific milestone",
     {
-      milestoneId: z.number().describe("Milestone ID"),
+      title: "Get Milestone Stats",
+      description: "Get statistics for a specific milestone",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        milestoneId: z.number().describe("Milestone ID"),
+      },
+      outputSchema: { stats: statsSchema },
     },
     async ({ milestoneId }) => {
       try {
@@ -400,9 +479,10 @@ Progress: ${stats.completed_points || 0}/${
               )}%)`,
             },
           ],
+          structuredContent: { stats },
         };
       } catch (error) {
-        throw new Error(`Failed to get milestone statistics: ${error.message}`);
+        return toolError("Failed to get milestone statistics", error);
       }
     }
   );
@@ -1,5 +1,25 @@
 import { z } from "zod";
+import { CUSTOM_ATTRIBUTE_ITEM_TYPES } from "../services/customAttributeServices.js";
 import { projectService } from "../services/projectServices.js";
+import { resolverService } from "../services/resolverServices.js";
+import { confirmDeletion, confirmationShape, countOf } from "./confirmation.js";
+import {
+  toolAnnotations,
+  toolError,
+  workItemTypeSchema,
+} from "./toolHelpers.js";
+import {
+  customAttributeSchema,
+  deletedShape,
+  itemSummarySchema,
+  memberSchema,
+  projectSchema,
+  statsSchema,
+  toCustomAttribute,
+  toItemSummary,
+  toMember,
+  toProject,
+} from "./structuredOutput.js";
 
 /**
  * Register project tools
@@ -8,10 +28,15 @@ import { projectService } from "../services/projectServices.js";
  */
 export function registerProjectTools(server) {
   // Add tool for listing projects
-  server.tool(
+  server.registerTool(
     "taiga_listProjects",
-    "Get a list of all projects the user has access to",
-    {},
+    {
+      title: "List Projects",
+      description: "Get a list of all projects the user has access to",
+      annotations: toolAnnotations("read"),
+      inputSchema: {},
+      outputSchema: { projects: z.array(projectSchema) },
+    },
     async () => {
       try {
         const projects = await projectService.listProjects();
@@ -25,26 +50,25 @@ export function registerProjectTools(server) {
                 .join("\n")}`,
             },
           ],
+          structuredContent: { projects: projects.map(toProject) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to list projects: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to list projects", error);
       }
     }
   );
 
   // Add tool for getting project details
-  server.tool(
+  server.registerTool(
     "taiga_getProject",
-    "Get details of a specific project by ID or slug",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
+      title: "Get Project",
+      description: "Get details of a specific project by ID or slug",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+      },
+      outputSchema: { project: projectSchema },
     },
     async ({ projectIdentifier }) => {
       try {
@@ -76,31 +100,30 @@ Total Members: ${project.total_memberships}
             `,
             },
           ],
+          structuredContent: { project: toProject(project) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to get project details: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to get project details", error);
       }
     }
   );
 
   // Add tool for creating a project
-  server.tool(
+  server.registerTool(
     "taiga_createProject",
-    "Create a new project with name and description",
     {
-      name: z.string().describe("Project name"),
-      description: z.string().describe("Project description"),
-      isPrivate: z
-        .boolean()
-        .optional()
-        .describe("Whether the project is private (default: false)"),
+      title: "Create Project",
+      description: "Create a new project with name and description",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        name: z.string().describe("Project name"),
+        description: z.string().describe("Project description"),
+        isPrivate: z
+          .boolean()
+          .optional()
+          .describe("Whether the project is private (default: false)"),
+      },
+      outputSchema: { project: projectSchema },
     },
     async ({ name, description, isPrivate = false }) => {
       try {
@@ -125,32 +148,31 @@ Private: ${createdProject.is_private ? "Yes" : "No"}
             `,
             },
           ],
+          structuredContent: { project: toProject(createdProject) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to create project: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to create project", error);
       }
     }
   );
 
   // Add tool for updating a project
-  server.tool(
+  server.registerTool(
     "taiga_updateProject",
-    "Update an existing project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
-      name: z.string().optional().describe("New project name"),
-      description: z.string().optional().describe("New project description"),
-      isPrivate: z
-        .boolean()
-        .optional()
-        .describe("Whether the project is private"),
+      title: "Update Project",
+      description: "Update an existing project",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        name: z.string().optional().describe("New project name"),
+        description: z.string().optional().describe("New project description"),
+        isPrivate: z
+          .boolean()
+          .optional()
+          .describe("Whether the project is private"),
+      },
+      outputSchema: { project: projectSchema },
     },
     async ({ projectIdentifier, name, description, isPrivate }) => {
       try {
@@ -186,42 +208,30 @@ Private: ${updatedProject.is_private ? "Yes" : "No"}
             `,
             },
           ],
+          structuredContent: { project: toProject(updatedProject) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to update project: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to update project", error);
       }
     }
   );
 
   // Add tool for deleting a project
-  server.tool(
+  server.registerTool(
     "taiga_deleteProject",
-    "Delete a project (IRREVERSIBLE)",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
-      confirm: z
-        .boolean()
-        .describe("Confirmation that you want to delete the project"),
+      title: "Delete Project",
+      description:
+        "Delete a project with all its content (IRREVERSIBLE). The user is asked to confirm first",
+      annotations: toolAnnotations("delete"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        ...confirmationShape(),
+      },
+      outputSchema: deletedShape(),
     },
-    async ({ projectIdentifier, confirm }) => {
+    async ({ projectIdentifier, confirmationToken }, extra) => {
       try {
-        if (!confirm) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: "Project deletion cancelled. Please set 'confirm' to true to proceed with deletion.",
-              },
-            ],
-          };
-        }
         let projectId = projectIdentifier;
         if (isNaN(projectIdentifier)) {
           const project = await projectService.getProjectBySlug(
@@ -230,6 +240,21 @@ Private: ${updatedProject.is_private ? "Yes" : "No"}
           projectId = project.id;
         }
 
+        const project = await projectService.getProject(projectId);
+        const unconfirmed = await confirmDeletion(server, extra, {
+          tool: "taiga_deleteProject",
+          id: projectId,
+          summary: `project "${project.name}" (${
+            project.slug
+          }) with all its user stories, tasks, issues and wiki pages, shared by ${countOf(
+            project.total_memberships ?? 0,
+            "member"
+          )}`,
+          confirmationToken,
+        });
+        if (unconfirmed) {
+          return unconfirmed;
+        }
         await projectService.deleteProject(projectId);
 
         return {
@@ -239,26 +264,26 @@ Private: ${updatedProject.is_private ? "Yes" : "No"}
               text: `Project ${projectIdentifier} has been permanently deleted.`,
             },
           ],
+          structuredContent: { deleted: true, id: projectId },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to delete project: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to delete project", error);
       }
     }
   );
 
   // Add tool for getting project by slug
-  server.tool(
+  server.registerTool(
     "taiga_getProjectBySlug",
-    "Get project details specifically by slug (useful when you only have the slug)",
     {
-      slug: z.string().describe("Project slug"),
+      title: "Get Project by Slug",
+      description:
+        "Get project details specifically by slug (useful when you only have the slug)",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        slug: z.string().describe("Project slug"),
+      },
+      outputSchema: { project: projectSchema },
     },
     async ({ slug }) => {
       try {
@@ -283,29 +308,34 @@ Total Story Points: ${project.total_story_points || 0}
               `,
             },
           ],
+          structuredContent: { project: toProject(project) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to get project by slug: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to get project by slug", error);
       }
     }
   );
 
   // Search project
-  server.tool(
+  server.registerTool(
     "taiga_searchProject",
-    "Search for items within a project",
     {
-      projectId: z
-        .union([z.string(), z.number()])
-        .describe("Project ID or slug"),
-      searchText: z.string().describe("Text to search for"),
+      title: "Search Project",
+      description: "Search for items within a project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectId: z
+          .union([z.string(), z.number()])
+          .describe("Project ID or slug"),
+        searchText: z.string().describe("Text to search for"),
+      },
+      outputSchema: {
+        userStories: z.array(itemSummarySchema),
+        tasks: z.array(itemSummarySchema),
+        issues: z.array(itemSummarySchema),
+        epics: z.array(itemSummarySchema),
+        wikiPages: z.array(z.object({ id: z.number(), slug: z.string() })),
+      },
     },
     async ({ projectId, searchText }) => {
       try {
@@ -369,25 +399,44 @@ Total Story Points: ${project.total_story_points || 0}
               text: output,
             },
           ],
+          structuredContent: {
+            userStories: (results.userstories || []).map(toItemSummary),
+            tasks: (results.tasks || []).map(toItemSummary),
+            issues: (results.issues || []).map(toItemSummary),
+            epics: (results.epics || []).map(toItemSummary),
+            wikiPages: (results.wikipages || []).map((page) => ({
+              id: page.id,
+              slug: page.slug,
+            })),
+          },
         };
       } catch (error) {
-        throw new Error(`Failed to search project: ${error.message}`);
+        return toolError("Failed to search project", error);
       }
     }
   );
 
   // Export project
-  server.tool(
+  server.registerTool(
     "taiga_exportProject",
-    "Export project data (async operation)",
     {
-      projectId: z
-        .union([z.string(), z.number()])
-        .describe("Project ID or slug"),
+      title: "Export Project",
+      description: "Export project data (async operation)",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        projectId: z
+          .union([z.string(), z.number()])
+          .describe("Project ID or slug"),
+      },
+      outputSchema: {
+        exportId: z.string().nullable(),
+        status: z.string().nullable(),
+      },
     },
     async ({ projectId }) => {
       try {
-        // Resolve project ID if slug is provided        let resolvedProjectId = projectId;
+        // Resolve project ID if slug is provided
+        let resolvedProjectId = projectId;
         if (typeof projectId === "string" && isNaN(Number(projectId))) {
           const project = await projectService.getProjectBySlug(projectId);
           resolvedProjectId = project.id;
@@ -408,19 +457,37 @@ Status: ${exportResult.status || "Started"}
 Use the export ID with taiga_getExportStatus to check progress.`,
             },
           ],
+          structuredContent: {
+            exportId: exportResult.export_id
+              ? String(exportResult.export_id)
+              : null,
+            status: exportResult.status || null,
+          },
         };
       } catch (error) {
-        throw new Error(`Failed to export project: ${error.message}`);
+        return toolError("Failed to export project", error);
       }
     }
   );
 
   // Get export status
-  server.tool(
+  server.registerTool(
     "taiga_getExportStatus",
-    "Check the status of a project export",
     {
-      exportId: z.string().describe("Export ID returned from export operation"),
+      title: "Get Export Status",
+      description: "Check the status of a project export",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        exportId: z
+          .string()
+          .describe("Export ID returned from export operation"),
+      },
+      outputSchema: {
+        exportId: z.string(),
+        status: z.string().nullable(),
+        url: z.string().nullable(),
+        error: z.string().nullable(),
+      },
     },
     async ({ exportId }) => {
       try {
@@ -437,23 +504,37 @@ ${status.url ? `Download URL: ${status.url}` : ""}
 ${status.error ? `Error: ${status.error}` : ""}`,
             },
           ],
+          structuredContent: {
+            exportId,
+            status: status.status || null,
+            url: status.url || null,
+            error: status.error || null,
+          },
         };
       } catch (error) {
-        throw new Error(`Failed to get export status: ${error.message}`);
+        return toolError("Failed to get export status", error);
       }
     }
   );
 
   // Invite user to project
-  server.tool(
+  server.registerTool(
     "taiga_inviteProjectUser",
-    "Invite a user to join a project",
     {
-      projectId: z
-        .union([z.string(), z.number()])
-        .describe("Project ID or slug"),
-      email: z.string().email().describe("Email address of the user to invite"),
-      roleId: z.number().describe("Role ID for the user in the project"),
+      title: "Invite User to Project",
+      description: "Invite a user to join a project",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        projectId: z
+          .union([z.string(), z.number()])
+          .describe("Project ID or slug"),
+        email: z
+          .string()
+          .email()
+          .describe("Email address of the user to invite"),
+        roleId: z.number().describe("Role ID for the user in the project"),
+      },
+      outputSchema: { members: z.array(memberSchema) },
     },
     async ({ projectId, email, roleId }) => {
       try {
@@ -481,18 +562,24 @@ Role: ${invitation.role_name || "Unknown"}
 Status: Invitation sent`,
             },
           ],
+          structuredContent: { members: [].concat(invitation).map(toMember) },
         };
       } catch (error) {
-        throw new Error(`Failed to invite user to project: ${error.message}`);
+        return toolError("Failed to invite user to project", error);
       }
     }
   );
   // Add tool for getting project statistics
-  server.tool(
+  server.registerTool(
     "taiga_getProjectStats",
-    "Get statistics for a specific project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
+      title: "Get Project Stats",
+      description: "Get statistics for a specific project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+      },
+      outputSchema: { stats: statsSchema },
     },
     async ({ projectIdentifier }) => {
       try {
@@ -522,16 +609,69 @@ Total Milestones: ${stats.total_milestones || 0}
             `,
             },
           ],
+          structuredContent: { stats },
         };
       } catch (error) {
+        return toolError("Failed to get project statistics", error);
+      }
+    }
+  );
+
+  // List the custom attributes of a project
+  server.registerTool(
+    "taiga_listCustomAttributes",
+    {
+      title: "List Custom Attributes",
+      description:
+        "List the custom attributes a project defines for user stories, tasks, issues or epics, with their types and dropdown options",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        itemType: workItemTypeSchema(CUSTOM_ATTRIBUTE_ITEM_TYPES),
+      },
+      outputSchema: { customAttributes: z.array(customAttributeSchema) },
+    },
+    async ({ projectIdentifier, itemType }) => {
+      try {
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
+        const customAttributes = (
+          await resolverService.getCustomAttributes(itemType, projectId)
+        ).map(toCustomAttribute);
+
+        if (customAttributes.length === 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Project ${projectIdentifier} has no ${itemType} custom attributes.`,
+              },
+            ],
+            structuredContent: { customAttributes: [] },
+          };
+        }
+
         return {
           content: [
             {
               type: "text",
-              text: `Failed to get project statistics: ${error.message}`,
+              text: `Custom attributes of ${itemType} items in project ${projectIdentifier}:
+
+${customAttributes
+  .map(
+    (attribute) =>
+      `- ${attribute.name} (ID: ${attribute.id}, ${attribute.type})${
+        attribute.options ? `: ${attribute.options.join(", ")}` : ""
+      }${attribute.description ? `\n  ${attribute.description}` : ""}`
+  )
+  .join("\n")}`,
             },
           ],
+          structuredContent: { customAttributes },
         };
+      } catch (error) {
+        return toolError("Failed to list custom attributes", error);
       }
     }
   );
@@ -1,6 +1,8 @@
 import { z } from "zod";
 import { roleService } from "../services/roleServices.js";
 import { projectService } from "../services/projectServices.js";
+import { toolAnnotations, toolError } from "./toolHelpers.js";
+import { roleSchema, toRole } from "./structuredOutput.js";
 
 /**
  * Register role tools
@@ -8,14 +10,19 @@ import { projectService } from "../services/projectServices.js";
  */
 export function registerRoleTools(server) {
   // Add tool for listing roles
-  server.tool(
+  server.registerTool(
     "taiga_listRoles",
-    "Get a list of all roles, optionally filtered by project",
     {
-      projectIdentifier: z
-        .string()
-        .optional()
-        .describe("Optional project ID or slug to filter roles"),
+      title: "List Roles",
+      description: "Get a list of all roles, optionally filtered by project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z
+          .string()
+          .optional()
+          .describe("Optional project ID or slug to filter roles"),
+      },
+      outputSchema: { roles: z.array(roleSchema) },
     },
     async ({ projectIdentifier }) => {
       try {
@@ -62,26 +69,25 @@ export function registerRoleTools(server) {
               text: output,
             },
           ],
+          structuredContent: { roles: roles.map(toRole) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to list roles: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to list roles", error);
       }
     }
   );
 
   // Add tool for getting role details
-  server.tool(
+  server.registerTool(
     "taiga_getRole",
-    "Get details of a specific role by ID",
     {
-      roleId: z.union([z.string(), z.number()]).describe("Role ID"),
+      title: "Get Role",
+      description: "Get details of a specific role by ID",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        roleId: z.union([z.string(), z.number()]).describe("Role ID"),
+      },
+      outputSchema: { role: roleSchema },
     },
     async ({ roleId }) => {
       try {
@@ -111,16 +117,10 @@ Computable: ${role.computable ? "Yes" : "No"}${
               `,
             },
           ],
+          structuredContent: { role: toRole(role) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to get role details: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to get role details", error);
       }
     }
   );
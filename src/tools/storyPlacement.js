@@ -0,0 +1,144 @@
+import { z } from "zod";
+import { TaigaValidationError } from "../errors.js";
+import { parseRef, resolverService } from "../services/resolverServices.js";
+import { userStoryService } from "../services/userStoryServices.js";
+
+// A user story reference as the tools accept it
+const userStoryRef = z.union([z.number(), z.string()]);
+
+/**
+ * User stories a tool moves, by reference within the project
+ * @returns {Object} - Zod shape to spread into a tool's input schema
+ */
+export function userStoriesShape() {
+  return {
+    projectIdentifier: z.string().describe("Project ID or slug"),
+    userStories: z
+      .array(userStoryRef)
+      .min(1)
+      .describe(
+        'User stories by reference, e.g. [12, "#13"], kept in this order'
+      ),
+  };
+}
+
+/**
+ * Where to place user stories within a list, such as the backlog, a sprint
+ * or a Kanban column
+ * @param {boolean} required - Whether a position must be given
+ * @returns {Object} - Zod shape to spread into a tool's input schema
+ */
+export function positionShape(required) {
+  const position = z
+    .enum(["top", "bottom", "before", "after"])
+    .describe(
+      'Where to place the stories: at the top or bottom, or "before" or "after" the relativeTo story'
+    );
+  return {
+    position: required ? position : position.optional(),
+    relativeTo: userStoryRef
+      .optional()
+      .describe(
+        'User story to place them before or after, by reference. Required for "before" and "after"'
+      ),
+  };
+}
+
+/**
+ * Fetch user stories of a project by their references
+ * @param {number} projectId - Project ID
+ * @param {Array<string|number>} refs - 12, "#12" or "project-slug#12"
+ * @returns {Promise<Array<Object>>} - User stories, without duplicates
+ */
+export async function getUserStoriesByRef(projectId, refs) {
+  const stories = new Map();
+  for (const ref of refs) {
+    const parsed = parseRef(ref);
+    if (
+      parsed.projectSlug &&
+      (await resolverService.resolveProjectId(parsed.projectSlug)) !== projectId
+    ) {
+      throw new TaigaValidationError(
+        `User story "${ref}" is not in project ${projectId}`,
+        { fieldErrors: { userStories: ["All stories must be in the project"] } }
+      );
+    }
+    const story = await userStoryService.getUserStoryByRef(
+      projectId,
+      parsed.ref
+    );
+    stories.set(story.id, story);
+  }
+  return [...stories.values()];
+}
+
+/**
+ * Work out which story to place user stories before or after, as Taiga's
+ * bulk order endpoints take it
+ * @param {number} projectId - Project ID
+ * @param {Array<Object>} others - The other stories of the list, in order
+ * @param {Object} target - Where to place them
+ * @param {string} target.position - top, bottom, before or after
+ * @param {string|number} [target.relativeTo] - Reference of the story to
+ * place them before or after
+ * @param {string} target.where - The list, for messages, e.g. "the backlog"
+ * @returns {Promise<{beforeId: (number|undefined), afterId: (number|undefined)}>}
+ * - Anchor story; neither when the list has no other stories
+ */
+export async function findAnchor(
+  projectId,
+  others,
+  { position, relativeTo, where }
+) {
+  if (position === "top" && others.length > 0) {
+    return { beforeId: others[0].id };
+  }
+  if (position === "bottom" && others.length > 0) {
+    return { afterId: others[others.length - 1].id };
+  }
+  if (position !== "before" && position !== "after") {
+    return {};
+  }
+
+  if (relativeTo === undefined) {
+    throw new TaigaValidationError(
+      `relativeTo is required to place stories ${position} another story`,
+      { fieldErrors: { relativeTo: ["This field is required."] } }
+    );
+  }
+  const [target] = await getUserStoriesByRef(projectId, [relativeTo]);
+  if (!others.some((story) => story.id === target.id)) {
+    throw new TaigaValidationError(
+      `User story #${target.ref} is not one of the other stories in ${where}`,
+      { fieldErrors: { relativeTo: [`Must be another story in ${where}`] } }
+    );
+  }
+  return position === "before"
+    ? { beforeId: target.id }
+    : { afterId: target.id };
+}
+
+/**
+ * Fetch user stories again after they were moved
+ * @param {Array<Object>} stories - User stories
+ * @returns {Promise<Array<Object>>} - Current user stories
+ */
+export async function refetchUserStories(stories) {
+  const current = [];
+  for (const story of stories) {
+    current.push(await userStoryService.getUserStory(story.id));
+  }
+  return current;
+}
+
+/**
+ * Format moved user stories for display
+ * @param {string} summary - What happened
+ * @param {Array<Object>} stories - User stories
+ * @returns {string} - Summary followed by a line per story
+ */
+export function formatMoved(summary, stories) {
+  return `${summary}
+
+${stories.map((story) => `- #${story.ref}: ${story.subject}`).join("\n")}`;
+}
@@ -0,0 +1,690 @@
+import { z } from "zod";
+
+/**
+ * Zod schemas and normalizers for the structured output of tools
+ *
+ * Taiga responses are flattened into camelCase entities with related objects
+ * reduced to { id, name }, so clients can chain tools without parsing text.
+ */
+
+const date = z.string().nullable();
+
+// A related object such as a status, project or assignee
+const named = z.object({ id: z.number(), name: z.string().nullable() });
+
+/**
+ * Reduce a related object to { id, name }
+ * @param {number|null} id - Related object ID
+ * @param {string} [name] - Display name, if Taiga included it
+ * @returns {Object|null} - Named reference, or null when unset
+ */
+function toNamed(id, name) {
+  return id === null || id === undefined ? null : { id, name: name ?? null };
+}
+
+/**
+ * Taiga returns tags either as names or as [name, color] pairs
+ * @param {Array} tags - Tags from Taiga
+ * @returns {Array<string>} - Tag names
+ */
+function toTags(tags) {
+  return (tags || []).map((tag) => (Array.isArray(tag) ? tag[0] : tag));
+}
+
+/**
+ * Fields shared by user stories, tasks, issues and epics
+ * @param {Object} item - Work item from Taiga
+ * @returns {Object} - Normalized common fields
+ */
+function toWorkItem(item) {
+  return {
+    id: item.id,
+    ref: item.ref ?? null,
+    subject: item.subject ?? null,
+    description: item.description ?? null,
+    project: toNamed(item.project, item.project_extra_info?.name),
+    status: toNamed(item.status, item.status_extra_info?.name),
+    isClosed: item.is_closed ?? null,
+    assignedTo: toNamed(
+      item.assigned_to,
+      item.assigned_to_extra_info?.full_name_display ||
+        item.assigned_to_extra_info?.full_name
+    ),
+    tags: toTags(item.tags),
+    watchers: item.watchers || [],
+    createdDate: item.created_date ?? null,
+    modifiedDate: item.modified_date ?? null,
+    version: item.version ?? null,
+  };
+}
+
+const workItemShape = {
+  id: z.number(),
+  ref: z.number().nullable(),
+  subject: z.string().nullable(),
+  description: z.string().nullable(),
+  project: named.nullable(),
+  status: named.nullable(),
+  isClosed: z.boolean().nullable(),
+  assignedTo: named.nullable(),
+  tags: z.array(z.string()),
+  watchers: z.array(z.number()),
+  createdDate: date,
+  modifiedDate: date,
+  version: z.number().nullable(),
+};
+
+export const userStorySchema = z.object({
+  ...workItemShape,
+  milestone: named.nullable(),
+  points: z.number().nullable(),
+});
+
+/**
+ * @param {Object} userStory - User story from Taiga
+ * @returns {Object} - Normalized user story
+ */
+export function toUserStory(userStory) {
+  return {
+    ...toWorkItem(userStory),
+    milestone: toNamed(userStory.milestone, userStory.milestone_name),
+    points: userStory.total_points ?? null,
+  };
+}
+
+export const taskSchema = z.object({
+  ...workItemShape,
+  userStory: named.nullable(),
+  milestone: named.nullable(),
+  dueDate: date,
+});
+
+/**
+ * @param {Object} task - Task from Taiga
+ * @returns {Object} - Normalized task
+ */
+export function toTask(task) {
+  return {
+    ...toWorkItem(task),
+    userStory: toNamed(task.user_story, task.user_story_extra_info?.subject),
+    milestone: toNamed(task.milestone, task.milestone_slug),
+    dueDate: task.due_date ?? null,
+  };
+}
+
+export const issueSchema = z.object({
+  ...workItemShape,
+  priority: named.nullable(),
+  severity: named.nullable(),
+  type: named.nullable(),
+  dueDate: date,
+});
+
+/**
+ * @param {Object} issue - Issue from Taiga
+ * @returns {Object} - Normalized issue
+ */
+export function toIssue(issue) {
+  return {
+    ...toWorkItem(issue),
+    priority: toNamed(issue.priority, issue.priority_extra_info?.name),
+    severity: toNamed(issue.severity, issue.severity_extra_info?.name),
+    type: toNamed(issue.type, issue.type_extra_info?.name),
+    dueDate: issue.due_date ?? null,
+  };
+}
+
+export const epicSchema = z.object({
+  ...workItemShape,
+  color: z.string().nullable(),
+});
+
+/**
+ * @param {Object} epic - Epic from Taiga
+ * @returns {Object} - Normalized epic
+ */
+export function toEpic(epic) {
+  return { ...toWorkItem(epic), color: epic.color ?? null };
+}
+
+// Progress of an epic, from the user stories linked to it
+export const epicProgressSchema = z.object({
+  userStories: z.number(),
+  closedUserStories: z.number(),
+  points: z.number(),
+  closedPoints: z.number(),
+  // Share of closed stories, or of closed points when stories are estimated
+  percent: z.number(),
+});
+
+// An epic a user story belongs to, as listed on the story
+export const relatedEpicSchema = z.object({
+  id: z.number(),
+  ref: z.number().nullable(),
+  subject: z.string().nullable(),
+  color: z.string().nullable(),
+  project: named.nullable(),
+});
+
+/**
+ * @param {Object} epic - Epic from the epics field of a user story
+ * @returns {Object} - Normalized related epic
+ */
+export function toRelatedEpic(epic) {
+  return {
+    id: epic.id,
+    ref: epic.ref ?? null,
+    subject: epic.subject ?? null,
+    color: epic.color ?? null,
+    project: toNamed(epic.project?.id ?? epic.project, epic.project?.name),
+  };
+}
+
+export const projectSchema = z.object({
+  id: z.number(),
+  name: z.string(),
+  slug: z.string().nullable(),
+  description: z.string().nullable(),
+  isPrivate: z.boolean().nullable(),
+  owner: named.nullable(),
+  totalMemberships: z.number().nullable(),
+  createdDate: date,
+  modifiedDate: date,
+});
+
+/**
+ * @param {Object} project - Project from Taiga
+ * @returns {Object} - Normalized project
+ */
+export function toProject(project) {
+  const owner = project.owner;
+  return {
+    id: project.id,
+    name: project.name,
+    slug: project.slug ?? null,
+    description: project.description ?? null,
+    isPrivate: project.is_private ?? null,
+    owner:
+      owner && typeof owner === "object"
+        ? toNamed(owner.id, owner.full_name_display || owner.username)
+        : toNamed(owner),
+    totalMemberships: project.total_memberships ?? null,
+    createdDate: project.created_date ?? null,
+    modifiedDate: project.modified_date ?? null,
+  };
+}
+
+export const userSchema = z.object({
+  id: z.number(),
+  username: z.string().nullable(),
+  fullName: z.string().nullable(),
+  email: z.string().nullable(),
+  isActive: z.boolean().nullable(),
+  dateJoined: date,
+});
+
+/**
+ * @param {Object} user - User from Taiga
+ * @returns {Object} - Normalized user
+ */
+export function toUser(user) {
+  return {
+    id: user.id,
+    username: user.username ?? null,
+    fullName: user.full_name_display || user.full_name || null,
+    email: user.email ?? null,
+    isActive: user.is_active ?? null,
+    dateJoined: user.date_joined ?? null,
+  };
+}
+
+export const memberSchema = z.object({
+  membershipId: z.number(),
+  userId: z.number().nullable(),
+  username: z.string().nullable(),
+  fullName: z.string().nullable(),
+  email: z.string().nullable(),
+  role: named.nullable(),
+});
+
+/**
+ * @param {Object} member - Project membership from Taiga
+ * @returns {Object} - Normalized member
+ */
+export function toMember(member) {
+  return {
+    membershipId: member.id,
+    userId: member.user ?? null,
+    username: member.username ?? null,
+    fullName: member.full_name_display || member.full_name || null,
+    email: member.email || member.user_email || null,
+    role: toNamed(member.role, member.role_name),
+  };
+}
+
+export const milestoneSchema = z.object({
+  id: z.number(),
+  name: z.string(),
+  slug: z.string().nullable(),
+  project: named.nullable(),
+  estimatedStart: date,
+  estimatedFinish: date,
+  closed: z.boolean().nullable(),
+  totalPoints: z.number().nullable(),
+  closedPoints: z.number().nullable(),
+  userStories: z.array(z.number()),
+  createdDate: date,
+  modifiedDate: date,
+});
+
+/**
+ * @param {Object} milestone - Milestone from Taiga
+ * @returns {Object} - Normalized milestone
+ */
+export function toMilestone(milestone) {
+  return {
+    id: milestone.id,
+    name: milestone.name,
+    slug: milestone.slug ?? null,
+    project: toNamed(milestone.project, milestone.project_extra_info?.name),
+    estimatedStart: milestone.estimated_start ?? null,
+    estimatedFinish: milestone.estimated_finish ?? null,
+    closed: milestone.closed ?? null,
+    totalPoints: milestone.total_points ?? null,
+    closedPoints: milestone.closed_points ?? null,
+    userStories: (milestone.user_stories || []).map((userStory) =>
+      typeof userStory === "object" ? userStory.id : userStory
+    ),
+    createdDate: milestone.created_date ?? null,
+    modifiedDate: milestone.modified_date ?? null,
+  };
+}
+
+export const wikiPageSchema = z.object({
+  id: z.number(),
+  slug: z.string(),
+  project: named.nullable(),
+  content: z.string().nullable(),
+  owner: named.nullable(),
+  createdDate: date,
+  modifiedDate: date,
+  version: z.number().nullable(),
+});
+
+/**
+ * @param {Object} wikiPage - Wiki page from Taiga
+ * @returns {Object} - Normalized wiki page
+ */
+export function toWikiPage(wikiPage) {
+  return {
+    id: wikiPage.id,
+    slug: wikiPage.slug,
+    project: toNamed(wikiPage.project, wikiPage.project_extra_info?.name),
+    content: wikiPage.content ?? null,
+    owner: toNamed(wikiPage.owner, wikiPage.owner_extra_info?.full_name),
+    createdDate: wikiPage.created_date ?? null,
+    modifiedDate: wikiPage.modified_date ?? null,
+    version: wikiPage.version ?? null,
+  };
+}
+
+export const attachmentSchema = z.object({
+  id: z.number(),
+  name: z.string(),
+  size: z.number().nullable(),
+  url: z.string().nullable(),
+  description: z.string().nullable(),
+  isDeprecated: z.boolean(),
+  objectId: z.number().nullable(),
+  project: z.number().nullable(),
+  owner: z.number().nullable(),
+  createdDate: date,
+});
+
+/**
+ * @param {Object} attachment - Attachment from Taiga
+ * @returns {Object} - Normalized attachment
+ */
+export function toAttachment(attachment) {
+  return {
+    id: attachment.id,
+    name: attachment.name,
+    size: attachment.size ?? null,
+    url: attachment.url ?? null,
+    description: attachment.description || null,
+    isDeprecated: Boolean(attachment.is_deprecated),
+    objectId: attachment.object_id ?? null,
+    project: attachment.project ?? null,
+    owner: attachment.owner ?? null,
+    createdDate: attachment.created_date ?? null,
+  };
+}
+
+// Custom attribute values by attribute name
+export const customAttributeValuesSchema = z.record(z.string(), z.unknown());
+
+export const customAttributeSchema = z.object({
+  id: z.number(),
+  name: z.string(),
+  description: z.string().nullable(),
+  type: z.string(),
+  options: z.array(z.string()).nullable(),
+  order: z.number().nullable(),
+});
+
+/**
+ * @param {Object} attribute - Custom attribute definition from Taiga
+ * @returns {Object} - Normalized custom attribute
+ */
+export function toCustomAttribute(attribute) {
+  return {
+    id: attribute.id,
+    name: attribute.name,
+    description: attribute.description || null,
+    type: attribute.type || "text",
+    options: attribute.type === "dropdown" ? attribute.extra || [] : null,
+    order: attribute.order ?? null,
+  };
+}
+
+// Statuses, priorities, severities and issue types
+export const choiceSchema = z.object({
+  id: z.number(),
+  name: z.string(),
+  color: z.string().nullable(),
+  order: z.number().nullable(),
+  isClosed: z.boolean().nullable(),
+});
+
+/**
+ * @param {Object} choice - Status, priority, severity or type from Taiga
+ * @returns {Object} - Normalized choice
+ */
+export function toChoice(choice) {
+  return {
+    id: choice.id,
+    name: choice.name,
+    color: choice.color ?? null,
+    order: choice.order ?? null,
+    isClosed: choice.is_closed ?? null,
+  };
+}
+
+// A user story as a card on the Kanban board
+export const kanbanCardSchema = z.object({
+  id: z.number(),
+  ref: z.number().nullable(),
+  subject: z.string().nullable(),
+  assignedTo: named.nullable(),
+  tags: z.array(z.string()),
+  isBlocked: z.boolean().nullable(),
+  kanbanOrder: z.number().nullable(),
+});
+
+/**
+ * @param {Object} userStory - User story from Taiga
+ * @returns {Object} - Kanban card
+ */
+export function toKanbanCard(userStory) {
+  const { id, ref, subject, assignedTo, tags } = toWorkItem(userStory);
+  return {
+    id,
+    ref,
+    subject,
+    assignedTo,
+    tags,
+    isBlocked: userStory.is_blocked ?? null,
+    kanbanOrder: userStory.kanban_order ?? null,
+  };
+}
+
+// A status column of the Kanban board, split into swimlanes. Projects
+// without swimlanes have a single group with a null swimlane.
+export const kanbanColumnSchema = z.object({
+  status: choiceSchema,
+  wipLimit: z.number().nullable(),
+  count: z.number(),
+  overWipLimit: z.boolean(),
+  isArchived: z.boolean(),
+  swimlanes: z.array(
+    z.object({
+      swimlane: named.nullable(),
+      count: z.number(),
+      userStories: z.array(kanbanCardSchema),
+    })
+  ),
+});
+
+export const roleSchema = z.object({
+  id: z.number(),
+  name: z.string(),
+  slug: z.string().nullable(),
+  project: z.number().nullable(),
+  order: z.number().nullable(),
+  computable: z.boolean().nullable(),
+  permissions: z.array(z.string()),
+});
+
+/**
+ * @param {Object} role - Role from Taiga
+ * @returns {Object} - Normalized role
+ */
+export function toRole(role) {
+  return {
+    id: role.id,
+    name: role.name,
+    slug: role.slug ?? null,
+    project: role.project ?? null,
+    order: role.order ?? null,
+    computable: role.computable ?? null,
+    permissions: role.permissions || [],
+  };
+}
+
+// Kinds of history entries, by Taiga's numeric type
+const HISTORY_TYPES = { 1: "change", 2: "create", 3: "delete" };
+
+// Who made a history entry
+function toHistoryUser(user) {
+  return toNamed(user?.pk ?? user?.id, user?.name || user?.username);
+}
+
+export const historyEntrySchema = z.object({
+  id: z.string(),
+  type: z.enum(["change", "create", "delete"]),
+  user: named.nullable(),
+  createdAt: date,
+  comment: z.string().nullable(),
+  commentEditedAt: date,
+  commentDeleted: z.boolean(),
+  changes: z.array(
+    z.object({ field: z.string(), from: z.unknown(), to: z.unknown() })
+  ),
+});
+
+/**
+ * @param {Object} entry - History entry from Taiga
+ * @returns {Object} - Normalized history entry, with values_diff turned into
+ * a list of field changes
+ */
+export function toHistoryEntry(entry) {
+  return {
+    id: String(entry.id),
+    type: HISTORY_TYPES[entry.type] || "change",
+    user: toHistoryUser(entry.user),
+    createdAt: entry.created_at ?? null,
+    comment: entry.comment || null,
+    commentEditedAt: entry.edit_comment_date ?? null,
+    commentDeleted: Boolean(entry.delete_comment_date),
+    changes: Object.entries(entry.values_diff || {}).map(([field, value]) =>
+      Array.isArray(value) && value.length === 2
+        ? { field, from: value[0], to: value[1] }
+        : { field, from: null, to: value }
+    ),
+  };
+}
+
+export const commentSchema = z.object({
+  id: z.string(),
+  user: named.nullable(),
+  createdAt: date,
+  editedAt: date,
+  comment: z.string(),
+});
+
+/**
+ * @param {Object} entry - History entry holding a comment
+ * @returns {Object} - Normalized comment
+ */
+export function toComment(entry) {
+  return {
+    id: String(entry.id),
+    user: toHistoryUser(entry.user),
+    createdAt: entry.created_at ?? null,
+    editedAt: entry.edit_comment_date ?? null,
+    comment: entry.comment || "",
+  };
+}
+
+// Short form of a work item, as returned by search
+export const itemSummarySchema = z.object({
+  id: z.number(),
+  ref: z.number().nullable(),
+  subject: z.string().nullable(),
+});
+
+/**
+ * @param {Object} item - Work item from Taiga
+ * @returns {Object} - Item summary
+ */
+export function toItemSummary(item) {
+  return { id: item.id, ref: item.ref ?? null, subject: item.subject ?? null };
+}
+
+// Raw statistics objects are passed through as Taiga returns them
+export const statsSchema = z.record(z.unknown());
+
+// A request a tool would have sent to Taiga, returned by dry runs
+export const dryRunSchema = z.object({
+  method: z.string(),
+  url: z.string(),
+  payload: z.unknown(),
+});
+
+// One request in the audit log
+export const auditEntrySchema = z.object({
+  id: z.string(),
+  timestamp: z.string(),
+  session: z.string().nullable(),
+  // Taiga user the change was made as
+  user: z
+    .object({ id: z.number(), username: z.string().nullable() })
+    .nullable(),
+  tool: z.string().nullable(),
+  arguments: z.record(z.unknown()).nullable(),
+  method: z.string(),
+  endpoint: z.string(),
+  payload: z.unknown(),
+  project: z.number().nullable(),
+  status: z.number().nullable(),
+  before: z.unknown(),
+  after: z.unknown(),
+  error: z.string().nullable(),
+});
+
+// What happened to one change when undoing it
+export const undoResultSchema = z.object({
+  entryId: z.string(),
+  timestamp: z.string(),
+  tool: z.string().nullable(),
+  method: z.string(),
+  endpoint: z.string(),
+  outcome: z.enum(["reverted", "recreated", "conflict", "skipped", "failed"]),
+  itemId: z.number().nullable(),
+  message: z.string(),
+});
+
+/**
+ * Output shape of a tool that deletes something
+ * @returns {Object} - Zod shape for outputSchema
+ */
+export function deletedShape() {
+  return {
+    deleted: z.boolean(),
+    id: z.union([z.number(), z.string()]),
+    // Set when the deletion waits for the user to confirm
+    confirmationToken: z.string().optional(),
+  };
+}
+
+/**
+ * Output shape of a paginated list tool
+ * @param {string} key - Name of the items array, e.g. "issues"
+ * @param {z.ZodTypeAny} schema - Schema of one item
+ * @returns {Object} - Zod shape for outputSchema
+ */
+export function listShape(key, schema) {
+  return {
+    [key]: z.array(schema),
+    total: z.number(),
+    page: z.number().nullable(),
+    hasMore: z.boolean(),
+  };
+}
+
+/**
+ * Structured content for a paginated service result
+ * @param {string} key - Name of the items array, e.g. "issues"
+ * @param {Object} result - Result of a paginated service call
+ * @param {Function} normalize - Normalizer for one item
+ * @returns {Object} - Structured content matching listShape
+ */
+export function toList(key, result, normalize) {
+  return {
+    [key]: result.items.map(normalize),
+    total: result.total,
+    page: result.page ?? null,
+    hasMore: result.hasMore,
+  };
+}
+
+/**
+ * Output shape of a bulk create tool
+ * @param {string} key - Name of the created item in each result, e.g. "issue"
+ * @param {z.ZodTypeAny} schema - Schema of one item
+ * @returns {Object} - Zod shape for outputSchema
+ */
+export function bulkCreateShape(key, schema) {
+  return {
+    results: z.array(
+      z.object({
+        index: z.number(),
+        subject: z.string(),
+        // "partial" items were created, but not all their fields were set
+        outcome: z.enum(["created", "partial", "failed"]),
+        [key]: schema.nullable(),
+        error: z.string().nullable(),
+      })
+    ),
+    created: z.number(),
+    failed: z.number(),
+  };
+}
+
+/**
+ * Structured content for the results of a bulk create
+ * @param {string} key - Name of the created item in each result
+ * @param {Array<Object>} results - Results of bulkCreate
+ * @param {Function} normalize - Normalizer for one item
+ * @returns {Object} - Structured content matching bulkCreateShape
+ */
+export function toBulkCreate(key, results, normalize) {
+  return {
+    results: results.map(({ item, ...result }) => ({
+      ...result,
+      [key]: item ? normalize(item) : null,
+    })),
+    created: results.filter((result) => result.item).length,
+    failed: results.filter((result) => !result.item).length,
+  };
+}
@@ -1,7 +1,44 @@
 import { z } from "zod";
-import { projectService } from "../services/projectServices.js";
-import { userStoryService } from "../services/userStoryServices.js";
 import { taskService } from "../services/taskServices.js";
+import { resolverService } from "../services/resolverServices.js";
+import {
+  confirmDeletion,
+  confirmationShape,
+  describeWorkItem,
+} from "./confirmation.js";
+import {
+  customAttributeFilterShape,
+  customAttributesShape,
+  filterByCustomAttributes,
+  formatCustomAttributes,
+  readCustomAttributes,
+  writeCustomAttributes,
+} from "./customAttributes.js";
+import {
+  bulkCreate,
+  bulkItemsShape,
+  formatBulkResults,
+} from "./bulkCreation.js";
+import {
+  expectedVersionShape,
+  itemReferenceShape,
+  paginationShape,
+  paginationSummary,
+  toolAnnotations,
+  toolError,
+} from "./toolHelpers.js";
+import {
+  bulkCreateShape,
+  choiceSchema,
+  customAttributeValuesSchema,
+  deletedShape,
+  listShape,
+  taskSchema,
+  toBulkCreate,
+  toChoice,
+  toList,
+  toTask,
+} from "./structuredOutput.js";
 
 /**
  * Register task tools
@@ -10,21 +47,29 @@ import { taskService } from "../services/taskServices.js";
  */
 export function registerTaskTools(server) {
   // Add tool for creating a task
-  server.tool(
+  server.registerTool(
     "taiga_createTask",
-    "Create a new task associated with a user story with optional description, status, and tags",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
-      userStoryIdentifier: z
-        .string()
-        .describe("User story ID or reference number"),
-      subject: z.string().describe("Task title/subject"),
-      description: z.string().optional().describe("Task description"),
-      status: z
-        .string()
-        .optional()
-        .describe('Status name (e.g., "New", "In progress")'),
-      tags: z.array(z.string()).optional().describe("Array of tags"),
+      title: "Create Task",
+      description:
+        "Create a new task associated with a user story with optional description, status, and tags",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        userStoryIdentifier: z
+          .string()
+          .describe(
+            'User story ID, or reference as "#12" or "project-slug#12"'
+          ),
+        subject: z.string().describe("Task title/subject"),
+        description: z.string().optional().describe("Task description"),
+        status: z
+          .string()
+          .optional()
+          .describe('Status name (e.g., "New", "In progress")'),
+        tags: z.array(z.string()).optional().describe("Array of tags"),
+      },
+      outputSchema: { task: taskSchema },
     },
     async ({
       projectIdentifier,
@@ -35,44 +80,22 @@ export function registerTaskTools(server) {
       tags,
     }) => {
       try {
-        // Get project ID if a slug was provided
-        let projectId = projectIdentifier;
-        if (isNaN(projectIdentifier)) {
-          const project = await projectService.getProjectBySlug(
-            projectIdentifier
-          );
-          projectId = project.id;
-        }
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
 
-        // Get user story ID if a reference number was provided        let userStoryId = userStoryIdentifier;
-        if (userStoryIdentifier.startsWith("#")) {
-          // Remove the # prefix
-          const refNumber = userStoryIdentifier.substring(1); // Get all user stories for the project
-          const userStories = await userStoryService.listUserStories(projectId);
-          // Find the user story with the matching reference number
-          const userStory = userStories.find(
-            (us) => us.ref.toString() === refNumber
-          );
-          if (userStory) {
-            userStoryId = userStory.id;
-          } else {
-            throw new Error(
-              `User story with reference #${refNumber} not found`
-            );
-          }
-        }
+        // "#12" and "slug#12" are references, anything else is a database ID
+        const userStoryId = await resolverService.resolveItemId(
+          "userStory",
+          userStoryIdentifier.includes("#")
+            ? { projectIdentifier, ref: userStoryIdentifier }
+            : { id: userStoryIdentifier }
+        );
 
         // Get status ID if a status name was provided
         let statusId = undefined;
         if (status) {
-          const statuses = await taskService.getTaskStatuses(projectId);
-          const matchingStatus = statuses.find(
-            (s) => s.name.toLowerCase() === status.toLowerCase()
-          );
-
-          if (matchingStatus) {
-            statusId = matchingStatus.id;
-          }
+          statusId = await resolverService.resolveTaskStatus(projectId, status);
         }
 
         // Create the task
@@ -103,46 +126,159 @@ User Story: #${createdTask.user_story_extra_info?.ref} - ${
             `,
             },
           ],
+          structuredContent: { task: toTask(createdTask) },
         };
       } catch (error) {
+        return toolError("Failed to create task", error);
+      }
+    }
+  );
+
+  // Add tool for creating many tasks at once
+  server.registerTool(
+    "taiga_bulkCreateTasks",
+    {
+      title: "Bulk Create Tasks",
+      description:
+        "Create many tasks at once, optionally under one user story, each with optional description, status, tags and assignee, reporting which were created and which failed",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        userStoryIdentifier: z
+          .string()
+          .optional()
+          .describe(
+            'User story the tasks belong to: ID, or reference as "#12" or "project-slug#12"'
+          ),
+        ...bulkItemsShape("Task"),
+      },
+      outputSchema: bulkCreateShape("task", taskSchema),
+    },
+    async ({ projectIdentifier, userStoryIdentifier, items }) => {
+      try {
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
+
+        // "#12" and "slug#12" are references, anything else is a database ID
+        const userStoryId =
+          userStoryIdentifier &&
+          (await resolverService.resolveItemId(
+            "userStory",
+            userStoryIdentifier.includes("#")
+              ? { projectIdentifier, ref: userStoryIdentifier }
+              : { id: userStoryIdentifier }
+          ));
+
+        const results = await bulkCreate(items, {
+          prepare: async ({ status, description, tags, assignedTo }) => ({
+            batch: {
+              ...(status && {
+                statusId: await resolverService.resolveTaskStatus(
+                  projectId,
+                  status
+                ),
+              }),
+            },
+            changes: {
+              ...(description && { description }),
+              ...(tags && { tags }),
+              ...(assignedTo && {
+                assigned_to: await resolverService.resolveUser(
+                  projectId,
+                  assignedTo
+                ),
+              }),
+            },
+          }),
+          createBatch: (subjects, options) =>
+            taskService.bulkCreateTasks(projectId, subjects, {
+              ...options,
+              userStoryId,
+            }),
+          update: (task, changes) =>
+            taskService.updateTask(task.id, changes, task.version),
+        });
+
+        const structuredContent = toBulkCreate("task", results, toTask);
         return {
+          ...(structuredContent.created === 0 && { isError: true }),
           content: [
-            {
-              type: "text",
-              text: `Failed to create task: ${error.message}`,
-            },
+            { type: "text", text: formatBulkResults(results, "tasks") },
           ],
+          structuredContent,
         };
+      } catch (error) {
+        return toolError("Failed to create tasks", error);
       }
     }
   );
 
   // Add tool for listing tasks
-  server.tool(
+  server.registerTool(
     "taiga_listTasks",
-    "List all tasks for a specific project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
-      userStoryId: z.string().optional().describe("Filter by user story ID"),
-      assignedTo: z.string().optional().describe("Filter by assigned user ID"),
-      status: z.string().optional().describe("Filter by status name"),
+      title: "List Tasks",
+      description: "List all tasks for a specific project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        userStoryId: z
+          .string()
+          .optional()
+          .describe('Filter by user story ID, or reference as "#12"'),
+        assignedTo: z
+          .string()
+          .optional()
+          .describe("Filter by assigned user (ID, username or email)"),
+        status: z.string().optional().describe("Filter by status name"),
+        ...customAttributeFilterShape(),
+        ...paginationShape(),
+      },
+      outputSchema: listShape("tasks", taskSchema),
     },
-    async ({ projectIdentifier, userStoryId, assignedTo, status }) => {
+    async ({
+      projectIdentifier,
+      userStoryId,
+      assignedTo,
+      status,
+      customAttributes,
+      page,
+      pageSize,
+      limit,
+    }) => {
       try {
-        let projectId = projectIdentifier;
-        if (isNaN(projectIdentifier)) {
-          const project = await projectService.getProjectBySlug(
-            projectIdentifier
-          );
-          projectId = project.id;
-        }
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
 
         const filters = {};
-        if (userStoryId) filters.user_story = userStoryId;
-        if (assignedTo) filters.assigned_to = assignedTo;
-        if (status) filters.status = status;
+        if (userStoryId)
+          filters.user_story = await resolverService.resolveItemId(
+            "userStory",
+            userStoryId.includes("#")
+              ? { projectIdentifier, ref: userStoryId }
+              : { id: userStoryId }
+          );
+        if (assignedTo)
+          filters.assigned_to = await resolverService.resolveUser(
+            projectId,
+            assignedTo
+          );
+        if (status)
+          filters.status = await resolverService.resolveTaskStatus(
+            projectId,
+            status
+          );
 
-        const tasks = await taskService.listTasks(projectId, filters);
+        const result = await filterByCustomAttributes(
+          "task",
+          projectId,
+          customAttributes,
+          { page, pageSize, limit },
+          (pagination) => taskService.listTasks(projectId, filters, pagination)
+        );
+        const tasks = result.items;
 
         if (tasks.length === 0) {
           return {
@@ -152,6 +288,7 @@ User Story: #${createdTask.user_story_extra_info?.ref} - ${
                 text: "No tasks found in this project.",
               },
             ],
+            structuredContent: toList("tasks", result, toTask),
           };
         }
 
@@ -169,33 +306,43 @@ ${tasks
       })`
   )
   .join("\n")}
+
+${paginationSummary(result, "task(s)")}
             `,
             },
           ],
+          structuredContent: toList("tasks", result, toTask),
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to list tasks: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to list tasks", error);
       }
     }
   );
 
   // Get individual task details
-  server.tool(
+  server.registerTool(
     "taiga_getTask",
-    "Get details of a specific task by ID",
     {
-      taskId: z.number().describe("Task ID"),
+      title: "Get Task",
+      description: "Get details of a specific task by ID or #ref",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        ...itemReferenceShape("taskId", "Task"),
+      },
+      outputSchema: {
+        task: taskSchema,
+        customAttributes: customAttributeValuesSchema,
+      },
     },
-    async ({ taskId }) => {
+    async ({ taskId, projectIdentifier, ref }) => {
       try {
-        const task = await taskService.getTask(taskId);
+        const resolvedTaskId = await resolverService.resolveItemId("task", {
+          id: taskId,
+          projectIdentifier,
+          ref,
+        });
+        const task = await taskService.getTask(resolvedTaskId);
+        const customAttributes = await readCustomAttributes("task", task);
 
         return {
           content: [
@@ -211,58 +358,102 @@ Project: ${task.project_extra_info?.name || "Unknown"}
 User Story: ${task.user_story_extra_info?.subject || "None"}
 Created: ${task.created_date}
 Modified: ${task.modified_date}
+Version: ${task.version}
 Due Date: ${task.due_date || "No due date"}
-Watchers: ${task.watchers?.length || 0}`,
+Watchers: ${task.watchers?.length || 0}
+${formatCustomAttributes(customAttributes)}`,
             },
           ],
+          structuredContent: { task: toTask(task), customAttributes },
         };
       } catch (error) {
-        throw new Error(`Failed to get task: ${error.message}`);
+        return toolError("Failed to get task", error);
       }
     }
   );
 
   // Update task
-  server.tool(
+  server.registerTool(
     "taiga_updateTask",
-    "Update an existing task",
     {
-      taskId: z.number().describe("Task ID to update"),
-      subject: z.string().optional().describe("New task subject"),
-      description: z.string().optional().describe("New task description"),
-      statusName: z.string().optional().describe("New status name"),
-      assignedTo: z.number().optional().describe("User ID to assign task to"),
-      dueDate: z.string().optional().describe("Due date (YYYY-MM-DD format)"),
+      title: "Update Task",
+      description: "Update an existing task",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...itemReferenceShape("taskId", "Task"),
+        subject: z.string().optional().describe("New task subject"),
+        description: z.string().optional().describe("New task description"),
+        statusName: z.string().optional().describe("New status name"),
+        assignedTo: z
+          .union([z.number(), z.string()])
+          .optional()
+          .describe("User to assign task to (ID, username or email)"),
+        dueDate: z.string().optional().describe("Due date (YYYY-MM-DD format)"),
+        ...customAttributesShape(),
+        ...expectedVersionShape(),
+      },
+      outputSchema: {
+        task: taskSchema,
+        customAttributes: customAttributeValuesSchema.optional(),
+      },
     },
     async ({
       taskId,
+      projectIdentifier,
+      ref,
       subject,
       description,
       statusName,
       assignedTo,
       dueDate,
+      customAttributes,
+      expectedVersion,
     }) => {
       try {
+        const resolvedTaskId = await resolverService.resolveItemId("task", {
+          id: taskId,
+          projectIdentifier,
+          ref,
+        });
+
         const updateData = {};
 
         if (subject !== undefined) updateData.subject = subject;
         if (description !== undefined) updateData.description = description;
-        if (assignedTo !== undefined) updateData.assigned_to = assignedTo;
-        if (dueDate !== undefined) updateData.due_date = dueDate; // Handle status name to ID conversion if provided
-        if (statusName) {
-          // We need to get the task first to know which project it belongs to
-          const task = await taskService.getTask(taskId);
-          const statuses = await taskService.getTaskStatuses(task.project);
-          const matchingStatus = statuses.find(
-            (s) => s.name.toLowerCase() === statusName.toLowerCase()
-          );
+        if (dueDate !== undefined) updateData.due_date = dueDate;
 
-          if (matchingStatus) {
-            updateData.status = matchingStatus.id;
-          }
+        // Names need the task's project to be resolved to IDs
+        let attributeValues;
+        if (statusName || assignedTo !== undefined || customAttributes) {
+          const task = await taskService.getTask(resolvedTaskId);
+          if (statusName)
+            updateData.status = await resolverService.resolveTaskStatus(
+              task.project,
+              statusName
+            );
+          if (assignedTo !== undefined)
+            updateData.assigned_to = await resolverService.resolveUser(
+              task.project,
+              assignedTo
+            );
+          // Checked before anything is changed
+          if (customAttributes)
+            attributeValues =
+              await resolverService.resolveCustomAttributeValues(
+                "task",
+                task.project,
+                customAttributes
+              );
         }
 
-        const updatedTask = await taskService.updateTask(taskId, updateData);
+        const updatedTask = await taskService.updateTask(
+          resolvedTaskId,
+          updateData,
+          expectedVersion
+        );
+        const updatedAttributes =
+          attributeValues &&
+          (await writeCustomAttributes("task", updatedTask, attributeValues));
 
         return {
           content: [
@@ -272,109 +463,170 @@ Watchers: ${task.watchers?.length || 0}`,
 ID: ${updatedTask.id}
 Subject: ${updatedTask.subject}
 Status: ${updatedTask.status_extra_info?.name || "Unknown"}
-Assigned to: ${updatedTask.assigned_to_extra_info?.full_name || "Unassigned"}`,
+Assigned to: ${updatedTask.assigned_to_extra_info?.full_name || "Unassigned"}
+Version: ${updatedTask.version}
+${formatCustomAttributes(updatedAttributes)}`,
             },
           ],
+          structuredContent: {
+            task: toTask(updatedTask),
+            customAttributes: updatedAttributes,
+          },
         };
       } catch (error) {
-        throw new Error(`Failed to update task: ${error.message}`);
+        return toolError("Failed to update task", error);
       }
     }
   );
 
   // Delete task
-  server.tool(
+  server.registerTool(
     "taiga_deleteTask",
-    "Delete a task",
     {
-      taskId: z.number().describe("Task ID to delete"),
+      title: "Delete Task",
+      description: "Delete a task",
+      annotations: toolAnnotations("delete"),
+      inputSchema: {
+        ...itemReferenceShape("taskId", "Task"),
+        ...confirmationShape(),
+      },
+      outputSchema: deletedShape(),
     },
-    async ({ taskId }) => {
+    async ({ taskId, projectIdentifier, ref, confirmationToken }, extra) => {
       try {
-        await taskService.deleteTask(taskId);
+        const resolvedTaskId = await resolverService.resolveItemId("task", {
+          id: taskId,
+          projectIdentifier,
+          ref,
+        });
+        const task = await taskService.getTask(resolvedTaskId);
+        const unconfirmed = await confirmDeletion(server, extra, {
+          tool: "taiga_deleteTask",
+          id: resolvedTaskId,
+          summary: describeWorkItem("task", task),
+          recreatable: true,
+          confirmationToken,
+        });
+        if (unconfirmed) {
+          return unconfirmed;
+        }
+        await taskService.deleteTask(resolvedTaskId);
 
         return {
           content: [
             {
               type: "text",
-              text: `Task ${taskId} has been deleted successfully.`,
+              text: `Task ${resolvedTaskId} has been deleted successfully.`,
             },
           ],
+          structuredContent: { deleted: true, id: resolvedTaskId },
         };
       } catch (error) {
-        throw new Error(`Failed to delete task: ${error.message}`);
+        return toolError("Failed to delete task", error);
       }
     }
   );
 
   // Assign task to user
-  server.tool(
+  server.registerTool(
     "taiga_assignTask",
-    "Assign a task to a user",
     {
-      taskId: z.number().describe("Task ID"),
-      userId: z.number().describe("User ID to assign the task to"),
+      title: "Assign Task",
+      description: "Assign a task to a user",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...itemReferenceShape("taskId", "Task"),
+        userId: z
+          .union([z.number(), z.string()])
+          .describe("User to assign the task to (ID, username or email)"),
+      },
+      outputSchema: { task: taskSchema },
     },
-    async ({ taskId, userId }) => {
+    async ({ taskId, projectIdentifier, ref, userId }) => {
       try {
-        await taskService.assignTaskToUser(taskId, userId);
+        const resolvedTaskId = await resolverService.resolveItemId("task", {
+          id: taskId,
+          projectIdentifier,
+          ref,
+        });
+        const { project } = await taskService.getTask(resolvedTaskId);
+        const resolvedUserId = await resolverService.resolveUser(
+          project,
+          userId
+        );
+        const task = await taskService.assignTaskToUser(
+          resolvedTaskId,
+          resolvedUserId
+        );
 
         return {
           content: [
             {
               type: "text",
-              text: `Task ${taskId} has been assigned to user ${userId}.`,
+              text: `Task ${resolvedTaskId} has been assigned to user ${userId}.`,
             },
           ],
+          structuredContent: { task: toTask(task) },
         };
       } catch (error) {
-        throw new Error(`Failed to assign task: ${error.message}`);
+        return toolError("Failed to assign task", error);
       }
     }
   );
 
   // Unassign task from user
-  server.tool(
+  server.registerTool(
     "taiga_unassignTask",
-    "Unassign a task from its current user",
     {
-      taskId: z.number().describe("Task ID"),
+      title: "Unassign Task",
+      description: "Unassign a task from its current user",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...itemReferenceShape("taskId", "Task"),
+      },
+      outputSchema: { task: taskSchema },
     },
-    async ({ taskId }) => {
+    async ({ taskId, projectIdentifier, ref }) => {
       try {
-        await taskService.unassignTaskFromUser(taskId);
+        const resolvedTaskId = await resolverService.resolveItemId("task", {
+          id: taskId,
+          projectIdentifier,
+          ref,
+        });
+        const task = await taskService.unassignTaskFromUser(resolvedTaskId);
 
         return {
           content: [
             {
               type: "text",
-              text: `Task ${taskId} has been unassigned.`,
+              text: `Task ${resolvedTaskId} has been unassigned.`,
             },
           ],
+          structuredContent: { task: toTask(task) },
         };
       } catch (error) {
-        throw new Error(`Failed to unassign task: ${error.message}`);
+        return toolError("Failed to unassign task", error);
       }
     }
   );
 
   // Add tool for getting task statuses
-  server.tool(
+  server.registerTool(
     "taiga_getTaskStatuses",
-    "Get all available task statuses for a project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
+      title: "Get Task Statuses",
+      description: "Get all available task statuses for a project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+      },
+      outputSchema: { statuses: z.array(choiceSchema) },
     },
     async ({ projectIdentifier }) => {
       try {
-        // Get project ID if a slug was provided
-        let projectId = projectIdentifier;
-        if (isNaN(projectIdentifier)) {
-          const project = await projectService.getProjectBySlug(
-            projectIdentifier
-          );
-          projectId = project.id;
-        }
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
 
         const statuses = await taskService.getTaskStatuses(projectId);
 
@@ -395,16 +647,10 @@ ${statuses
               `,
             },
           ],
+          structuredContent: { statuses: statuses.map(toChoice) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to get task statuses: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to get task statuses", error);
       }
     }
   );
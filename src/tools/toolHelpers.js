@@ -0,0 +1,224 @@
+import { z } from "zod";
+import { TaigaError, TaigaValidationError } from "../errors.js";
+import { resolverService } from "../services/resolverServices.js";
+import { WORK_ITEMS } from "../services/workItems.js";
+
+/**
+ * Input fields that let a tool address a work item either by its database ID
+ * or by the #ref shown in Taiga
+ * @param {string} idKey - Name of the ID argument (e.g. "issueId")
+ * @param {string} label - Item name used in descriptions (e.g. "Issue")
+ * @returns {Object} - Zod shape to spread into a tool's input schema
+ */
+export function itemReferenceShape(idKey, label) {
+  return {
+    [idKey]: z
+      .number()
+      .optional()
+      .describe(`${label} ID (internal database ID)`),
+    projectIdentifier: z
+      .string()
+      .optional()
+      .describe("Project ID or slug, required when using ref"),
+    ref: z
+      .union([z.number(), z.string()])
+      .optional()
+      .describe(
+        `${label} reference number as shown in Taiga: 42, "#42" or "project-slug#42"`
+      ),
+  };
+}
+
+/**
+ * Input fields that address an item with comments, a history and
+ * attachments: a user story, task, issue, epic or wiki page
+ * @param {Array<string>} [itemTypes] - Item types the tool supports, if
+ * not all of them
+ * @returns {Object} - Zod shape to spread into a tool's input schema
+ */
+export function workItemShape(itemTypes) {
+  return {
+    itemType: workItemTypeSchema(itemTypes),
+    ...itemReferenceShape("itemId", "Item"),
+  };
+}
+
+/**
+ * Input field for the kind of item, for tools that address something that
+ * belongs to an item, such as an attachment
+ * @param {Array<string>} [itemTypes] - Item types the tool supports, if
+ * not all of them
+ * @returns {z.ZodEnum} - Item type schema
+ */
+export function workItemTypeSchema(itemTypes = Object.keys(WORK_ITEMS)) {
+  return z
+    .enum(itemTypes)
+    .describe(
+      `Kind of item: ${itemTypes.slice(0, -1).join(", ")} or ${itemTypes.at(
+        -1
+      )}`
+    );
+}
+
+/**
+ * Resolve the item addressed with workItemShape. Wiki pages have no #ref, so
+ * they are only addressed by ID.
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<number>} - Item ID
+ */
+export async function resolveWorkItem({
+  itemType,
+  itemId,
+  projectIdentifier,
+  ref,
+}) {
+  if (itemType !== "wikiPage") {
+    return resolverService.resolveItemId(itemType, {
+      id: itemId,
+      projectIdentifier,
+      ref,
+    });
+  }
+  if (itemId === undefined) {
+    throw new TaigaValidationError("Specify the wiki page by itemId", {
+      fieldErrors: { itemId: ["This field is required."] },
+    });
+  }
+  return itemId;
+}
+
+/**
+ * Name an item addressed with workItemShape in messages
+ * @param {string} itemType - Item type
+ * @param {number} itemId - Item ID
+ * @returns {string} - e.g. "issue 42"
+ */
+export function describeWorkItemId(itemType, itemId) {
+  return `${WORK_ITEMS[itemType].label} ${itemId}`;
+}
+
+/**
+ * Optional pagination arguments for list tools
+ * @returns {Object} - Zod shape to spread into a tool's input schema
+ */
+export function paginationShape() {
+  return {
+    page: z
+      .number()
+      .int()
+      .positive()
+      .optional()
+      .describe("Only return this page of results (1-based)"),
+    pageSize: z
+      .number()
+      .int()
+      .positive()
+      .optional()
+      .describe("Number of results per page. Defaults to 100"),
+    limit: z
+      .number()
+      .int()
+      .positive()
+      .optional()
+      .describe("Maximum number of results to return"),
+  };
+}
+
+/**
+ * Describe how much of a paginated list is being shown
+ * @param {Object} result - Result of a paginated service call
+ * @param {string} noun - What is being counted (e.g. "issue(s)")
+ * @returns {string} - Summary line such as "Total: 12 issue(s)"
+ */
+export function paginationSummary(result, noun) {
+  // Filtered item by item, so only the fetched items were counted
+  if (result.scanned !== undefined) {
+    return `${result.items.length} matching ${noun} among ${
+      result.scanned
+    } checked${result.page ? ` (page ${result.page})` : ""}${
+      result.hasMore ? "; fetch the next page or a higher limit for more" : ""
+    }`;
+  }
+  if (!result.hasMore && result.items.length === result.total) {
+    return `Total: ${result.total} ${noun}`;
+  }
+  return `Showing ${result.items.length} of ${result.total} ${noun}${
+    result.page ? ` (page ${result.page})` : ""
+  }`;
+}
+
+/**
+ * Optional expected version for update tools
+ * @returns {Object} - Zod shape to spread into a tool's input schema
+ */
+export function expectedVersionShape() {
+  return {
+    expectedVersion: z
+      .number()
+      .int()
+      .optional()
+      .describe(
+        "Version of the item when you last read it. The update is rejected if someone changed it since. Defaults to the current version"
+      ),
+  };
+}
+
+// Hints for each kind of tool. Updates and deletes are destructive because
+// they overwrite or remove existing data; repeating them changes nothing more.
+const TOOL_KINDS = {
+  read: { readOnlyHint: true, destructiveHint: false, idempotentHint: true },
+  create: {
+    readOnlyHint: false,
+    destructiveHint: false,
+    idempotentHint: false,
+  },
+  update: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+  delete: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+};
+
+/**
+ * MCP annotations telling clients what a tool does to Taiga, so they can
+ * approve reads automatically and confirm deletes
+ * @param {"read"|"create"|"update"|"delete"} kind - Kind of tool
+ * @returns {Object} - Tool annotations
+ */
+export function toolAnnotations(kind) {
+  return { ...TOOL_KINDS[kind], openWorldHint: true };
+}
+
+/**
+ * Build an MCP error result from a failed tool call, listing the fields Taiga
+ * rejected and a hint on how to recover
+ * @param {string} action - What failed, e.g. "Failed to create issue"
+ * @param {Error} error - Error thrown by a service
+ * @returns {Object} - Tool result with isError set
+ */
+export function toolError(action, error) {
+  const lines = [`${action}: ${error.message}`];
+
+  if (error instanceof TaigaError) {
+    const fields = Object.entries(error.fieldErrors);
+    if (fields.length > 0) {
+      lines.push("", "Taiga rejected these fields:");
+      for (const [field, messages] of fields) {
+        lines.push(`- ${field}: ${messages.join(" ")}`);
+      }
+    }
+    if (error.changes?.length > 0) {
+      lines.push("", "Fields that differ from your update in Taiga now:");
+      for (const { field, yours, current } of error.changes) {
+        lines.push(
+          `- ${field}: current ${JSON.stringify(
+            current
+          )}, yours ${JSON.stringify(yours)}`
+        );
+      }
+    }
+    lines.push("", error.hint);
+  }
+
+  return {
+    isError: true,
+    content: [{ type: "text", text: lines.join("\n") }],
+  };
+}
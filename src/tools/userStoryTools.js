@@ -1,6 +1,46 @@
 import { z } from "zod";
-import { projectService } from "../services/projectServices.js";
 import { userStoryService } from "../services/userStoryServices.js";
+import { resolverService } from "../services/resolverServices.js";
+import { taskService } from "../services/taskServices.js";
+import {
+  confirmDeletion,
+  confirmationShape,
+  countOf,
+  describeWorkItem,
+} from "./confirmation.js";
+import {
+  customAttributeFilterShape,
+  customAttributesShape,
+  filterByCustomAttributes,
+  formatCustomAttributes,
+  readCustomAttributes,
+  writeCustomAttributes,
+} from "./customAttributes.js";
+import {
+  bulkCreate,
+  bulkItemsShape,
+  formatBulkResults,
+} from "./bulkCreation.js";
+import {
+  expectedVersionShape,
+  itemReferenceShape,
+  paginationShape,
+  paginationSummary,
+  toolAnnotations,
+  toolError,
+} from "./toolHelpers.js";
+import {
+  bulkCreateShape,
+  choiceSchema,
+  customAttributeValuesSchema,
+  deletedShape,
+  listShape,
+  toBulkCreate,
+  toChoice,
+  toList,
+  toUserStory,
+  userStorySchema,
+} from "./structuredOutput.js";
 
 /**
  * Register user story tools
@@ -9,41 +49,38 @@ import { userStoryService } from "../services/userStoryServices.js";
  */
 export function registerUserStoryTools(server) {
   // Add tool for creating a user story
-  server.tool(
+  server.registerTool(
     "taiga_createUserStory",
-    "Create a new user story in a project with optional description, status, and tags",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
-      subject: z.string().describe("User story title/subject"),
-      description: z.string().optional().describe("User story description"),
-      status: z
-        .string()
-        .optional()
-        .describe('Status name (e.g., "New", "In progress")'),
-      tags: z.array(z.string()).optional().describe("Array of tags"),
+      title: "Create User Story",
+      description:
+        "Create a new user story in a project with optional description, status, and tags",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        subject: z.string().describe("User story title/subject"),
+        description: z.string().optional().describe("User story description"),
+        status: z
+          .string()
+          .optional()
+          .describe('Status name (e.g., "New", "In progress")'),
+        tags: z.array(z.string()).optional().describe("Array of tags"),
+      },
+      outputSchema: { userStory: userStorySchema },
     },
     async ({ projectIdentifier, subject, description, status, tags }) => {
       try {
-        // Get project ID if a slug was provided
-        let projectId = projectIdentifier;
-        if (isNaN(projectIdentifier)) {
-          const project = await projectService.getProjectBySlug(
-            projectIdentifier
-          );
-          projectId = project.id;
-        } // Get status ID if a status name was provided
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
+
+        // Get status ID if a status name was provided
         let statusId = undefined;
         if (status) {
-          const statuses = await userStoryService.getUserStoryStatuses(
-            projectId
-          );
-          const matchingStatus = statuses.find(
-            (s) => s.name.toLowerCase() === status.toLowerCase()
+          statusId = await resolverService.resolveUserStoryStatus(
+            projectId,
+            status
           );
-
-          if (matchingStatus) {
-            statusId = matchingStatus.id;
-          }
         }
 
         // Create the user story
@@ -72,38 +109,116 @@ Project: ${createdStory.project_extra_info?.name}
             `,
             },
           ],
+          structuredContent: { userStory: toUserStory(createdStory) },
         };
       } catch (error) {
+        return toolError("Failed to create user story", error);
+      }
+    }
+  );
+
+  // Add tool for creating many user stories at once
+  server.registerTool(
+    "taiga_bulkCreateUserStories",
+    {
+      title: "Bulk Create User Stories",
+      description:
+        "Create many user stories in a project at once, each with optional description, status, tags and assignee, reporting which were created and which failed",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        ...bulkItemsShape("User story"),
+      },
+      outputSchema: bulkCreateShape("userStory", userStorySchema),
+    },
+    async ({ projectIdentifier, items }) => {
+      try {
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
+
+        const results = await bulkCreate(items, {
+          prepare: async ({ status, description, tags, assignedTo }) => ({
+            batch: {
+              ...(status && {
+                statusId: await resolverService.resolveUserStoryStatus(
+                  projectId,
+                  status
+                ),
+              }),
+            },
+            changes: {
+              ...(description && { description }),
+              ...(tags && { tags }),
+              ...(assignedTo && {
+                assigned_to: await resolverService.resolveUser(
+                  projectId,
+                  assignedTo
+                ),
+              }),
+            },
+          }),
+          createBatch: (subjects, options) =>
+            userStoryService.bulkCreateUserStories(
+              projectId,
+              subjects,
+              options
+            ),
+          update: (userStory, changes) =>
+            userStoryService.updateUserStory(
+              userStory.id,
+              changes,
+              userStory.version
+            ),
+        });
+
+        const structuredContent = toBulkCreate(
+          "userStory",
+          results,
+          toUserStory
+        );
         return {
+          ...(structuredContent.created === 0 && { isError: true }),
           content: [
-            {
-              type: "text",
-              text: `Failed to create user story: ${error.message}`,
-            },
+            { type: "text", text: formatBulkResults(results, "user stories") },
           ],
+          structuredContent,
         };
+      } catch (error) {
+        return toolError("Failed to create user stories", error);
       }
     }
   );
 
   // Add tool for listing user stories in a project
-  server.tool(
+  server.registerTool(
     "taiga_listUserStories",
-    "List all user stories for a specific project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
+      title: "List User Stories",
+      description: "List all user stories for a specific project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        ...customAttributeFilterShape(),
+        ...paginationShape(),
+      },
+      outputSchema: listShape("userStories", userStorySchema),
     },
-    async ({ projectIdentifier }) => {
+    async ({ projectIdentifier, customAttributes, page, pageSize, limit }) => {
       try {
-        // Get project ID if a slug was provided        let projectId = projectIdentifier;
-        if (isNaN(projectIdentifier)) {
-          const project = await projectService.getProjectBySlug(
-            projectIdentifier
-          );
-          projectId = project.id;
-        }
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
 
-        const userStories = await userStoryService.listUserStories(projectId);
+        const result = await filterByCustomAttributes(
+          "userStory",
+          projectId,
+          customAttributes,
+          { page, pageSize, limit },
+          (pagination) =>
+            userStoryService.listUserStories(projectId, {}, pagination)
+        );
+        const userStories = result.items;
 
         if (userStories.length === 0) {
           return {
@@ -113,6 +228,7 @@ Project: ${createdStory.project_extra_info?.name}
                 text: "No user stories found in this project.",
               },
             ],
+            structuredContent: toList("userStories", result, toUserStory),
           };
         }
 
@@ -130,33 +246,51 @@ ${userStories
       })`
   )
   .join("\n")}
+
+${paginationSummary(result, "user story(ies)")}
             `,
             },
           ],
+          structuredContent: toList("userStories", result, toUserStory),
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to list user stories: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to list user stories", error);
       }
     }
   );
 
   // Add tool for getting a specific user story
-  server.tool(
+  server.registerTool(
     "taiga_getUserStory",
-    "Get details of a specific user story by ID",
     {
-      userStoryId: z.number().describe("User story ID"),
+      title: "Get User Story",
+      description: "Get details of a specific user story by ID or #ref",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        ...itemReferenceShape("userStoryId", "User story"),
+      },
+      outputSchema: {
+        userStory: userStorySchema,
+        customAttributes: customAttributeValuesSchema,
+      },
     },
-    async ({ userStoryId }) => {
+    async ({ userStoryId, projectIdentifier, ref }) => {
       try {
-        const userStory = await userStoryService.getUserStory(userStoryId);
+        const resolvedUserStoryId = await resolverService.resolveItemId(
+          "userStory",
+          {
+            id: userStoryId,
+            projectIdentifier,
+            ref,
+          }
+        );
+        const userStory = await userStoryService.getUserStory(
+          resolvedUserStoryId
+        );
+        const customAttributes = await readCustomAttributes(
+          "userStory",
+          userStory
+        );
 
         return {
           content: [
@@ -172,78 +306,141 @@ Status: ${userStory.status_extra_info?.name || "Unknown"}
 Project: ${userStory.project_extra_info?.name}
 Assigned To: ${userStory.assigned_to_extra_info?.full_name || "Unassigned"}
 Points: ${userStory.total_points || "Not estimated"}
+Sprint: ${userStory.milestone_name || "Backlog"}
 Created: ${new Date(userStory.created_date).toLocaleDateString()}
 Modified: ${new Date(userStory.modified_date).toLocaleDateString()}
+Version: ${userStory.version}
 Tags: ${userStory.tags?.join(", ") || "No tags"}
+${formatCustomAttributes(customAttributes)}
               `,
             },
           ],
+          structuredContent: {
+            userStory: toUserStory(userStory),
+            customAttributes,
+          },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to get user story: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to get user story", error);
       }
     }
   );
 
   // Add tool for updating a user story
-  server.tool(
+  server.registerTool(
     "taiga_updateUserStory",
-    "Update an existing user story",
     {
-      userStoryId: z.number().describe("User story ID to update"),
-      subject: z.string().optional().describe("New user story subject"),
-      description: z.string().optional().describe("New user story description"),
-      statusName: z.string().optional().describe("New status name"),
-      assignedTo: z.number().optional().describe("User ID to assign story to"),
-      points: z.number().optional().describe("Story points"),
-      tags: z.array(z.string()).optional().describe("Array of tags"),
+      title: "Update User Story",
+      description: "Update an existing user story",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...itemReferenceShape("userStoryId", "User story"),
+        subject: z.string().optional().describe("New user story subject"),
+        description: z
+          .string()
+          .optional()
+          .describe("New user story description"),
+        statusName: z.string().optional().describe("New status name"),
+        assignedTo: z
+          .union([z.number(), z.string()])
+          .optional()
+          .describe("User to assign story to (ID, username or email)"),
+        points: z.number().optional().describe("Story points"),
+        tags: z.array(z.string()).optional().describe("Array of tags"),
+        milestone: z
+          .union([z.number(), z.string()])
+          .nullable()
+          .optional()
+          .describe(
+            "Sprint (milestone) name or ID to move the story to, or null to move it back to the backlog"
+          ),
+        ...customAttributesShape(),
+        ...expectedVersionShape(),
+      },
+      outputSchema: {
+        userStory: userStorySchema,
+        customAttributes: customAttributeValuesSchema.optional(),
+      },
     },
     async ({
       userStoryId,
+      projectIdentifier,
+      ref,
       subject,
       description,
       statusName,
       assignedTo,
       points,
       tags,
+      milestone,
+      customAttributes,
+      expectedVersion,
     }) => {
       try {
+        const resolvedUserStoryId = await resolverService.resolveItemId(
+          "userStory",
+          {
+            id: userStoryId,
+            projectIdentifier,
+            ref,
+          }
+        );
         // Build update data object
         const updateData = {};
         if (subject !== undefined) updateData.subject = subject;
         if (description !== undefined) updateData.description = description;
-        if (assignedTo !== undefined) updateData.assigned_to = assignedTo;
         if (points !== undefined) updateData.total_points = points;
         if (tags !== undefined) updateData.tags = tags;
-
-        // Handle status name conversion to ID
-        if (statusName !== undefined) {
-          const userStory = await userStoryService.getUserStory(userStoryId);
-          const statuses = await userStoryService.getUserStoryStatuses(
-            userStory.project
+        if (milestone === null) updateData.milestone = null;
+
+        // Names need the story's project to be resolved to IDs
+        let attributeValues;
+        if (
+          statusName !== undefined ||
+          assignedTo !== undefined ||
+          (milestone !== undefined && milestone !== null) ||
+          customAttributes
+        ) {
+          const userStory = await userStoryService.getUserStory(
+            resolvedUserStoryId
           );
-          const matchingStatus = statuses.find(
-            (s) => s.name.toLowerCase() === statusName.toLowerCase()
-          );
-
-          if (matchingStatus) {
-            updateData.status = matchingStatus.id;
-          } else {
-            throw new Error(`Status "${statusName}" not found`);
-          }
+          if (statusName !== undefined)
+            updateData.status = await resolverService.resolveUserStoryStatus(
+              userStory.project,
+              statusName
+            );
+          if (assignedTo !== undefined)
+            updateData.assigned_to = await resolverService.resolveUser(
+              userStory.project,
+              assignedTo
+            );
+          if (milestone !== undefined && milestone !== null)
+            updateData.milestone = await resolverService.resolveMilestone(
+              userStory.project,
+              milestone
+            );
+          // Checked before anything is changed
+          if (customAttributes)
+            attributeValues =
+              await resolverService.resolveCustomAttributeValues(
+                "userStory",
+                userStory.project,
+                customAttributes
+              );
         }
 
         const updatedStory = await userStoryService.updateUserStory(
-          userStoryId,
-          updateData
+          resolvedUserStoryId,
+          updateData,
+          expectedVersion
         );
+        const updatedAttributes =
+          attributeValues &&
+          (await writeCustomAttributes(
+            "userStory",
+            updatedStory,
+            attributeValues
+          ));
 
         return {
           content: [
@@ -257,69 +454,123 @@ Subject: ${updatedStory.subject}
 Status: ${updatedStory.status_extra_info?.name || "Unknown"}
 Assigned To: ${updatedStory.assigned_to_extra_info?.full_name || "Unassigned"}
 Points: ${updatedStory.total_points || "Not estimated"}
+Sprint: ${updatedStory.milestone_name || "Backlog"}
+Version: ${updatedStory.version}
+${formatCustomAttributes(updatedAttributes)}
               `,
             },
           ],
+          structuredContent: {
+            userStory: toUserStory(updatedStory),
+            customAttributes: updatedAttributes,
+          },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to update user story: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to update user story", error);
       }
     }
   );
 
   // Add tool for deleting a user story
-  server.tool(
+  server.registerTool(
     "taiga_deleteUserStory",
-    "Delete a user story",
     {
-      userStoryId: z.number().describe("User story ID to delete"),
+      title: "Delete User Story",
+      description: "Delete a user story",
+      annotations: toolAnnotations("delete"),
+      inputSchema: {
+        ...itemReferenceShape("userStoryId", "User story"),
+        ...confirmationShape(),
+      },
+      outputSchema: deletedShape(),
     },
-    async ({ userStoryId }) => {
+    async (
+      { userStoryId, projectIdentifier, ref, confirmationToken },
+      extra
+    ) => {
       try {
-        await userStoryService.deleteUserStory(userStoryId);
+        const resolvedUserStoryId = await resolverService.resolveItemId(
+          "userStory",
+          {
+            id: userStoryId,
+            projectIdentifier,
+            ref,
+          }
+        );
+        const userStory = await userStoryService.getUserStory(
+          resolvedUserStoryId
+        );
+        const tasks = await taskService.listTasks(
+          userStory.project,
+          { user_story: resolvedUserStoryId },
+          { limit: 1 }
+        );
+        const unconfirmed = await confirmDeletion(server, extra, {
+          tool: "taiga_deleteUserStory",
+          id: resolvedUserStoryId,
+          summary: `${describeWorkItem(
+            "user story",
+            userStory
+          )}, with ${countOf(tasks.total, "task")}`,
+          recreatable: true,
+          confirmationToken,
+        });
+        if (unconfirmed) {
+          return unconfirmed;
+        }
+        await userStoryService.deleteUserStory(resolvedUserStoryId);
 
         return {
           content: [
             {
               type: "text",
-              text: `User story #${userStoryId} has been deleted successfully.`,
+              text: `User story #${resolvedUserStoryId} has been deleted successfully.`,
             },
           ],
+          structuredContent: { deleted: true, id: resolvedUserStoryId },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to delete user story: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to delete user story", error);
       }
     }
   );
 
   // Add tool for assigning a user story to a user
-  server.tool(
+  server.registerTool(
     "taiga_assignUserStory",
-    "Assign a user story to a specific user",
     {
-      userStoryId: z.number().describe("User story ID"),
-      userId: z.number().describe("User ID to assign the story to"),
+      title: "Assign User Story",
+      description: "Assign a user story to a specific user",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...itemReferenceShape("userStoryId", "User story"),
+        userId: z
+          .union([z.number(), z.string()])
+          .describe("User to assign the story to (ID, username or email)"),
+      },
+      outputSchema: { userStory: userStorySchema },
     },
-    async ({ userStoryId, userId }) => {
+    async ({ userStoryId, projectIdentifier, ref, userId }) => {
       try {
-        const updatedStory = await userStoryService.assignUserStoryToUser(
-          userStoryId,
+        const resolvedUserStoryId = await resolverService.resolveItemId(
+          "userStory",
+          {
+            id: userStoryId,
+            projectIdentifier,
+            ref,
+          }
+        );
+        const { project } = await userStoryService.getUserStory(
+          resolvedUserStoryId
+        );
+        const resolvedUserId = await resolverService.resolveUser(
+          project,
           userId
         );
+        const updatedStory = await userStoryService.assignUserStoryToUser(
+          resolvedUserStoryId,
+          resolvedUserId
+        );
 
         return {
           content: [
@@ -332,31 +583,38 @@ Assigned To: ${updatedStory.assigned_to_extra_info?.full_name || "Unknown user"}
               `,
             },
           ],
+          structuredContent: { userStory: toUserStory(updatedStory) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to assign user story: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to assign user story", error);
       }
     }
   );
 
   // Add tool for unassigning a user story
-  server.tool(
+  server.registerTool(
     "taiga_unassignUserStory",
-    "Unassign a user story from its current user",
     {
-      userStoryId: z.number().describe("User story ID"),
+      title: "Unassign User Story",
+      description: "Unassign a user story from its current user",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        ...itemReferenceShape("userStoryId", "User story"),
+      },
+      outputSchema: { userStory: userStorySchema },
     },
-    async ({ userStoryId }) => {
+    async ({ userStoryId, projectIdentifier, ref }) => {
       try {
+        const resolvedUserStoryId = await resolverService.resolveItemId(
+          "userStory",
+          {
+            id: userStoryId,
+            projectIdentifier,
+            ref,
+          }
+        );
         const updatedStory = await userStoryService.unassignUserStoryFromUser(
-          userStoryId
+          resolvedUserStoryId
         );
 
         return {
@@ -370,37 +628,31 @@ Status: Now unassigned
               `,
             },
           ],
+          structuredContent: { userStory: toUserStory(updatedStory) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to unassign user story: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to unassign user story", error);
       }
     }
   );
 
   // Add tool for getting user story statuses
-  server.tool(
+  server.registerTool(
     "taiga_getUserStoryStatuses",
-    "Get all available user story statuses for a project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
+      title: "Get User Story Statuses",
+      description: "Get all available user story statuses for a project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+      },
+      outputSchema: { statuses: z.array(choiceSchema) },
     },
     async ({ projectIdentifier }) => {
       try {
-        // Get project ID if a slug was provided
-        let projectId = projectIdentifier;
-        if (isNaN(projectIdentifier)) {
-          const project = await projectService.getProjectBySlug(
-            projectIdentifier
-          );
-          projectId = project.id;
-        }
+        const projectId = await resolverService.resolveProjectId(
+          projectIdentifier
+        );
 
         const statuses = await userStoryService.getUserStoryStatuses(projectId);
 
@@ -421,16 +673,10 @@ ${statuses
               `,
             },
           ],
+          structuredContent: { statuses: statuses.map(toChoice) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to get user story statuses: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to get user story statuses", error);
       }
     }
   );
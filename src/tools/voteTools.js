@@ -0,0 +1,107 @@
+import { z } from "zod";
+import { VOTABLE_ITEM_TYPES, voteService } from "../services/voteServices.js";
+import {
+  describeWorkItemId,
+  resolveWorkItem,
+  toolAnnotations,
+  toolError,
+  workItemShape,
+} from "./toolHelpers.js";
+import { toUser, userSchema } from "./structuredOutput.js";
+
+/**
+ * Register voting tools
+ * @param {McpServer} server - The MCP server instance
+ */
+export function registerVoteTools(server) {
+  // List the voters of an item
+  server.registerTool(
+    "taiga_listVoters",
+    {
+      title: "List Voters",
+      description: "List the users who voted for a user story or issue",
+      annotations: toolAnnotations("read"),
+      inputSchema: workItemShape(VOTABLE_ITEM_TYPES),
+      outputSchema: { voters: z.array(userSchema) },
+    },
+    async (args) => {
+      try {
+        const itemId = await resolveWorkItem(args);
+        const voters = (
+          await voteService.listVoters(args.itemType, itemId)
+        ).map(toUser);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text:
+                voters.length === 0
+                  ? `Nobody voted for ${describeWorkItemId(
+                      args.itemType,
+                      itemId
+                    )}.`
+                  : `${voters.length} vote(s) for ${describeWorkItemId(
+                      args.itemType,
+                      itemId
+                    )}:
+
+${voters
+  .map((voter) => `- ${voter.fullName || voter.username} (@${voter.username})`)
+  .join("\n")}`,
+            },
+          ],
+          structuredContent: { voters },
+        };
+      } catch (error) {
+        return toolError("Failed to list voters", error);
+      }
+    }
+  );
+
+  // Vote for an item, or take the vote back
+  for (const upvote of [true, false]) {
+    const name = upvote ? "taiga_upvote" : "taiga_downvote";
+    server.registerTool(
+      name,
+      {
+        title: upvote ? "Upvote" : "Remove Vote",
+        description: upvote
+          ? "Vote for a user story or issue as the current user"
+          : "Take back the current user's vote for a user story or issue",
+        annotations: toolAnnotations("update"),
+        inputSchema: workItemShape(VOTABLE_ITEM_TYPES),
+        outputSchema: { itemId: z.number(), voted: z.boolean() },
+      },
+      async (args) => {
+        try {
+          const itemId = await resolveWorkItem(args);
+          await voteService.setVote(args.itemType, itemId, upvote);
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: upvote
+                  ? `You voted for ${describeWorkItemId(
+                      args.itemType,
+                      itemId
+                    )}.`
+                  : `Your vote for ${describeWorkItemId(
+                      args.itemType,
+                      itemId
+                    )} was removed.`,
+              },
+            ],
+            structuredContent: { itemId, voted: upvote },
+          };
+        } catch (error) {
+          return toolError(
+            upvote ? "Failed to vote" : "Failed to remove vote",
+            error
+          );
+        }
+      }
+    );
+  }
+}
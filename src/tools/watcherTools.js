@@ -0,0 +1,190 @@
+import { z } from "zod";
+import { resolverService } from "../services/resolverServices.js";
+import {
+  WATCHABLE_ITEM_TYPES,
+  watcherService,
+} from "../services/watcherServices.js";
+import {
+  describeWorkItemId,
+  resolveWorkItem,
+  toolAnnotations,
+  toolError,
+  workItemShape,
+} from "./toolHelpers.js";
+import { toUser, userSchema } from "./structuredOutput.js";
+
+/**
+ * Format a list of users
+ * @param {Array<Object>} users - Normalized users
+ * @returns {string} - One line per user
+ */
+function formatUsers(users) {
+  return users
+    .map(
+      (user) =>
+        `- ${user.fullName || user.username} (@${user.username}, ID: ${
+          user.id
+        })`
+    )
+    .join("\n");
+}
+
+/**
+ * Users to add or remove as watchers
+ * @param {string} verb - What happens to them, e.g. "add"
+ * @returns {z.ZodArray} - Users schema
+ */
+function usersSchema(verb) {
+  return z
+    .array(z.union([z.number(), z.string()]))
+    .min(1)
+    .describe(
+      `Project members to ${verb} as watchers (IDs, usernames, emails or full names)`
+    );
+}
+
+/**
+ * Register watcher tools
+ * @param {McpServer} server - The MCP server instance
+ */
+export function registerWatcherTools(server) {
+  // List the watchers of an item
+  server.registerTool(
+    "taiga_listWatchers",
+    {
+      title: "List Watchers",
+      description:
+        "List the users watching a user story, task, issue or epic, who are notified of its changes",
+      annotations: toolAnnotations("read"),
+      inputSchema: workItemShape(WATCHABLE_ITEM_TYPES),
+      outputSchema: { watchers: z.array(userSchema) },
+    },
+    async (args) => {
+      try {
+        const itemId = await resolveWorkItem(args);
+        const watchers = (
+          await watcherService.listWatchers(args.itemType, itemId)
+        ).map(toUser);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text:
+                watchers.length === 0
+                  ? `Nobody is watching ${describeWorkItemId(
+                      args.itemType,
+                      itemId
+                    )}.`
+                  : `Watchers of ${describeWorkItemId(args.itemType, itemId)}:
+
+${formatUsers(watchers)}`,
+            },
+          ],
+          structuredContent: { watchers },
+        };
+      } catch (error) {
+        return toolError("Failed to list watchers", error);
+      }
+    }
+  );
+
+  // Watch and unwatch an item as the current user
+  for (const watch of [true, false]) {
+    const name = watch ? "taiga_watch" : "taiga_unwatch";
+    server.registerTool(
+      name,
+      {
+        title: watch ? "Watch Item" : "Unwatch Item",
+        description: watch
+          ? "Watch a user story, task, issue or epic as the current user, to be notified of its changes"
+          : "Stop watching a user story, task, issue or epic as the current user",
+        annotations: toolAnnotations("update"),
+        inputSchema: workItemShape(WATCHABLE_ITEM_TYPES),
+        outputSchema: { itemId: z.number(), watching: z.boolean() },
+      },
+      async (args) => {
+        try {
+          const itemId = await resolveWorkItem(args);
+          await watcherService.setWatching(args.itemType, itemId, watch);
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: `You are ${
+                  watch ? "now" : "no longer"
+                } watching ${describeWorkItemId(args.itemType, itemId)}.`,
+              },
+            ],
+            structuredContent: { itemId, watching: watch },
+          };
+        } catch (error) {
+          return toolError(
+            `Failed to ${watch ? "watch" : "unwatch"} item`,
+            error
+          );
+        }
+      }
+    );
+  }
+
+  // Add or remove other project members as watchers
+  for (const add of [true, false]) {
+    const name = add ? "taiga_addWatchers" : "taiga_removeWatchers";
+    server.registerTool(
+      name,
+      {
+        title: add ? "Add Watchers" : "Remove Watchers",
+        description: add
+          ? "Add project members as watchers of a user story, task, issue or epic, so they are notified of its changes"
+          : "Remove project members from the watchers of a user story, task, issue or epic",
+        annotations: toolAnnotations("update"),
+        inputSchema: {
+          ...workItemShape(WATCHABLE_ITEM_TYPES),
+          users: usersSchema(add ? "add" : "remove"),
+        },
+        outputSchema: { watchers: z.array(userSchema) },
+      },
+      async ({ users, ...args }) => {
+        try {
+          const itemId = await resolveWorkItem(args);
+          const item = await watcherService.getItem(args.itemType, itemId);
+          const userIds = [];
+          for (const user of users) {
+            userIds.push(await resolverService.resolveUser(item.project, user));
+          }
+
+          await watcherService.updateWatchers(
+            args.itemType,
+            item,
+            add ? { add: userIds } : { remove: userIds }
+          );
+          const watchers = (
+            await watcherService.listWatchers(args.itemType, itemId)
+          ).map(toUser);
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Watchers of ${describeWorkItemId(
+                  args.itemType,
+                  itemId
+                )} updated:
+
+${formatUsers(watchers) || "Nobody is watching it now."}`,
+              },
+            ],
+            structuredContent: { watchers },
+          };
+        } catch (error) {
+          return toolError(
+            `Failed to ${add ? "add" : "remove"} watchers`,
+            error
+          );
+        }
+      }
+    );
+  }
+}
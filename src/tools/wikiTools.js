@@ -1,6 +1,17 @@
 import { z } from "zod";
 import { projectService } from "../services/projectServices.js";
 import { wikiService } from "../services/wikiServices.js";
+import { confirmDeletion, confirmationShape } from "./confirmation.js";
+import {
+  expectedVersionShape,
+  toolAnnotations,
+  toolError,
+} from "./toolHelpers.js";
+import {
+  deletedShape,
+  toWikiPage,
+  wikiPageSchema,
+} from "./structuredOutput.js";
 
 /**
  * Register wiki tools
@@ -9,10 +20,17 @@ import { wikiService } from "../services/wikiServices.js";
  */
 export function registerWikiTools(server) {
   // Add tool for listing wiki pages
-  server.tool(
+  server.registerTool(
     "taiga_listWikiPages",
-    "List all wiki pages for a specific project",
-    { projectIdentifier: z.string().describe("Project ID or slug") },
+    {
+      title: "List Wiki Pages",
+      description: "List all wiki pages for a specific project",
+      annotations: toolAnnotations("read"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+      },
+      outputSchema: { wikiPages: z.array(wikiPageSchema) },
+    },
     async ({ projectIdentifier }) => {
       try {
         let projectId = projectIdentifier;
@@ -33,6 +51,7 @@ export function registerWikiTools(server) {
                 text: "No wiki pages found in this project.",
               },
             ],
+            structuredContent: { wikiPages: [] },
           };
         }
 
@@ -53,25 +72,24 @@ ${wikiPages
             `,
             },
           ],
+          structuredContent: { wikiPages: wikiPages.map(toWikiPage) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to list wiki pages: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to list wiki pages", error);
       }
     }
   );
 
   // Add tool for getting a specific wiki page
-  server.tool(
+  server.registerTool(
     "taiga_getWikiPage",
-    "Get details of a specific wiki page",
-    { wikiPageId: z.string().describe("Wiki page ID") },
+    {
+      title: "Get Wiki Page",
+      description: "Get details of a specific wiki page",
+      annotations: toolAnnotations("read"),
+      inputSchema: { wikiPageId: z.string().describe("Wiki page ID") },
+      outputSchema: { wikiPage: wikiPageSchema },
+    },
     async ({ wikiPageId }) => {
       try {
         const wikiPage = await wikiService.getWikiPage(wikiPageId);
@@ -87,34 +105,34 @@ Project: ${wikiPage.project_extra_info?.name || wikiPage.project}
 Owner: ${wikiPage.owner_extra_info?.full_name || wikiPage.owner}
 Created: ${new Date(wikiPage.created_date).toLocaleDateString()}
 Modified: ${new Date(wikiPage.modified_date).toLocaleDateString()}
+Version: ${wikiPage.version}
 
 Content:
 ${wikiPage.content || "No content"}
               `,
             },
           ],
+          structuredContent: { wikiPage: toWikiPage(wikiPage) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to get wiki page: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to get wiki page", error);
       }
     }
   );
 
   // Add tool for creating a new wiki page
-  server.tool(
+  server.registerTool(
     "taiga_createWikiPage",
-    "Create a new wiki page in a project",
     {
-      projectIdentifier: z.string().describe("Project ID or slug"),
-      slug: z.string().describe("Page slug/title"),
-      content: z.string().describe("Page content in markdown format"),
+      title: "Create Wiki Page",
+      description: "Create a new wiki page in a project",
+      annotations: toolAnnotations("create"),
+      inputSchema: {
+        projectIdentifier: z.string().describe("Project ID or slug"),
+        slug: z.string().describe("Page slug/title"),
+        content: z.string().describe("Page content in markdown format"),
+      },
+      outputSchema: { wikiPage: wikiPageSchema },
     },
     async ({ projectIdentifier, slug, content }) => {
       try {
@@ -152,33 +170,33 @@ ${newWikiPage.content.substring(0, 200)}${
               `,
             },
           ],
+          structuredContent: { wikiPage: toWikiPage(newWikiPage) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to create wiki page: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to create wiki page", error);
       }
     }
   );
 
   // Add tool for updating a wiki page
-  server.tool(
+  server.registerTool(
     "taiga_updateWikiPage",
-    "Update an existing wiki page",
     {
-      wikiPageId: z.string().describe("Wiki page ID"),
-      slug: z.string().optional().describe("New page slug/title"),
-      content: z
-        .string()
-        .optional()
-        .describe("New page content in markdown format"),
+      title: "Update Wiki Page",
+      description: "Update an existing wiki page",
+      annotations: toolAnnotations("update"),
+      inputSchema: {
+        wikiPageId: z.string().describe("Wiki page ID"),
+        slug: z.string().optional().describe("New page slug/title"),
+        content: z
+          .string()
+          .optional()
+          .describe("New page content in markdown format"),
+        ...expectedVersionShape(),
+      },
+      outputSchema: { wikiPage: wikiPageSchema },
     },
-    async ({ wikiPageId, slug, content }) => {
+    async ({ wikiPageId, slug, content, expectedVersion }) => {
       try {
         const updateData = {};
         if (slug) updateData.slug = slug;
@@ -186,6 +204,7 @@ ${newWikiPage.content.substring(0, 200)}${
 
         if (Object.keys(updateData).length === 0) {
           return {
+            isError: true,
             content: [
               {
                 type: "text",
@@ -197,7 +216,8 @@ ${newWikiPage.content.substring(0, 200)}${
 
         const updatedWikiPage = await wikiService.updateWikiPage(
           wikiPageId,
-          updateData
+          updateData,
+          expectedVersion
         );
 
         return {
@@ -210,6 +230,7 @@ Page ID: ${updatedWikiPage.id}
 Slug: ${updatedWikiPage.slug}
 Project: ${updatedWikiPage.project_extra_info?.name || updatedWikiPage.project}
 Modified: ${new Date(updatedWikiPage.modified_date).toLocaleDateString()}
+Version: ${updatedWikiPage.version}
 
 Content preview:
 ${updatedWikiPage.content.substring(0, 200)}${
@@ -218,27 +239,39 @@ ${updatedWikiPage.content.substring(0, 200)}${
               `,
             },
           ],
+          structuredContent: { wikiPage: toWikiPage(updatedWikiPage) },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to update wiki page: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to update wiki page", error);
       }
     }
   );
 
   // Add tool for deleting a wiki page
-  server.tool(
+  server.registerTool(
     "taiga_deleteWikiPage",
-    "Delete a wiki page",
-    { wikiPageId: z.string().describe("Wiki page ID") },
-    async ({ wikiPageId }) => {
+    {
+      title: "Delete Wiki Page",
+      description: "Delete a wiki page",
+      annotations: toolAnnotations("delete"),
+      inputSchema: {
+        wikiPageId: z.string().describe("Wiki page ID"),
+        ...confirmationShape(),
+      },
+      outputSchema: deletedShape(),
+    },
+    async ({ wikiPageId, confirmationToken }, extra) => {
       try {
+        const wikiPage = await wikiService.getWikiPage(wikiPageId);
+        const unconfirmed = await confirmDeletion(server, extra, {
+          tool: "taiga_deleteWikiPage",
+          id: wikiPageId,
+          summary: `wiki page "${wikiPage.slug}"`,
+          confirmationToken,
+        });
+        if (unconfirmed) {
+          return unconfirmed;
+        }
         const result = await wikiService.deleteWikiPage(wikiPageId);
 
         return {
@@ -252,16 +285,10 @@ Status: ${result.status}
               `,
             },
           ],
+          structuredContent: { deleted: true, id: result.wiki_page_id },
         };
       } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to delete wiki page: ${error.message}`,
-            },
-          ],
-        };
+        return toolError("Failed to delete wiki page", error);
       }
     }
   );
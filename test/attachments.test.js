@@ -0,0 +1,187 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, beforeEach, describe, it } from "node:test";
+import { startTaigaServer, useTaiga } from "./helpers/taigaServer.js";
+
+const taiga = await startTaigaServer(({ method, path: urlPath }) => {
+  if (method === "GET" && urlPath === "/userstories/3") {
+    return { body: { id: 3, project: 1, version: 1 } };
+  }
+  if (method === "POST" && urlPath === "/userstories/attachments") {
+    return { status: 201, body: { id: 9, name: "notes.txt" } };
+  }
+  if (method === "GET" && urlPath === "/userstories/attachments/9") {
+    return {
+      body: {
+        id: 9,
+        name: "report.txt",
+        size: 6,
+        url: `${taiga.url.replace("/api/v1", "")}/media/report.txt`,
+      },
+    };
+  }
+  if (urlPath === "/media/report.txt") {
+    return { headers: { "Content-Type": "text/plain" }, raw: "report" };
+  }
+});
+useTaiga(taiga.url);
+const { attachmentService } = await import(
+  "../src/services/attachmentServices.js"
+);
+const { runDryRun } = await import("../src/dryRun.js");
+const { TaigaValidationError } = await import("../src/errors.js");
+
+// A files directory with a hidden file, a hidden directory and symlinks,
+// next to a file that must stay out of reach
+const base = await fs.realpath(
+  await fs.mkdtemp(path.join(os.tmpdir(), "taiga-files-"))
+);
+const filesDir = path.join(base, "files");
+await fs.mkdir(path.join(filesDir, "sub"), { recursive: true });
+await fs.mkdir(path.join(filesDir, ".git"));
+await fs.writeFile(path.join(filesDir, "notes.txt"), "inside");
+await fs.writeFile(path.join(filesDir, ".env"), "TAIGA_PASSWORD=secret");
+await fs.writeFile(path.join(filesDir, ".git", "config"), "[core]");
+await fs.writeFile(path.join(base, "secret.txt"), "outside");
+await fs.symlink(
+  path.join(base, "secret.txt"),
+  path.join(filesDir, "link-out.txt")
+);
+await fs.symlink(path.join(filesDir, ".env"), path.join(filesDir, "env.txt"));
+await fs.symlink(base, path.join(filesDir, "parent"));
+
+after(async () => {
+  await taiga.close();
+  await fs.rm(base, { recursive: true, force: true });
+});
+
+/**
+ * Upload a local file to user story 3
+ * @param {string} filePath - Path to upload
+ * @returns {Promise<Object>} - Created attachment
+ */
+function upload(filePath) {
+  return attachmentService.uploadAttachment("userStory", 3, { filePath });
+}
+
+/**
+ * Check that a local path is refused without anything being sent
+ * @param {Promise} promise - Upload or download using the path
+ * @param {RegExp} message - Expected reason
+ */
+async function assertRefused(promise, message) {
+  const sent = taiga.requests.length;
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof TaigaValidationError);
+    assert.match(error.message, message);
+    return true;
+  });
+  assert.equal(
+    taiga.requests.slice(sent).filter((request) => request.method === "POST")
+      .length,
+    0
+  );
+}
+
+describe("local paths of attachments", () => {
+  beforeEach(() => {
+    process.env.TAIGA_FILES_DIR = filesDir;
+  });
+
+  it("are disabled unless TAIGA_FILES_DIR is set", async () => {
+    delete process.env.TAIGA_FILES_DIR;
+
+    await assertRefused(upload("notes.txt"), /Local files are disabled/);
+  });
+
+  it("can be read from inside the files directory", async () => {
+    const attachment = await upload("notes.txt");
+
+    assert.equal(attachment.id, 9);
+    assert.match(taiga.requests.at(-1).body, /inside/);
+  });
+
+  it("can be given as an absolute path inside the files directory", async () => {
+    await upload(path.join(filesDir, "sub", "..", "notes.txt"));
+
+    assert.match(taiga.requests.at(-1).body, /inside/);
+  });
+
+  it("can't leave the files directory", async () => {
+    for (const filePath of [
+      "../secret.txt",
+      "sub/../../secret.txt",
+      path.join(base, "secret.txt"),
+      "/etc/hostname",
+    ]) {
+      await assertRefused(upload(filePath), /must be inside/);
+    }
+  });
+
+  it("can't be hidden files or inside hidden directories", async () => {
+    for (const filePath of [".env", "sub/../.env", ".git/config"]) {
+      await assertRefused(upload(filePath), /Hidden files/);
+    }
+  });
+
+  it("can't follow symlinks out of the files directory", async () => {
+    await assertRefused(upload("link-out.txt"), /must be inside/);
+    await assertRefused(upload("parent/secret.txt"), /must be inside/);
+  });
+
+  it("can't follow symlinks to hidden files", async () => {
+    await assertRefused(upload("env.txt"), /Hidden files/);
+  });
+});
+
+describe("AttachmentService.downloadAttachment", () => {
+  beforeEach(async () => {
+    process.env.TAIGA_FILES_DIR = filesDir;
+    await fs.rm(path.join(filesDir, "report.txt"), { force: true });
+  });
+
+  it("writes the file into the files directory", async () => {
+    const result = await attachmentService.downloadAttachment("userStory", 9);
+
+    assert.equal(result.path, path.join(filesDir, "report.txt"));
+    assert.equal(result.written, true);
+    assert.equal(await fs.readFile(result.path, "utf8"), "report");
+  });
+
+  it("doesn't replace a file unless asked to", async () => {
+    await fs.writeFile(path.join(filesDir, "report.txt"), "mine");
+
+    await assertRefused(
+      attachmentService.downloadAttachment("userStory", 9),
+      /already exists/
+    );
+    await attachmentService.downloadAttachment("userStory", 9, null, true);
+    assert.equal(
+      await fs.readFile(path.join(filesDir, "report.txt"), "utf8"),
+      "report"
+    );
+  });
+
+  it("can't write outside the files directory", async () => {
+    await assertRefused(
+      attachmentService.downloadAttachment("userStory", 9, "../report.txt"),
+      /must be inside/
+    );
+    await assertRefused(
+      attachmentService.downloadAttachment("userStory", 9, "parent/report.txt"),
+      /must be inside/
+    );
+    await assert.rejects(fs.stat(path.join(base, "report.txt")));
+  });
+
+  it("writes nothing during a dry run", async () => {
+    const { result } = await runDryRun(() =>
+      attachmentService.downloadAttachment("userStory", 9)
+    );
+
+    assert.equal(result.written, false);
+    await assert.rejects(fs.stat(path.join(filesDir, "report.txt")));
+  });
+});
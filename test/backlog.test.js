@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { after, beforeEach, describe, it } from "node:test";
+import { startTaigaServer, useTaiga } from "./helpers/taigaServer.js";
+
+// User stories the stub Taiga holds, by ID; story 2 can't be changed
+let stories;
+
+const taiga = await startTaigaServer(({ method, path, query, body }) => {
+  if (method === "GET" && path === "/userstories/by_ref") {
+    return {
+      body: [...stories.values()].find(
+        (story) => story.ref === Number(query.ref)
+      ),
+    };
+  }
+  const match = path.match(/^\/userstories\/(\d+)$/);
+  const story = match && stories.get(Number(match[1]));
+  if (!story) {
+    return undefined;
+  }
+  if (method === "GET") {
+    return { body: story };
+  }
+  if (method === "PATCH" && story.id === 2) {
+    return {
+      status: 403,
+      body: { _error_message: "You do not have permission to do this" },
+    };
+  }
+  if (method === "PATCH") {
+    Object.assign(
+      story,
+      { milestone: body.milestone },
+      {
+        version: story.version + 1,
+      }
+    );
+    return { body: story };
+  }
+});
+useTaiga(taiga.url);
+const { connectClient } = await import("./helpers/mcpClient.js");
+const client = await connectClient();
+
+after(async () => {
+  await client.close();
+  await taiga.close();
+});
+
+describe("taiga_moveUserStoriesToBacklog", () => {
+  beforeEach(() => {
+    stories = new Map(
+      [1, 2, 3].map((id) => [
+        id,
+        {
+          id,
+          ref: id,
+          project: 1,
+          subject: `Story ${id}`,
+          milestone: 5,
+          version: 1,
+        },
+      ])
+    );
+  });
+
+  it("moves the other stories when one of them fails", async () => {
+    const result = await client.callTool({
+      name: "taiga_moveUserStoriesToBacklog",
+      arguments: { projectIdentifier: "1", userStories: [1, 2, 3] },
+    });
+
+    assert.equal(result.isError, undefined);
+    assert.deepEqual(
+      result.structuredContent.userStories.map((story) => story.ref),
+      [1, 3]
+    );
+    assert.deepEqual(result.structuredContent.failed, [
+      {
+        ref: 2,
+        error:
+          "Failed to update user story in Taiga: You do not have permission to do this",
+      },
+    ]);
+    assert.match(result.content[0].text, /^Moved 2 of 3 user story/);
+    assert.equal(stories.get(3).milestone, null);
+    assert.equal(stories.get(2).milestone, 5);
+  });
+
+  it("reports an error when no story could be moved", async () => {
+    const result = await client.callTool({
+      name: "taiga_moveUserStoriesToBacklog",
+      arguments: { projectIdentifier: "1", userStories: [2], position: "top" },
+    });
+
+    assert.equal(result.isError, true);
+    assert.deepEqual(result.structuredContent.userStories, []);
+    assert.match(result.content[0].text, /backlog was not reordered/);
+  });
+});
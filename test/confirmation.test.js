@@ -0,0 +1,159 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { runDryRun } from "../src/dryRun.js";
+import { createSession, runInSession } from "../src/sessionContext.js";
+import { confirmDeletion } from "../src/tools/confirmation.js";
+
+// Registrar for a client without elicitation
+const withoutElicitation = { elicitInput: async () => null };
+
+/**
+ * Registrar for a client that answers elicitation with the given result
+ * @param {Object} answer - Elicit result
+ * @returns {Object} - Registrar recording what it was asked
+ */
+function answering(answer) {
+  const asked = [];
+  return {
+    asked,
+    elicitInput: async (params) => {
+      asked.push(params.message);
+      return answer;
+    },
+  };
+}
+
+/**
+ * Ask to delete an issue in the given session
+ * @param {Object} session - Session to ask in
+ * @param {Object} [options] - Item ID, token and registrar
+ * @returns {Promise<Object|null>} - Result of confirmDeletion
+ */
+function deleteIssue(
+  session,
+  { id = 42, confirmationToken, server = withoutElicitation } = {}
+) {
+  return runInSession(session, () =>
+    confirmDeletion(
+      server,
+      {},
+      {
+        tool: "taiga_deleteIssue",
+        id,
+        summary: 'issue #42 "Login fails"',
+        recreatable: true,
+        confirmationToken,
+      }
+    )
+  );
+}
+
+describe("confirmDeletion with confirmation tokens", () => {
+  it("hands out a token instead of deleting on the first call", async () => {
+    const result = await deleteIssue(createSession());
+
+    assert.equal(result.structuredContent.deleted, false);
+    assert.match(result.structuredContent.confirmationToken, /^[\w-]{36}$/);
+    assert.match(result.content[0].text, /Ask the user to confirm/);
+  });
+
+  it("goes ahead when the token is passed back", async () => {
+    const session = createSession();
+    const first = await deleteIssue(session);
+    const { confirmationToken } = first.structuredContent;
+
+    assert.equal(await deleteIssue(session, { confirmationToken }), null);
+  });
+
+  it("accepts a token only once", async () => {
+    const session = createSession();
+    const { confirmationToken } = (await deleteIssue(session))
+      .structuredContent;
+    await deleteIssue(session, { confirmationToken });
+
+    const again = await deleteIssue(session, { confirmationToken });
+    assert.equal(again.structuredContent.deleted, false);
+    assert.match(again.content[0].text, /invalid or expired/);
+  });
+
+  it("refuses a token given for another item", async () => {
+    const session = createSession();
+    const { confirmationToken } = (await deleteIssue(session))
+      .structuredContent;
+
+    const other = await deleteIssue(session, { id: 43, confirmationToken });
+    assert.equal(other.structuredContent.deleted, false);
+  });
+
+  it("refuses a token given to another session", async () => {
+    const { confirmationToken } = (await deleteIssue(createSession()))
+      .structuredContent;
+
+    const other = await deleteIssue(createSession(), { confirmationToken });
+    assert.equal(other.structuredContent.deleted, false);
+  });
+
+  it("refuses a token after five minutes", async () => {
+    const session = createSession();
+    const { confirmationToken } = (await deleteIssue(session))
+      .structuredContent;
+
+    const now = Date.now;
+    Date.now = () => now() + 5 * 60 * 1000 + 1;
+    try {
+      const late = await deleteIssue(session, { confirmationToken });
+      assert.equal(late.structuredContent.deleted, false);
+    } finally {
+      Date.now = now;
+    }
+  });
+});
+
+describe("confirmDeletion with elicitation", () => {
+  it("deletes once the user confirms", async () => {
+    const server = answering({ action: "accept", content: { confirm: true } });
+
+    assert.equal(await deleteIssue(createSession(), { server }), null);
+    assert.deepEqual(server.asked, [
+      'Delete issue #42 "Login fails"? Only the item itself can be recreated with taiga_undo, under a new ID and without its comments, attachments or history.',
+    ]);
+  });
+
+  it("says when the item can't be recreated", async () => {
+    const server = answering({ action: "accept", content: { confirm: true } });
+
+    await runInSession(createSession(), () =>
+      confirmDeletion(
+        server,
+        {},
+        { tool: "taiga_deleteProject", id: 1, summary: 'project "Website"' }
+      )
+    );
+    assert.deepEqual(server.asked, [
+      'Delete project "Website"? This cannot be undone.',
+    ]);
+  });
+
+  it("deletes nothing when the user declines", async () => {
+    for (const answer of [
+      { action: "decline" },
+      { action: "accept", content: { confirm: false } },
+    ]) {
+      const result = await deleteIssue(createSession(), {
+        server: answering(answer),
+      });
+      assert.equal(result.structuredContent.deleted, false);
+      assert.equal(result.structuredContent.confirmationToken, undefined);
+    }
+  });
+
+  it("doesn't ask during a dry run", async () => {
+    const server = answering({ action: "decline" });
+    const { result } = await runDryRun(() =>
+      deleteIssue(createSession(), { server })
+    );
+
+    assert.equal(result, null);
+    assert.deepEqual(server.asked, []);
+  });
+});
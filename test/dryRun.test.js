@@ -0,0 +1,143 @@
+import assert from "node:assert/strict";
+import { after, describe, it } from "node:test";
+import { startTaigaServer, useTaiga } from "./helpers/taigaServer.js";
+
+// User stories 1 to 3 of project 1, all in sprint 5
+const stories = [1, 2, 3].map((id) => ({
+  id,
+  ref: id,
+  project: 1,
+  subject: `Story ${id}`,
+  milestone: 5,
+  version: 4,
+}));
+
+const taiga = await startTaigaServer(({ method, path, query }) => {
+  if (method === "GET" && path === "/userstories/by_ref") {
+    return { body: stories.find((story) => story.ref === Number(query.ref)) };
+  }
+  const match = path.match(/^\/userstories\/(\d+)$/);
+  if (method === "GET" && match) {
+    return { body: stories.find((story) => story.id === Number(match[1])) };
+  }
+});
+useTaiga(taiga.url);
+const { interruptDryRun, runDryRun, toDryRunResult } = await import(
+  "../src/dryRun.js"
+);
+const { bulkCreate } = await import("../src/tools/bulkCreation.js");
+const { connectClient } = await import("./helpers/mcpClient.js");
+const client = await connectClient();
+
+after(async () => {
+  await client.close();
+  await taiga.close();
+});
+
+describe("dry runs of tools that send several requests", () => {
+  it("show the request for every story moved to the backlog", async () => {
+    const result = await client.callTool({
+      name: "taiga_moveUserStoriesToBacklog",
+      arguments: {
+        projectIdentifier: "1",
+        userStories: [1, 2, 3],
+        dryRun: true,
+      },
+    });
+
+    assert.deepEqual(
+      result.structuredContent.dryRun.map(({ method, url, payload }) => [
+        method,
+        new URL(url).pathname,
+        payload,
+      ]),
+      [1, 2, 3].map((id) => [
+        "PATCH",
+        `/api/v1/userstories/${id}`,
+        { milestone: null, version: 4 },
+      ])
+    );
+    assert.equal(result.structuredContent.notPreviewed, undefined);
+    assert.ok(
+      taiga.requests.every((request) => request.method !== "PATCH"),
+      "nothing was changed"
+    );
+  });
+
+  it("say which requests they couldn't show", async () => {
+    const result = await client.callTool({
+      name: "taiga_moveUserStoriesToBacklog",
+      arguments: {
+        projectIdentifier: "1",
+        userStories: [1, 2],
+        position: "top",
+        dryRun: true,
+      },
+    });
+
+    assert.equal(result.structuredContent.dryRun.length, 2);
+    assert.deepEqual(result.structuredContent.notPreviewed, [
+      "reordering the backlog to put the user stories at the requested position",
+    ]);
+    assert.match(result.content[0].text, /Not previewed/);
+  });
+
+  it("note the updates of items a bulk create would create", async () => {
+    const { requests, notPreviewed } = await runDryRun(() =>
+      bulkCreate(
+        [
+          { subject: "First" },
+          { subject: "Second", assignedTo: 10 },
+          { subject: "Third", assignedTo: 10 },
+        ],
+        {
+          prepare: async ({ assignedTo }) => ({
+            changes: assignedTo ? { assigned_to: assignedTo } : {},
+          }),
+          createBatch: async (subjects) =>
+            interruptDryRun({
+              method: "post",
+              url: "/tasks/bulk_create",
+              data: { bulk_tasks: subjects.join("\n") },
+            }),
+          update: async () => assert.fail("nothing to update"),
+        }
+      )
+    );
+
+    assert.equal(requests.length, 1);
+    assert.deepEqual(notPreviewed, [
+      "an update of each of 2 created item(s), for the fields the bulk request can't set",
+    ]);
+  });
+});
+
+describe("toDryRunResult", () => {
+  it("lists every request with its payload", () => {
+    const result = toDryRunResult("taiga_tool", null, [
+      { method: "PATCH", url: "http://taiga/api/v1/tasks/1", payload: null },
+      { method: "DELETE", url: "http://taiga/api/v1/tasks/2", payload: null },
+    ]);
+
+    assert.equal(
+      result.content[0].text,
+      `Dry run: nothing was sent to Taiga. taiga_tool would send:
+
+PATCH http://taiga/api/v1/tasks/1
+(no body)
+
+DELETE http://taiga/api/v1/tasks/2
+(no body)`
+    );
+  });
+
+  it("says so when nothing would be sent", () => {
+    const result = toDryRunResult("taiga_tool", { content: [] }, []);
+
+    assert.equal(
+      result.content[0].text,
+      "Dry run: taiga_tool would not send any change to Taiga."
+    );
+    assert.deepEqual(result.structuredContent.dryRun, []);
+  });
+});
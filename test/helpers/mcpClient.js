@@ -0,0 +1,16 @@
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { createServer } from "../../src/server.js";
+
+/**
+ * Connect an MCP client to a new server in the same process
+ * @returns {Promise<Client>} - Connected client, to call tools with
+ */
+export async function connectClient() {
+  const [clientTransport, serverTransport] =
+    InMemoryTransport.createLinkedPair();
+  await createServer().connect(serverTransport);
+  const client = new Client({ name: "test", version: "1.0.0" });
+  await client.connect(clientTransport);
+  return client;
+}
@@ -0,0 +1,113 @@
+import http from "node:http";
+
+/**
+ * Answer the requests every test needs: logging in and looking up the user
+ * @param {Object} request - Recorded request
+ * @returns {Object|undefined} - Reply, if it is one of those
+ */
+function defaultReply({ method, path, body }) {
+  if (method === "POST" && path === "/auth") {
+    return {
+      body: { auth_token: `token-of-${body.username}`, refresh: "refresh" },
+    };
+  }
+  if (method === "GET" && path === "/users/me") {
+    return { body: { id: 10, username: "tester" } };
+  }
+  return undefined;
+}
+
+/**
+ * Start a local HTTP server standing in for the Taiga API
+ *
+ * Every request is recorded and passed to the handler, which answers with a
+ * status, optional headers and a JSON body, or raw bytes for files. Logging
+ * in and /users/me work unless the handler answers them itself, and anything
+ * else it doesn't answer gets a 404.
+ * @param {Function} handler - Called with {method, path, query, headers,
+ * body}, returns {status, headers, body} or {status, headers, raw}, or
+ * undefined
+ * @returns {Promise<{url: string, requests: Array<Object>, close: Function}>}
+ * - API base URL, the requests received so far, and a function to stop it
+ */
+export async function startTaigaServer(handler) {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString("utf8");
+    const url = new URL(req.url, "http://localhost");
+    const request = {
+      method: req.method,
+      path: url.pathname.replace(/^\/api\/v1/, ""),
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body:
+        text && req.headers["content-type"]?.includes("json")
+          ? JSON.parse(text)
+          : text,
+    };
+    requests.push(request);
+
+    const reply = (await handler(request)) ||
+      defaultReply(request) || {
+        status: 404,
+        body: { _error_message: "Not found" },
+      };
+    res.writeHead(reply.status ?? 200, {
+      "Content-Type": "application/json",
+      ...reply.headers,
+    });
+    res.end(reply.raw ?? JSON.stringify(reply.body ?? null));
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/api/v1`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Answer a list request the way Taiga does, one page at a time with the
+ * x-pagination-* headers
+ * @param {Array} items - Every item of the list
+ * @param {Object} query - Query parameters of the request
+ * @returns {Object} - Reply for startTaigaServer
+ */
+export function paginatedReply(items, query) {
+  const page = Number(query.page || 1);
+  const pageSize = Number(query.page_size || 30);
+  return {
+    headers: {
+      "x-paginated": "true",
+      "x-pagination-count": String(items.length),
+      ...(page * pageSize < items.length && {
+        "x-pagination-next": `?page=${page + 1}`,
+      }),
+    },
+    body: items.slice((page - 1) * pageSize, page * pageSize),
+  };
+}
+
+/**
+ * Point the server at a test Taiga and keep its files out of the repo. Call
+ * before importing anything from src, as settings are read on import.
+ * @param {string} url - API base URL from startTaigaServer
+ * @param {Object} [env] - Extra environment variables
+ */
+export function useTaiga(url, env = {}) {
+  Object.assign(process.env, {
+    TAIGA_API_URL: url,
+    TAIGA_USERNAME: "tester",
+    TAIGA_PASSWORD: "tester-password",
+    TAIGA_AUDIT_LOG: "off",
+    TAIGA_RETRY_BASE_DELAY_MS: "1",
+    TAIGA_RETRY_MAX_DELAY_MS: "5",
+    ...env,
+  });
+}
@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import { after, describe, it } from "node:test";
+import {
+  paginatedReply,
+  startTaigaServer,
+  useTaiga,
+} from "./helpers/taigaServer.js";
+
+// History of issue 7: twelve comments, every third one deleted, and a change
+// that isn't a comment
+const history = [
+  ...Array.from({ length: 12 }, (_, index) => ({
+    id: `comment-${index + 1}`,
+    comment: `Comment ${index + 1}`,
+    delete_comment_date: index % 3 === 2 ? "2024-05-01T10:00:00Z" : null,
+  })),
+  { id: "change", comment: "", diff: { subject: ["Old", "New"] } },
+];
+
+const taiga = await startTaigaServer(({ path, query }) => {
+  if (path === "/history/issue/7") {
+    return paginatedReply(history, query);
+  }
+});
+useTaiga(taiga.url);
+const { historyService } = await import("../src/services/historyServices.js");
+
+after(() => taiga.close());
+
+/**
+ * IDs of the comments in a result
+ * @param {Object} result - Result of listComments
+ * @returns {Array<string>} - Comment IDs
+ */
+function ids(result) {
+  return result.items.map((entry) => entry.id);
+}
+
+describe("HistoryService.listComments", () => {
+  it("leaves out deleted comments and other changes", async () => {
+    const result = await historyService.listComments("issue", 7);
+
+    assert.deepEqual(ids(result), [
+      "comment-1",
+      "comment-2",
+      "comment-4",
+      "comment-5",
+      "comment-7",
+      "comment-8",
+      "comment-10",
+      "comment-11",
+    ]);
+    assert.equal(result.total, 8);
+    assert.equal(result.hasMore, false);
+  });
+
+  it("fills pages with comments that weren't deleted", async () => {
+    const first = await historyService.listComments("issue", 7, {
+      page: 1,
+      pageSize: 3,
+    });
+    const last = await historyService.listComments("issue", 7, {
+      page: 3,
+      pageSize: 3,
+    });
+
+    assert.deepEqual(ids(first), ["comment-1", "comment-2", "comment-4"]);
+    assert.equal(first.total, 8);
+    assert.equal(first.hasMore, true);
+    assert.deepEqual(ids(last), ["comment-10", "comment-11"]);
+    assert.equal(last.hasMore, false);
+  });
+
+  it("counts only the remaining comments against the limit", async () => {
+    const result = await historyService.listComments("issue", 7, {
+      limit: 4,
+    });
+
+    assert.deepEqual(ids(result), [
+      "comment-1",
+      "comment-2",
+      "comment-4",
+      "comment-5",
+    ]);
+    assert.equal(result.hasMore, true);
+  });
+
+  it("asks Taiga for comments only", async () => {
+    const requests = taiga.requests.filter(
+      (request) => request.path === "/history/issue/7"
+    );
+
+    assert.ok(requests.length > 0);
+    assert.ok(requests.every((request) => request.query.type === "comment"));
+  });
+});
@@ -0,0 +1,128 @@
+import assert from "node:assert/strict";
+import { after, describe, it } from "node:test";
+import { startTaigaServer, useTaiga } from "./helpers/taigaServer.js";
+
+// Requests currently being answered, and the most seen at once
+let inFlight = 0;
+let mostInFlight = 0;
+
+const taiga = await startTaigaServer(async ({ path, query }) => {
+  const failures = Number(query.fail || 0);
+  const seen = taiga.requests.filter(
+    (request) => request.path === path && request.query.key === query.key
+  ).length;
+  if (path === "/unavailable") {
+    return seen <= failures
+      ? { status: 503, body: { detail: "Try again" } }
+      : { body: { attempts: seen } };
+  }
+  if (path === "/limited") {
+    return seen <= failures
+      ? { status: 429, headers: { "retry-after": "0" }, body: {} }
+      : { body: { attempts: seen } };
+  }
+  if (path === "/slow") {
+    inFlight++;
+    mostInFlight = Math.max(mostInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    inFlight--;
+    return { body: {} };
+  }
+});
+useTaiga(taiga.url, { TAIGA_MAX_RETRIES: "2", TAIGA_MAX_CONCURRENCY: "2" });
+const { createHttpClient, readIntSetting } = await import(
+  "../src/httpClient.js"
+);
+const client = createHttpClient();
+
+after(() => taiga.close());
+
+/**
+ * Number of requests received for a key
+ * @param {string} key - Key sent with the requests
+ * @returns {number} - Requests
+ */
+function attempts(key) {
+  return taiga.requests.filter((request) => request.query.key === key).length;
+}
+
+describe("createHttpClient", () => {
+  it("retries a read that failed with a server error", async () => {
+    const response = await client.get("/unavailable", {
+      params: { key: "read", fail: 2 },
+    });
+
+    assert.equal(response.data.attempts, 3);
+  });
+
+  it("gives up after TAIGA_MAX_RETRIES retries", async () => {
+    await assert.rejects(
+      client.get("/unavailable", { params: { key: "down", fail: 10 } }),
+      (error) => error.response.status === 503
+    );
+    assert.equal(attempts("down"), 3);
+  });
+
+  it("doesn't send a failed POST again", async () => {
+    await assert.rejects(
+      client.post("/unavailable", {}, { params: { key: "post", fail: 1 } }),
+      (error) => error.response.status === 503
+    );
+    assert.equal(attempts("post"), 1);
+  });
+
+  it("sends any request again after a rate limit", async () => {
+    const response = await client.post(
+      "/limited",
+      {},
+      { params: { key: "limited", fail: 1 } }
+    );
+
+    assert.equal(response.data.attempts, 2);
+  });
+
+  it("doesn't retry a client error", async () => {
+    await assert.rejects(
+      client.get("/missing", { params: { key: "missing" } }),
+      (error) => error.response.status === 404
+    );
+    assert.equal(attempts("missing"), 1);
+  });
+
+  it("keeps to TAIGA_MAX_CONCURRENCY requests at once", async () => {
+    await Promise.all(Array.from({ length: 6 }, () => client.get("/slow")));
+
+    assert.equal(mostInFlight, 2);
+  });
+
+  it("falls back to three retries when TAIGA_MAX_RETRIES is not a number", async () => {
+    process.env.TAIGA_MAX_RETRIES = "many";
+    // A fresh copy of the module reads the settings again
+    const fresh = await import("../src/httpClient.js?invalid-retries");
+
+    await assert.rejects(
+      fresh
+        .createHttpClient()
+        .get("/unavailable", { params: { key: "invalid", fail: 10 } }),
+      (error) => error.response.status === 503
+    );
+    assert.equal(attempts("invalid"), 4);
+  });
+});
+
+describe("readIntSetting", () => {
+  it("accepts whole numbers within the range", () => {
+    process.env.TEST_SETTING = "65535";
+
+    assert.equal(readIntSetting("TEST_SETTING", 3000, 0, 65535), 65535);
+  });
+
+  it("falls back to the default for values out of range or not whole", () => {
+    for (const value of ["0", "-5", "70000", "1.5", "port"]) {
+      process.env.TEST_SETTING = value;
+      assert.equal(readIntSetting("TEST_SETTING", 3000, 1, 65535), 3000);
+    }
+    delete process.env.TEST_SETTING;
+    assert.equal(readIntSetting("TEST_SETTING", 3000, 1), 3000);
+  });
+});
@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, describe, it } from "node:test";
+import { startTaigaServer, useTaiga } from "./helpers/taigaServer.js";
+
+const taiga = await startTaigaServer(() => undefined);
+useTaiga(taiga.url, { MCP_ALLOWED_HOSTS: "mcp.example.org" });
+const { startHttpServer } = await import("../src/httpServer.js");
+
+const server = await startHttpServer({ port: 0 });
+const { port } = server.address();
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  await taiga.close();
+});
+
+const initialize = {
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: {
+    protocolVersion: "2025-03-26",
+    capabilities: {},
+    clientInfo: { name: "test", version: "1.0.0" },
+  },
+};
+
+/**
+ * Send a JSON-RPC message to the MCP endpoint
+ * @param {Object} body - Message
+ * @param {Object} [headers] - Extra headers, e.g. Host or Authorization
+ * @returns {Promise<{status: number, headers: Object, text: string}>}
+ */
+function post(body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(
+      {
+        host: "127.0.0.1",
+        port,
+        path: "/mcp",
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json, text/event-stream",
+          ...headers,
+        },
+      },
+      async (response) => {
+        let text = "";
+        for await (const chunk of response) {
+          text += chunk;
+        }
+        resolve({
+          status: response.statusCode,
+          headers: response.headers,
+          text,
+        });
+      }
+    );
+    request.on("error", reject);
+    request.end(JSON.stringify(body));
+  });
+}
+
+/**
+ * Open a session with the given Authorization header
+ * @param {string} authorization - Authorization header
+ * @returns {Promise<string>} - Session ID
+ */
+async function openSession(authorization) {
+  const response = await post(initialize, { Authorization: authorization });
+  assert.equal(response.status, 200);
+  await post(
+    { jsonrpc: "2.0", method: "notifications/initialized" },
+    {
+      Authorization: authorization,
+      "Mcp-Session-Id": response.headers["mcp-session-id"],
+    }
+  );
+  return response.headers["mcp-session-id"];
+}
+
+describe("startHttpServer", () => {
+  it("refuses requests for other hosts", async () => {
+    const response = await post(initialize, { Host: "evil.example" });
+
+    assert.equal(response.status, 403);
+    assert.match(response.text, /Invalid Host header/);
+  });
+
+  it("accepts localhost and the hosts in MCP_ALLOWED_HOSTS", async () => {
+    for (const host of [`localhost:${port}`, "mcp.example.org"]) {
+      const response = await post(initialize, { Host: host });
+      assert.equal(response.status, 200);
+    }
+  });
+
+  it("serves a session to the credentials it was opened with", async () => {
+    const authorization = "Bearer alice-token";
+    const sessionId = await openSession(authorization);
+
+    const response = await post(
+      { jsonrpc: "2.0", id: 2, method: "tools/list" },
+      { Authorization: authorization, "Mcp-Session-Id": sessionId }
+    );
+    assert.equal(response.status, 200);
+    assert.match(response.text, /taiga_listProjects/);
+  });
+
+  it("refuses a session to other credentials", async () => {
+    const sessionId = await openSession("Bearer alice-token");
+
+    for (const headers of [{ Authorization: "Bearer mallory-token" }, {}]) {
+      const response = await post(
+        { jsonrpc: "2.0", id: 2, method: "tools/list" },
+        { ...headers, "Mcp-Session-Id": sessionId }
+      );
+      assert.equal(response.status, 403);
+      assert.match(response.text, /Credentials do not match/);
+    }
+  });
+});
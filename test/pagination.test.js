@@ -0,0 +1,151 @@
+import assert from "node:assert/strict";
+import { after, describe, it } from "node:test";
+import {
+  paginatedReply,
+  startTaigaServer,
+  useTaiga,
+} from "./helpers/taigaServer.js";
+
+const stories = Array.from({ length: 250 }, (_, index) => ({ id: index + 1 }));
+
+const taiga = await startTaigaServer(({ path, query }) => {
+  if (path === "/userstories") {
+    return paginatedReply(stories, query);
+  }
+  if (path === "/roles") {
+    return { body: [{ id: 1 }, { id: 2 }] };
+  }
+});
+useTaiga(taiga.url);
+const { fetchPaginated, paginateItems } = await import(
+  "../src/services/pagination.js"
+);
+
+after(() => taiga.close());
+
+/**
+ * Pages of /userstories requested since the given request index
+ * @param {number} from - Index into taiga.requests
+ * @returns {Array<string>} - Page parameters
+ */
+function pagesRequested(from) {
+  return taiga.requests
+    .slice(from)
+    .filter((request) => request.path === "/userstories")
+    .map((request) => request.query.page);
+}
+
+describe("fetchPaginated", () => {
+  it("follows the pagination headers until the list is exhausted", async () => {
+    const from = taiga.requests.length;
+    const result = await fetchPaginated("/userstories", { project: 1 });
+
+    assert.equal(result.items.length, 250);
+    assert.equal(result.total, 250);
+    assert.equal(result.hasMore, false);
+    assert.deepEqual(pagesRequested(from), ["1", "2", "3"]);
+  });
+
+  it("stops fetching once the limit is reached", async () => {
+    const from = taiga.requests.length;
+    const result = await fetchPaginated("/userstories", {}, { limit: 30 });
+
+    assert.deepEqual(
+      result.items.map((story) => story.id),
+      stories.slice(0, 30).map((story) => story.id)
+    );
+    assert.equal(result.total, 250);
+    assert.equal(result.hasMore, true);
+    assert.deepEqual(pagesRequested(from), ["1"]);
+  });
+
+  it("fetches only the requested page", async () => {
+    const from = taiga.requests.length;
+    const result = await fetchPaginated(
+      "/userstories",
+      {},
+      { page: 3, pageSize: 100 }
+    );
+
+    assert.equal(result.items.length, 50);
+    assert.equal(result.items[0].id, 201);
+    assert.equal(result.page, 3);
+    assert.equal(result.hasMore, false);
+    assert.deepEqual(pagesRequested(from), ["3"]);
+  });
+
+  it("asks for pages of 100 when only a page is given", async () => {
+    const from = taiga.requests.length;
+    const result = await fetchPaginated("/userstories", {}, { page: 2 });
+
+    assert.equal(taiga.requests.at(-1).query.page_size, "100");
+    assert.deepEqual(
+      [result.items[0].id, result.items.length, result.pageSize],
+      [101, 100, 100]
+    );
+    assert.equal(result.hasMore, true);
+    assert.deepEqual(pagesRequested(from), ["2"]);
+  });
+
+  it("keeps the filters on every page", async () => {
+    const from = taiga.requests.length;
+    await fetchPaginated("/userstories", { project: 7 });
+
+    const projects = taiga.requests
+      .slice(from)
+      .map((request) => request.query.project);
+    assert.deepEqual(projects, ["7", "7", "7"]);
+  });
+
+  it("takes an unpaginated list as it comes", async () => {
+    const result = await fetchPaginated("/roles");
+
+    assert.equal(result.items.length, 2);
+    assert.equal(result.total, 2);
+    assert.equal(result.hasMore, false);
+  });
+});
+
+describe("paginateItems", () => {
+  const items = Array.from({ length: 5 }, (_, index) => index);
+
+  it("returns everything without a page or limit", () => {
+    assert.deepEqual(paginateItems(items), {
+      items,
+      total: 5,
+      page: undefined,
+      pageSize: undefined,
+      hasMore: false,
+    });
+  });
+
+  it("cuts the requested page out of the list", () => {
+    const result = paginateItems(items, { page: 2, pageSize: 2 });
+
+    assert.deepEqual(result.items, [2, 3]);
+    assert.equal(result.total, 5);
+    assert.equal(result.hasMore, true);
+  });
+
+  it("reports no more items on the last page", () => {
+    const result = paginateItems(items, { page: 3, pageSize: 2 });
+
+    assert.deepEqual(result.items, [4]);
+    assert.equal(result.hasMore, false);
+  });
+
+  it("uses pages of 100 when only a page is given, like fetchPaginated", () => {
+    const many = Array.from({ length: 150 }, (_, index) => index);
+    const result = paginateItems(many, { page: 2 });
+
+    assert.deepEqual([result.items[0], result.items.length], [100, 50]);
+    assert.equal(result.pageSize, 100);
+  });
+
+  it("applies a limit", () => {
+    const result = paginateItems(items, { limit: 3 });
+
+    assert.deepEqual(result.items, [0, 1, 2]);
+    assert.equal(result.hasMore, true);
+  });
+});
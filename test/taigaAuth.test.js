@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import { after, beforeEach, describe, it } from "node:test";
+import { startTaigaServer, useTaiga } from "./helpers/taigaServer.js";
+
+/**
+ * Build a JWT that expires after the given time
+ * @param {number} ms - Time from now until it expires
+ * @returns {string} - Token
+ */
+function jwtExpiringIn(ms) {
+  const payload = Buffer.from(
+    JSON.stringify({ exp: Math.floor((Date.now() + ms) / 1000) })
+  ).toString("base64url");
+  return `eyJhbGciOiJIUzI1NiJ9.${payload}.signature`;
+}
+
+// Tokens Taiga currently accepts, and what /auth/refresh hands out
+let validTokens;
+let refreshReply;
+
+const taiga = await startTaigaServer(({ method, path, headers, body }) => {
+  if (method === "POST" && path === "/auth/refresh") {
+    return body.refresh === "refresh" && refreshReply
+      ? { body: refreshReply }
+      : { status: 401, body: { detail: "Invalid refresh token" } };
+  }
+  if (path === "/projects") {
+    const token = headers.authorization?.split(" ")[1];
+    return validTokens.has(token)
+      ? { body: [] }
+      : { status: 401, body: { detail: "Invalid token" } };
+  }
+});
+useTaiga(taiga.url);
+const { createAuthStateFromHeader, refreshAuthToken, taigaClient } =
+  await import("../src/taigaAuth.js");
+const { createSession, runInSession } = await import(
+  "../src/sessionContext.js"
+);
+const { TaigaAuthError } = await import("../src/errors.js");
+
+after(() => taiga.close());
+
+/**
+ * Requests received since the given index, as "METHOD path"
+ * @param {number} from - Index into taiga.requests
+ * @returns {Array<string>} - Requests
+ */
+function requestsSince(from) {
+  return taiga.requests
+    .slice(from)
+    .map((request) => `${request.method} ${request.path}`);
+}
+
+describe("taigaClient authentication", () => {
+  beforeEach(() => {
+    validTokens = new Set(["token-of-tester"]);
+    refreshReply = { auth_token: "fresh-token", refresh: "refresh" };
+  });
+
+  it("logs in with the environment credentials before the first request", async () => {
+    const from = taiga.requests.length;
+    await taigaClient.get("/projects");
+
+    assert.deepEqual(requestsSince(from), ["POST /auth", "GET /projects"]);
+    assert.deepEqual(taiga.requests[from].body, {
+      type: "normal",
+      username: "tester",
+      password: "tester-password",
+    });
+    assert.equal(
+      taiga.requests.at(-1).headers.authorization,
+      "Bearer token-of-tester"
+    );
+  });
+
+  it("refreshes a rejected token and sends the request again", async () => {
+    validTokens = new Set(["fresh-token"]);
+    const from = taiga.requests.length;
+    await taigaClient.get("/projects");
+
+    assert.deepEqual(requestsSince(from), [
+      "GET /projects",
+      "POST /auth/refresh",
+      "GET /projects",
+    ]);
+    assert.equal(
+      taiga.requests.at(-1).headers.authorization,
+      "Bearer fresh-token"
+    );
+  });
+
+  it("logs in again when the refresh token is rejected", async () => {
+    refreshReply = null;
+    const from = taiga.requests.length;
+    await taigaClient.get("/projects");
+
+    assert.deepEqual(requestsSince(from), [
+      "GET /projects",
+      "POST /auth/refresh",
+      "POST /auth",
+      "GET /projects",
+    ]);
+  });
+
+  it("refreshes once for requests rejected at the same time", async () => {
+    validTokens = new Set(["fresh-token"]);
+    const from = taiga.requests.length;
+    await Promise.all([1, 2, 3].map(() => taigaClient.get("/projects")));
+
+    const refreshes = requestsSince(from).filter(
+      (request) => request === "POST /auth/refresh"
+    );
+    assert.equal(refreshes.length, 1);
+  });
+
+  it("retries a rejected request only once", async () => {
+    validTokens = new Set();
+    const from = taiga.requests.length;
+
+    await assert.rejects(taigaClient.get("/projects"), (error) => {
+      assert.equal(error.response.status, 401);
+      return true;
+    });
+    const sent = requestsSince(from).filter(
+      (request) => request === "GET /projects"
+    );
+    assert.equal(sent.length, 2);
+  });
+
+  it("refreshes a token about to expire before using it", async () => {
+    const expiring = jwtExpiringIn(30 * 1000);
+    validTokens = new Set([expiring, "fresh-token"]);
+    refreshReply = { auth_token: expiring, refresh: "refresh" };
+    await refreshAuthToken();
+
+    refreshReply = { auth_token: "fresh-token", refresh: "refresh" };
+    const from = taiga.requests.length;
+    await taigaClient.get("/projects");
+
+    assert.deepEqual(requestsSince(from), [
+      "POST /auth/refresh",
+      "GET /projects",
+    ]);
+    assert.equal(
+      taiga.requests.at(-1).headers.authorization,
+      "Bearer fresh-token"
+    );
+  });
+
+  it("asks a session whose token was rejected to sign in again", async () => {
+    validTokens = new Set();
+    const session = createSession({
+      auth: createAuthStateFromHeader("Bearer revoked-token"),
+    });
+
+    await assert.rejects(
+      runInSession(session, () => taigaClient.get("/projects")),
+      TaigaAuthError
+    );
+    assert.equal(
+      taiga.requests.at(-1).headers.authorization,
+      "Bearer revoked-token"
+    );
+  });
+});
@@ -0,0 +1,243 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, beforeEach, describe, it } from "node:test";
+import { startTaigaServer, useTaiga } from "./helpers/taigaServer.js";
+
+// User stories the stub Taiga holds, by ID
+let stories;
+let nextId;
+
+const users = { "token-of-tester": 10, "token-of-bob": 11 };
+
+const taiga = await startTaigaServer(({ method, path, headers, body }) => {
+  if (path === "/users/me") {
+    const token = headers.authorization?.split(" ")[1];
+    return { body: { id: users[token], username: token.slice(9) } };
+  }
+  if (method === "POST" && path === "/userstories") {
+    const story = { ...body, id: nextId++, ref: nextId, version: 1 };
+    stories.set(story.id, story);
+    return { status: 201, body: story };
+  }
+
+  const match = path.match(/^\/userstories\/(\d+)$/);
+  const story = match && stories.get(Number(match[1]));
+  if (!story) {
+    return undefined;
+  }
+  if (method === "GET") {
+    return { body: story };
+  }
+  if (method === "DELETE") {
+    stories.delete(story.id);
+    return { status: 204 };
+  }
+  if (body.version !== story.version) {
+    return {
+      status: 400,
+      body: { version: ["The version doesn't match with the current one"] },
+    };
+  }
+  const { comment, version, ...fields } = body;
+  Object.assign(story, fields, { version: story.version + 1 });
+  return { body: story };
+});
+useTaiga(taiga.url);
+const { taigaClient } = await import("../src/taigaAuth.js");
+const { runToolCall } = await import("../src/auditLog.js");
+const { createSession, runInSession } = await import(
+  "../src/sessionContext.js"
+);
+const { createAuthState } = await import("../src/taigaAuth.js");
+const { undoService } = await import("../src/services/undoServices.js");
+const { runDryRun } = await import("../src/dryRun.js");
+
+const logDir = await fs.mkdtemp(path.join(os.tmpdir(), "taiga-undo-"));
+
+after(async () => {
+  await taiga.close();
+  await fs.rm(logDir, { recursive: true, force: true });
+});
+
+/**
+ * Change a user story through the audited client, as a tool would
+ * @param {number} id - User story ID
+ * @param {Object} changes - Fields to change
+ * @param {Object} [session] - Session to make the change in
+ * @returns {Promise<Object>} - Story after the change
+ */
+function updateStory(id, changes, session = createSession()) {
+  return runInSession(session, () =>
+    runToolCall("taiga_updateUserStory", changes, async () => {
+      const { version } = stories.get(id);
+      const response = await taigaClient.patch(`/userstories/${id}`, {
+        ...changes,
+        version,
+      });
+      return response.data;
+    })
+  );
+}
+
+/**
+ * Undo changes and keep only what the assertions need
+ * @param {Object} [options] - Options for undoLatest
+ * @param {Object} [session] - Session to undo in
+ * @returns {Promise<Array<Object>>} - Outcome and message of each change
+ */
+async function undo(options, session = createSession()) {
+  const results = await runInSession(session, () =>
+    undoService.undoLatest(options)
+  );
+  return results.map(({ outcome, message }) => ({ outcome, message }));
+}
+
+describe("UndoService.undoLatest", () => {
+  beforeEach(async () => {
+    stories = new Map([
+      [100, { id: 100, ref: 1, subject: "Login", description: "", version: 1 }],
+      [
+        101,
+        { id: 101, ref: 2, subject: "Logout", description: "", version: 1 },
+      ],
+    ]);
+    nextId = 200;
+    process.env.TAIGA_AUDIT_LOG = path.join(
+      logDir,
+      `${Date.now()}-${Math.random()}.jsonl`
+    );
+  });
+
+  it("reverts the latest change", async () => {
+    await updateStory(100, { subject: "Sign in" });
+
+    const [result] = await undo();
+    assert.equal(result.outcome, "reverted");
+    assert.equal(stories.get(100).subject, "Login");
+  });
+
+  it("moves on to older changes on every call", async () => {
+    await updateStory(100, { subject: "Sign in" });
+    await updateStory(100, { description: "Use SSO" });
+
+    assert.match((await undo())[0].message, /^Restored description/);
+    assert.equal(stories.get(100).description, "");
+    assert.equal(stories.get(100).subject, "Sign in");
+
+    assert.match((await undo())[0].message, /^Restored subject/);
+    assert.equal(stories.get(100).subject, "Login");
+
+    assert.deepEqual(await undo(), []);
+  });
+
+  it("doesn't pick a skipped change again", async () => {
+    await updateStory(100, { subject: "Sign in" });
+    await runToolCall("taiga_createUserStory", { subject: "Sign up" }, () =>
+      taigaClient.post("/userstories", { project: 1, subject: "Sign up" })
+    );
+
+    assert.equal((await undo())[0].outcome, "skipped");
+    assert.equal((await undo())[0].outcome, "reverted");
+    assert.deepEqual(await undo(), []);
+  });
+
+  it("leaves a change alone when the item was edited since", async () => {
+    await updateStory(100, { subject: "Sign in" });
+    Object.assign(stories.get(100), { subject: "Log on", version: 9 });
+
+    const [result] = await undo();
+    assert.equal(result.outcome, "conflict");
+    assert.equal(stories.get(100).subject, "Log on");
+    assert.deepEqual(await undo(), []);
+  });
+
+  it("notices edits made after an earlier undo", async () => {
+    await updateStory(100, { subject: "Sign in" });
+    await updateStory(100, { description: "Use SSO" });
+    await undo();
+    Object.assign(stories.get(100), { subject: "Log on", version: 9 });
+
+    assert.equal((await undo())[0].outcome, "conflict");
+    assert.equal(stories.get(100).subject, "Log on");
+  });
+
+  it("undoes several changes in one call, newest first", async () => {
+    await updateStory(100, { subject: "Sign in" });
+    await updateStory(100, { subject: "Log on" });
+
+    const results = await undo({ count: 5 });
+    assert.deepEqual(
+      results.map((result) => result.outcome),
+      ["reverted", "reverted"]
+    );
+    assert.equal(stories.get(100).subject, "Login");
+  });
+
+  it("shows every revert in a dry run of several changes", async () => {
+    await updateStory(100, { subject: "Sign in" });
+    await updateStory(101, { subject: "Sign out" });
+
+    const { requests, notPreviewed } = await runDryRun(() =>
+      undoService.undoLatest({ count: 2 })
+    );
+    assert.deepEqual(
+      requests.map(({ method, url, payload }) => [
+        method,
+        new URL(url).pathname,
+        payload.subject,
+      ]),
+      [
+        ["PATCH", "/api/v1/userstories/101", "Logout"],
+        ["PATCH", "/api/v1/userstories/100", "Login"],
+      ]
+    );
+    assert.deepEqual(notPreviewed, []);
+    assert.equal(stories.get(100).subject, "Sign in");
+  });
+
+  it("notes the older changes of an item a dry run can't show", async () => {
+    await updateStory(100, { subject: "Sign in" });
+    await updateStory(100, { description: "Use SSO" });
+
+    const { requests, notPreviewed } = await runDryRun(() =>
+      undoService.undoLatest({ count: 2 })
+    );
+    assert.equal(requests.length, 1);
+    assert.equal(notPreviewed.length, 1);
+    assert.match(notPreviewed[0], /older PATCH of \/userstories\/100/);
+    assert.equal(stories.get(100).description, "Use SSO");
+  });
+
+  it("recreates a deleted item from its snapshot", async () => {
+    await runToolCall("taiga_deleteUserStory", { userStoryId: 100 }, () =>
+      taigaClient.delete("/userstories/100")
+    );
+
+    const [result] = await undo();
+    assert.equal(result.outcome, "recreated");
+    assert.equal(stories.get(200).subject, "Login");
+  });
+
+  it("only undoes changes of the caller's Taiga user", async () => {
+    const bob = createSession({
+      auth: createAuthState({ username: "bob", password: "bob-password" }),
+    });
+    await updateStory(100, { subject: "Sign in" }, bob);
+
+    assert.deepEqual(await undo(), []);
+    assert.equal((await undo({}, bob))[0].outcome, "reverted");
+  });
+
+  it("only undoes changes of the current session when asked to", async () => {
+    const session = createSession();
+    await updateStory(100, { subject: "Sign in" }, session);
+    await updateStory(101, { subject: "Sign out" });
+
+    const [result] = await undo({ sessionOnly: true }, session);
+    assert.match(result.message, /^Restored subject/);
+    assert.equal(stories.get(100).subject, "Login");
+    assert.equal(stories.get(101).subject, "Sign out");
+  });
+});